@@ -0,0 +1,35 @@
+// boot/bot-fleet-seed.js
+// Creates a starter bot fleet on first boot so bot fill-in keeps working before an admin sets one up.
+// Personas start with an empty bankroll and are funded from the house when first seated
+// (matchModel.seatBotPersona). The shared bot account used before the fleet existed takes no new seats.
+const { getPool } = require('../config/db');
+const botPersonaModel = require('../models/botPersonaModel');
+const matchModel = require('../models/matchModel');
+
+const FLEET_SIZE = Number(process.env.BOT_FLEET_SIZE || 8);
+const DEFAULT_BANKROLL = Number(process.env.BOT_DEFAULT_BANKROLL || 1000);
+
+async function ensureBotFleet() {
+  const pool = await getPool();
+  if (FLEET_SIZE <= 0 || await botPersonaModel.countPersonas(pool) > 0) return;
+
+  const names = new Set();
+  for (let i = 0; names.size < FLEET_SIZE && i < FLEET_SIZE * 50; i++) names.add(matchModel.pickSimulatedName());
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const display_name of names) {
+      await botPersonaModel.createPersona(conn, { display_name, bankroll_target: DEFAULT_BANKROLL });
+    }
+    await conn.commit();
+    console.log('[bot-fleet-seed] created', names.size, 'bot personas');
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = { ensureBotFleet };
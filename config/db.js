@@ -1,14 +1,16 @@
 require('dotenv').config();
 const mysql = require('mysql2/promise');
 const { URL } = require('url');
+const gameRules = require('../lib/gameRules');
 
 const UPLOAD_FEE_IDENTIFIER = -1;
 
 // === GAME BOARD CONFIG ===
-const BOARD_ROWS = 6;
-const BOARD_COLS = 6;
+// Defaults only; each match stores its own board_rows/board_cols/win_length/game_type (see lib/gameRules)
+const BOARD_ROWS = gameRules.DEFAULT_ROWS;
+const BOARD_COLS = gameRules.DEFAULT_COLS;
 const BOARD_CELLS = BOARD_ROWS * BOARD_COLS;
-const EMPTY_BOARD = '_'.repeat(BOARD_CELLS);
+const EMPTY_BOARD = gameRules.emptyBoard({ rows: BOARD_ROWS, cols: BOARD_COLS });
 
 let pool = null;
 
@@ -158,6 +160,50 @@ async function getChargeForAmount(dbClient, amount) {
   }
 }
 
+/**
+ * Add any missing columns to an existing table (tables created by older releases).
+ * columns: { column_name: 'column definition' }
+ */
+async function ensureColumns(db, table, columns) {
+  const [rows] = await db.query(`SHOW COLUMNS FROM \`${table}\``);
+  const existing = new Set((rows || []).map((c) => c.Field));
+  const adds = Object.keys(columns)
+    .filter((name) => !existing.has(name))
+    .map((name) => `ADD COLUMN \`${name}\` ${columns[name]}`);
+  if (adds.length) {
+    await db.query(`ALTER TABLE \`${table}\` ${adds.join(', ')}`);
+  }
+}
+
+/**
+ * Add any missing indexes to an existing table.
+ * indexes: { index_name: 'index definition' } e.g. { uniq_code: 'UNIQUE KEY uniq_code (code)' }
+ */
+async function ensureIndexes(db, table, indexes) {
+  const [rows] = await db.query(`SHOW INDEX FROM \`${table}\``);
+  const existing = new Set((rows || []).map((i) => i.Key_name));
+  const adds = Object.keys(indexes)
+    .filter((name) => !existing.has(name))
+    .map((name) => `ADD ${indexes[name]}`);
+  if (adds.length) {
+    await db.query(`ALTER TABLE \`${table}\` ${adds.join(', ')}`);
+  }
+}
+
+/**
+ * Run schema statements exactly once, recorded by name in the migrations table.
+ * Use for changes that are not naturally idempotent (MODIFY COLUMN etc).
+ */
+async function runMigrationOnce(db, name, statements) {
+  const [rows] = await db.query('SELECT id FROM migrations WHERE name = ? LIMIT 1', [name]);
+  if (rows && rows.length) return false;
+  for (const sql of statements) {
+    await db.query(sql);
+  }
+  await db.query('INSERT INTO migrations (name) VALUES (?)', [name]);
+  return true;
+}
+
 /**
  * Create all database tables including api_keys
  */
@@ -173,7 +219,7 @@ async function initializeDatabase() {
       password_hash VARCHAR(255) NOT NULL,
       display_name VARCHAR(255) DEFAULT NULL,
       is_bot TINYINT(1) DEFAULT 0,
-      bot_type ENUM('obvious','simulation') DEFAULT NULL,
+      bot_type ENUM('obvious','simulation','persona') DEFAULT NULL,
       balance DECIMAL(14,2) DEFAULT 0.00,
       pending_balance DECIMAL(14,2) DEFAULT 0.00,
       bank_name VARCHAR(255) DEFAULT NULL,
@@ -181,6 +227,11 @@ async function initializeDatabase() {
       account_name VARCHAR(255) DEFAULT NULL,
       role ENUM('user','admin') DEFAULT 'user',
       status ENUM('active','banned','inactive') DEFAULT 'active',
+      rating DECIMAL(7,2) NOT NULL DEFAULT 1500.00,
+      rating_deviation DECIMAL(6,2) NOT NULL DEFAULT 350.00,
+      rated_games INT UNSIGNED NOT NULL DEFAULT 0,
+      rating_updated_at DATETIME(3) DEFAULT NULL,
+      humans_only ENUM('wait','refund') DEFAULT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       last_login TIMESTAMP NULL DEFAULT NULL,
@@ -207,6 +258,7 @@ async function initializeDatabase() {
     CREATE TABLE IF NOT EXISTS admin_balance (
       id TINYINT PRIMARY KEY,
       balance DECIMAL(18,2) DEFAULT 0.00,
+      bot_bankroll DECIMAL(18,2) NOT NULL DEFAULT 0.00,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -223,7 +275,30 @@ async function initializeDatabase() {
       id INT PRIMARY KEY AUTO_INCREMENT,
       creator_id INT NOT NULL,
       opponent_id INT DEFAULT NULL,
-      board CHAR(36) NOT NULL DEFAULT '____________________________________',
+      board VARCHAR(255) NOT NULL DEFAULT '____________________________________',
+      board_rows TINYINT UNSIGNED NOT NULL DEFAULT 6,
+      board_cols TINYINT UNSIGNED NOT NULL DEFAULT 6,
+      win_length TINYINT UNSIGNED NOT NULL DEFAULT 4,
+      game_type ENUM('standard','gravity') NOT NULL DEFAULT 'standard',
+      time_base_ms INT UNSIGNED DEFAULT NULL,
+      time_increment_ms INT UNSIGNED NOT NULL DEFAULT 0,
+      creator_time_ms INT DEFAULT NULL,
+      opponent_time_ms INT DEFAULT NULL,
+      started_at DATETIME(3) DEFAULT NULL,
+      turn_started_at DATETIME(3) DEFAULT NULL,
+      is_private TINYINT(1) NOT NULL DEFAULT 0,
+      join_code VARCHAR(16) DEFAULT NULL,
+      expires_at DATETIME(3) DEFAULT NULL,
+      rematch_of INT DEFAULT NULL,
+      draw_offered_by INT DEFAULT NULL,
+      end_reason VARCHAR(32) DEFAULT NULL,
+      stake_multiplier SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+      cube_owner ENUM('X','O') DEFAULT NULL,
+      double_offered_by INT DEFAULT NULL,
+      finished_at DATETIME(3) DEFAULT NULL,
+      tournament_id INT DEFAULT NULL,
+      bot_tier ENUM('random','heuristic','depth_limited','perfect') DEFAULT NULL,
+      humans_only ENUM('wait','refund') DEFAULT NULL,
       current_turn ENUM('X','O') NOT NULL DEFAULT 'X',
       status ENUM('waiting','playing','finished','cancelled') DEFAULT 'waiting',
       winner ENUM('creator','opponent','draw') DEFAULT NULL,
@@ -238,7 +313,8 @@ async function initializeDatabase() {
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       FOREIGN KEY (creator_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (opponent_id) REFERENCES users(id) ON DELETE SET NULL,
-      INDEX (creator_id), INDEX (opponent_id), INDEX (status)
+      UNIQUE KEY uniq_join_code (join_code),
+      INDEX (creator_id), INDEX (opponent_id), INDEX (status), INDEX (tournament_id)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
   `);
 
@@ -251,6 +327,7 @@ async function initializeDatabase() {
       amount DECIMAL(14,2) NOT NULL,
       net_amount DECIMAL(14,2) NOT NULL,
       fee_amount DECIMAL(14,2) NOT NULL,
+      kind ENUM('stake','double') NOT NULL DEFAULT 'stake',
       placed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       refunded TINYINT(1) DEFAULT 0,
       FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
@@ -265,7 +342,7 @@ async function initializeDatabase() {
       id BIGINT PRIMARY KEY AUTO_INCREMENT,
       match_id INT NOT NULL,
       user_id INT NOT NULL,
-      position TINYINT NOT NULL,
+      position SMALLINT UNSIGNED NOT NULL,
       symbol ENUM('X','O') NOT NULL,
       display_name VARCHAR(255) DEFAULT NULL,
       played_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -276,6 +353,228 @@ async function initializeDatabase() {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
   `);
 
+  // MATCH EVENTS (resign / draw offers etc.; history shows how a game ended)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS match_events (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      match_id INT NOT NULL,
+      user_id INT DEFAULT NULL,
+      event_type VARCHAR(32) NOT NULL,
+      meta JSON DEFAULT NULL,
+      created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+      INDEX (match_id), INDEX (event_type)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // RATING HISTORY (Glicko before/after per rated match and player; bot matches are not rated)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rating_history (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      match_id INT NOT NULL,
+      user_id INT NOT NULL,
+      opponent_id INT NOT NULL,
+      score DECIMAL(2,1) NOT NULL,
+      rating_before DECIMAL(7,2) NOT NULL,
+      rating_after DECIMAL(7,2) NOT NULL,
+      rd_before DECIMAL(6,2) NOT NULL,
+      rd_after DECIMAL(6,2) NOT NULL,
+      created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_rating_match_user (match_id, user_id),
+      INDEX (user_id, id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // REMATCH OFFERS (one per finished match; money moves only on accept)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rematch_offers (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      match_id INT NOT NULL,
+      offered_by INT NOT NULL,
+      offered_to INT NOT NULL,
+      status ENUM('pending','accepted','declined','expired') NOT NULL DEFAULT 'pending',
+      new_match_id INT DEFAULT NULL,
+      expires_at DATETIME(3) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      responded_at DATETIME(3) DEFAULT NULL,
+      FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_rematch_match (match_id),
+      INDEX (offered_to), INDEX (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // MATCHMAKING QUEUE (stake range + optional skill band; the matcher widens both over time)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS matchmaking_tickets (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      min_stake DECIMAL(14,2) NOT NULL,
+      max_stake DECIMAL(14,2) NOT NULL,
+      skill_band INT UNSIGNED DEFAULT NULL,
+      skill_rating INT NOT NULL DEFAULT 1500,
+      board_rows TINYINT UNSIGNED NOT NULL DEFAULT 6,
+      board_cols TINYINT UNSIGNED NOT NULL DEFAULT 6,
+      win_length TINYINT UNSIGNED NOT NULL DEFAULT 4,
+      game_type ENUM('standard','gravity') NOT NULL DEFAULT 'standard',
+      time_base_ms INT UNSIGNED DEFAULT NULL,
+      time_increment_ms INT UNSIGNED NOT NULL DEFAULT 0,
+      status ENUM('queued','proposed','matched','cancelled','expired') NOT NULL DEFAULT 'queued',
+      proposal_id INT DEFAULT NULL,
+      match_id INT DEFAULT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX (status), INDEX (user_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // MATCHMAKING PROPOSALS (agreed stake reported to both players; nothing is debited until both accept)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS matchmaking_proposals (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      ticket_a INT NOT NULL,
+      ticket_b INT NOT NULL,
+      user_a INT NOT NULL,
+      user_b INT NOT NULL,
+      stake DECIMAL(14,2) NOT NULL,
+      fee DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+      a_accepted TINYINT(1) NOT NULL DEFAULT 0,
+      b_accepted TINYINT(1) NOT NULL DEFAULT 0,
+      status ENUM('pending','accepted','declined','expired','failed') NOT NULL DEFAULT 'pending',
+      match_id INT DEFAULT NULL,
+      expires_at DATETIME(3) NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX (status), INDEX (user_a), INDEX (user_b)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // TOURNAMENTS (single elimination; buy-ins form the prize pool, paid out by finishing place after the rake)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tournaments (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100) NOT NULL,
+      buy_in DECIMAL(14,2) NOT NULL,
+      seat_limit SMALLINT UNSIGNED NOT NULL,
+      start_at DATETIME(3) NOT NULL,
+      rake_percent DECIMAL(5,2) NOT NULL DEFAULT 10.00,
+      payouts JSON DEFAULT NULL,
+      board_rows TINYINT UNSIGNED NOT NULL DEFAULT 6,
+      board_cols TINYINT UNSIGNED NOT NULL DEFAULT 6,
+      win_length TINYINT UNSIGNED NOT NULL DEFAULT 4,
+      game_type ENUM('standard','gravity') NOT NULL DEFAULT 'standard',
+      time_base_ms INT UNSIGNED DEFAULT NULL,
+      time_increment_ms INT UNSIGNED NOT NULL DEFAULT 0,
+      status ENUM('registering','running','finished','cancelled') NOT NULL DEFAULT 'registering',
+      total_rounds TINYINT UNSIGNED NOT NULL DEFAULT 0,
+      prize_pool DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+      rake_amount DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+      created_by INT DEFAULT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      started_at DATETIME(3) DEFAULT NULL,
+      finished_at DATETIME(3) DEFAULT NULL,
+      INDEX (status, start_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tournament_entries (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      tournament_id INT NOT NULL,
+      user_id INT NOT NULL,
+      seed SMALLINT UNSIGNED DEFAULT NULL,
+      status ENUM('registered','active','eliminated','champion','refunded') NOT NULL DEFAULT 'registered',
+      eliminated_round TINYINT UNSIGNED DEFAULT NULL,
+      finish_position SMALLINT UNSIGNED DEFAULT NULL,
+      prize DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_tournament_user (tournament_id, user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // one row per bracket position; match_id is not a FK because finished matches are cleaned up
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tournament_slots (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      tournament_id INT NOT NULL,
+      round TINYINT UNSIGNED NOT NULL,
+      slot SMALLINT UNSIGNED NOT NULL,
+      player_x INT DEFAULT NULL,
+      player_o INT DEFAULT NULL,
+      match_id INT DEFAULT NULL,
+      replays TINYINT UNSIGNED NOT NULL DEFAULT 0,
+      winner_id INT DEFAULT NULL,
+      status ENUM('pending','playing','finished','bye') NOT NULL DEFAULT 'pending',
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      finished_at DATETIME(3) DEFAULT NULL,
+      FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_tournament_slot (tournament_id, round, slot),
+      INDEX (match_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // LEADERBOARDS (precomputed top-N per board and period, replaced on each refresh)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leaderboard_entries (
+      board VARCHAR(32) NOT NULL,
+      period VARCHAR(16) NOT NULL,
+      position INT UNSIGNED NOT NULL,
+      user_id INT NOT NULL,
+      value DECIMAL(18,4) NOT NULL,
+      games INT UNSIGNED NOT NULL DEFAULT 0,
+      period_start DATETIME(3) DEFAULT NULL,
+      computed_at DATETIME(3) NOT NULL,
+      PRIMARY KEY (board, period, position),
+      INDEX (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // BOT PERSONAS (the bot fleet; each persona is an is_bot users row whose balance is its bankroll,
+  // funded from admin_balance by bot_bankroll_fund / bot_bankroll_return transfers)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bot_personas (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      display_name VARCHAR(255) NOT NULL,
+      avatar_url VARCHAR(512) DEFAULT NULL,
+      tier ENUM('random','heuristic','depth_limited','perfect') DEFAULT NULL,
+      mistake_rate DECIMAL(4,3) DEFAULT NULL,
+      move_delay_ms INT UNSIGNED DEFAULT NULL,
+      min_stake DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+      max_stake DECIMAL(14,2) DEFAULT NULL,
+      bankroll_target DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+      status ENUM('active','paused','retired') NOT NULL DEFAULT 'active',
+      last_seated_at DATETIME(3) DEFAULT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uniq_user (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      INDEX (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // HOUSE LIMITS (single row; risk controls on bot-filled matches, NULL = no limit; see models/houseLimitsModel)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS house_limits (
+      id TINYINT PRIMARY KEY,
+      bot_max_stake DECIMAL(14,2) DEFAULT NULL,
+      bot_open_stake_cap DECIMAL(18,2) DEFAULT NULL,
+      bot_daily_matches_per_user INT UNSIGNED DEFAULT NULL,
+      bot_daily_stake_per_user DECIMAL(18,2) DEFAULT NULL,
+      updated_by INT DEFAULT NULL,
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  const envLimit = (name) => (process.env[name] ? Number(process.env[name]) : null);
+  await db.query(
+    `INSERT INTO house_limits (id, bot_max_stake, bot_open_stake_cap, bot_daily_matches_per_user, bot_daily_stake_per_user)
+     VALUES (1, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE id = id`,
+    [envLimit('BOT_MAX_STAKE'), envLimit('BOT_OPEN_STAKE_CAP'), envLimit('BOT_DAILY_MATCHES_PER_USER'), envLimit('BOT_DAILY_STAKE_PER_USER')]
+  );
+
   // BALANCE TRANSACTIONS
   await db.query(`
     CREATE TABLE IF NOT EXISTS balance_transactions (
@@ -293,6 +592,89 @@ async function initializeDatabase() {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
   `);
 
+  // LEDGER (double-entry; every posting's entries sum to zero, see models/ledgerModel)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      type ENUM('user_wallet','bot_bankroll','match_escrow','tournament_pool','house_revenue','payment_clearing','opening_equity') NOT NULL,
+      owner_id INT NOT NULL DEFAULT 0,
+      balance DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uniq_account (type, owner_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_postings (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      kind VARCHAR(64) NOT NULL,
+      reference_id VARCHAR(128) NOT NULL,
+      meta JSON DEFAULT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uniq_reference (kind, reference_id),
+      INDEX (reference_id), INDEX (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      posting_id BIGINT NOT NULL,
+      account_id BIGINT NOT NULL,
+      amount DECIMAL(18,2) NOT NULL,
+      FOREIGN KEY (posting_id) REFERENCES ledger_postings(id),
+      FOREIGN KEY (account_id) REFERENCES ledger_accounts(id),
+      INDEX (account_id), INDEX (posting_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // ARCHIVES (financial rows past the retention window are moved here, never deleted; see models/retentionModel)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS balance_transactions_archive (
+      id BIGINT PRIMARY KEY,
+      user_id INT NULL,
+      amount DECIMAL(18,2) NOT NULL,
+      type ENUM('credit','debit') NOT NULL,
+      source VARCHAR(100),
+      reference_id VARCHAR(100),
+      status VARCHAR(32) DEFAULT NULL,
+      meta JSON DEFAULT NULL,
+      created_at TIMESTAMP NULL DEFAULT NULL,
+      archived_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX (user_id), INDEX (reference_id), INDEX (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bets_archive (
+      id BIGINT PRIMARY KEY,
+      match_id INT NOT NULL,
+      user_id INT NOT NULL,
+      amount DECIMAL(14,2) NOT NULL,
+      net_amount DECIMAL(14,2) NOT NULL,
+      fee_amount DECIMAL(14,2) NOT NULL,
+      kind ENUM('stake','double') NOT NULL DEFAULT 'stake',
+      placed_at TIMESTAMP NULL DEFAULT NULL,
+      refunded TINYINT(1) DEFAULT 0,
+      archived_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX (match_id), INDEX (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // RECONCILIATION RUNS (balance reconciliation reports, see services/reconciliationService)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      trigger_source ENUM('schedule','admin') NOT NULL DEFAULT 'schedule',
+      requested_by INT DEFAULT NULL,
+      status ENUM('running','clean','discrepancies','failed') NOT NULL DEFAULT 'running',
+      users_checked INT UNSIGNED NOT NULL DEFAULT 0,
+      discrepancy_count INT UNSIGNED NOT NULL DEFAULT 0,
+      report JSON DEFAULT NULL,
+      started_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      finished_at DATETIME(3) DEFAULT NULL,
+      INDEX (status), INDEX (started_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
   // CHARGE RATES
   await db.query(`
     CREATE TABLE IF NOT EXISTS charge_rates (
@@ -381,6 +763,124 @@ async function initializeDatabase() {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
   `);
 
+  // SCHEMA UPGRADES for databases created by older releases
+  await ensureColumns(db, 'users', {
+    rating: 'DECIMAL(7,2) NOT NULL DEFAULT 1500.00 AFTER status',
+    rating_deviation: 'DECIMAL(6,2) NOT NULL DEFAULT 350.00 AFTER rating',
+    rated_games: 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER rating_deviation',
+    rating_updated_at: 'DATETIME(3) DEFAULT NULL AFTER rated_games',
+    humans_only: "ENUM('wait','refund') DEFAULT NULL AFTER rating_updated_at"
+  });
+  await ensureColumns(db, 'matches', {
+    board_rows: 'TINYINT UNSIGNED NOT NULL DEFAULT 6 AFTER board',
+    board_cols: 'TINYINT UNSIGNED NOT NULL DEFAULT 6 AFTER board_rows',
+    win_length: 'TINYINT UNSIGNED NOT NULL DEFAULT 4 AFTER board_cols',
+    game_type: "ENUM('standard','gravity') NOT NULL DEFAULT 'standard' AFTER win_length",
+    time_base_ms: 'INT UNSIGNED DEFAULT NULL AFTER game_type',
+    time_increment_ms: 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER time_base_ms',
+    creator_time_ms: 'INT DEFAULT NULL AFTER time_increment_ms',
+    opponent_time_ms: 'INT DEFAULT NULL AFTER creator_time_ms',
+    started_at: 'DATETIME(3) DEFAULT NULL AFTER opponent_time_ms',
+    turn_started_at: 'DATETIME(3) DEFAULT NULL AFTER started_at',
+    is_private: 'TINYINT(1) NOT NULL DEFAULT 0 AFTER turn_started_at',
+    join_code: 'VARCHAR(16) DEFAULT NULL AFTER is_private',
+    expires_at: 'DATETIME(3) DEFAULT NULL AFTER join_code',
+    rematch_of: 'INT DEFAULT NULL AFTER expires_at',
+    draw_offered_by: 'INT DEFAULT NULL AFTER rematch_of',
+    end_reason: 'VARCHAR(32) DEFAULT NULL AFTER draw_offered_by',
+    stake_multiplier: 'SMALLINT UNSIGNED NOT NULL DEFAULT 1 AFTER end_reason',
+    cube_owner: "ENUM('X','O') DEFAULT NULL AFTER stake_multiplier",
+    double_offered_by: 'INT DEFAULT NULL AFTER cube_owner',
+    finished_at: 'DATETIME(3) DEFAULT NULL AFTER double_offered_by',
+    tournament_id: 'INT DEFAULT NULL AFTER finished_at',
+    bot_tier: "ENUM('random','heuristic','depth_limited','perfect') DEFAULT NULL AFTER tournament_id",
+    humans_only: "ENUM('wait','refund') DEFAULT NULL AFTER bot_tier"
+  });
+  await ensureColumns(db, 'admin_balance', {
+    bot_bankroll: 'DECIMAL(18,2) NOT NULL DEFAULT 0.00 AFTER balance'
+  });
+  await ensureColumns(db, 'bets', {
+    kind: "ENUM('stake','double') NOT NULL DEFAULT 'stake' AFTER fee_amount"
+  });
+  await ensureIndexes(db, 'matches', {
+    uniq_join_code: 'UNIQUE KEY uniq_join_code (join_code)',
+    tournament_id: 'INDEX tournament_id (tournament_id)'
+  });
+  await runMigrationOnce(db, '2026_configurable_board_size', [
+    `ALTER TABLE matches MODIFY board VARCHAR(255) NOT NULL DEFAULT '____________________________________'`,
+    'ALTER TABLE moves MODIFY position SMALLINT UNSIGNED NOT NULL'
+  ]);
+  await runMigrationOnce(db, '2026_bot_persona_type', [
+    "ALTER TABLE users MODIFY bot_type ENUM('obvious','simulation','persona') DEFAULT NULL"
+  ]);
+  // open the ledger with what balances, live match stakes, tournament buy-ins and pending
+  // withdrawals hold today, balanced by a single opening_equity account
+  await runMigrationOnce(db, '2026_ledger_opening_balances', [
+    `INSERT INTO ledger_postings (kind, reference_id, created_at) VALUES ('opening_balance', 'opening_balances', NOW(3))`,
+    `INSERT INTO ledger_accounts (type, owner_id, balance)
+       SELECT IF(is_bot = 1, 'bot_bankroll', 'user_wallet'), id, balance FROM users WHERE COALESCE(balance, 0) <> 0`,
+    `INSERT INTO ledger_accounts (type, owner_id, balance)
+       SELECT 'house_revenue', 0, balance FROM admin_balance WHERE id = 1 AND COALESCE(balance, 0) <> 0`,
+    `INSERT INTO ledger_accounts (type, owner_id, balance)
+       SELECT 'match_escrow', b.match_id, SUM(b.amount)
+         FROM bets b JOIN matches m ON m.id = b.match_id
+        WHERE m.status IN ('waiting','playing')
+        GROUP BY b.match_id HAVING SUM(b.amount) <> 0`,
+    `INSERT INTO ledger_accounts (type, owner_id, balance)
+       SELECT 'tournament_pool', t.id, SUM(t.buy_in)
+         FROM tournament_entries e JOIN tournaments t ON t.id = e.tournament_id
+        WHERE t.status IN ('registering','running') AND e.status <> 'refunded'
+        GROUP BY t.id HAVING SUM(t.buy_in) <> 0`,
+    `INSERT INTO ledger_accounts (type, owner_id, balance)
+       SELECT 'payment_clearing', 0, SUM(amount) FROM withdrawals WHERE status = 'pending' HAVING SUM(amount) <> 0`,
+    `INSERT INTO ledger_accounts (type, owner_id, balance)
+       SELECT 'opening_equity', 0, -COALESCE(SUM(balance), 0) FROM ledger_accounts`,
+    `INSERT INTO ledger_entries (posting_id, account_id, amount)
+       SELECT p.id, a.id, a.balance
+         FROM ledger_accounts a JOIN ledger_postings p ON p.kind = 'opening_balance' AND p.reference_id = 'opening_balances'
+        WHERE a.balance <> 0`
+  ]);
+
+  // 2026_ledger_opening_balances opened escrow from SUM(bets.amount), which counts the creator's stake
+  // twice and includes tournament matches; move live match escrow opened that way to the stakes on the
+  // match row, balanced against opening_equity in one correcting posting
+  await runMigrationOnce(db, '2026_ledger_opening_escrow_correction', [
+    `INSERT INTO ledger_postings (kind, reference_id, created_at) VALUES ('opening_balance', 'opening_escrow_correction', NOW(3))`,
+    `INSERT INTO ledger_entries (posting_id, account_id, amount)
+       SELECT c.id, a.id,
+              IF(m.tournament_id IS NULL, m.bet_amount * COALESCE(m.stake_multiplier, 1) * IF(m.opponent_id IS NULL, 1, 2), 0) - a.balance
+         FROM ledger_accounts a
+         JOIN matches m ON m.id = a.owner_id
+         JOIN ledger_postings o ON o.kind = 'opening_balance' AND o.reference_id = 'opening_balances'
+         JOIN ledger_postings c ON c.kind = 'opening_balance' AND c.reference_id = 'opening_escrow_correction'
+        WHERE a.type = 'match_escrow' AND m.status IN ('waiting','playing')
+          AND EXISTS (SELECT 1 FROM ledger_entries oe WHERE oe.posting_id = o.id AND oe.account_id = a.id)
+          AND IF(m.tournament_id IS NULL, m.bet_amount * COALESCE(m.stake_multiplier, 1) * IF(m.opponent_id IS NULL, 1, 2), 0) <> a.balance`,
+    `INSERT INTO ledger_entries (posting_id, account_id, amount)
+       SELECT c.id, q.id, -SUM(e.amount)
+         FROM ledger_postings c
+         JOIN ledger_entries e ON e.posting_id = c.id
+         JOIN ledger_accounts q ON q.type = 'opening_equity' AND q.owner_id = 0
+        WHERE c.kind = 'opening_balance' AND c.reference_id = 'opening_escrow_correction'
+        GROUP BY c.id, q.id HAVING SUM(e.amount) <> 0`,
+    `UPDATE ledger_accounts a
+       JOIN (SELECT e.account_id, e.amount
+               FROM ledger_entries e JOIN ledger_postings c ON c.id = e.posting_id
+              WHERE c.kind = 'opening_balance' AND c.reference_id = 'opening_escrow_correction') x
+         ON x.account_id = a.id
+        SET a.balance = a.balance + x.amount`,
+    `DELETE FROM ledger_postings
+      WHERE kind = 'opening_balance' AND reference_id = 'opening_escrow_correction'
+        AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.posting_id = ledger_postings.id)`
+  ]);
+  // pending_balance now holds the amount of a user's withdrawals awaiting payout
+  await runMigrationOnce(db, '2026_pending_balance_withdrawals', [
+    `UPDATE users u
+       LEFT JOIN (SELECT user_id, SUM(amount) AS held FROM withdrawals WHERE status = 'pending' GROUP BY user_id) w
+              ON w.user_id = u.id
+        SET u.pending_balance = COALESCE(w.held, 0)`
+  ]);
+
   console.log('✅ Database and tables initialized successfully');
 }
 
@@ -406,6 +906,9 @@ module.exports = {
   createAdminConnectionConfig,
   getChargeForAmount,
   closePool,
+  ensureColumns,
+  ensureIndexes,
+  runMigrationOnce,
   UPLOAD_FEE_IDENTIFIER,
   BOARD_ROWS,
   BOARD_COLS,
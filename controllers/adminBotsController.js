@@ -0,0 +1,251 @@
+// controllers/adminBotsController.js
+// Admin management of the bot persona fleet: personas and their play style, bankroll transfers
+// with the house, the fleet profit-and-loss report and the house exposure limits on bot matches.
+
+const { getPool } = require('../config/db');
+const botPersonaModel = require('../models/botPersonaModel');
+const houseLimitsModel = require('../models/houseLimitsModel');
+const matchModel = require('../models/matchModel');
+const botTiers = require('../lib/botTiers');
+
+const TRANSFER_STATUS = { HOUSE_FUNDS: 409, BOT_FUNDS: 409 };
+
+/**
+ * personaFields(body, partial)
+ * - validates the editable persona fields present in body; all but display_name are optional
+ * - returns { fields } or { error }
+ */
+function personaFields(body = {}, partial = false) {
+  const fields = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const nullableNumber = (k, min, max) => {
+    if (!has(k)) return null;
+    if (body[k] === null || body[k] === '') {
+      fields[k] = null;
+      return null;
+    }
+    const n = Number(body[k]);
+    if (!Number.isFinite(n) || n < min || n > max) return `${k} must be a number in ${min}..${max}`;
+    fields[k] = n;
+    return null;
+  };
+
+  if (has('display_name') || !partial) {
+    const name = String(body.display_name || '').trim();
+    if (!name || name.length > 100) return { error: 'display_name is required (max 100 characters)' };
+    fields.display_name = name;
+  }
+  if (has('avatar_url')) {
+    const url = body.avatar_url === null ? '' : String(body.avatar_url).trim();
+    if (url && (url.length > 512 || !/^https?:\/\//i.test(url))) return { error: 'avatar_url must be an http(s) URL' };
+    fields.avatar_url = url || null;
+  }
+  if (has('tier')) {
+    if (body.tier !== null && body.tier !== '' && !botTiers.isTier(body.tier)) {
+      return { error: `tier must be one of ${botTiers.TIERS.join(', ')} (or null for the stake policy)` };
+    }
+    fields.tier = body.tier || null;
+  }
+  if (has('status')) {
+    if (!botPersonaModel.STATUSES.includes(body.status)) return { error: `status must be one of ${botPersonaModel.STATUSES.join(', ')}` };
+    fields.status = body.status;
+  }
+
+  const error = nullableNumber('mistake_rate', 0, 1)
+    || nullableNumber('move_delay_ms', 0, 10000)
+    || nullableNumber('max_stake', 0, 1e9);
+  if (error) return { error };
+  for (const k of ['min_stake', 'bankroll_target']) {
+    if (!has(k)) continue;
+    const n = Number(body[k]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${k} must be a non-negative number` };
+    fields[k] = n;
+  }
+  if (typeof fields.max_stake === 'number' && typeof fields.min_stake === 'number' && fields.max_stake < fields.min_stake) {
+    return { error: 'max_stake must not be below min_stake' };
+  }
+  if (typeof fields.move_delay_ms === 'number') fields.move_delay_ms = Math.round(fields.move_delay_ms);
+  return { fields };
+}
+
+function transferAmount(body = {}) {
+  const amount = Number(body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  return Number(amount.toFixed(2));
+}
+
+/* GET /admin/bots?status=active */
+async function listBots(req, res) {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !botPersonaModel.STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+    const rows = await botPersonaModel.listPersonas(await getPool(), { status });
+    return res.json({ ok: true, bots: rows.map(botPersonaModel.toPublicPersona) });
+  } catch (err) {
+    console.error('[adminBotsController.listBots] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+/* GET /admin/bots/report - house cash, money out with bots, bot P&L and fee revenue kept apart */
+async function getReport(req, res) {
+  try {
+    const report = await botPersonaModel.fleetReport(await getPool());
+    return res.json({ ok: true, report });
+  } catch (err) {
+    console.error('[adminBotsController.getReport] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+/* POST /admin/bots { display_name, avatar_url?, tier?, mistake_rate?, move_delay_ms?, min_stake?, max_stake?,
+   bankroll_target?, initial_bankroll? } - initial_bankroll is transferred from the house */
+async function createBot(req, res) {
+  const parsed = personaFields(req.body, false);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const initial = req.body && req.body.initial_bankroll ? transferAmount({ amount: req.body.initial_bankroll }) : 0;
+  if (initial === null) return res.status(400).json({ error: 'initial_bankroll must be a positive amount' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const id = await botPersonaModel.createPersona(conn, parsed.fields);
+    if (initial > 0) {
+      const persona = await botPersonaModel.getPersona(conn, id, true);
+      await matchModel.fundBotBankroll(conn, persona.user_id, initial, { persona_id: id, reason: 'initial', admin_id: req.user.id });
+    }
+    await conn.commit();
+    const persona = await botPersonaModel.getPersona(pool, id);
+    return res.status(201).json({ ok: true, bot: botPersonaModel.toPublicPersona(persona) });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    if (TRANSFER_STATUS[err.code]) return res.status(TRANSFER_STATUS[err.code]).json({ error: err.message });
+    console.error('[adminBotsController.createBot] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not create bot' });
+  } finally {
+    conn.release();
+  }
+}
+
+/* PATCH /admin/bots/:id - any editable field; status 'paused' / 'retired' takes the bot out of rotation */
+async function updateBot(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid bot id' });
+  const parsed = personaFields(req.body, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  if (!Object.keys(parsed.fields).length) return res.status(400).json({ error: 'Nothing to update' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const existing = await botPersonaModel.getPersona(conn, id, true);
+    if (!existing) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    await botPersonaModel.updatePersona(conn, id, parsed.fields);
+    await conn.commit();
+    const persona = await botPersonaModel.getPersona(pool, id);
+    return res.json({ ok: true, bot: botPersonaModel.toPublicPersona(persona) });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error('[adminBotsController.updateBot] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not update bot' });
+  } finally {
+    conn.release();
+  }
+}
+
+/* GET /admin/bots/limits - configured exposure limits with the stake currently open against bots */
+async function getLimits(req, res) {
+  try {
+    const exposure = await houseLimitsModel.exposureReport(await getPool());
+    return res.json({ ok: true, ...exposure });
+  } catch (err) {
+    console.error('[adminBotsController.getLimits] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+/* PATCH /admin/bots/limits { bot_max_stake?, bot_open_stake_cap?, bot_daily_matches_per_user?,
+   bot_daily_stake_per_user? } - null removes a limit; applies to bot seats from now on */
+async function updateLimits(req, res) {
+  const body = req.body || {};
+  const fields = {};
+  for (const key of houseLimitsModel.LIMITS) {
+    if (!Object.prototype.hasOwnProperty.call(body, key)) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n < 0) return res.status(400).json({ error: `${key} must be a non-negative number or null` });
+    if (key === 'bot_daily_matches_per_user' && !Number.isInteger(n)) return res.status(400).json({ error: `${key} must be a whole number` });
+    fields[key] = key === 'bot_daily_matches_per_user' ? n : Number(n.toFixed(2));
+  }
+  if (!Object.keys(fields).length) return res.status(400).json({ error: 'Nothing to update' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await houseLimitsModel.updateLimits(conn, fields, req.user.id);
+    await conn.commit();
+    const exposure = await houseLimitsModel.exposureReport(pool);
+    return res.json({ ok: true, ...exposure });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error('[adminBotsController.updateLimits] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not update limits' });
+  } finally {
+    conn.release();
+  }
+}
+
+/* POST /admin/bots/:id/fund { amount } (house -> bot) and /admin/bots/:id/return { amount } (bot -> house) */
+function transferHandler(direction) {
+  return async function transferBankroll(req, res) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid bot id' });
+    const amount = transferAmount(req.body);
+    if (amount === null) return res.status(400).json({ error: 'amount must be a positive number' });
+
+    const pool = await getPool();
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const persona = await botPersonaModel.getPersona(conn, id, true);
+      if (!persona) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+      const meta = { persona_id: id, reason: 'admin', admin_id: req.user.id };
+      const transfer = direction === 'fund'
+        ? await matchModel.fundBotBankroll(conn, persona.user_id, amount, meta)
+        : await matchModel.returnBotBankroll(conn, persona.user_id, amount, meta);
+      await conn.commit();
+      const fresh = await botPersonaModel.getPersona(pool, id);
+      return res.json({ ok: true, transfer, bot: botPersonaModel.toPublicPersona(fresh) });
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      if (TRANSFER_STATUS[err.code]) return res.status(TRANSFER_STATUS[err.code]).json({ error: err.message });
+      console.error(`[adminBotsController.${direction}Bankroll] error`, err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Transfer failed' });
+    } finally {
+      conn.release();
+    }
+  };
+}
+
+module.exports = {
+  listBots,
+  getReport,
+  createBot,
+  updateBot,
+  getLimits,
+  updateLimits,
+  fundBankroll: transferHandler('fund'),
+  returnBankroll: transferHandler('return')
+};
@@ -0,0 +1,46 @@
+// controllers/adminLedgerController.js
+// Admin view of the double-entry ledger: the trial balance, balances that drifted from their
+// ledger accounts, and the entries of a single account.
+
+const { getPool } = require('../config/db');
+const ledger = require('../models/ledgerModel');
+
+/* GET /admin/ledger - trial balance (should total zero) and users.balance / admin_balance drift */
+async function getLedgerCheck(req, res) {
+  try {
+    const pool = await getPool();
+    const trialBalance = await ledger.trialBalance(pool);
+    const drift = await ledger.projectionDrift(pool);
+    const balanced = trialBalance.total === 0 && !trialBalance.unbalanced.length;
+    const inStep = !drift.users.length && drift.house.difference === 0;
+    return res.json({ ok: true, balanced, in_step: inStep, trial_balance: trialBalance, drift });
+  } catch (err) {
+    console.error('[adminLedgerController.getLedgerCheck] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+/* GET /admin/ledger/accounts/:type/:owner?limit=&offset= - owner is 0 for the house and clearing accounts */
+async function getAccountEntries(req, res) {
+  const type = String(req.params.type);
+  const owner = Number(req.params.owner);
+  if (!ledger.ACCOUNT_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${ledger.ACCOUNT_TYPES.join(', ')}` });
+  if (!Number.isInteger(owner) || owner < 0) return res.status(400).json({ error: 'Invalid owner id' });
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+
+  try {
+    const pool = await getPool();
+    const balance = await ledger.balanceOf(pool, type, owner);
+    const entries = await ledger.accountEntries(pool, type, owner, { limit, offset });
+    return res.json({ ok: true, account: { type, owner_id: owner, balance }, entries });
+  } catch (err) {
+    console.error('[adminLedgerController.getAccountEntries] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+module.exports = {
+  getLedgerCheck,
+  getAccountEntries
+};
@@ -0,0 +1,56 @@
+// controllers/adminReconciliationController.js
+// Admin access to balance reconciliation: stored run reports, an on-demand run and the per-user
+// drill-down behind a discrepancy.
+
+const { getPool } = require('../config/db');
+const reconciliation = require('../services/reconciliationService');
+
+/* GET /admin/reconciliation?run_id= - latest report (or the given run) and recent runs */
+async function getReport(req, res) {
+  const runId = req.query.run_id ? Number(req.query.run_id) : null;
+  if (runId !== null && (!Number.isInteger(runId) || runId <= 0)) return res.status(400).json({ error: 'Invalid run_id' });
+
+  try {
+    const pool = await getPool();
+    const run = await reconciliation.getRun(pool, runId);
+    if (runId && !run) return res.status(404).json({ error: 'Run not found' });
+    const runs = await reconciliation.listRuns(pool, { limit: 20 });
+    return res.json({ ok: true, run, runs });
+  } catch (err) {
+    console.error('[adminReconciliationController.getReport] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+/* POST /admin/reconciliation/run - reconcile now and store the report */
+async function runNow(req, res) {
+  try {
+    const result = await reconciliation.runReconciliation({ trigger: 'admin', requestedBy: req.user.id });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('[adminReconciliationController.runNow] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Reconciliation failed' });
+  }
+}
+
+/* GET /admin/reconciliation/users/:id?limit= - expected vs actual figures with the postings and transactions behind them */
+async function getUserDetail(req, res) {
+  const userId = Number(req.params.id);
+  if (!Number.isInteger(userId) || userId <= 0) return res.status(400).json({ error: 'Invalid user id' });
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+
+  try {
+    const detail = await reconciliation.userDetail(await getPool(), userId, { limit });
+    if (!detail) return res.status(404).json({ error: 'User not found' });
+    return res.json({ ok: true, ...detail });
+  } catch (err) {
+    console.error('[adminReconciliationController.getUserDetail] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+}
+
+module.exports = {
+  getReport,
+  runNow,
+  getUserDetail
+};
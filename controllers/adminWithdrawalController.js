@@ -1,6 +1,7 @@
 // controllers/adminWithdrawalController.js
 const { getPool } = require('../config/db');
 const WithdrawalModel = require('../models/adminWithdrawal');
+const ledger = require('../models/ledgerModel');
 
 async function listWithdrawals(req, res) {
   try {
@@ -15,10 +16,9 @@ async function listWithdrawals(req, res) {
 
 /**
  * Approve withdrawal
- * Marks withdrawal paid, records a balance transaction and updates admin_balance.
- * IMPORTANT: ensure this behavior matches your business rules.
- * If you previously deducted user balance at withdrawal creation, avoid double-deducting.
- * The code below assumes deduction has already occurred at request creation.
+ * Marks withdrawal paid and records a balance transaction. The amount already left the user's
+ * wallet for payment clearing when the withdrawal was requested, so no money moves here; the
+ * house balance is not touched (the payout leaves through the processor, not the house).
  */
 async function approveWithdrawal(req, res) {
   const id = req.params.id;
@@ -32,8 +32,12 @@ async function approveWithdrawal(req, res) {
     if (!wd) throw new Error('withdrawal not found');
     if (wd.status !== 'pending') throw new Error('withdrawal not pending');
 
-    // mark withdrawal paid
+    // mark withdrawal paid and release the pending_balance hold
     await WithdrawalModel.updateStatus(id, 'paid', conn);
+    await conn.query(
+      'UPDATE users SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0) WHERE id = ?',
+      [wd.amount, wd.user_id]
+    );
 
     // record a balance_transactions row for auditing (do not deduct if already deducted)
     await conn.query(
@@ -42,9 +46,6 @@ async function approveWithdrawal(req, res) {
       [wd.user_id, wd.amount, `withdrawal:${id}`]
     );
 
-    // If admin pool should receive funds, credit admin_balance
-    await conn.query('UPDATE admin_balance SET balance = balance + ? WHERE id = 1', [wd.amount]);
-
     // optional audit record (non-critical)
     await conn.query('INSERT INTO migrations (name) VALUES (?)', [`admin:approved_withdrawal:${id}`]);
 
@@ -83,13 +84,11 @@ async function declineWithdrawal(req, res) {
     // mark as declined
     await WithdrawalModel.updateStatus(id, 'declined', conn);
 
-    // refund: decrease pending_balance and credit balance (adapt to your schema)
+    // refund: payment clearing -> user wallet, and release any pending_balance hold
+    await ledger.transfer(conn, 'withdrawal_refund', `withdrawal_${id}`, ledger.account.clearing(), ledger.account.user(wd.user_id), wd.amount, { withdrawal_id: Number(id) });
     await conn.query(
-      `UPDATE users
-       SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0),
-           balance = COALESCE(balance,0) + ?
-       WHERE id = ?`,
-      [wd.amount, wd.amount, wd.user_id]
+      'UPDATE users SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0) WHERE id = ?',
+      [wd.amount, wd.user_id]
     );
 
     // log refund transaction
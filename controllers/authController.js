@@ -2,6 +2,8 @@
 const bcrypt = require('bcryptjs');
 const { getPool } = require('../config/db');
 const { createTokenForUser, revokeToken, findToken } = require('../helpers/tokenHelper');
+const rating = require('../lib/rating');
+const matchModel = require('../models/matchModel');
 
 /**
  * Convert internal user row to public-safe payload
@@ -15,6 +17,9 @@ function safeUserRowToPublic(userRow) {
     display_name: userRow.display_name || userRow.displayName || null,
     balance: Number(userRow.balance ?? 0),
     last_login: userRow.last_login || null,
+    rating: rating.publicRating(userRow),
+    // null = bots may fill an unjoined match; 'wait' / 'refund' = humans only (see PATCH /me/preferences)
+    humans_only: userRow.humans_only || null,
   };
 }
 
@@ -225,4 +230,33 @@ async function me(req, res) {
   }
 }
 
-module.exports = { register, login, logout, me };
+/**
+ * Update match preferences of the current user
+ * PATCH /api/auth/me/preferences { humans_only: false | 'wait' | 'refund' }
+ * - 'wait': unjoined matches stay open for a human opponent
+ * - 'refund': unjoined matches are cancelled and refunded when the bot-fill window lapses
+ */
+async function updatePreferences(req, res) {
+  try {
+    const user = req.user;
+    if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+    const body = req.body || {};
+    if (!('humans_only' in body)) return res.status(400).json({ error: 'Nothing to update' });
+
+    let humansOnly;
+    try {
+      humansOnly = matchModel.normalizeHumansOnly(body.humans_only);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const db = await getPool();
+    await db.query('UPDATE users SET humans_only = ? WHERE id = ?', [humansOnly, user.id]);
+    return res.json({ ok: true, preferences: { humans_only: humansOnly } });
+  } catch (err) {
+    console.error('updatePreferences error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = { register, login, logout, me, updatePreferences };
@@ -2,72 +2,32 @@
 require('dotenv').config();
 const { getPool, getChargeForAmount } = require('../config/db');
 const matchModel = require('../models/matchModel');
+const rematchModel = require('../models/rematchModel');
+const doublingModel = require('../models/doublingModel');
+const gameRules = require('../lib/gameRules');
+const timeControl = require('../lib/timeControl');
+const rating = require('../lib/rating');
+const invites = require('../lib/invites');
 const simulationService = require('../services/simulationService');
+const matchmakingService = require('../services/matchmakingService');
+const matchmakingModel = require('../models/matchmakingModel');
+const lobbyModel = require('../models/lobbyModel');
+const lobbyFeed = require('../services/lobbyFeed');
+const tournamentService = require('../services/tournamentService');
+const { MATCH_EVENTS, matchEvents, emitMatchEvent } = require('../lib/matchEvents');
 const { broadcastMessage } = require('../server');
 
 const AUTO_SIMULATE_WAIT_MS = Number(process.env.MATCH_AUTO_SIMULATE_MS || 20000);
 const SIM_MOVE_DELAY_MS = Number(process.env.SIM_MOVE_DELAY_MS || 800);
+// a public match no bot may fill (house limits, no persona or bankroll) stays open to humans this long, then is refunded
+const BOT_REFUSED_TTL_MS = Number(process.env.MATCH_BOT_REFUSED_TTL_MS || 10 * 60 * 1000);
+// attachBotToMatch errors meaning no bot can take the seat right now (house limit, no persona, no funds)
+const BOT_SEAT_REFUSALS = new Set(['HOUSE_LIMIT', 'NO_BOT', 'BOT_FUNDS']);
 
+// Fixed limits for untimed matches; matches with a time control run per-player banks (lib/timeControl)
 const TURN_TIMEOUT_MS = 15 * 1000;
 const MATCH_MAX_MS = 135 * 1000;
 
-const BOARD_ROWS = 6;
-const BOARD_COLS = 6;
-const WIN_LENGTH = 4;
-const BOARD_CELLS = BOARD_ROWS * BOARD_COLS;
-const EMPTY_BOARD = '_'.repeat(BOARD_CELLS);
-
-// full list of names (200)
-const SIMULATED_NAMES = [
-  "John","Joshua","Caleb","Daniel","Matthew","Timothy","Samuel","Isaac","Peter","Joseph","Paul","James",
-  "Emmanuel","Christian","Ayomide","Chukwudi","Adebayo","Toluwani","Oluwasegun","Chibueze","Rotimi","Femi",
-  "Chinedu","Babatunde","Ikenna","Gbenga","Ademola","Nnamdi","Obinna","Olamide","Oluwadamilare","Chibuike",
-  "Danjuma","Abubakar","Hassan","Aminu","Bello","Ibrahim","Yakubu","Musa","Saleh","Umar","Usman","Adamu","Idris",
-  "Ayodeji","Kelechi","Ifeanyi","Olawale","Korede","Olumide","Chukwuebuka","Somtochukwu","Ejike","Chinedum",
-  "Olaniyi","Anuoluwapo","Ibukunoluwa","Segun","Akpan","Okon","Etim","Idara","Inyang","Uchechukwu","Chukwuemeka",
-  "Akachi","Obioma","Obiora","Onyedikachi","Ekenedilichukwu","Chisom","Chiamaka","Amara","Ngozi","Ifeoma","Chinwe",
-  "Chidinma","Adaeze","Uzoamaka","Amarachi","Oluchi","Anwuli","Oyin","Modupe","Funke","Adetutu","Abimbola","Adedayo",
-  "Adetola","Ayotunde","Omolara","Tolulope","Similola","Taiwo","Kehinde","Idowu","Aisha","Fatima","Zainab","Hadiza",
-  "Maryam","Safiya","Binta","Jumoke","Laraba","Sade","Bisola","Damilola","Eniola","Ijeoma","Kemi","Lola","Mosun",
-  "Mojisola","Nike","Opeoluwa","Patience","Blessing","Grace","Joy","Hope","Mercy","Goodness","Faith","Charity",
-  "Praise","Gloria","Esther","Hannah","Deborah","Sarah","Rebecca","Rachel","Leah","Dinah","Judith","Ruth","Abigail",
-  "Elizabeth","Lydia","Priscilla","Rhoda","Tabitha","Martha","Naomi","Susanna","Anna","Shalom","Felicia","Eucharia",
-  "Victoria","Christiana","Theresa","Stella","Juliana","Cecilia","Regina","Augustina","Vivian","Florence","Roseline",
-  "Helen","Dorcas","Lois","Eunice","Phyllis","Agnes","Clara","Jane","Mary","Rosemary","Sophia","Olivia","Nora","Phoebe",
-  "Bernice","Candace","Angel","Samson","Solomon","Jesse","Stephen","Philip","Mark","Luke","Titus","David","Jacob",
-  "Abraham","Gabriel","Michael","Raphael","Christopher","Dominic","Francis","Anthony","Patrick","Julian","Adrian",
-  "Martin"
-];
-
-// In-memory rotating name pool and helper
-let _namePool = [];
-let _nameCounter = 0;
-
-function _shuffleArray(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    const tmp = arr[i];
-    arr[i] = arr[j];
-    arr[j] = tmp;
-  }
-}
-
-function _refillNamePool() {
-  _namePool = SIMULATED_NAMES.slice();
-  _shuffleArray(_namePool);
-}
-_refillNamePool();
-
-function reserveBotName() {
-  if (!_namePool || _namePool.length === 0) _refillNamePool();
-  const display_name = _namePool.pop();
-  const base = String(display_name || 'bot').toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 12) || 'bot';
-  _nameCounter = (_nameCounter + 1) % 0x100000;
-  const suffix = Date.now().toString(36).slice(-4) + (_nameCounter).toString(36);
-  const username = `${base}_${suffix}`;
-  return { display_name, username };
-}
-
 function makeUniqueUsername(base) {
   const suffix = Date.now().toString(36).slice(-6);
   return `${base.toLowerCase().replace(/\s+/g, '')}_${suffix}`;
@@ -81,7 +41,14 @@ function runSimulationAsync(matchId, opts = {}) {
   setTimeout(() => simThrottle.delete(key), 300);
   setImmediate(async () => {
     try {
-      await simulationService.simulateMatch(matchId, opts);
+      const result = await simulationService.simulateMatch(matchId, opts);
+      // a bot move hands the clock back to the human, so re-arm their flag timer from the persisted bank
+      if (result && result.ok) {
+        const fresh = await matchModel.getMatchById(await getPool(), matchId, false);
+        if (fresh && fresh.status === 'playing' && timeControl.timeControlFromMatch(fresh)) {
+          restartTurnTimer(matchId, fresh.current_turn, fresh);
+        }
+      }
       try { broadcastMessage('reload'); } catch (_) {}
     } catch (err) {
       console.warn('[simulation] error', err && err.message ? err.message : err);
@@ -104,7 +71,7 @@ async function onMatchTimeout(matchId) {
     const match = await matchModel.getMatchById(pool, matchId, false);
     if (!match || match.status !== 'playing') { clearTimersForMatch(matchId); return; }
     const winnerSymbol = match.current_turn === 'X' ? 'O' : 'X';
-    await matchModel.resolveMatchOutcomeTx(matchId, match.board || EMPTY_BOARD, winnerSymbol);
+    await matchModel.resolveMatchOutcomeTx(matchId, match.board || null, winnerSymbol);
     clearTimersForMatch(matchId);
     try { broadcastMessage('reload'); } catch (_) {}
   } catch (e) {
@@ -161,7 +128,7 @@ async function onTurnTimeout(matchId) {
       winnerSymbol = match.current_turn === 'X' ? 'O' : 'X';
     }
 
-    await matchModel.resolveMatchOutcomeTx(matchId, match.board || EMPTY_BOARD, winnerSymbol);
+    await matchModel.resolveMatchOutcomeTx(matchId, match.board || null, winnerSymbol);
     clearTimersForMatch(matchId);
     try { broadcastMessage('reload'); } catch (_) {}
   } catch (e) {
@@ -169,28 +136,78 @@ async function onTurnTimeout(matchId) {
   }
 }
 
-function startTimersForMatch(matchId, currentTurnSymbol) {
+/* Flag fall on a clocked match: the side to move loses once its persisted bank is spent */
+async function onClockTimeout(matchId) {
+  try {
+    const pool = await getPool();
+    const match = await matchModel.getMatchById(pool, matchId, false);
+    if (!match || match.status !== 'playing') { clearTimersForMatch(matchId); return; }
+
+    const left = timeControl.remainingMs(match, match.current_turn);
+    if (left > 0) {
+      // a move landed after this timer was armed; keep running the current mover's bank
+      restartTurnTimer(matchId, match.current_turn, match);
+      return;
+    }
+
+    const winnerSymbol = gameRules.otherSymbol(match.current_turn);
+    await matchModel.resolveMatchOutcomeTx(matchId, match.board || null, winnerSymbol);
+    clearTimersForMatch(matchId);
+    try { broadcastMessage('reload'); } catch (_) {}
+  } catch (e) {
+    console.error('[onClockTimeout] error', e && e.stack ? e.stack : e);
+  }
+}
+
+function toTimestampMs(ts) {
+  if (!ts) return null;
+  const ms = ts instanceof Date ? ts.getTime() : new Date(ts).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/* match is the current row when available; deadlines are rebuilt from its persisted
+   started_at / turn_started_at (and the mover's bank on clocked matches) */
+function startTimersForMatch(matchId, currentTurnSymbol, match = null) {
   clearTimersForMatch(matchId);
   const now = Date.now();
-  const matchTimer = setTimeout(() => onMatchTimeout(matchId), MATCH_MAX_MS);
-  const turnTimer = setTimeout(() => onTurnTimeout(matchId), TURN_TIMEOUT_MS);
-  matchTimers.set(matchId, { matchTimer, turnTimer, matchStartTs: now, turnStartTs: now, currentTurnSymbol });
+  if (timeControl.timeControlFromMatch(match)) {
+    // the banks bound the whole match, so only the mover's flag timer runs
+    const turnTimer = setTimeout(() => onClockTimeout(matchId), timeControl.remainingMs(match, currentTurnSymbol, now));
+    matchTimers.set(matchId, { matchTimer: null, turnTimer, matchStartTs: now, turnStartTs: now, currentTurnSymbol, clocked: true });
+    return;
+  }
+  const matchStartTs = Math.min(now, toTimestampMs(match && match.started_at) || now);
+  const turnStartTs = Math.min(now, toTimestampMs(match && match.turn_started_at) || now);
+  const matchTimer = setTimeout(() => onMatchTimeout(matchId), Math.max(0, matchStartTs + MATCH_MAX_MS - now));
+  const turnTimer = setTimeout(() => onTurnTimeout(matchId), Math.max(0, turnStartTs + TURN_TIMEOUT_MS - now));
+  matchTimers.set(matchId, { matchTimer, turnTimer, matchStartTs, turnStartTs, currentTurnSymbol });
 }
 
-function restartTurnTimer(matchId, currentTurnSymbol) {
+function restartTurnTimer(matchId, currentTurnSymbol, match = null) {
   const rec = matchTimers.get(matchId);
   if (!rec) {
-    startTimersForMatch(matchId, currentTurnSymbol);
+    startTimersForMatch(matchId, currentTurnSymbol, match);
     return;
   }
   try { if (rec.turnTimer) clearTimeout(rec.turnTimer); } catch (_) {}
-  const turnTimer = setTimeout(() => onTurnTimeout(matchId), TURN_TIMEOUT_MS);
+  const turnTimer = timeControl.timeControlFromMatch(match)
+    ? setTimeout(() => onClockTimeout(matchId), timeControl.remainingMs(match, currentTurnSymbol))
+    : setTimeout(() => onTurnTimeout(matchId), TURN_TIMEOUT_MS);
   rec.turnTimer = turnTimer;
   rec.turnStartTs = Date.now();
   rec.currentTurnSymbol = currentTurnSymbol;
   matchTimers.set(matchId, rec);
 }
 
+/* Plain-language disclosure shown with any match that has a computer-controlled seat */
+function botNotice(match) {
+  const names = [];
+  if (match.creator_is_bot) names.push(match.creator_display_name || match.creator_username || 'X');
+  if (match.opponent_is_bot) names.push(match.opponent_display_name || match.opponent_username || 'O');
+  if (!names.length) return null;
+  return `${names.join(' and ')} ${names.length > 1 ? 'are computer-controlled players (bots)' : 'is a computer-controlled player (bot)'}`;
+}
+
 async function augmentMatchPayload(match) {
   if (!match) return match;
   let creatorIsBot = false;
@@ -254,93 +271,181 @@ async function augmentMatchPayload(match) {
 
   match.creator_is_bot = !!creatorIsBot;
   match.opponent_is_bot = !!opponentIsBot;
+  // bot disclosure: bots play under realistic per-match names, so every payload flags the seat explicitly
+  if (match.creator_id) {
+    match.creator = match.creator || {};
+    match.creator.is_bot = match.creator_is_bot;
+  }
+  if (match.opponent_id) {
+    match.opponent = match.opponent || {};
+    match.opponent.is_bot = match.opponent_is_bot;
+  }
+  match.bot_notice = botNotice(match);
+  match.humans_only = match.humans_only || null;
+  match.clock = timeControl.clockSnapshot(match);
+  match.cube = doublingModel.cubeSnapshot(match);
+
+  // Glicko ratings for both seats, and the avatar of a bot persona seat
+  try {
+    const ids = [match.creator_id, match.opponent_id].filter(Boolean);
+    if (ids.length) {
+      const pool = await getPool();
+      const [rows] = await pool.query(
+        `SELECT u.id, u.rating, u.rating_deviation, u.rated_games, bp.avatar_url
+           FROM users u LEFT JOIN bot_personas bp ON bp.user_id = u.id
+          WHERE u.id IN (?)`,
+        [ids]
+      );
+      for (const r of (rows || [])) {
+        if (String(r.id) === String(match.creator_id)) {
+          match.creator_rating = rating.publicRating(r);
+          if (r.avatar_url) match.creator.avatar_url = r.avatar_url;
+        }
+        if (String(r.id) === String(match.opponent_id)) {
+          match.opponent_rating = rating.publicRating(r);
+          if (r.avatar_url) match.opponent.avatar_url = r.avatar_url;
+        }
+      }
+    }
+  } catch (_) { /* ignore */ }
+
+  // the join code is only handed to the creator (create response / invite endpoint)
+  match.is_private = Boolean(Number(match.is_private || 0));
+  delete match.join_code;
+  // the bot difficulty tier is kept on the row for auditing, not shown to players
+  delete match.bot_tier;
   return match;
 }
 
-async function attachBotToMatchIfAvailable(matchId, side = 'opponent') {
-  const botIdentity = reserveBotName();
-  const attached = await matchModel.attachBotToMatchTx(matchId, botIdentity);
+/* Seat a persona from the bot fleet; it plays under its own name, stored on the match by the model.
+   Returns null when the seat is refused (the match is put on the expiry path). */
+async function attachBotToMatchIfAvailable(matchId) {
+  try {
+    return await matchModel.attachBotToMatchTx(matchId);
+  } catch (err) {
+    if (!err || !BOT_SEAT_REFUSALS.has(err.code)) throw err;
+    await startWaitingExpiry(matchId, err.limit || err.code);
+    return null;
+  }
+}
 
-  if (attached && attached.matchId) {
-    const update = {};
-    if (side === 'creator') {
-      update.creator_display_name = botIdentity.display_name;
-      update.creator_username = botIdentity.username;
-    } else {
-      update.opponent_display_name = botIdentity.display_name;
-      update.opponent_username = botIdentity.username;
-    }
+/* Give a public match that no bot may fill an expiry; humans can still join until it lapses.
+   reason is the house limit or refusal code, for the log */
+async function startWaitingExpiry(matchId, reason) {
+  const pool = await getPool();
+  const expiresAt = new Date(Date.now() + BOT_REFUSED_TTL_MS);
+  await pool.query(
+    `UPDATE matches SET expires_at = ?
+      WHERE id = ? AND status = 'waiting' AND opponent_id IS NULL AND expires_at IS NULL`,
+    [expiresAt, matchId]
+  );
+  const match = await matchModel.getMatchById(pool, matchId, false);
+  if (!match || match.status !== 'waiting' || match.opponent_id) return;
+  console.log('[gameController] bot seat refused', { matchId, reason, expires_at: match.expires_at });
+  const expiresMs = toTimestampMs(match.expires_at) || expiresAt.getTime();
+  scheduleWaitingExpiry(matchId, expiresMs - Date.now());
+  try { broadcastMessage('reload'); } catch (_) {}
+}
+
+/* Fill a still-waiting match with a bot after delayMs (used by createMatch and boot recovery) */
+function scheduleAutoAttach(matchId, delayMs = AUTO_SIMULATE_WAIT_MS) {
+  setTimeout(async () => {
     try {
-      const pool = await getPool();
-      const conn = await pool.getConnection();
+      const pool2 = await getPool();
+      const conn2 = await pool2.getConnection();
+      let wantsBot = false;
       try {
-        await matchModel.updateMatch(conn, matchId, update);
-      } finally { try { conn.release(); } catch (_) {} }
+        await conn2.beginTransaction();
+        const m = await matchModel.getMatchById(conn2, matchId, true);
+        // private matches are invite-only: never filled by a bot
+        if (!m || m.status !== 'waiting' || m.opponent_id || Number(m.is_private)) {
+          await conn2.rollback();
+        } else if (m.humans_only) {
+          // humans-only matches: refund when the creator asked for it, otherwise keep waiting in the lobby
+          if (m.humans_only === 'refund') {
+            await matchModel.refundWaitingMatch(conn2, m, { source: 'match_humans_only_refund', referenceTag: 'humans_only_refund' });
+            await matchModel.updateMatch(conn2, matchId, { end_reason: 'no_human_opponent' });
+            await conn2.commit();
+            emitMatchEvent(MATCH_EVENTS.CANCELLED, { matchId });
+            try { broadcastMessage('reload'); } catch (_) {}
+          } else {
+            await conn2.rollback();
+          }
+        } else {
+          await conn2.commit();
+          wantsBot = true;
+        }
+      } catch (e) {
+        try { await conn2.rollback(); } catch (_) {}
+        throw e;
+      } finally {
+        conn2.release();
+      }
+      if (!wantsBot) return;
+
+      const attached = await attachBotToMatchIfAvailable(matchId);
+      if (attached) {
+        emitMatchEvent(MATCH_EVENTS.STARTED, { matchId });
+        startTimersForMatch(matchId, 'X', await matchModel.getMatchById(pool2, matchId, false));
+        setImmediate(() => runSimulationAsync(matchId, { moveDelayMs: SIM_MOVE_DELAY_MS, joinAsBot: true }));
+        try { broadcastMessage('reload'); } catch (_) {}
+      }
     } catch (e) {
-      console.warn('[attachBotToMatchIfAvailable] could not persist per-match name', e && e.message ? e.message : e);
+      console.error('[scheduleAutoAttach] error', { matchId }, e && e.stack ? e.stack : e);
     }
-  }
-
-  return attached;
+  }, Math.max(0, delayMs));
 }
 
-function checkWin4(boardStr) {
-  const b = String(boardStr || EMPTY_BOARD).padEnd(BOARD_CELLS, '_').slice(0, BOARD_CELLS).split('');
-  // horizontal
-  for (let r = 0; r < BOARD_ROWS; r++) {
-    for (let c = 0; c + WIN_LENGTH - 1 < BOARD_COLS; c++) {
-      const idx = r * BOARD_COLS + c;
-      const ch = b[idx];
-      if (!ch || ch === '_' ) continue;
-      let ok = true;
-      for (let k = 1; k < WIN_LENGTH; k++) {
-        if (b[idx + k] !== ch) { ok = false; break; }
-      }
-      if (ok) return { winner: ch, isDraw: false };
-    }
-  }
-  // vertical
-  for (let c = 0; c < BOARD_COLS; c++) {
-    for (let r = 0; r + WIN_LENGTH - 1 < BOARD_ROWS; r++) {
-      const idx = r * BOARD_COLS + c;
-      const ch = b[idx];
-      if (!ch || ch === '_' ) continue;
-      let ok = true;
-      for (let k = 1; k < WIN_LENGTH; k++) {
-        if (b[(r + k) * BOARD_COLS + c] !== ch) { ok = false; break; }
-      }
-      if (ok) return { winner: ch, isDraw: false };
-    }
-  }
-  // diag down-right
-  for (let r = 0; r + WIN_LENGTH - 1 < BOARD_ROWS; r++) {
-    for (let c = 0; c + WIN_LENGTH - 1 < BOARD_COLS; c++) {
-      const idx = r * BOARD_COLS + c;
-      const ch = b[idx];
-      if (!ch || ch === '_' ) continue;
-      let ok = true;
-      for (let k = 1; k < WIN_LENGTH; k++) {
-        if (b[(r + k) * BOARD_COLS + (c + k)] !== ch) { ok = false; break; }
-      }
-      if (ok) return { winner: ch, isDraw: false };
-    }
-  }
-  // diag down-left
-  for (let r = 0; r + WIN_LENGTH - 1 < BOARD_ROWS; r++) {
-    for (let c = WIN_LENGTH - 1; c < BOARD_COLS; c++) {
-      const idx = r * BOARD_COLS + c;
-      const ch = b[idx];
-      if (!ch || ch === '_' ) continue;
-      let ok = true;
-      for (let k = 1; k < WIN_LENGTH; k++) {
-        if (b[(r + k) * BOARD_COLS + (c - k)] !== ch) { ok = false; break; }
-      }
-      if (ok) return { winner: ch, isDraw: false };
+/* Cancel an unjoined match once its expiry lapses and refund the creator. Private matches expire
+   with their invite; public ones only get an expiry when no bot could take the seat. */
+async function expireWaitingMatch(matchId) {
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const match = await matchModel.getMatchById(conn, matchId, true);
+    if (!match || match.status !== 'waiting' || match.opponent_id || !match.expires_at) {
+      await conn.rollback();
+      return false;
+    }
+    const expiresMs = toTimestampMs(match.expires_at);
+    if (expiresMs && expiresMs > Date.now()) {
+      await conn.rollback();
+      scheduleWaitingExpiry(matchId, expiresMs - Date.now());
+      return false;
+    }
+
+    if (Number(match.is_private)) {
+      await matchModel.refundWaitingMatch(conn, match, { source: 'match_invite_expired_refund', referenceTag: 'invite_expired_refund' });
+    } else {
+      await matchModel.refundWaitingMatch(conn, match, { source: 'match_expired_refund', referenceTag: 'expired_refund' });
+      await matchModel.updateMatch(conn, matchId, { end_reason: 'bot_limit' });
     }
+    await conn.commit();
+    emitMatchEvent(MATCH_EVENTS.CANCELLED, { matchId });
+    try { broadcastMessage('reload'); } catch (_) {}
+    return true;
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    console.error('[expireWaitingMatch] error', e && e.stack ? e.stack : e);
+    return false;
+  } finally {
+    try { conn.release(); } catch (_) {}
   }
+}
+
+function scheduleWaitingExpiry(matchId, delayMs = invites.INVITE_TTL_MS) {
+  setTimeout(() => { expireWaitingMatch(matchId); }, Math.max(0, delayMs));
+}
 
-  const isDraw = b.every(cell => cell !== '_');
-  return { winner: null, isDraw };
+/* Board config requested at match creation; omitted fields fall back to the standard 6x6, 4-in-a-row defaults */
+function boardConfigFromBody(body = {}) {
+  return gameRules.normalizeConfig({
+    rows: body.board_rows,
+    cols: body.board_cols,
+    winLength: body.win_length,
+    gameType: body.game_type
+  });
 }
 
 async function createMatch(req, res) {
@@ -351,6 +456,25 @@ async function createMatch(req, res) {
   const betAmount = Number(req.body.bet_amount);
   if (isNaN(betAmount) || betAmount <= 0) return res.status(400).json({ error: 'Invalid bet amount' });
 
+  let boardConfig;
+  let clock;
+  try {
+    boardConfig = boardConfigFromBody(req.body);
+    clock = timeControl.parseTimeControl(req.body.time_control);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const clockColumns = timeControl.initialColumns(clock);
+  // private invite matches never pair with the public queue
+  const isPrivate = req.body.private === true || String(req.body.private).toLowerCase() === 'true';
+  // humans-only: body overrides the saved preference; private matches are never bot-filled anyway
+  let humansOnly = null;
+  try {
+    humansOnly = isPrivate ? null : matchModel.normalizeHumansOnly('humans_only' in req.body ? req.body.humans_only : user.humans_only);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
   let pool;
   let conn;
   try {
@@ -364,9 +488,15 @@ async function createMatch(req, res) {
   try {
     await conn.beginTransaction();
 
-    const [candidateRows] = await conn.query(
-      `SELECT * FROM matches WHERE status = 'waiting' AND opponent_id IS NULL AND bet_amount = ? ORDER BY id ASC LIMIT 1 FOR UPDATE`,
-      [betAmount]
+    const [candidateRows] = isPrivate ? [[]] : await conn.query(
+      `SELECT * FROM matches
+       WHERE status = 'waiting' AND opponent_id IS NULL AND is_private = 0 AND bet_amount = ?
+         AND board_rows = ? AND board_cols = ? AND win_length = ? AND game_type = ?
+         AND time_base_ms <=> ? AND time_increment_ms = ?
+         ${humansOnly ? 'AND COALESCE(creator_is_bot, 0) = 0 AND creator_id NOT IN (SELECT id FROM users WHERE is_bot = 1)' : ''}
+       ORDER BY id ASC LIMIT 1 FOR UPDATE`,
+      [betAmount, boardConfig.rows, boardConfig.cols, boardConfig.winLength, boardConfig.gameType,
+        clockColumns.time_base_ms, clockColumns.time_increment_ms]
     );
     const candidate = candidateRows && candidateRows[0] ? candidateRows[0] : null;
 
@@ -395,8 +525,8 @@ async function createMatch(req, res) {
         return res.status(400).json({ error: 'Insufficient balance to join' });
       }
 
-      // Deduct stake
-      await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [debitStakeJoin, user.id]);
+      // Stake into escrow (ledger posting + stake tx)
+      await matchModel.takeStake(conn, candidate.id, user.id, debitStakeJoin, { meta: { fee: debitFeeJoin } });
 
       // Deduct fee and credit admin once via model helper
       if (debitFeeJoin > 0) {
@@ -404,19 +534,9 @@ async function createMatch(req, res) {
         await matchModel.applyFeeOnce(conn, ref, user.id, debitFeeJoin);
       }
 
-      // Insert stake tx for joiner
-      await matchModel.insertBalanceTransaction(conn, {
-        user_id: user.id,
-        amount: debitStakeJoin,
-        type: 'debit',
-        source: 'match_stake',
-        reference_id: `match_${candidate.id}_stake_${user.id}`,
-        status: 'completed',
-        meta: { match_id: candidate.id, fee: debitFeeJoin }
-      });
-
       // Update match to playing and set current turn
-      await matchModel.updateMatch(conn, candidate.id, { opponent_id: user.id, status: 'playing', current_turn: 'X' });
+      const startedAt = new Date();
+      await matchModel.updateMatch(conn, candidate.id, { opponent_id: user.id, status: 'playing', current_turn: 'X', started_at: startedAt, turn_started_at: startedAt });
 
       // Insert bets for both parties
       await matchModel.insertBet(conn, candidate.id, candidate.creator_id, betAmount, Number((betAmount - feeAmountJoin).toFixed(2)), feeAmountJoin);
@@ -424,9 +544,9 @@ async function createMatch(req, res) {
 
       await conn.commit();
 
-      startTimersForMatch(candidate.id, 'X');
-
+      emitMatchEvent(MATCH_EVENTS.STARTED, { matchId: candidate.id });
       let matchWithNames = await matchModel.getMatchById(pool, candidate.id, false);
+      startTimersForMatch(candidate.id, 'X', matchWithNames);
       matchWithNames = await augmentMatchPayload(matchWithNames);
 
       setImmediate(() => runSimulationAsync(candidate.id, { moveDelayMs: SIM_MOVE_DELAY_MS, joinAsBot: false }));
@@ -444,11 +564,23 @@ async function createMatch(req, res) {
       return res.status(400).json({ error: 'Insufficient balance' });
     }
 
-    // Deduct stake
-    await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [debitStake, user.id]);
+    // Create match row so we have deterministic matchId for stake and fee references
+    let invite = null;
+    if (isPrivate) {
+      let joinCode = invites.generateJoinCode();
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const [dupRows] = await conn.query('SELECT id FROM matches WHERE join_code = ? LIMIT 1', [joinCode]);
+        if (!dupRows || !dupRows.length) break;
+        joinCode = invites.generateJoinCode();
+      }
+      invite = { joinCode, expiresAt: new Date(Date.now() + invites.INVITE_TTL_MS) };
+    }
 
-    // Create match row so we have deterministic matchId for fee reference
-    const matchId = await matchModel.createMatchRow(conn, user.id, betAmount);
+    const matchId = await matchModel.createMatchRow(conn, user.id, betAmount, boardConfig, clock, invite);
+    if (humansOnly) await matchModel.updateMatch(conn, matchId, { humans_only: humansOnly });
+
+    // Stake into escrow (ledger posting + stake tx)
+    await matchModel.takeStake(conn, matchId, user.id, debitStake, { meta: { fee: debitFee } });
 
     // Apply fee idempotently using model helper
     if (debitFee > 0) {
@@ -456,56 +588,32 @@ async function createMatch(req, res) {
       await matchModel.applyFeeOnce(conn, ref, user.id, debitFee);
     }
 
-    // Ensure board persisted
-    await matchModel.updateMatch(conn, matchId, { board: EMPTY_BOARD });
-
-    // Insert stake tx
-    await matchModel.insertBalanceTransaction(conn, {
-      user_id: user.id,
-      amount: debitStake,
-      type: 'debit',
-      source: 'match_stake',
-      reference_id: `match_${matchId}_stake_${user.id}`,
-      status: 'completed',
-      meta: { match_id: matchId, fee: debitFee }
-    });
-
     // Insert bet for creator
     await matchModel.insertBet(conn, matchId, user.id, betAmount, Number((betAmount - feeAmount).toFixed(2)), feeAmount);
 
     await conn.commit();
 
     let matchWithNames = await matchModel.getMatchById(pool, matchId, false);
+    let invitePayload = null;
+    if (invite) {
+      try {
+        invitePayload = await invites.buildInvitePayload(matchWithNames);
+      } catch (e) {
+        console.warn('[createMatch] could not render invite QR', e && e.message ? e.message : e);
+        invitePayload = { code: invite.joinCode, link: invites.buildInviteLink(matchId, invite.joinCode), qr: null, expires_at: invite.expiresAt };
+      }
+    }
     matchWithNames = await augmentMatchPayload(matchWithNames);
 
-    // Schedule auto-attach bot if still waiting
-    setTimeout(async () => {
-      try {
-        const pool2 = await getPool();
-        const conn2 = await pool2.getConnection();
-        try {
-          await conn2.beginTransaction();
-          const m = await matchModel.getMatchById(conn2, matchId, true);
-          if (!m || m.status !== 'waiting' || m.opponent_id) {
-            await conn2.rollback();
-            try { conn2.release(); } catch (_) {}
-            return;
-          }
-          await conn2.commit();
-          try { conn2.release(); } catch (_) {}
+    if (invite) {
+      // Private: wait for the invited player until the code lapses, then refund
+      scheduleWaitingExpiry(matchId, invites.INVITE_TTL_MS);
+      return res.status(201).json({ ok: true, matched: false, match: matchWithNames, status: 'waiting', fee: feeAmount, total_debit: totalDebitCreator, invite: invitePayload });
+    }
 
-          const attached = await attachBotToMatchIfAvailable(matchId, 'opponent');
-          if (attached) {
-            startTimersForMatch(matchId, 'X');
-            setImmediate(() => runSimulationAsync(matchId, { moveDelayMs: SIM_MOVE_DELAY_MS, joinAsBot: true, botIdentity: null }));
-            try { broadcastMessage('reload'); } catch (_) {}
-          }
-        } catch (e) {
-          try { await conn2.rollback(); } catch (_) {}
-          try { conn2.release(); } catch (_) {}
-        }
-      } catch (_) {}
-    }, AUTO_SIMULATE_WAIT_MS);
+    // Schedule auto-attach bot if still waiting (humans-only matches are refunded or left open instead)
+    scheduleAutoAttach(matchId);
+    emitMatchEvent(MATCH_EVENTS.CREATED, { matchId });
 
     return res.status(201).json({ ok: true, matched: false, match: matchWithNames, status: 'waiting', fee: feeAmount, total_debit: totalDebitCreator });
   } catch (err) {
@@ -537,6 +645,14 @@ async function joinMatch(req, res) {
 
     if (match.opponent_id) { await conn.rollback(); return res.status(400).json({ error: 'Match already has an opponent' }); }
     if (match.creator_id === user.id) { await conn.rollback(); return res.status(400).json({ error: 'Cannot join your own match' }); }
+    // cancelled / expired matches (creator already refunded) keep opponent_id NULL, so check the status for every join
+    if (match.status !== 'waiting') { await conn.rollback(); return res.status(400).json({ error: 'Match is no longer open' }); }
+    if (Number(match.is_private)) {
+      const expiresMs = toTimestampMs(match.expires_at);
+      if (expiresMs && expiresMs <= Date.now()) { await conn.rollback(); return res.status(410).json({ error: 'Invite has expired' }); }
+      const submitted = (req.body && req.body.code) || (req.query && req.query.code) || '';
+      if (!invites.joinCodeMatches(submitted, match.join_code)) { await conn.rollback(); return res.status(403).json({ error: 'Invalid join code' }); }
+    }
 
     const betAmount = Number(match.bet_amount || 0);
     const fee = await getChargeForAmount(conn, betAmount);
@@ -549,8 +665,8 @@ async function joinMatch(req, res) {
     if (!joinerRows || !joinerRows[0]) { await conn.rollback(); return res.status(404).json({ error: 'User not found' }); }
     if (Number(joinerRows[0].balance || 0) < totalDebit) { await conn.rollback(); return res.status(400).json({ error: 'Insufficient balance to join' }); }
 
-    // Deduct stake
-    await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [debitStake, user.id]);
+    // Stake into escrow (ledger posting + stake tx)
+    await matchModel.takeStake(conn, matchId, user.id, debitStake, { meta: { fee: debitFee } });
 
     // Deduct fee and credit admin via model helper
     if (debitFee > 0) {
@@ -558,26 +674,23 @@ async function joinMatch(req, res) {
       await matchModel.applyFeeOnce(conn, ref, user.id, debitFee);
     }
 
-    await matchModel.insertBalanceTransaction(conn, {
-      user_id: user.id, amount: debitStake, type: 'debit', source: 'match_stake',
-      reference_id: `match_${matchId}_stake_${user.id}`, status: 'completed',
-      meta: { match_id: matchId, fee: debitFee }
-    });
-
-    await matchModel.updateMatch(conn, matchId, { opponent_id: user.id, status: 'playing', current_turn: 'X' });
+    const startedAt = new Date();
+    await matchModel.updateMatch(conn, matchId, { opponent_id: user.id, status: 'playing', current_turn: 'X', started_at: startedAt, turn_started_at: startedAt });
 
     await matchModel.insertBet(conn, matchId, match.creator_id, betAmount, Number((betAmount - feeAmount).toFixed(2)), feeAmount);
     await matchModel.insertBet(conn, matchId, user.id, betAmount, Number((betAmount - feeAmount).toFixed(2)), feeAmount);
 
     await conn.commit();
 
-    startTimersForMatch(matchId, 'X');
-
+    emitMatchEvent(MATCH_EVENTS.STARTED, { matchId });
     let matchWithNames = await matchModel.getMatchById(pool, matchId, false);
+    startTimersForMatch(matchId, 'X', matchWithNames);
 
-    if (!matchWithNames.board || String(matchWithNames.board).length !== BOARD_CELLS) {
-      await matchModel.updateMatch(await getPool(), matchId, { board: EMPTY_BOARD });
-      matchWithNames.board = EMPTY_BOARD;
+    const joinedCfg = gameRules.configFromMatch(matchWithNames);
+    if (!matchWithNames.board || String(matchWithNames.board).length !== joinedCfg.cells) {
+      const emptyBoard = gameRules.emptyBoard(joinedCfg);
+      await matchModel.updateMatch(await getPool(), matchId, { board: emptyBoard });
+      matchWithNames.board = emptyBoard;
     }
 
     matchWithNames = await augmentMatchPayload(matchWithNames);
@@ -599,8 +712,10 @@ async function playMove(req, res) {
   if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
 
   const matchId = Number(req.params.id);
-  const position = Number(req.body.position);
-  if (!Number.isInteger(position) || position < 0 || position >= BOARD_CELLS) return res.status(400).json({ error: `Invalid position; must be 0..${BOARD_CELLS - 1}` });
+  // standard matches send { position }, gravity matches send { column }
+  if (req.body.position === undefined && req.body.column === undefined) {
+    return res.status(400).json({ error: 'position or column is required' });
+  }
 
   const pool = await getPool();
   const conn = await pool.getConnection();
@@ -612,7 +727,8 @@ async function playMove(req, res) {
     if (!match) { await conn.rollback(); return res.status(404).json({ error: 'Match not found' }); }
 
     if (match.status === 'waiting' && match.creator_id && match.opponent_id) {
-      await matchModel.updateMatch(conn, matchId, { status: 'playing', current_turn: 'X' });
+      const startedAt = new Date();
+      await matchModel.updateMatch(conn, matchId, { status: 'playing', current_turn: 'X', started_at: startedAt, turn_started_at: startedAt });
       match = await matchModel.getMatchById(conn, matchId, true);
     }
 
@@ -625,9 +741,26 @@ async function playMove(req, res) {
 
     if (match.current_turn !== playerSymbol) { await conn.rollback(); return res.status(400).json({ error: "Not your turn" }); }
 
+    const cfg = gameRules.configFromMatch(match);
+    let position;
+    try {
+      position = gameRules.resolveMovePosition(match.board, req.body, cfg);
+    } catch (e) {
+      await conn.rollback();
+      return res.status(400).json({ error: e.message });
+    }
+
+    const now = Date.now();
     const rec = matchTimers.get(matchId);
-    if (rec) {
-      const now = Date.now();
+    if (timeControl.timeControlFromMatch(match)) {
+      // clocked: the persisted bank is authoritative, whichever process armed the timer
+      if (timeControl.remainingMs(match, playerSymbol, now) <= 0) {
+        await conn.rollback();
+        await onClockTimeout(matchId);
+        try { broadcastMessage('reload'); } catch (_) {}
+        return res.status(400).json({ error: 'You ran out of time and lost the match' });
+      }
+    } else if (rec) {
       if (rec.matchStartTs && now - rec.matchStartTs >= MATCH_MAX_MS) {
         await conn.rollback();
         await onMatchTimeout(matchId);
@@ -645,18 +778,30 @@ async function playMove(req, res) {
     const [posRows] = await conn.query('SELECT id FROM moves WHERE match_id = ? AND position = ? LIMIT 1', [matchId, position]);
     if (posRows && posRows.length) { await conn.rollback(); return res.status(400).json({ error: 'Position already taken' }); }
 
-    await matchModel.insertMove(conn, matchId, user.id, position, playerSymbol);
+    let newBoard;
+    try {
+      newBoard = gameRules.applyMove(match.board, position, playerSymbol, cfg);
+    } catch (e) {
+      await conn.rollback();
+      return res.status(400).json({ error: e.message });
+    }
+
+    await matchModel.insertMove(conn, matchId, user.id, position, playerSymbol, cfg.cells);
 
-    const boardArr = (String(match.board || EMPTY_BOARD).padEnd(BOARD_CELLS, '_').slice(0, BOARD_CELLS)).split('');
-    boardArr[position] = playerSymbol;
-    const newBoard = boardArr.join('');
-    const nextTurn = playerSymbol === 'X' ? 'O' : 'X';
-    await matchModel.updateMatch(conn, matchId, { board: newBoard, current_turn: nextTurn });
+    const nextTurn = gameRules.otherSymbol(playerSymbol);
+    await matchModel.updateMatch(conn, matchId, {
+      board: newBoard,
+      current_turn: nextTurn,
+      ...timeControl.chargeMove(match, playerSymbol, now),
+      ...matchModel.drawOfferLapse(match, user.id),
+      ...doublingModel.doubleOfferLapse(match)
+    });
 
-    const cb = checkWin4(newBoard);
+    const cb = gameRules.checkWinner(newBoard, cfg);
 
     if (cb.winner || cb.isDraw) {
       await conn.commit();
+      emitMatchEvent(MATCH_EVENTS.MOVE, { matchId, position, symbol: playerSymbol });
       await matchModel.resolveMatchOutcomeTx(matchId, newBoard, cb.winner || null);
       clearTimersForMatch(matchId);
       try { broadcastMessage('reload'); } catch (_) {}
@@ -667,10 +812,10 @@ async function playMove(req, res) {
     }
 
     await conn.commit();
-
-    restartTurnTimer(matchId, nextTurn);
+    emitMatchEvent(MATCH_EVENTS.MOVE, { matchId, position, symbol: playerSymbol });
 
     let refreshed = await matchModel.getMatchById(pool, matchId, false);
+    restartTurnTimer(matchId, nextTurn, refreshed);
     refreshed = await augmentMatchPayload(refreshed);
 
     if (refreshed && refreshed.status === 'playing') {
@@ -704,18 +849,26 @@ async function getMatch(req, res) {
   try {
     const pool = await getPool();
     let match = await matchModel.getMatchById(pool, matchId, false);
-    if (!match) return res.status(404).json({ error: 'Match not found' });
+    // private matches: players only, plus the invitee previewing an open match with ?code=
+    if (!match || !invites.canViewMatch(match, req.user && req.user.id, req.query && req.query.code)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
 
     if (match.status === 'playing' && !matchTimers.has(matchId)) {
-      startTimersForMatch(matchId, match.current_turn || 'X');
+      startTimersForMatch(matchId, match.current_turn || 'X', match);
     }
 
-    if (!match.board || String(match.board).length !== BOARD_CELLS) {
-      await matchModel.updateMatch(await getPool(), matchId, { board: EMPTY_BOARD });
-      match.board = EMPTY_BOARD;
+    const cfg = gameRules.configFromMatch(match);
+    if (!match.board || String(match.board).length !== cfg.cells) {
+      const normalized = gameRules.normalizeBoard(match.board, cfg);
+      await matchModel.updateMatch(await getPool(), matchId, { board: normalized });
+      match.board = normalized;
     }
 
     match = await augmentMatchPayload(match);
+    if (match.status === 'finished') {
+      match.rematch = rematchModel.toPublicOffer(await rematchModel.getOfferByMatch(pool, matchId, false));
+    }
     const moves = await matchModel.getMoves(pool, matchId);
     return res.json({ ok: true, match, moves });
   } catch (err) {
@@ -742,35 +895,448 @@ async function cancelMatch(req, res) {
     if (match.creator_id !== user.id) { await conn.rollback(); return res.status(403).json({ error: 'Only creator can cancel' }); }
     if (match.status !== 'waiting') { await conn.rollback(); return res.status(400).json({ error: 'Match cannot be cancelled' }); }
 
-    const [stakeTxRows] = await conn.query('SELECT * FROM balance_transactions WHERE reference_id LIKE ? AND source = ? LIMIT 1', [`match_${matchId}_stake_%`, 'match_stake']);
-    const [feeTxRows] = await conn.query('SELECT * FROM balance_transactions WHERE reference_id LIKE ? AND source = ? LIMIT 1', [`match_${matchId}_create_fee_%`, 'match_fee']);
-    let totalDebited = 0;
-    if (stakeTxRows && stakeTxRows[0]) totalDebited += Number(stakeTxRows[0].amount || 0);
-    if (feeTxRows && feeTxRows[0]) totalDebited += Number(feeTxRows[0].amount || 0);
+    await matchModel.refundWaitingMatch(conn, match, { source: 'match_cancel_refund', referenceTag: 'cancel_refund' });
+
+    await conn.commit();
 
-    if (!totalDebited) {
-      const fee = await getChargeForAmount(conn, match.bet_amount || 0);
-      totalDebited = Number((Number(match.bet_amount || 0) + Number(fee || 0)).toFixed(2));
+    clearTimersForMatch(matchId);
+    emitMatchEvent(MATCH_EVENTS.CANCELLED, { matchId });
+
+    return res.json({ ok: true, match_id: matchId });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    console.error('[gameController.cancelMatch] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not cancel match' });
+  } finally {
+    try { conn.release(); } catch (_) {}
+  }
+}
+
+/* Invite details for the creator of a private match; ?format=png returns the QR image itself */
+async function getMatchInvite(req, res) {
+  console.log('getMatchInvite request', { ts: new Date().toISOString(), params: req.params, user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+
+  const matchId = Number(req.params.id);
+  if (!matchId) return res.status(400).json({ error: 'Invalid match id' });
+
+  try {
+    const pool = await getPool();
+    const match = await matchModel.getMatchById(pool, matchId, false);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (String(match.creator_id) !== String(user.id)) return res.status(403).json({ error: 'Only creator can view the invite' });
+    if (!Number(match.is_private) || !match.join_code) return res.status(400).json({ error: 'Match is not private' });
+    if (match.status !== 'waiting') return res.status(400).json({ error: 'Match is no longer open' });
+
+    if (String(req.query.format || '').toLowerCase() === 'png') {
+      const png = await invites.inviteQrPng(match);
+      res.set('Content-Type', 'image/png');
+      res.set('Cache-Control', 'no-store');
+      return res.send(png);
     }
 
-    await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [totalDebited, user.id]);
-    await matchModel.insertBalanceTransaction(conn, {
-      user_id: user.id, amount: totalDebited, type: 'credit',
-      source: 'match_cancel_refund', reference_id: `match_${matchId}_cancel_refund_${user.id}`,
-      status: 'completed', meta: { match_id: matchId }
-    });
+    const invite = await invites.buildInvitePayload(match);
+    return res.json({ ok: true, match_id: matchId, invite });
+  } catch (err) {
+    console.error('[gameController.getMatchInvite] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not load invite' });
+  }
+}
+
+/**
+ * runLiveMatchAction(req, res, action, handler)
+ * - shared plumbing for resign / draw endpoints: auth, lock the playing match, resolve the caller's symbol
+ * - handler(conn, match, playerSymbol, userId) returns { status?, body, finished?, persist?, afterCommit? } or throws
+ * - an error status rolls back unless persist is set (the handler's writes still commit)
+ * - after commit a finished match has its timers cleared and FINISHED emitted for spectators
+ */
+async function runLiveMatchAction(req, res, action, handler) {
+  console.log(`${action} request`, { ts: new Date().toISOString(), params: req.params, user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+
+  const matchId = Number(req.params.id);
+  if (!matchId) return res.status(400).json({ error: 'Invalid match id' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let outcome;
+  try {
+    await conn.beginTransaction();
 
-    await matchModel.updateMatch(conn, matchId, { status: 'cancelled' });
+    const match = await matchModel.getMatchById(conn, matchId, true);
+    if (!match) { await conn.rollback(); return res.status(404).json({ error: 'Match not found' }); }
+
+    let playerSymbol = null;
+    if (String(user.id) === String(match.creator_id)) playerSymbol = 'X';
+    else if (String(user.id) === String(match.opponent_id)) playerSymbol = 'O';
+    else { await conn.rollback(); return res.status(403).json({ error: 'Not a participant in this match' }); }
+
+    if (match.status !== 'playing') { await conn.rollback(); return res.status(400).json({ error: 'Match is not in playing state' }); }
+
+    outcome = await handler(conn, match, playerSymbol, user.id);
+    if (outcome.status && outcome.status >= 400 && !outcome.persist) {
+      await conn.rollback();
+      return res.status(outcome.status).json(outcome.body);
+    }
 
     await conn.commit();
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    console.error(`[gameController.${action}] error`, err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not update match' });
+  } finally {
+    try { conn.release(); } catch (_) {}
+  }
 
+  if (outcome.finished) {
     clearTimersForMatch(matchId);
+    emitMatchEvent(MATCH_EVENTS.FINISHED, { matchId });
+  }
+  try { broadcastMessage('reload'); } catch (_) {}
+  if (typeof outcome.afterCommit === 'function') outcome.afterCommit();
+  if (outcome.status && outcome.status >= 400) return res.status(outcome.status).json(outcome.body);
 
-    return res.json({ ok: true, match_id: matchId });
+  try {
+    let refreshed = await matchModel.getMatchById(pool, matchId, false);
+    refreshed = await augmentMatchPayload(refreshed);
+    return res.json({ ok: true, ...outcome.body, match: refreshed });
+  } catch (err) {
+    console.error(`[gameController.${action}] post-commit error`, err && err.stack ? err.stack : err);
+    return res.json({ ok: true, ...outcome.body });
+  }
+}
+
+/* Resign: the other side wins and collects the pot */
+function resignMatch(req, res) {
+  return runLiveMatchAction(req, res, 'resignMatch', async (conn, match, playerSymbol, userId) => {
+    await matchModel.insertMatchEvent(conn, match.id, userId, 'resign', { symbol: playerSymbol });
+    const result = await matchModel.resolveMatchOutcome(conn, match.id, match.board, gameRules.otherSymbol(playerSymbol));
+    await matchModel.updateMatch(conn, match.id, { end_reason: 'resign', draw_offered_by: null });
+    return { finished: true, body: { result } };
+  });
+}
+
+/* Offer a draw; it stands until the other player accepts, declines or makes a move */
+function offerDraw(req, res) {
+  return runLiveMatchAction(req, res, 'offerDraw', async (conn, match, playerSymbol, userId) => {
+    if (match.draw_offered_by) {
+      const mine = String(match.draw_offered_by) === String(userId);
+      return { status: 409, body: { error: mine ? 'Draw already offered' : 'Opponent already offered a draw; accept or decline it' } };
+    }
+    await matchModel.insertMatchEvent(conn, match.id, userId, 'draw_offer', { symbol: playerSymbol });
+    await matchModel.updateMatch(conn, match.id, { draw_offered_by: userId });
+    return { body: { draw_offered_by: userId } };
+  });
+}
+
+/* Accept the opponent's draw offer: settles as a draw, stakes are refunded */
+function acceptDraw(req, res) {
+  return runLiveMatchAction(req, res, 'acceptDraw', async (conn, match, playerSymbol, userId) => {
+    if (!match.draw_offered_by || String(match.draw_offered_by) === String(userId)) {
+      return { status: 400, body: { error: 'No draw offer to accept' } };
+    }
+    await matchModel.insertMatchEvent(conn, match.id, userId, 'draw_accept', { symbol: playerSymbol });
+    const result = await matchModel.resolveMatchOutcome(conn, match.id, match.board, null);
+    // a line already on the board still wins; only record the agreement when it settled as a draw
+    await matchModel.updateMatch(conn, match.id, { end_reason: result && result.draw ? 'draw_agreed' : null, draw_offered_by: null });
+    return { finished: true, body: { result } };
+  });
+}
+
+function declineDraw(req, res) {
+  return runLiveMatchAction(req, res, 'declineDraw', async (conn, match, playerSymbol, userId) => {
+    if (!match.draw_offered_by || String(match.draw_offered_by) === String(userId)) {
+      return { status: 400, body: { error: 'No draw offer to decline' } };
+    }
+    await matchModel.insertMatchEvent(conn, match.id, userId, 'draw_decline', { symbol: playerSymbol });
+    await matchModel.updateMatch(conn, match.id, { draw_offered_by: null });
+    return { body: { draw_offered_by: null } };
+  });
+}
+
+/* Offer to double the stake; only on your own turn and only while you own the cube (or it is centred) */
+function offerDouble(req, res) {
+  return runLiveMatchAction(req, res, 'offerDouble', async (conn, match, playerSymbol, userId) => {
+    const blocked = doublingModel.offerBlockedReason(match, playerSymbol);
+    if (blocked) return { status: 400, body: { error: blocked } };
+
+    const cost = await doublingModel.nextDoubleCost(conn, match);
+    const [rows] = await conn.query('SELECT balance FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (!rows || !rows[0] || Number(rows[0].balance || 0) < cost.total) {
+      return { status: 400, body: { error: 'Insufficient balance to double' } };
+    }
+    const refusal = await doublingModel.botDoubleRefusal(conn, match);
+    if (refusal) return { status: 400, body: { error: refusal.message, limit: refusal.limit } };
+
+    await matchModel.insertMatchEvent(conn, match.id, userId, 'double_offer', { symbol: playerSymbol, stake_multiplier: cost.level });
+    await matchModel.updateMatch(conn, match.id, { double_offered_by: userId });
+
+    const recipientId = playerSymbol === 'X' ? match.opponent_id : match.creator_id;
+    const [botRows] = await conn.query('SELECT id FROM users WHERE id = ? AND is_bot = 1', [recipientId]);
+    const afterCommit = botRows && botRows.length ? () => scheduleBotDoubleResponse(match.id) : null;
+    return { body: { double_offered_by: userId, stake_multiplier: cost.level, extra_stake: cost.extra, fee: cost.fee }, afterCommit };
+  });
+}
+
+/* Take the double: both players pay the extra stake and the acceptor owns the cube */
+function acceptDouble(req, res) {
+  return runLiveMatchAction(req, res, 'acceptDouble', async (conn, match, playerSymbol, userId) => {
+    if (!match.double_offered_by || String(match.double_offered_by) === String(userId)) {
+      return { status: 400, body: { error: 'No double to accept' } };
+    }
+    return takeDouble(conn, match, playerSymbol, userId);
+  });
+}
+
+/* Drop the double: forfeit the match at the current stake */
+function declineDouble(req, res) {
+  return runLiveMatchAction(req, res, 'declineDouble', async (conn, match, playerSymbol, userId) => {
+    if (!match.double_offered_by || String(match.double_offered_by) === String(userId)) {
+      return { status: 400, body: { error: 'No double to decline' } };
+    }
+    return dropDouble(conn, match, playerSymbol, userId);
+  });
+}
+
+async function takeDouble(conn, match, playerSymbol, userId) {
+  try {
+    const doubled = await doublingModel.acceptDouble(conn, match, playerSymbol);
+    await matchModel.insertMatchEvent(conn, match.id, userId, 'double_accept', { symbol: playerSymbol, stake_multiplier: doubled.stake_multiplier });
+    return { body: doubled };
+  } catch (e) {
+    if (e && e.code === 'HOUSE_LIMIT') {
+      // the house filled up since the offer: void it rather than make the bot forfeit
+      await matchModel.insertMatchEvent(conn, match.id, null, 'double_void', { reason: 'house_limit', limit: e.limit });
+      await matchModel.updateMatch(conn, match.id, { double_offered_by: null });
+      return { status: 409, persist: true, body: { error: e.message, limit: e.limit } };
+    }
+    if (!e || e.code !== 'INSUFFICIENT_BALANCE') throw e;
+    if (String(e.userId) === String(userId)) {
+      return { status: 400, body: { error: 'Insufficient balance to accept the double; decline to forfeit at the current stake' } };
+    }
+    // the offering player can no longer cover it: the offer is void and play continues at the current stake
+    await matchModel.insertMatchEvent(conn, match.id, e.userId, 'double_void', { reason: 'insufficient_balance' });
+    await matchModel.updateMatch(conn, match.id, { double_offered_by: null });
+    return { status: 409, persist: true, body: { error: 'Opponent can no longer cover the double; offer withdrawn' } };
+  }
+}
+
+async function dropDouble(conn, match, playerSymbol, userId) {
+  await matchModel.insertMatchEvent(conn, match.id, userId, 'double_decline', { symbol: playerSymbol, stake_multiplier: doublingModel.stakeMultiplier(match) });
+  const result = await matchModel.resolveMatchOutcome(conn, match.id, match.board, gameRules.otherSymbol(playerSymbol));
+  await matchModel.updateMatch(conn, match.id, { end_reason: 'double_declined', double_offered_by: null, draw_offered_by: null });
+  return { finished: true, body: { result } };
+}
+
+/* Bots drop a double when the offering side already has a winning move on the board, otherwise take it */
+function botShouldTakeDouble(match) {
+  const cfg = gameRules.configFromMatch(match);
+  const board = gameRules.normalizeBoard(match.board, cfg);
+  // doubles are offered on the offering player's own turn
+  const offererSymbol = match.current_turn;
+  for (const pos of gameRules.legalMoves(board.split(''), cfg)) {
+    if (gameRules.checkWinner(gameRules.applyMove(board, pos, offererSymbol, cfg), cfg).winner === offererSymbol) return false;
+  }
+  return true;
+}
+
+function scheduleBotDoubleResponse(matchId) {
+  setTimeout(async () => {
+    let finished = false;
+    const pool = await getPool();
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const match = await matchModel.getMatchById(conn, matchId, true);
+      if (!match || match.status !== 'playing' || !match.double_offered_by) { await conn.rollback(); return; }
+      const botSymbol = String(match.double_offered_by) === String(match.creator_id) ? 'O' : 'X';
+      const botId = botSymbol === 'X' ? match.creator_id : match.opponent_id;
+
+      let outcome = null;
+      if (botShouldTakeDouble(match)) {
+        outcome = await takeDouble(conn, match, botSymbol, botId);
+        // a bot that cannot cover the double drops it instead
+        if (outcome.status === 400) outcome = null;
+      }
+      if (!outcome) outcome = await dropDouble(conn, match, botSymbol, botId);
+      finished = Boolean(outcome.finished);
+      await conn.commit();
+    } catch (e) {
+      try { await conn.rollback(); } catch (_) {}
+      console.error('[scheduleBotDoubleResponse] error', e && e.stack ? e.stack : e);
+      return;
+    } finally {
+      try { conn.release(); } catch (_) {}
+    }
+    if (finished) {
+      clearTimersForMatch(matchId);
+      emitMatchEvent(MATCH_EVENTS.FINISHED, { matchId });
+    }
+    try { broadcastMessage('reload'); } catch (_) {}
+  }, SIM_MOVE_DELAY_MS);
+}
+
+/* Rematches are between the same two humans; bot matches re-queue through createMatch instead */
+async function hasBotParticipant(conn, match) {
+  if (Number(match.creator_is_bot || 0) || Number(match.opponent_is_bot || 0)) return true;
+  const [rows] = await conn.query('SELECT id FROM users WHERE id IN (?) AND is_bot = 1', [[match.creator_id, match.opponent_id]]);
+  return Boolean(rows && rows.length);
+}
+
+function otherParticipant(match, userId) {
+  if (String(match.creator_id) === String(userId)) return match.opponent_id;
+  if (String(match.opponent_id) === String(userId)) return match.creator_id;
+  return null;
+}
+
+/* Offer a rematch on a finished match; the other player has MATCH_REMATCH_WINDOW_MS to accept */
+async function offerRematch(req, res) {
+  console.log('offerRematch request', { ts: new Date().toISOString(), params: req.params, user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+
+  const matchId = Number(req.params.id);
+  if (!matchId) return res.status(400).json({ error: 'Invalid match id' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const match = await matchModel.getMatchById(conn, matchId, true);
+    if (!match) { await conn.rollback(); return res.status(404).json({ error: 'Match not found' }); }
+    const offeredTo = otherParticipant(match, user.id);
+    if (!offeredTo) { await conn.rollback(); return res.status(403).json({ error: 'Not a participant' }); }
+    if (match.status !== 'finished') { await conn.rollback(); return res.status(400).json({ error: 'Match is not finished' }); }
+    if (await hasBotParticipant(conn, match)) { await conn.rollback(); return res.status(400).json({ error: 'Rematch is only available between two players' }); }
+    if (match.tournament_id) { await conn.rollback(); return res.status(400).json({ error: 'Tournament matches cannot be rematched' }); }
+
+    const existing = await rematchModel.getOfferByMatch(conn, matchId, true);
+    if (existing && existing.status === 'accepted') {
+      await conn.rollback();
+      return res.status(409).json({ error: 'Rematch already started', rematch: rematchModel.toPublicOffer(existing) });
+    }
+    if (existing && existing.status === 'pending' && !rematchModel.isExpired(existing)) {
+      await conn.rollback();
+      if (String(existing.offered_by) === String(user.id)) return res.json({ ok: true, rematch: rematchModel.toPublicOffer(existing) });
+      return res.status(409).json({ error: 'Opponent already offered a rematch; accept it instead', rematch: rematchModel.toPublicOffer(existing) });
+    }
+
+    const offer = await rematchModel.upsertOffer(conn, {
+      matchId,
+      offeredBy: user.id,
+      offeredTo,
+      expiresAt: new Date(Date.now() + rematchModel.REMATCH_WINDOW_MS)
+    });
+
+    await conn.commit();
+
+    try { broadcastMessage('reload'); } catch (_) {}
+    return res.json({ ok: true, rematch: rematchModel.toPublicOffer(offer) });
   } catch (err) {
     try { await conn.rollback(); } catch (_) {}
-    console.error('[gameController.cancelMatch] error', err && err.stack ? err.stack : err);
-    return res.status(500).json({ error: 'Could not cancel match' });
+    console.error('[gameController.offerRematch] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not offer rematch' });
+  } finally {
+    try { conn.release(); } catch (_) {}
+  }
+}
+
+/* Accept a pending offer: debits both players and starts a new match with X and O swapped */
+async function acceptRematch(req, res) {
+  console.log('acceptRematch request', { ts: new Date().toISOString(), params: req.params, user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+
+  const matchId = Number(req.params.id);
+  if (!matchId) return res.status(400).json({ error: 'Invalid match id' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let newMatchId = null;
+  try {
+    await conn.beginTransaction();
+
+    const match = await matchModel.getMatchById(conn, matchId, true);
+    if (!match) { await conn.rollback(); return res.status(404).json({ error: 'Match not found' }); }
+    const offer = await rematchModel.getOfferByMatch(conn, matchId, true);
+    if (!offer || offer.status !== 'pending') { await conn.rollback(); return res.status(404).json({ error: 'No pending rematch offer' }); }
+    if (String(offer.offered_to) !== String(user.id)) { await conn.rollback(); return res.status(403).json({ error: 'Only the invited player can accept' }); }
+
+    if (rematchModel.isExpired(offer)) {
+      await rematchModel.updateOffer(conn, offer.id, { status: 'expired', responded_at: new Date() });
+      await conn.commit();
+      return res.status(410).json({ error: 'Rematch offer expired' });
+    }
+
+    try {
+      const started = await rematchModel.startRematch(conn, match);
+      newMatchId = started.matchId;
+    } catch (e) {
+      if (e && e.code === 'INSUFFICIENT_BALANCE') {
+        await conn.rollback();
+        const who = String(e.userId) === String(user.id) ? 'You do not' : 'Opponent does not';
+        return res.status(400).json({ error: `${who} have enough balance for the rematch` });
+      }
+      throw e;
+    }
+
+    await rematchModel.updateOffer(conn, offer.id, { status: 'accepted', new_match_id: newMatchId, responded_at: new Date() });
+
+    await conn.commit();
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    console.error('[gameController.acceptRematch] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not start rematch' });
+  } finally {
+    try { conn.release(); } catch (_) {}
+  }
+
+  try {
+    const row = await matchModel.getMatchById(pool, newMatchId, false);
+    startTimersForMatch(newMatchId, 'X', row);
+    try { broadcastMessage('reload'); } catch (_) {}
+    const match = await augmentMatchPayload(row);
+    return res.json({ ok: true, match_id: newMatchId, match, rematch_of: matchId });
+  } catch (err) {
+    console.error('[gameController.acceptRematch] post-commit error', err && err.stack ? err.stack : err);
+    return res.json({ ok: true, match_id: newMatchId, rematch_of: matchId });
+  }
+}
+
+/* Decline (invited player) or withdraw (offering player) a pending offer */
+async function declineRematch(req, res) {
+  console.log('declineRematch request', { ts: new Date().toISOString(), params: req.params, user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+
+  const matchId = Number(req.params.id);
+  if (!matchId) return res.status(400).json({ error: 'Invalid match id' });
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const offer = await rematchModel.getOfferByMatch(conn, matchId, true);
+    if (!offer || offer.status !== 'pending') { await conn.rollback(); return res.status(404).json({ error: 'No pending rematch offer' }); }
+    if (String(offer.offered_to) !== String(user.id) && String(offer.offered_by) !== String(user.id)) {
+      await conn.rollback();
+      return res.status(403).json({ error: 'Not a participant' });
+    }
+
+    const status = rematchModel.isExpired(offer) ? 'expired' : 'declined';
+    await rematchModel.updateOffer(conn, offer.id, { status, responded_at: new Date() });
+    await conn.commit();
+
+    try { broadcastMessage('reload'); } catch (_) {}
+    return res.json({ ok: true, rematch: rematchModel.toPublicOffer({ ...offer, status }) });
+  } catch (err) {
+    try { await conn.rollback(); } catch (_) {}
+    console.error('[gameController.declineRematch] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not decline rematch' });
   } finally {
     try { conn.release(); } catch (_) {}
   }
@@ -802,6 +1368,14 @@ async function simulateOpponent(req, res) {
         await conn.rollback();
         return res.status(400).json({ error: 'Match already has an opponent' });
       }
+      if (Number(match.is_private)) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'Private matches can only be joined with the invite code' });
+      }
+      if (match.humans_only) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'This match is set to humans only' });
+      }
       // commit the check so we don't hold locks while attaching
       await conn.commit();
     } catch (err) {
@@ -812,31 +1386,24 @@ async function simulateOpponent(req, res) {
       conn = null;
     }
 
-    // Reserve a bot identity and attempt attach (model will handle final atomics)
-    const botIdentity = reserveBotName();
-    const attached = await matchModel.attachBotToMatchTx(matchId, botIdentity);
+    // Seat a bot persona (model will handle final atomics)
+    let attached;
+    try {
+      attached = await matchModel.attachBotToMatchTx(matchId);
+    } catch (err) {
+      if (!err || !BOT_SEAT_REFUSALS.has(err.code)) throw err;
+      await startWaitingExpiry(matchId, err.limit || err.code);
+      return res.status(409).json({ error: err.message, limit: err.limit || null, code: err.code });
+    }
 
     if (attached && attached.matchId) {
-      // Persist per-match display fields if needed (best-effort)
-      try {
-        const pool2 = await getPool();
-        const conn2 = await pool2.getConnection();
-        try {
-          await matchModel.updateMatch(conn2, matchId, {
-            opponent_display_name: botIdentity.display_name,
-            opponent_username: botIdentity.username
-          });
-        } finally { try { conn2.release(); } catch (_) {} }
-      } catch (e) {
-        console.warn('[simulateOpponent] failed to persist per-match name', e && e.message ? e.message : e);
-      }
-
-      startTimersForMatch(matchId, 'X');
-      setImmediate(() => runSimulationAsync(matchId, { moveDelayMs: SIM_MOVE_DELAY_MS, joinAsBot: true, botIdentity }));
+      emitMatchEvent(MATCH_EVENTS.STARTED, { matchId });
+      startTimersForMatch(matchId, 'X', await matchModel.getMatchById(await getPool(), matchId, false));
+      setImmediate(() => runSimulationAsync(matchId, { moveDelayMs: SIM_MOVE_DELAY_MS, joinAsBot: true }));
       try { broadcastMessage('reload'); } catch (_) {}
       let matchWithNames = await matchModel.getMatchById(await getPool(), matchId, false);
       matchWithNames = await augmentMatchPayload(matchWithNames);
-      return res.json({ ok: true, match_id: matchId, simulated: true, bot: botIdentity.display_name, match: matchWithNames });
+      return res.json({ ok: true, match_id: matchId, simulated: true, bot: attached.bot_display_name, match: matchWithNames });
     }
 
     return res.status(400).json({ error: 'Could not attach bot (possibly already joined)' });
@@ -849,6 +1416,326 @@ async function simulateOpponent(req, res) {
 }
 
 
+/*
+  Boot recovery: timers and the auto-attach setTimeout only live in process memory, so after a
+  deploy or crash every active match is re-armed from its persisted timestamps. Overdue matches
+  are settled with the same handlers the live timers use; waiting matches get their bot attach
+  rescheduled relative to created_at (private matches, and public ones the house limits refused a
+  bot, get their expiry instead).
+*/
+async function recoverMatchesOnBoot() {
+  const summary = { resumed: 0, resolved: 0, attach_scheduled: 0, expiry_scheduled: 0, failed: 0 };
+  const pool = await getPool();
+  const rows = await matchModel.getActiveMatchIds(pool);
+
+  for (const row of rows) {
+    const matchId = Number(row.id);
+    try {
+      const match = await matchModel.getMatchById(pool, matchId, false);
+      if (!match) continue;
+      const now = Date.now();
+
+      if (match.status === 'waiting') {
+        if (match.opponent_id) continue;
+        // private invites, and public matches already refused a bot, wait out their expiry
+        if (Number(match.is_private) || match.expires_at) {
+          const expiresMs = toTimestampMs(match.expires_at) || now;
+          scheduleWaitingExpiry(matchId, expiresMs - now);
+          summary.expiry_scheduled += 1;
+          continue;
+        }
+        const createdMs = toTimestampMs(match.created_at) || now;
+        scheduleAutoAttach(matchId, createdMs + AUTO_SIMULATE_WAIT_MS - now);
+        summary.attach_scheduled += 1;
+        continue;
+      }
+
+      if (match.status !== 'playing') continue;
+      const turn = match.current_turn || 'X';
+
+      if (timeControl.timeControlFromMatch(match)) {
+        if (timeControl.remainingMs(match, turn, now) <= 0) {
+          await onClockTimeout(matchId);
+          summary.resolved += 1;
+          continue;
+        }
+      } else {
+        // legacy rows without started_at fall back to created_at / updated_at
+        const startedMs = toTimestampMs(match.started_at) || toTimestampMs(match.created_at) || now;
+        const turnStartedMs = toTimestampMs(match.turn_started_at) || toTimestampMs(match.updated_at) || now;
+        if (now - startedMs >= MATCH_MAX_MS) {
+          await onMatchTimeout(matchId);
+          summary.resolved += 1;
+          continue;
+        }
+        if (now - turnStartedMs >= TURN_TIMEOUT_MS) {
+          await onTurnTimeout(matchId);
+          summary.resolved += 1;
+          continue;
+        }
+      }
+
+      startTimersForMatch(matchId, turn, match);
+      summary.resumed += 1;
+
+      // a bot whose turn it was when the process died would otherwise never move
+      const botToMove = (Number(match.creator_is_bot) && turn === 'X') || (Number(match.opponent_is_bot) && turn === 'O');
+      if (botToMove) setImmediate(() => runSimulationAsync(matchId, { moveDelayMs: SIM_MOVE_DELAY_MS, joinAsBot: false }));
+    } catch (e) {
+      summary.failed += 1;
+      console.error('[recoverMatchesOnBoot] match', matchId, 'error', e && e.stack ? e.stack : e);
+    }
+  }
+
+  if (summary.resolved) {
+    try { broadcastMessage('reload'); } catch (_) {}
+  }
+  return summary;
+}
+
+/* ---------- open-match lobby ---------- */
+
+/* ?min_stake=&max_stake=&humans_only=true; throws with a 400-able message on bad input */
+function lobbyFiltersFromQuery(query = {}, user = null) {
+  const parseStake = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid ${name}`);
+    return n;
+  };
+  const minStake = parseStake(query.min_stake, 'min_stake');
+  const maxStake = parseStake(query.max_stake, 'max_stake');
+  if (minStake !== null && maxStake !== null && maxStake < minStake) throw new Error('max_stake must be at least min_stake');
+  // without an explicit filter, players with the humans-only preference only see human-created matches
+  const humansOnly = query.humans_only === undefined
+    ? Boolean(user && user.humans_only)
+    : ['1', 'true', 'yes'].includes(String(query.humans_only || '').toLowerCase());
+  return { minStake, maxStake, humansOnly };
+}
+
+/* Public matches waiting for an opponent, oldest first, with per-stake wait estimates */
+async function getLobby(req, res) {
+  let filters;
+  try {
+    filters = lobbyFiltersFromQuery(req.query, req.user);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const { entries, estimates } = await lobbyModel.listLobby(filters, { autoAttachMs: AUTO_SIMULATE_WAIT_MS });
+    const stakes = [...new Set(entries.map(e => lobbyModel.stakeKey(e.bet_amount)))];
+    return res.json({
+      ok: true,
+      filters: { min_stake: filters.minStake, max_stake: filters.maxStake, humans_only: filters.humansOnly },
+      matches: entries,
+      wait_estimates: stakes.map(key => lobbyModel.estimateForStake(estimates, Number(key))),
+      overall_wait_ms: estimates.has('all') ? estimates.get('all').median_wait_ms : null
+    });
+  } catch (err) {
+    console.error('[gameController.getLobby] error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Could not load lobby' });
+  }
+}
+
+/* SSE feed of lobby changes: lobby:init snapshot, then lobby:add / lobby:remove (same filters as getLobby) */
+async function streamLobby(req, res) {
+  let filters;
+  try {
+    filters = lobbyFiltersFromQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    await lobbyFeed.subscribe(req, res, filters, { autoAttachMs: AUTO_SIMULATE_WAIT_MS });
+  } catch (err) {
+    console.error('[gameController.streamLobby] error', err && err.stack ? err.stack : err);
+    try {
+      if (!res.headersSent) return res.status(500).json({ error: 'Could not open lobby stream' });
+      res.end();
+    } catch (_) {}
+  }
+}
+
+/* ---------- matchmaking queue (stake range + skill band) ---------- */
+
+const QUEUE_ERROR_STATUS = { NOT_FOUND: 404, FORBIDDEN: 403, ALREADY_QUEUED: 409, NOT_PENDING: 409, INSUFFICIENT_BALANCE: 400 };
+
+function sendQueueError(res, action, err) {
+  const status = err && QUEUE_ERROR_STATUS[err.code];
+  if (status) return res.status(status).json({ error: err.message });
+  console.error(`[gameController.${action}] error`, err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'Matchmaking error' });
+}
+
+let matcherRunning = false;
+async function runMatcher() {
+  if (matcherRunning) return null;
+  matcherRunning = true;
+  try {
+    const summary = await matchmakingService.runMatcherOnce();
+    if (summary.proposals || summary.expired_proposals || summary.expired_tickets) {
+      try { broadcastMessage('reload'); } catch (_) {}
+    }
+    return summary;
+  } catch (err) {
+    console.error('[gameController.runMatcher] error', err && err.stack ? err.stack : err);
+    return null;
+  } finally {
+    matcherRunning = false;
+  }
+}
+
+async function queueStatusFor(userId) {
+  const pool = await getPool();
+  const ticket = await matchmakingModel.getLatestTicketForUser(pool, userId);
+  const proposal = ticket && ticket.proposal_id ? await matchmakingModel.getProposalById(pool, ticket.proposal_id, false) : null;
+  return {
+    ticket: matchmakingModel.toPublicTicket(ticket),
+    proposal: matchmakingModel.toPublicProposal(proposal, userId)
+  };
+}
+
+/* Enter the queue with a stake range ({ min_stake, max_stake }) and optional { skill_band } */
+async function joinQueue(req, res) {
+  console.log('joinQueue request', { ts: new Date().toISOString(), user: req.user?.id ?? null, body: req.body });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+
+  const minStake = Number(req.body.min_stake);
+  const maxStake = req.body.max_stake === undefined || req.body.max_stake === null || req.body.max_stake === '' ? minStake : Number(req.body.max_stake);
+  if (!Number.isFinite(minStake) || minStake <= 0) return res.status(400).json({ error: 'Invalid min_stake' });
+  if (!Number.isFinite(maxStake) || maxStake < minStake) return res.status(400).json({ error: 'max_stake must be at least min_stake' });
+
+  let skillBand = null;
+  if (req.body.skill_band !== undefined && req.body.skill_band !== null && req.body.skill_band !== '') {
+    skillBand = Number(req.body.skill_band);
+    if (!Number.isInteger(skillBand) || skillBand < 0 || skillBand > 2000) return res.status(400).json({ error: 'skill_band must be an integer in 0..2000' });
+  }
+
+  let boardConfig;
+  let clock;
+  try {
+    boardConfig = boardConfigFromBody(req.body);
+    clock = timeControl.parseTimeControl(req.body.time_control);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    await matchmakingService.enqueue(user.id, {
+      minStake: Number(minStake.toFixed(2)),
+      maxStake: Number(maxStake.toFixed(2)),
+      skillBand,
+      boardConfig,
+      clock
+    });
+    // try to pair straight away rather than waiting for the next tick
+    await runMatcher();
+    return res.json({ ok: true, ...(await queueStatusFor(user.id)) });
+  } catch (err) {
+    return sendQueueError(res, 'joinQueue', err);
+  }
+}
+
+/* Current ticket (with the widened search range) and any pending proposal */
+async function getQueueStatus(req, res) {
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    return res.json({ ok: true, ...(await queueStatusFor(user.id)) });
+  } catch (err) {
+    return sendQueueError(res, 'getQueueStatus', err);
+  }
+}
+
+async function leaveQueue(req, res) {
+  console.log('leaveQueue request', { ts: new Date().toISOString(), user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const ticket = await matchmakingService.leaveQueue(user.id);
+    if (!ticket) return res.status(404).json({ error: 'Not in the matchmaking queue' });
+    try { broadcastMessage('reload'); } catch (_) {}
+    return res.json({ ok: true, ticket: matchmakingModel.toPublicTicket(ticket) });
+  } catch (err) {
+    return sendQueueError(res, 'leaveQueue', err);
+  }
+}
+
+async function respondToQueueProposal(req, res, accept) {
+  const action = accept ? 'acceptQueueProposal' : 'declineQueueProposal';
+  console.log(`${action} request`, { ts: new Date().toISOString(), params: req.params, user: req.user?.id ?? null });
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+  const proposalId = Number(req.params.id);
+  if (!proposalId) return res.status(400).json({ error: 'Invalid proposal id' });
+
+  try {
+    const result = await matchmakingService.respondToProposal(user.id, proposalId, accept);
+    try { broadcastMessage('reload'); } catch (_) {}
+    const body = { ok: true, status: result.status, reason: result.reason || null, proposal: matchmakingModel.toPublicProposal(result.proposal, user.id) };
+    if (result.status !== 'accepted') return res.json(body);
+
+    const pool = await getPool();
+    const row = await matchModel.getMatchById(pool, result.matchId, false);
+    startTimersForMatch(result.matchId, 'X', row);
+    return res.json({ ...body, match_id: result.matchId, match: await augmentMatchPayload(row) });
+  } catch (err) {
+    return sendQueueError(res, action, err);
+  }
+}
+
+/* Accept / decline the agreed stake; the match starts (and both are debited) once both accept */
+function acceptQueueProposal(req, res) { return respondToQueueProposal(req, res, true); }
+function declineQueueProposal(req, res) { return respondToQueueProposal(req, res, false); }
+
+/* Periodic matcher: widens ranges as tickets age and expires unanswered proposals */
+function startMatchmaking(options = {}) {
+  const intervalMs = Number(options.intervalMs) || Number(process.env.QUEUE_MATCH_INTERVAL_MS || 2000);
+  const timer = setInterval(() => { runMatcher().catch(() => {}); }, intervalMs);
+  return { timer, stop: () => clearInterval(timer) };
+}
+
+/* ---------- tournaments: bracket start, slot matches and payouts ---------- */
+
+let tournamentsRunning = false;
+async function runTournaments() {
+  if (tournamentsRunning) return null;
+  tournamentsRunning = true;
+  try {
+    const summary = await tournamentService.runTournamentsOnce();
+    // tournament matches are created already playing; arm their move / clock timers like any live match
+    for (const matchId of summary.matches) {
+      startTimersForMatch(matchId, 'X', await matchModel.getMatchById(await getPool(), matchId, false));
+      emitMatchEvent(MATCH_EVENTS.STARTED, { matchId });
+    }
+    if (summary.started || summary.cancelled || summary.finished || summary.matches.length) {
+      try { broadcastMessage('reload'); } catch (_) {}
+    }
+    return summary;
+  } catch (err) {
+    console.error('[gameController.runTournaments] error', err && err.stack ? err.stack : err);
+    return null;
+  } finally {
+    tournamentsRunning = false;
+  }
+}
+
+/* Interval plus a prompt pass whenever a match settles, so the next round starts without waiting a tick */
+function startTournaments(options = {}) {
+  const intervalMs = Number(options.intervalMs) || Number(process.env.TOURNAMENT_TICK_MS || 5000);
+  const timer = setInterval(() => { runTournaments().catch(() => {}); }, intervalMs);
+  const onFinished = () => { setImmediate(() => { runTournaments().catch(() => {}); }); };
+  matchEvents.on(MATCH_EVENTS.FINISHED, onFinished);
+  return {
+    timer,
+    stop: () => {
+      clearInterval(timer);
+      matchEvents.removeListener(MATCH_EVENTS.FINISHED, onFinished);
+    }
+  };
+}
+
 // Expose timers and helper to kick off periodic cleanup
 let cleanupHandle = null;
 function startPeriodicCleanup(options = {}) {
@@ -873,9 +1760,29 @@ module.exports = {
   playMove,
   getMatch,
   cancelMatch,
+  getMatchInvite,
+  resignMatch,
+  offerDraw,
+  acceptDraw,
+  declineDraw,
+  offerDouble,
+  acceptDouble,
+  declineDouble,
+  offerRematch,
+  acceptRematch,
+  declineRematch,
   simulateOpponent,
+  getLobby,
+  streamLobby,
+  joinQueue,
+  getQueueStatus,
+  leaveQueue,
+  acceptQueueProposal,
+  declineQueueProposal,
+  startMatchmaking,
+  startTournaments,
   _matchTimers: matchTimers,
   startPeriodicCleanup,
-  _reserveBotName: reserveBotName,
+  recoverMatchesOnBoot,
   _attachBotToMatchIfAvailable: attachBotToMatchIfAvailable
 };
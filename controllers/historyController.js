@@ -2,7 +2,9 @@
 // Match history controller with SSE and optional in-memory simulator integration.
 // - Returns public match rows for API consumers
 // - SSE endpoint broadcasts real-time updates to connected clients
+// - Spectator SSE endpoint streams a single match (moves, clock, result, live spectator count)
 // - In-memory simulator (optional) generates simulated matches and publishes them directly to SSE clients
+// - Export (text notation / JSON) and import-validation of game records via lib/notation
 // - getRecentMatches merges recent simulated matches (in-memory) with DB rows so polling clients see simulated activity
 //
 // Enable in-memory simulator by setting START_IN_MEMORY_SIMULATOR=true in the server environment.
@@ -12,6 +14,12 @@ const path = require('path');
 const { getPool } = require('../config/db');
 const matchModel = require('../models/matchModel');
 const userModel = require('../models/userModel');
+const { findToken } = require('../helpers/tokenHelper');
+const timeControl = require('../lib/timeControl');
+const gameRules = require('../lib/gameRules');
+const invites = require('../lib/invites');
+const notation = require('../lib/notation');
+const { MATCH_EVENTS, matchEvents } = require('../lib/matchEvents');
 
 const DEFAULT_LIMIT = 12;
 const MAX_LIMIT = 100;
@@ -60,10 +68,10 @@ async function fetchUsersByIds(ids = []) {
   if (!Array.isArray(ids) || ids.length === 0) return map;
   const pool = await getPool();
   const placeholders = ids.map(() => '?').join(',');
-  const sql = `SELECT id, username, display_name AS displayName FROM users WHERE id IN (${placeholders})`;
+  const sql = `SELECT id, username, display_name AS displayName, is_bot FROM users WHERE id IN (${placeholders})`;
   const [rows] = await pool.query(sql, ids);
   (rows || []).forEach((r) => {
-    map[Number(r.id)] = { id: Number(r.id), username: r.username, displayName: r.displayName };
+    map[Number(r.id)] = { id: Number(r.id), username: r.username, displayName: r.displayName, isBot: Boolean(Number(r.is_bot || 0)) };
   });
   return map;
 }
@@ -76,10 +84,15 @@ function toPublicMatchRow(row) {
     creator_display_name: row.creator_display_name || row.creator_username || null,
     opponent_id: row.opponent_id || null,
     opponent_display_name: row.opponent_display_name || row.opponent_username || null,
+    // bot disclosure: bots play under realistic names, so each seat is flagged
+    creator_is_bot: Boolean(Number(row.creator_is_bot || 0)),
+    opponent_is_bot: Boolean(Number(row.opponent_is_bot || 0)),
     bet_amount: row.bet_amount != null ? Number(row.bet_amount) : null,
     timestamp: row.updated_at || row.created_at || row.updatedAt || row.createdAt || null,
     winner: row.winner != null ? row.winner : null,
     status: row.status || null,
+    // 'resign' / 'draw_agreed' when settled by the players rather than on the board
+    end_reason: row.end_reason || null,
     // preserve any simulated flag if present
     _simulated: row._simulated || row.simulated || false
   };
@@ -107,6 +120,8 @@ async function resolveNamesForRows(rows) {
         const ou = usersById[Number(out.opponent_id)];
         if (ou) out.opponent_display_name = ou.displayName || ou.username || ('#' + out.opponent_id);
       }
+      if (out.creator_id && usersById[Number(out.creator_id)] && usersById[Number(out.creator_id)].isBot) out.creator_is_bot = true;
+      if (out.opponent_id && usersById[Number(out.opponent_id)] && usersById[Number(out.opponent_id)].isBot) out.opponent_is_bot = true;
 
       // Normalize winner: numeric id -> 'creator'/'opponent' when possible
       if (out.winner != null) {
@@ -142,6 +157,7 @@ async function getRecentMatches(req, res) {
         `SELECT id,
                 creator_id, creator_display_name, creator_username,
                 opponent_id, opponent_display_name, opponent_username,
+                creator_is_bot, opponent_is_bot,
                 bet_amount, status, winner,
                 created_at, updated_at
          FROM matches
@@ -232,6 +248,7 @@ async function getMatchHistory(req, res) {
       if (!m) return res.status(404).json({ error: 'Match not found' });
 
       const user = req.user;
+      if (!invites.canViewMatch(m, user && user.id)) return res.status(404).json({ error: 'Match not found' });
       const isOwner = user && (Number(user.id) === Number(m.creator_id) || Number(user.id) === Number(m.opponent_id));
       const isAdmin = user && (user.role === 'admin' || user.isAdmin);
 
@@ -260,6 +277,7 @@ async function getMatchHistory(req, res) {
 
 /**
  * GET /api/history/matches/:id/moves
+ * Private matches are only shown to their players; others get 404
  */
 async function getMatchMoves(req, res) {
   try {
@@ -271,6 +289,9 @@ async function getMatchMoves(req, res) {
 
     const pool = await getPool();
     try {
+      const match = await matchModel.getMatchById(pool, matchId, false);
+      if (!match || !invites.canViewMatch(match, req.user && req.user.id)) return res.status(404).json({ error: 'Match not found' });
+
       const [rows] = await pool.query(
         `SELECT id, match_id, user_id, username, symbol, position, created_at
          FROM moves
@@ -290,6 +311,127 @@ async function getMatchMoves(req, res) {
   }
 }
 
+/**
+ * GET /api/history/matches/:id/events
+ * Resign / draw offer log for a match, oldest first
+ */
+async function getMatchEventLog(req, res) {
+  try {
+    const matchId = Number(req.params.id || req.query.id);
+    if (!Number.isInteger(matchId) || matchId <= 0) return res.status(400).json({ error: 'Missing or invalid match id' });
+
+    const pool = await getPool();
+    const match = await matchModel.getMatchById(pool, matchId, false);
+    if (!match || !invites.canViewMatch(match, req.user && req.user.id)) return res.status(404).json({ error: 'Match not found' });
+
+    const rows = await matchModel.getMatchEvents(pool, matchId);
+    const events = rows.map(r => ({
+      id: r.id,
+      user_id: r.user_id,
+      event_type: r.event_type,
+      meta: typeof r.meta === 'string' ? JSON.parse(r.meta) : (r.meta || null),
+      created_at: r.created_at
+    }));
+    return res.json({ match_id: matchId, status: match.status, winner: match.winner, end_reason: match.end_reason || null, events });
+  } catch (err) {
+    console.error('getMatchEventLog error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+function notationDate(ts) {
+  const d = ts ? new Date(ts) : null;
+  if (!d || Number.isNaN(d.getTime())) return '????.??.??';
+  return `${d.getUTCFullYear()}.${String(d.getUTCMonth() + 1).padStart(2, '0')}.${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/* How the game ended: end_reason when the players settled it, otherwise read it off the board */
+function notationTermination(match, cfg) {
+  if (match.status === 'cancelled') return 'cancelled';
+  if (match.status !== 'finished') return 'unterminated';
+  if (match.end_reason) return match.end_reason;
+  return notation.boardResult(gameRules.normalizeBoard(match.board, cfg), cfg) ? 'normal' : 'time_forfeit';
+}
+
+/**
+ * GET /api/history/matches/:id/export?format=text|json
+ * Game record with player / stake / time control / result headers and the ordered moves
+ */
+async function exportMatch(req, res) {
+  try {
+    const matchId = Number(req.params.id || req.query.id);
+    if (!Number.isInteger(matchId) || matchId <= 0) return res.status(400).json({ error: 'Missing or invalid match id' });
+    const format = String(req.query.format || 'text').toLowerCase();
+    if (!['text', 'json'].includes(format)) return res.status(400).json({ error: 'format must be text or json' });
+
+    const pool = await getPool();
+    const match = await matchModel.getMatchById(pool, matchId, false);
+    if (!match || !invites.canViewMatch(match, req.user && req.user.id)) return res.status(404).json({ error: 'Match not found' });
+
+    const cfg = gameRules.configFromMatch(match);
+    const publicRow = (await resolveNamesForRows([match]))[0] || toPublicMatchRow(match);
+    const clock = timeControl.timeControlFromMatch(match);
+    const moves = await matchModel.getMoves(pool, matchId);
+
+    const headers = {
+      Event: `Match ${matchId}`,
+      Date: notationDate(match.started_at || match.created_at),
+      MatchId: matchId,
+      X: publicRow.creator_display_name || '?',
+      O: publicRow.opponent_display_name || '?',
+      XType: publicRow.creator_is_bot ? 'program' : 'human',
+      OType: publicRow.opponent_is_bot ? 'program' : 'human',
+      GameType: cfg.gameType,
+      Board: `${cfg.rows}x${cfg.cols}`,
+      WinLength: cfg.winLength,
+      Stake: Number(match.bet_amount || 0).toFixed(2),
+      StakeMultiplier: Number(match.stake_multiplier || 1),
+      TimeControl: clock ? clock.label : '-',
+      Result: match.status === 'finished' ? notation.resultFromWinner(match.winner) : notation.RESULTS.UNKNOWN,
+      Termination: notationTermination(match, cfg)
+    };
+
+    if (format === 'json') {
+      return res.json({
+        headers,
+        moves: moves.map((mv, i) => ({
+          ply: i + 1,
+          symbol: mv.symbol,
+          square: notation.positionToSquare(Number(mv.position), cfg),
+          position: Number(mv.position),
+          player: mv.username || null,
+          played_at: mv.played_at
+        }))
+      });
+    }
+
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="match-${matchId}.txt"`);
+    return res.send(notation.formatNotation(headers, moves, cfg));
+  } catch (err) {
+    console.error('exportMatch error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * POST /api/history/import
+ * Body: text/plain notation, or JSON { notation }
+ * Replays the record through the rules engine and reports the final position; nothing is stored
+ */
+async function importNotation(req, res) {
+  try {
+    const text = typeof req.body === 'string' ? req.body : (req.body && req.body.notation);
+    if (!text || typeof text !== 'string') return res.status(400).json({ error: 'Provide the notation as text/plain or { notation }' });
+
+    const replay = notation.replayNotation(text);
+    return res.status(replay.valid ? 200 : 422).json(replay);
+  } catch (err) {
+    console.error('importNotation error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
 /**
  * SSE stream endpoint
  * GET /api/history/stream?matchId=...
@@ -347,6 +489,181 @@ async function streamMatchHistory(req, res) {
   }
 }
 
+/* ---------------------------
+   Per-match spectator streams
+   --------------------------- */
+
+// matchId -> Set of { id, res }
+const spectators = new Map();
+// matchId -> promise chain so a match's events reach spectators in the order they happened
+const spectatorQueues = new Map();
+
+function getSpectatorCount(matchId) {
+  const set = spectators.get(Number(matchId));
+  return set ? set.size : 0;
+}
+
+function sendToSpectators(matchId, event, data) {
+  const set = spectators.get(Number(matchId));
+  if (!set) return;
+  for (const client of set) sendSse(client.res, event, data);
+}
+
+function broadcastSpectatorCount(matchId) {
+  sendToSpectators(matchId, 'spectate:count', { match_id: Number(matchId), spectators: getSpectatorCount(matchId) });
+}
+
+// Public board state only: no user ids, balances or fee details (safe to embed)
+function toSpectatorState(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status || null,
+    board: row.board || null,
+    board_rows: row.board_rows || null,
+    board_cols: row.board_cols || null,
+    win_length: row.win_length || null,
+    game_type: row.game_type || null,
+    current_turn: row.status === 'playing' ? (row.current_turn || null) : null,
+    winner: row.winner != null ? row.winner : null,
+    end_reason: row.end_reason || null,
+    bet_amount: row.bet_amount != null ? Number(row.bet_amount) : null,
+    stake_multiplier: Number(row.stake_multiplier || 1),
+    creator_display_name: row.creator_display_name || row.creator_username || null,
+    opponent_display_name: row.opponent_display_name || row.opponent_username || null,
+    creator_is_bot: Boolean(Number(row.creator_is_bot || 0)),
+    opponent_is_bot: Boolean(Number(row.opponent_is_bot || 0)),
+    clock: timeControl.clockSnapshot(row)
+  };
+}
+
+async function loadSpectatorState(matchId) {
+  const pool = await getPool();
+  const row = await matchModel.getMatchById(pool, matchId, false);
+  return toSpectatorState(row);
+}
+
+/* Signed-in user behind a public request (Bearer token or xo_token cookie, as in middleware/auth), or null */
+async function optionalUserId(req) {
+  const header = req.headers && req.headers.authorization;
+  let token = header && typeof header === 'string' && header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (!token && req.cookies && req.cookies.xo_token) token = req.cookies.xo_token;
+  if (!token) return null;
+  const tokenRow = await findToken(token, { requireActive: true });
+  return tokenRow ? (tokenRow.user_id ?? tokenRow.id ?? null) : null;
+}
+
+function enqueueSpectatorWork(matchId, fn) {
+  const key = Number(matchId);
+  const prev = spectatorQueues.get(key) || Promise.resolve();
+  const next = prev.then(fn).catch(e => {
+    console.warn('[spectate] publish error', e && e.message ? e.message : e);
+  });
+  spectatorQueues.set(key, next);
+  next.then(() => { if (spectatorQueues.get(key) === next) spectatorQueues.delete(key); });
+}
+
+matchEvents.on(MATCH_EVENTS.MOVE, ({ matchId, position, symbol }) => {
+  if (!getSpectatorCount(matchId)) return;
+  enqueueSpectatorWork(matchId, async () => {
+    const state = await loadSpectatorState(matchId);
+    if (!state) return;
+    sendToSpectators(matchId, 'spectate:move', {
+      match_id: Number(matchId),
+      position,
+      symbol,
+      board: state.board,
+      current_turn: state.current_turn,
+      status: state.status
+    });
+    if (state.clock) sendToSpectators(matchId, 'spectate:clock', { match_id: Number(matchId), ...state.clock });
+  });
+});
+
+matchEvents.on(MATCH_EVENTS.FINISHED, ({ matchId }) => {
+  if (!getSpectatorCount(matchId)) return;
+  enqueueSpectatorWork(matchId, async () => {
+    const state = await loadSpectatorState(matchId);
+    if (!state) return;
+    sendToSpectators(matchId, 'spectate:result', {
+      match_id: Number(matchId),
+      status: state.status,
+      winner: state.winner,
+      end_reason: state.end_reason,
+      board: state.board,
+      clock: state.clock
+    });
+  });
+});
+
+/**
+ * Spectator SSE stream for a single match
+ * GET /api/history/matches/:id/spectate
+ * Private (invite) matches are only streamed to their two players; others get 404
+ * Events: spectate:init, spectate:move, spectate:clock, spectate:result, spectate:count, ping
+ */
+async function spectateMatch(req, res) {
+  try {
+    const matchId = Number(req.params.id);
+    if (!Number.isInteger(matchId) || matchId <= 0) return res.status(400).json({ error: 'Invalid match id' });
+
+    const row = await matchModel.getMatchById(await getPool(), matchId, false);
+    if (!row) return res.status(404).json({ error: 'Match not found' });
+    // invite-only matches can only be watched by their own players; everyone else gets the same 404
+    if (Number(row.is_private) && !invites.canViewMatch(row, await optionalUserId(req))) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    const state = toSpectatorState(row);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('\n');
+
+    // finished matches get the final state and the stream closes
+    if (state.status === 'finished' || state.status === 'cancelled') {
+      sendSse(res, 'spectate:init', { ...state, spectators: getSpectatorCount(matchId) }, matchId);
+      sendSse(res, 'spectate:result', { match_id: matchId, status: state.status, winner: state.winner, board: state.board, clock: state.clock });
+      return res.end();
+    }
+
+    const clientId = Date.now() + '-' + Math.random().toString(36).slice(2, 9);
+    const client = { id: clientId, res };
+    if (!spectators.has(matchId)) spectators.set(matchId, new Set());
+    spectators.get(matchId).add(client);
+
+    sendSse(res, 'spectate:init', { ...state, spectators: getSpectatorCount(matchId) }, matchId);
+    broadcastSpectatorCount(matchId);
+
+    const ping = setInterval(() => {
+      try {
+        res.write(`event: ping\n`);
+        res.write(`data: ${JSON.stringify({ ts: Date.now() })}\n\n`);
+      } catch (e) {}
+    }, SSE_PING_MS);
+
+    req.on('close', () => {
+      clearInterval(ping);
+      const set = spectators.get(matchId);
+      if (set) {
+        set.delete(client);
+        if (!set.size) spectators.delete(matchId);
+      }
+      broadcastSpectatorCount(matchId);
+      try { res.end(); } catch (e) {}
+    });
+  } catch (err) {
+    console.error('spectateMatch error', err && err.message ? err.message : err);
+    try {
+      if (!res.headersSent) return res.status(500).json({ error: 'Server error' });
+      res.end();
+    } catch (_) {}
+  }
+}
+
 /**
  * Internal publish endpoint for other services (protected by route middleware)
  * POST /api/history/publish { match: {...} }
@@ -362,6 +679,9 @@ async function publishMatchUpdate(req, res) {
       creator_display_name: payload.creator_display_name || payload.creator_username || null,
       opponent_id: payload.opponent_id || null,
       opponent_display_name: payload.opponent_display_name || payload.opponent_username || null,
+      // simulated feed rows are played entirely by bots
+      creator_is_bot: Boolean(payload.creator_is_bot || payload._simulated || payload.simulated),
+      opponent_is_bot: Boolean(payload.opponent_is_bot || payload._simulated || payload.simulated),
       bet_amount: payload.bet_amount != null ? Number(payload.bet_amount) : null,
       timestamp: payload.updated_at || payload.created_at || Date.now(),
       winner: payload.winner != null ? payload.winner : null,
@@ -407,6 +727,8 @@ function handleSimulatorPayload(payload) {
       creator_display_name: match.creator_display_name || match.creator_username || null,
       opponent_id: match.opponent_id || null,
       opponent_display_name: match.opponent_display_name || match.opponent_username || null,
+      creator_is_bot: true,
+      opponent_is_bot: true,
       bet_amount: match.bet_amount != null ? Number(match.bet_amount) : null,
       timestamp: match.updated_at || match.created_at || Date.now(),
       winner: match.winner != null ? match.winner : null,
@@ -470,7 +792,12 @@ module.exports = {
   listUserMatches,
   getMatchHistory,
   getMatchMoves,
+  getMatchEventLog,
+  exportMatch,
+  importNotation,
   getRecentMatches,
   streamMatchHistory,
+  spectateMatch,
+  getSpectatorCount,
   publishMatchUpdate
 };
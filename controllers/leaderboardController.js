@@ -0,0 +1,100 @@
+// src/controllers/leaderboardController.js
+// Read side of the leaderboards. Boards are precomputed by services/leaderboardService on a
+// schedule (see server.js), so these handlers only page through leaderboard_entries.
+
+const leaderboardService = require('../services/leaderboardService');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// what `value` means on each board, per period
+function metricFor(board, period) {
+  if (board === 'net_winnings') return 'net_amount';
+  if (board === 'win_rate') return 'win_fraction';
+  if (board === 'win_streak') return 'consecutive_wins';
+  return period === 'all_time' ? 'rating' : 'rating_change';
+}
+
+function toPublicEntry(row) {
+  return {
+    position: Number(row.position),
+    user_id: row.user_id,
+    name: row.display_name || row.username || null,
+    value: Number(row.value),
+    games: Number(row.games || 0)
+  };
+}
+
+/* GET /api/leaderboards - available boards, periods and thresholds */
+async function listLeaderboards(req, res) {
+  try {
+    return res.json({
+      boards: leaderboardService.BOARDS,
+      periods: leaderboardService.PERIODS,
+      size: leaderboardService.BOARD_SIZE,
+      min_games: leaderboardService.MIN_GAMES,
+      min_rated_games: leaderboardService.MIN_RATED_GAMES,
+      computed_at: await leaderboardService.lastComputedAt()
+    });
+  } catch (err) {
+    console.error('listLeaderboards error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/* GET /api/leaderboards/:board?period=weekly&limit=&offset= */
+async function getLeaderboard(req, res) {
+  try {
+    const board = String(req.params.board || '').toLowerCase();
+    const period = String(req.query.period || 'all_time').toLowerCase();
+    if (!leaderboardService.BOARDS.includes(board)) return res.status(404).json({ error: 'Unknown leaderboard' });
+    if (!leaderboardService.PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of ${leaderboardService.PERIODS.join(', ')}` });
+    }
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+
+    const rows = await leaderboardService.getBoard(board, period, { limit, offset });
+    return res.json({
+      board,
+      period,
+      metric: metricFor(board, period),
+      period_start: rows[0] ? rows[0].period_start : leaderboardService.periodStart(period),
+      computed_at: rows[0] ? rows[0].computed_at : null,
+      entries: rows.map(toPublicEntry)
+    });
+  } catch (err) {
+    console.error('getLeaderboard error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/* GET /api/leaderboards/me - the caller's positions on every board (auth) */
+async function getMyPositions(req, res) {
+  try {
+    const userId = req.user && req.user.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+    const rows = await leaderboardService.getUserPositions(userId);
+    return res.json({
+      user_id: userId,
+      positions: rows.map(r => ({
+        board: r.board,
+        period: r.period,
+        metric: metricFor(r.board, r.period),
+        position: Number(r.position),
+        value: Number(r.value),
+        games: Number(r.games || 0),
+        computed_at: r.computed_at
+      }))
+    });
+  } catch (err) {
+    console.error('getMyPositions error', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = {
+  listLeaderboards,
+  getLeaderboard,
+  getMyPositions
+};
@@ -5,6 +5,8 @@
 const crypto = require('crypto');
 const { URL } = require('url');
 const { getPool } = require('../config/db');
+const ledger = require('../models/ledgerModel');
+const retention = require('../models/retentionModel');
 const { findToken } = require('../helpers/tokenHelper');
 
 const PAYSTACK_SECRET = process.env.PAYSTACK_SECRET || process.env.PAYSTACK_SECRET_KEY || '';
@@ -167,7 +169,8 @@ async function finalizeDeposit(reference, paystackData) {
     const schema = await detectSchema();
 
     const [rows] = await conn.query(`SELECT * FROM balance_transactions WHERE reference_id = ? LIMIT 1 FOR UPDATE`, [reference]);
-    const record = rows && rows[0];
+    // a deposit settled long ago may only be left in the archive
+    const record = (rows && rows[0]) || await retention.findTransaction(conn, reference);
 
     // idempotency
     if (schema.hasStatus) {
@@ -177,8 +180,8 @@ async function finalizeDeposit(reference, paystackData) {
         return { ok: true, alreadyProcessed: true, amount: record.amount };
       }
     } else {
-      const [creditRows] = await conn.query(`SELECT id FROM balance_transactions WHERE reference_id = ? AND type = 'credit' AND source = 'deposit' LIMIT 1`, [reference]);
-      if (creditRows && creditRows.length) {
+      const credited = await retention.findTransaction(conn, reference, 'deposit');
+      if (credited && credited.type === 'credit') {
         await conn.commit();
         conn.release();
         return { ok: true, alreadyProcessed: true };
@@ -238,7 +241,8 @@ async function finalizeDeposit(reference, paystackData) {
       }
 
       if (userId) {
-        await conn.query(`UPDATE users SET balance = IFNULL(balance,0) + ? WHERE id = ?`, [amountNaira, userId]);
+        // money received by the processor: payment clearing -> user wallet
+        await ledger.transfer(conn, 'deposit', reference, ledger.account.clearing(), ledger.account.user(userId), amountNaira, { provider: 'paystack' });
         if (schema.hasMeta) {
           await conn.query(
             `INSERT INTO balance_transactions (user_id, amount, type, source, reference_id, status, meta, created_at)
@@ -279,7 +283,8 @@ async function finalizeDeposit(reference, paystackData) {
       }
 
       if (userId) {
-        await conn.query(`UPDATE users SET balance = IFNULL(balance,0) + ? WHERE id = ?`, [amountNaira, userId]);
+        // money received by the processor: payment clearing -> user wallet
+        await ledger.transfer(conn, 'deposit', reference, ledger.account.clearing(), ledger.account.user(userId), amountNaira, { provider: 'paystack' });
         await conn.query(
           `INSERT INTO balance_transactions (user_id, amount, type, source, reference_id, created_at)
            VALUES (?, ?, 'credit', 'deposit', ?, NOW())`,
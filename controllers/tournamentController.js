@@ -0,0 +1,154 @@
+// src/controllers/tournamentController.js
+// Tournament endpoints: listing and bracket view, player registration, admin create / cancel.
+// Bracket progression and payouts run in services/tournamentService on the scheduler interval.
+
+const { getPool } = require('../config/db');
+const tournamentModel = require('../models/tournamentModel');
+const tournamentService = require('../services/tournamentService');
+const gameRules = require('../lib/gameRules');
+const timeControl = require('../lib/timeControl');
+
+const DEFAULT_RAKE_PERCENT = Number(process.env.TOURNAMENT_RAKE_PERCENT || 10);
+const MAX_SEATS = 256;
+
+const ERROR_STATUS = { NOT_FOUND: 404, FORBIDDEN: 403, NOT_OPEN: 409, FULL: 409, ALREADY_REGISTERED: 409, NOT_REGISTERED: 400, INSUFFICIENT_BALANCE: 400 };
+
+function sendTournamentError(res, action, err) {
+  const status = err && ERROR_STATUS[err.code];
+  if (status) return res.status(status).json({ error: err.message });
+  console.error(`[tournamentController.${action}] error`, err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'Tournament error' });
+}
+
+/* GET /api/tournaments?status=registering */
+async function listTournaments(req, res) {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !['registering', 'running', 'finished', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    const pool = await getPool();
+    const rows = await tournamentModel.listTournaments(pool, { status });
+    return res.json({ ok: true, tournaments: rows.map(tournamentModel.toPublicTournament) });
+  } catch (err) {
+    return sendTournamentError(res, 'listTournaments', err);
+  }
+}
+
+/* GET /api/tournaments/:id - tournament, entrants and the bracket grouped by round */
+async function getTournament(req, res) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid tournament id' });
+    const pool = await getPool();
+    const t = await tournamentModel.getTournamentById(pool, id, false);
+    if (!t) return res.status(404).json({ error: 'Tournament not found' });
+
+    const entries = (await tournamentModel.getEntries(pool, id)).filter(e => e.status !== 'refunded');
+    const slots = await tournamentModel.getSlots(pool, id);
+    const rounds = [];
+    for (const s of slots) {
+      const idx = Number(s.round) - 1;
+      (rounds[idx] = rounds[idx] || []).push(tournamentModel.toPublicSlot(s));
+    }
+    return res.json({
+      ok: true,
+      tournament: tournamentModel.toPublicTournament({ ...t, entrants: entries.length }),
+      entries: entries.map(tournamentModel.toPublicEntry),
+      bracket: rounds.map((games, i) => ({ round: i + 1, games: games || [] }))
+    });
+  } catch (err) {
+    return sendTournamentError(res, 'getTournament', err);
+  }
+}
+
+async function register(req, res) {
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const entry = await tournamentService.register(user.id, Number(req.params.id));
+    return res.status(201).json({ ok: true, entry: tournamentModel.toPublicEntry(entry) });
+  } catch (err) {
+    return sendTournamentError(res, 'register', err);
+  }
+}
+
+async function unregister(req, res) {
+  const user = req.user;
+  if (!user || !user.id) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const entry = await tournamentService.unregister(user.id, Number(req.params.id));
+    return res.json({ ok: true, entry: tournamentModel.toPublicEntry(entry) });
+  } catch (err) {
+    return sendTournamentError(res, 'unregister', err);
+  }
+}
+
+/**
+ * POST /api/tournaments (admin)
+ * { name, buy_in, seat_limit, start_at, rake_percent?, payouts?: [50,30,10,10], board_rows?, board_cols?,
+ *   win_length?, game_type?, time_control? }
+ */
+async function createTournament(req, res) {
+  const body = req.body || {};
+  const name = String(body.name || '').trim();
+  const buyIn = Number(body.buy_in);
+  const seatLimit = Number(body.seat_limit);
+  const startAt = new Date(body.start_at);
+  const rakePercent = body.rake_percent === undefined || body.rake_percent === null || body.rake_percent === '' ? DEFAULT_RAKE_PERCENT : Number(body.rake_percent);
+  const payouts = body.payouts === undefined ? [...tournamentModel.DEFAULT_PAYOUTS] : body.payouts;
+
+  if (!name || name.length > 100) return res.status(400).json({ error: 'name is required (max 100 characters)' });
+  if (!Number.isFinite(buyIn) || buyIn <= 0) return res.status(400).json({ error: 'Invalid buy_in' });
+  if (!Number.isInteger(seatLimit) || seatLimit < 2 || seatLimit > MAX_SEATS) return res.status(400).json({ error: `seat_limit must be an integer in 2..${MAX_SEATS}` });
+  if (Number.isNaN(startAt.getTime()) || startAt.getTime() <= Date.now()) return res.status(400).json({ error: 'start_at must be a future date' });
+  if (!Number.isFinite(rakePercent) || rakePercent < 0 || rakePercent > 50) return res.status(400).json({ error: 'rake_percent must be in 0..50' });
+  if (!Array.isArray(payouts) || !payouts.length || payouts.some(p => !Number.isFinite(Number(p)) || Number(p) < 0) ||
+      Math.abs(payouts.reduce((sum, p) => sum + Number(p), 0) - 100) > 0.01) {
+    return res.status(400).json({ error: 'payouts must be a list of percentages per finishing place adding up to 100' });
+  }
+
+  let boardConfig;
+  let clock;
+  try {
+    boardConfig = gameRules.normalizeConfig({ rows: body.board_rows, cols: body.board_cols, winLength: body.win_length, gameType: body.game_type });
+    clock = timeControl.parseTimeControl(body.time_control);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const t = await tournamentService.createTournament(req.user.id, {
+      name,
+      buyIn: Number(buyIn.toFixed(2)),
+      seatLimit,
+      startAt,
+      rakePercent,
+      payouts: payouts.map(Number),
+      boardConfig,
+      clock
+    });
+    return res.status(201).json({ ok: true, tournament: tournamentModel.toPublicTournament(t) });
+  } catch (err) {
+    return sendTournamentError(res, 'createTournament', err);
+  }
+}
+
+/* POST /api/tournaments/:id/cancel (admin) - refunds every buy-in; only before the start */
+async function cancelTournament(req, res) {
+  try {
+    const t = await tournamentService.cancelTournament(Number(req.params.id));
+    return res.json({ ok: true, tournament: tournamentModel.toPublicTournament(t) });
+  } catch (err) {
+    return sendTournamentError(res, 'cancelTournament', err);
+  }
+}
+
+module.exports = {
+  listTournaments,
+  getTournament,
+  register,
+  unregister,
+  createTournament,
+  cancelTournament
+};
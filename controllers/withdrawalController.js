@@ -1,6 +1,7 @@
 
 const { getPool } = require('../config/db');
 const matchModel = require('../models/matchModel');
+const ledger = require('../models/ledgerModel');
 
 /* helper utilities */
 function validateAmount(v) {
@@ -199,8 +200,17 @@ async function requestWithdrawal(req, res) {
       return res.status(400).json({ error: 'Missing account name or account number' });
     }
 
-    // Deduct balance (reserve)
-    await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [amount, user.id]);
+    // Insert withdrawal row
+    const insertSql = `
+      INSERT INTO withdrawals (user_id, amount, bank_name, account_number, account_name, status, requested_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', NOW())
+    `;
+    const [result] = await conn.query(insertSql, [user.id, amount, bankName, accountNumber, accountName]);
+    const withdrawalId = result && result.insertId ? result.insertId : null;
+
+    // Reserve the amount: user wallet -> payment clearing until it is paid out or declined
+    await ledger.transfer(conn, 'withdrawal_request', `withdrawal_${withdrawalId}`, ledger.account.user(user.id), ledger.account.clearing(), amount, { withdrawal_id: withdrawalId });
+    await conn.query('UPDATE users SET pending_balance = COALESCE(pending_balance,0) + ? WHERE id = ?', [amount, user.id]);
 
     // Record a debit transaction via matchModel helper if available
     try {
@@ -212,7 +222,7 @@ async function requestWithdrawal(req, res) {
           source: 'withdrawal_request',
           reference_id: `withdrawal_request_${Date.now()}_${user.id}`,
           status: 'pending',
-          meta: { requested_by: user.id }
+          meta: { requested_by: user.id, withdrawal_id: withdrawalId }
         });
       }
     } catch (txErr) {
@@ -221,14 +231,6 @@ async function requestWithdrawal(req, res) {
       return res.status(500).json({ error: 'Could not record transaction' });
     }
 
-    // Insert withdrawal row
-    const insertSql = `
-      INSERT INTO withdrawals (user_id, amount, bank_name, account_number, account_name, status, requested_at)
-      VALUES (?, ?, ?, ?, ?, 'pending', NOW())
-    `;
-    const [result] = await conn.query(insertSql, [user.id, amount, bankName, accountNumber, accountName]);
-    const withdrawalId = result && result.insertId ? result.insertId : null;
-
     await conn.commit();
 
     return res.json({
@@ -344,8 +346,9 @@ async function approveWithdrawal(req, res) {
     if (!w) { await conn.rollback(); return res.status(404).json({ error: 'Withdrawal not found' }); }
     if (w.status !== 'pending') { await conn.rollback(); return res.status(400).json({ error: 'Withdrawal not pending' }); }
 
-    // mark as paid
+    // mark as paid and release the pending_balance hold
     await conn.query('UPDATE withdrawals SET status = ?, processed_at = NOW() WHERE id = ?', ['paid', id]);
+    await conn.query('UPDATE users SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0) WHERE id = ?', [w.amount, w.user_id]);
 
     // optional: insert an audit/transaction row (if you track payout records)
     try {
@@ -398,8 +401,9 @@ async function declineWithdrawal(req, res) {
     if (!w) { await conn.rollback(); return res.status(404).json({ error: 'Withdrawal not found' }); }
     if (w.status !== 'pending') { await conn.rollback(); return res.status(400).json({ error: 'Withdrawal not pending' }); }
 
-    // refund user balance
-    await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [w.amount, w.user_id]);
+    // refund user balance: payment clearing -> user wallet
+    await ledger.transfer(conn, 'withdrawal_refund', `withdrawal_${id}`, ledger.account.clearing(), ledger.account.user(w.user_id), w.amount, { withdrawal_id: id });
+    await conn.query('UPDATE users SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0) WHERE id = ?', [w.amount, w.user_id]);
 
     // mark withdrawal as declined and set processed_at
     await conn.query('UPDATE withdrawals SET status = ?, processed_at = NOW() WHERE id = ?', ['declined', id]);
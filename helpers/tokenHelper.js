@@ -137,7 +137,11 @@ async function findToken(token, opts = { requireActive: true }) {
        u.role,
        u.bank_name,
        u.account_number,
-       u.account_name
+       u.account_name,
+       u.rating,
+       u.rating_deviation,
+       u.rated_games,
+       u.humans_only
      FROM auth_tokens t
      JOIN users u ON u.id = t.user_id
      WHERE t.token = ?
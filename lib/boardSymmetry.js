@@ -0,0 +1,85 @@
+// lib/boardSymmetry.js
+// Symmetries of a board that preserve its win lines and move rules, as cell permutations.
+// Positions that map onto each other play the same way, so the engine searches (and the opening
+// book stores) only one of them.
+//
+//   square standard boards: 8 (rotations and reflections)
+//   other standard boards:  4 (identity, both mirrors, half turn)
+//   gravity boards:         2 (identity, left-right mirror; pieces must keep falling down)
+
+const gameRules = require('./gameRules');
+
+const symmetryCache = new Map();
+
+function transformsFor(cfg) {
+  const last = { r: cfg.rows - 1, c: cfg.cols - 1 };
+  const mirror = (r, c) => [r, last.c - c];
+  if (gameRules.isGravity(cfg)) return [(r, c) => [r, c], mirror];
+
+  const base = [
+    (r, c) => [r, c],
+    mirror,
+    (r, c) => [last.r - r, c],
+    (r, c) => [last.r - r, last.c - c]
+  ];
+  if (cfg.rows !== cfg.cols) return base;
+  return base.concat([
+    (r, c) => [c, r],
+    (r, c) => [c, last.r - r],
+    (r, c) => [last.c - c, r],
+    (r, c) => [last.c - c, last.r - r]
+  ]);
+}
+
+/**
+ * symmetries(cfg)
+ * - returns [{ perm, inverse }]: perm[cell] is where the symmetry sends the cell, inverse undoes it
+ * - the identity is always first
+ */
+function symmetries(cfg) {
+  const key = `${cfg.key}:${cfg.gameType}`;
+  const cached = symmetryCache.get(key);
+  if (cached) return cached;
+
+  const list = transformsFor(cfg).map((fn) => {
+    const perm = new Array(cfg.cells);
+    const inverse = new Array(cfg.cells);
+    for (let i = 0; i < cfg.cells; i++) {
+      const [r, c] = fn(Math.floor(i / cfg.cols), i % cfg.cols);
+      const j = r * cfg.cols + c;
+      perm[i] = j;
+      inverse[j] = i;
+    }
+    return { perm, inverse };
+  });
+
+  symmetryCache.set(key, list);
+  return list;
+}
+
+function applySymmetry(boardStr, sym) {
+  const out = new Array(boardStr.length);
+  for (let i = 0; i < boardStr.length; i++) out[sym.perm[i]] = boardStr[i];
+  return out.join('');
+}
+
+/**
+ * canonicalBoard(boardStr, cfg)
+ * - the lexicographically smallest image of the board under its symmetries
+ * - returns { board, sym }; sym.inverse[cell] maps a cell of the canonical board back to boardStr
+ */
+function canonicalBoard(boardStr, cfg) {
+  const board = gameRules.normalizeBoard(boardStr, cfg);
+  let best = null;
+  for (const sym of symmetries(cfg)) {
+    const image = applySymmetry(board, sym);
+    if (!best || image < best.board) best = { board: image, sym };
+  }
+  return best;
+}
+
+module.exports = {
+  symmetries,
+  applySymmetry,
+  canonicalBoard
+};
@@ -0,0 +1,60 @@
+// lib/boardSymmetry.test.js
+const gameRules = require('./gameRules');
+const { symmetries, applySymmetry, canonicalBoard } = require('./boardSymmetry');
+
+const square = gameRules.normalizeConfig({ rows: 6, cols: 6, winLength: 4 });
+const wide = gameRules.normalizeConfig({ rows: 5, cols: 7, winLength: 4 });
+const gravity = gameRules.normalizeConfig({ rows: 6, cols: 7, winLength: 4, gameType: 'gravity' });
+
+function lineSet(cfg) {
+  return new Set(gameRules.getLines(cfg).map(line => [...line].sort((a, b) => a - b).join(',')));
+}
+
+describe('symmetries', () => {
+  test('has 8, 4 and 2 members for square, rectangular and gravity boards', () => {
+    expect(symmetries(square)).toHaveLength(8);
+    expect(symmetries(wide)).toHaveLength(4);
+    expect(symmetries(gravity)).toHaveLength(2);
+  });
+
+  test('starts with the identity and inverts every permutation', () => {
+    for (const cfg of [square, wide, gravity]) {
+      const list = symmetries(cfg);
+      expect(list[0].perm).toEqual([...Array(cfg.cells).keys()]);
+      for (const sym of list) {
+        for (let i = 0; i < cfg.cells; i++) expect(sym.inverse[sym.perm[i]]).toBe(i);
+      }
+    }
+  });
+
+  test('maps win lines onto win lines', () => {
+    for (const cfg of [square, wide, gravity]) {
+      const lines = lineSet(cfg);
+      for (const sym of symmetries(cfg)) {
+        for (const line of gameRules.getLines(cfg)) {
+          expect(lines.has(line.map(i => sym.perm[i]).sort((a, b) => a - b).join(','))).toBe(true);
+        }
+      }
+    }
+  });
+
+  test('gravity images keep pieces resting on the bottom', () => {
+    const board = gameRules.applyMove(gameRules.emptyBoard(gravity), gravity.cells - gravity.cols, 'X', gravity);
+    for (const sym of symmetries(gravity)) expect(gameRules.isBoardConsistent(applySymmetry(board, sym), gravity)).toBe(true);
+  });
+});
+
+describe('canonicalBoard', () => {
+  test('gives every image of a position the same canonical board', () => {
+    const board = gameRules.applyMove(gameRules.applyMove(gameRules.emptyBoard(square), 1, 'X', square), 8, 'O', square);
+    const canonical = canonicalBoard(board, square).board;
+    for (const sym of symmetries(square)) expect(canonicalBoard(applySymmetry(board, sym), square).board).toBe(canonical);
+  });
+
+  test('sym.inverse maps cells of the canonical board back to the original', () => {
+    const board = gameRules.applyMove(gameRules.emptyBoard(wide), 3, 'X', wide);
+    const { board: canonical, sym } = canonicalBoard(board, wide);
+    const cell = canonical.indexOf('X');
+    expect(sym.inverse[cell]).toBe(3);
+  });
+});
@@ -0,0 +1,92 @@
+// lib/botTiers.js
+// Bot difficulty tiers. Each bot match is assigned one tier when the bot takes its seat; the tier is
+// stored on matches.bot_tier so a finished match can be audited against the engine that played it.
+//
+//   random        - any legal move
+//   heuristic     - win / block / prefer the centre (moveSearch.chooseMoveHeuristic)
+//   depth_limited - alpha-beta search to BOT_DEPTH_LIMIT plies
+//   perfect       - opening book, then iterative-deepening search on the full time budget
+//
+// Every tier also has a mistake rate: the share of moves replaced by a random legal move.
+
+const TIERS = Object.freeze(['random', 'heuristic', 'depth_limited', 'perfect']);
+
+const DEPTH_LIMIT = Number(process.env.BOT_DEPTH_LIMIT || 3);
+
+const DEFAULT_MISTAKE_RATES = Object.freeze({ random: 0, heuristic: 0.1, depth_limited: 0.05, perfect: 0 });
+
+// stake thresholds, highest first match wins: stakes >= 100 get perfect, >= 20 depth_limited, otherwise heuristic
+const DEFAULT_POLICY = '0:heuristic,20:depth_limited,100:perfect';
+
+function isTier(value) {
+  return TIERS.includes(value);
+}
+
+/**
+ * parseMistakeRates(spec)
+ * - "heuristic:0.15,perfect:0.02" overrides the defaults per tier; rates are clamped to 0..1
+ */
+function parseMistakeRates(spec = process.env.BOT_MISTAKE_RATES) {
+  const rates = { ...DEFAULT_MISTAKE_RATES };
+  for (const part of String(spec || '').split(',')) {
+    const [tier, value] = part.split(':').map(s => s.trim());
+    const rate = Number(value);
+    if (isTier(tier) && value !== '' && Number.isFinite(rate)) rates[tier] = Math.min(1, Math.max(0, rate));
+  }
+  return rates;
+}
+
+function policyRules(text) {
+  const rules = [];
+  for (const part of text.split(',')) {
+    const [stake, tier] = part.split(':').map(s => s.trim());
+    const minStake = Number(stake);
+    if (stake !== '' && Number.isFinite(minStake) && isTier(tier)) rules.push({ minStake, tier });
+  }
+  return rules.sort((a, b) => b.minStake - a.minStake);
+}
+
+/**
+ * parsePolicy(spec)
+ * - a single tier name ("perfect") fixes the tier for every match
+ * - otherwise "minStake:tier" pairs; returns [{ minStake, tier }] sorted by minStake descending
+ * - unparseable specs fall back to DEFAULT_POLICY
+ */
+function parsePolicy(spec = process.env.BOT_TIER_POLICY) {
+  const text = String(spec || '').trim();
+  if (isTier(text)) return [{ minStake: 0, tier: text }];
+  const rules = policyRules(text);
+  return rules.length ? rules : policyRules(DEFAULT_POLICY);
+}
+
+const POLICY = parsePolicy();
+const MISTAKE_RATES = parseMistakeRates();
+
+/* Tier for a stake under the configured policy (stakes below every threshold get the lowest rule) */
+function tierForStake(stake, policy = POLICY) {
+  const amount = Number(stake || 0);
+  const rule = policy.find(r => amount >= r.minStake) || policy[policy.length - 1];
+  return rule ? rule.tier : 'perfect';
+}
+
+/* Tier recorded on the match, else the policy tier for its stake (matches from before tiers existed) */
+function tierForMatch(match, policy = POLICY) {
+  if (match && isTier(match.bot_tier)) return match.bot_tier;
+  return tierForStake(match ? match.bet_amount : 0, policy);
+}
+
+function mistakeRate(tier, rates = MISTAKE_RATES) {
+  return Number(rates[tier] || 0);
+}
+
+module.exports = {
+  TIERS,
+  DEPTH_LIMIT,
+  DEFAULT_POLICY,
+  isTier,
+  parseMistakeRates,
+  parsePolicy,
+  tierForStake,
+  tierForMatch,
+  mistakeRate
+};
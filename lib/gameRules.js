@@ -0,0 +1,329 @@
+// lib/gameRules.js
+// Single source of truth for board geometry and the N-in-a-row win check.
+// Every path that reads or writes a board (controller, simulator, settlement) goes through here
+// so the rules cannot drift between copies. Board config is stored per match
+// (board_rows, board_cols, win_length, game_type) and falls back to the classic 6x6 four-in-a-row.
+//
+// Game types:
+//   - standard: a move names any empty cell
+//   - gravity:  Connect-Four style; a move names a column and the piece drops to the lowest empty cell
+
+const EMPTY_CELL = '_';
+
+const DEFAULT_ROWS = 6;
+const DEFAULT_COLS = 6;
+const DEFAULT_WIN_LENGTH = 4;
+
+// Bounds keep rows * cols inside matches.board VARCHAR(255) and moves.position SMALLINT
+const MIN_DIMENSION = 3;
+const MAX_DIMENSION = 15;
+const MIN_WIN_LENGTH = 3;
+
+const GAME_TYPES = Object.freeze({ STANDARD: 'standard', GRAVITY: 'gravity' });
+const DEFAULT_GAME_TYPE = GAME_TYPES.STANDARD;
+
+// lines are pure functions of (rows, cols, winLength); cache them per geometry
+const linesCache = new Map();
+
+/**
+ * normalizeConfig({ rows, cols, winLength, gameType })
+ * - accepts snake_case (board_rows/board_cols/win_length/game_type) or camelCase keys
+ * - returns a frozen { rows, cols, winLength, gameType, cells, key }
+ * - throws on out-of-range values so callers can surface a 400
+ */
+function normalizeConfig(input = {}) {
+  const src = input || {};
+  const rows = Number(src.rows ?? src.board_rows ?? DEFAULT_ROWS);
+  const cols = Number(src.cols ?? src.board_cols ?? DEFAULT_COLS);
+  const winLength = Number(src.winLength ?? src.win_length ?? DEFAULT_WIN_LENGTH);
+  const gameType = String(src.gameType ?? src.game_type ?? DEFAULT_GAME_TYPE).trim().toLowerCase();
+
+  if (!Number.isInteger(rows) || rows < MIN_DIMENSION || rows > MAX_DIMENSION) {
+    throw new Error(`Board rows must be an integer in ${MIN_DIMENSION}..${MAX_DIMENSION}`);
+  }
+  if (!Number.isInteger(cols) || cols < MIN_DIMENSION || cols > MAX_DIMENSION) {
+    throw new Error(`Board cols must be an integer in ${MIN_DIMENSION}..${MAX_DIMENSION}`);
+  }
+  if (!Number.isInteger(winLength) || winLength < MIN_WIN_LENGTH || winLength > Math.max(rows, cols)) {
+    throw new Error(`Win length must be an integer in ${MIN_WIN_LENGTH}..${Math.max(rows, cols)}`);
+  }
+  if (!Object.values(GAME_TYPES).includes(gameType)) {
+    throw new Error(`Game type must be one of ${Object.values(GAME_TYPES).join(', ')}`);
+  }
+
+  return Object.freeze({
+    rows,
+    cols,
+    winLength,
+    gameType,
+    cells: rows * cols,
+    key: `${rows}x${cols}:${winLength}`
+  });
+}
+
+/* Config for a match row; tolerant of legacy rows created before the columns existed */
+function configFromMatch(match) {
+  if (!match) return normalizeConfig();
+  try {
+    return normalizeConfig({
+      rows: match.board_rows || DEFAULT_ROWS,
+      cols: match.board_cols || DEFAULT_COLS,
+      winLength: match.win_length || DEFAULT_WIN_LENGTH,
+      gameType: match.game_type || DEFAULT_GAME_TYPE
+    });
+  } catch (_) {
+    return normalizeConfig();
+  }
+}
+
+/* Column values to persist on a matches row for a config */
+function configToColumns(cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  return { board_rows: c.rows, board_cols: c.cols, win_length: c.winLength, game_type: c.gameType };
+}
+
+function emptyBoard(cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  return EMPTY_CELL.repeat(c.cells);
+}
+
+/* Pad/trim a stored board string to exactly cfg.cells characters */
+function normalizeBoard(boardStr, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  return String(boardStr || '').padEnd(c.cells, EMPTY_CELL).slice(0, c.cells);
+}
+
+function isValidPosition(position, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  return Number.isInteger(position) && position >= 0 && position < c.cells;
+}
+
+function otherSymbol(symbol) {
+  return symbol === 'X' ? 'O' : 'X';
+}
+
+function isGravity(cfg) {
+  return !!cfg && cfg.gameType === GAME_TYPES.GRAVITY;
+}
+
+/* Lowest empty cell in a column (row 0 is the top), or -1 when the column is full/out of range */
+function dropPosition(board, column, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  if (!Number.isInteger(column) || column < 0 || column >= c.cols) return -1;
+  const b = Array.isArray(board) ? board : normalizeBoard(board, c).split('');
+  for (let r = c.rows - 1; r >= 0; r--) {
+    const idx = r * c.cols + column;
+    if (b[idx] === EMPTY_CELL) return idx;
+  }
+  return -1;
+}
+
+/* All winLength-in-a-row index lines for the config (horizontal, vertical, both diagonals) */
+function getLines(cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  const cached = linesCache.get(c.key);
+  if (cached) return cached;
+
+  const { rows, cols, winLength } = c;
+  const lines = [];
+
+  // horizontal
+  for (let r = 0; r < rows; r++) {
+    for (let col = 0; col + winLength - 1 < cols; col++) {
+      const seq = [];
+      for (let k = 0; k < winLength; k++) seq.push(r * cols + (col + k));
+      lines.push(seq);
+    }
+  }
+  // vertical
+  for (let col = 0; col < cols; col++) {
+    for (let r = 0; r + winLength - 1 < rows; r++) {
+      const seq = [];
+      for (let k = 0; k < winLength; k++) seq.push((r + k) * cols + col);
+      lines.push(seq);
+    }
+  }
+  // diag down-right
+  for (let r = 0; r + winLength - 1 < rows; r++) {
+    for (let col = 0; col + winLength - 1 < cols; col++) {
+      const seq = [];
+      for (let k = 0; k < winLength; k++) seq.push((r + k) * cols + (col + k));
+      lines.push(seq);
+    }
+  }
+  // diag down-left
+  for (let r = 0; r + winLength - 1 < rows; r++) {
+    for (let col = winLength - 1; col < cols; col++) {
+      const seq = [];
+      for (let k = 0; k < winLength; k++) seq.push((r + k) * cols + (col - k));
+      lines.push(seq);
+    }
+  }
+
+  linesCache.set(c.key, lines);
+  return lines;
+}
+
+/**
+ * checkWinner(board, cfg)
+ * - board may be a string or an array of cells
+ * - returns { winner: 'X'|'O'|null, line: number[]|null, isDraw: boolean }
+ */
+function checkWinner(board, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  const b = Array.isArray(board) ? board : normalizeBoard(board, c).split('');
+  for (const line of getLines(c)) {
+    const first = b[line[0]];
+    if (!first || first === EMPTY_CELL) continue;
+    let allSame = true;
+    for (let i = 1; i < line.length; i++) {
+      if (b[line[i]] !== first) { allSame = false; break; }
+    }
+    if (allSame) return { winner: first, line, isDraw: false };
+  }
+  const isDraw = b.every(cell => cell !== EMPTY_CELL);
+  return { winner: null, line: null, isDraw };
+}
+
+function availableMoves(boardArr) {
+  const out = [];
+  for (let i = 0; i < boardArr.length; i++) if (boardArr[i] === EMPTY_CELL) out.push(i);
+  return out;
+}
+
+/* Cells a player may claim next: every empty cell, or one landing cell per open column for gravity */
+function legalMoves(boardArr, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  if (!isGravity(c)) return availableMoves(boardArr);
+  const out = [];
+  for (let col = 0; col < c.cols; col++) {
+    const idx = dropPosition(boardArr, col, c);
+    if (idx >= 0) out.push(idx);
+  }
+  return out;
+}
+
+function isLegalMove(board, position, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  if (!isValidPosition(position, c)) return false;
+  const b = Array.isArray(board) ? board : normalizeBoard(board, c).split('');
+  if (b[position] !== EMPTY_CELL) return false;
+  if (!isGravity(c)) return true;
+  return dropPosition(b, position % c.cols, c) === position;
+}
+
+/**
+ * resolveMovePosition(board, input, cfg)
+ * - standard: input.position is the cell index
+ * - gravity:  input.column names the column; returns the cell the piece falls to. A bare
+ *             input.position (clients built for standard boards) is read as that cell's column
+ * - throws Error with .code = 'INVALID_POSITION' | 'INVALID_COLUMN' | 'COLUMN_FULL'
+ */
+function resolveMovePosition(board, input = {}, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  if (!isGravity(c)) {
+    const position = Number(input.position);
+    if (!isValidPosition(position, c)) {
+      const err = new Error(`Invalid position; must be 0..${c.cells - 1}`);
+      err.code = 'INVALID_POSITION';
+      throw err;
+    }
+    return position;
+  }
+
+  let column = Number(input.column);
+  if (input.column === undefined && input.position !== undefined) {
+    const position = Number(input.position);
+    if (!isValidPosition(position, c)) {
+      const err = new Error(`Invalid position; must be 0..${c.cells - 1} (or send column 0..${c.cols - 1})`);
+      err.code = 'INVALID_POSITION';
+      throw err;
+    }
+    column = position % c.cols;
+  }
+  if (!Number.isInteger(column) || column < 0 || column >= c.cols) {
+    const err = new Error(`Invalid column; column must be 0..${c.cols - 1}`);
+    err.code = 'INVALID_COLUMN';
+    throw err;
+  }
+  const position = dropPosition(board, column, c);
+  if (position < 0) {
+    const err = new Error('Column is full');
+    err.code = 'COLUMN_FULL';
+    throw err;
+  }
+  return position;
+}
+
+/* True when no piece floats above an empty cell (always true for standard boards) */
+function isBoardConsistent(board, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  if (!isGravity(c)) return true;
+  const b = Array.isArray(board) ? board : normalizeBoard(board, c).split('');
+  for (let col = 0; col < c.cols; col++) {
+    let seenEmptyBelow = false;
+    for (let r = c.rows - 1; r >= 0; r--) {
+      const filled = b[r * c.cols + col] !== EMPTY_CELL;
+      if (filled && seenEmptyBelow) return false;
+      if (!filled) seenEmptyBelow = true;
+    }
+  }
+  return true;
+}
+
+/**
+ * applyMove(board, position, symbol, cfg)
+ * - validates bounds, occupancy and (for gravity) that the cell is a column's landing cell
+ * - returns the new board string
+ * - throws Error with .code = 'INVALID_POSITION' | 'POSITION_TAKEN' | 'NOT_LANDING_CELL'
+ */
+function applyMove(board, position, symbol, cfg) {
+  const c = cfg && cfg.cells ? cfg : normalizeConfig(cfg);
+  if (!isValidPosition(position, c)) {
+    const err = new Error(`Invalid position; must be 0..${c.cells - 1}`);
+    err.code = 'INVALID_POSITION';
+    throw err;
+  }
+  const arr = normalizeBoard(board, c).split('');
+  if (arr[position] !== EMPTY_CELL) {
+    const err = new Error('Position already taken');
+    err.code = 'POSITION_TAKEN';
+    throw err;
+  }
+  if (isGravity(c) && dropPosition(arr, position % c.cols, c) !== position) {
+    const err = new Error('Pieces must drop to the lowest empty cell of the column');
+    err.code = 'NOT_LANDING_CELL';
+    throw err;
+  }
+  arr[position] = symbol;
+  return arr.join('');
+}
+
+module.exports = {
+  EMPTY_CELL,
+  DEFAULT_ROWS,
+  DEFAULT_COLS,
+  DEFAULT_WIN_LENGTH,
+  MIN_DIMENSION,
+  MAX_DIMENSION,
+  MIN_WIN_LENGTH,
+  GAME_TYPES,
+  DEFAULT_GAME_TYPE,
+  normalizeConfig,
+  configFromMatch,
+  configToColumns,
+  emptyBoard,
+  normalizeBoard,
+  isValidPosition,
+  otherSymbol,
+  isGravity,
+  dropPosition,
+  getLines,
+  checkWinner,
+  availableMoves,
+  legalMoves,
+  isLegalMove,
+  resolveMovePosition,
+  isBoardConsistent,
+  applyMove
+};
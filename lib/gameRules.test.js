@@ -0,0 +1,114 @@
+// lib/gameRules.test.js
+const rules = require('./gameRules');
+
+const classic = rules.normalizeConfig();
+const gravity = rules.normalizeConfig({ rows: 6, cols: 7, winLength: 4, gameType: 'gravity' });
+
+function boardWith(cfg, cells) {
+  const arr = rules.emptyBoard(cfg).split('');
+  for (const [idx, sym] of Object.entries(cells)) arr[Number(idx)] = sym;
+  return arr.join('');
+}
+
+describe('normalizeConfig', () => {
+  test('defaults to the classic 6x6 four-in-a-row', () => {
+    expect(classic).toMatchObject({ rows: 6, cols: 6, winLength: 4, gameType: 'standard', cells: 36 });
+  });
+
+  test('accepts snake_case keys', () => {
+    const cfg = rules.normalizeConfig({ board_rows: 7, board_cols: 5, win_length: 5, game_type: 'GRAVITY' });
+    expect(cfg).toMatchObject({ rows: 7, cols: 5, winLength: 5, gameType: 'gravity', cells: 35 });
+  });
+
+  test('rejects out-of-range values', () => {
+    expect(() => rules.normalizeConfig({ rows: 2 })).toThrow(/rows/);
+    expect(() => rules.normalizeConfig({ cols: 16 })).toThrow(/cols/);
+    expect(() => rules.normalizeConfig({ rows: 4, cols: 4, winLength: 5 })).toThrow(/Win length/);
+    expect(() => rules.normalizeConfig({ gameType: 'chess' })).toThrow(/Game type/);
+  });
+
+  test('configFromMatch falls back to the default for legacy or broken rows', () => {
+    expect(rules.configFromMatch(null).key).toBe(classic.key);
+    expect(rules.configFromMatch({ board_rows: 99 }).key).toBe(classic.key);
+  });
+});
+
+describe('checkWinner', () => {
+  test('finds horizontal, vertical and diagonal lines', () => {
+    expect(rules.checkWinner(boardWith(classic, { 0: 'X', 1: 'X', 2: 'X', 3: 'X' }), classic))
+      .toEqual({ winner: 'X', line: [0, 1, 2, 3], isDraw: false });
+    expect(rules.checkWinner(boardWith(classic, { 2: 'O', 8: 'O', 14: 'O', 20: 'O' }), classic).winner).toBe('O');
+    expect(rules.checkWinner(boardWith(classic, { 0: 'X', 7: 'X', 14: 'X', 21: 'X' }), classic).winner).toBe('X');
+    expect(rules.checkWinner(boardWith(classic, { 3: 'O', 8: 'O', 13: 'O', 18: 'O' }), classic).winner).toBe('O');
+  });
+
+  test('three in a row is not a win on a four-in-a-row board', () => {
+    expect(rules.checkWinner(boardWith(classic, { 0: 'X', 1: 'X', 2: 'X' }), classic))
+      .toEqual({ winner: null, line: null, isDraw: false });
+  });
+
+  test('reports a draw on a full board without a line', () => {
+    const cfg = rules.normalizeConfig({ rows: 3, cols: 3, winLength: 3 });
+    expect(rules.checkWinner('XOXXOOOXX', cfg)).toEqual({ winner: null, line: null, isDraw: true });
+  });
+});
+
+describe('gravity moves', () => {
+  test('dropPosition lands on the lowest empty cell', () => {
+    const bottom = (gravity.rows - 1) * gravity.cols;
+    expect(rules.dropPosition(rules.emptyBoard(gravity), 2, gravity)).toBe(bottom + 2);
+    const board = boardWith(gravity, { [bottom + 2]: 'X' });
+    expect(rules.dropPosition(board, 2, gravity)).toBe(bottom - gravity.cols + 2);
+    expect(rules.dropPosition(board, gravity.cols, gravity)).toBe(-1);
+  });
+
+  test('legalMoves offers one landing cell per open column', () => {
+    const arr = rules.emptyBoard(gravity).split('');
+    expect(rules.legalMoves(arr, gravity)).toHaveLength(gravity.cols);
+    expect(rules.legalMoves(rules.emptyBoard(classic).split(''), classic)).toHaveLength(classic.cells);
+  });
+
+  test('resolveMovePosition maps a column to its landing cell', () => {
+    const bottom = (gravity.rows - 1) * gravity.cols;
+    expect(rules.resolveMovePosition(rules.emptyBoard(gravity), { column: 3 }, gravity)).toBe(bottom + 3);
+  });
+
+  test('resolveMovePosition reads a bare position as its column', () => {
+    const bottom = (gravity.rows - 1) * gravity.cols;
+    expect(rules.resolveMovePosition(rules.emptyBoard(gravity), { position: 3 }, gravity)).toBe(bottom + 3);
+    expect(rules.resolveMovePosition(rules.emptyBoard(gravity), { position: gravity.cols + 3 }, gravity)).toBe(bottom + 3);
+    expect(() => rules.resolveMovePosition(rules.emptyBoard(gravity), { position: gravity.cells }, gravity))
+      .toThrow(expect.objectContaining({ code: 'INVALID_POSITION' }));
+  });
+
+  test('resolveMovePosition names column when neither field is usable', () => {
+    expect(() => rules.resolveMovePosition(rules.emptyBoard(gravity), {}, gravity)).toThrow(/column must be/);
+  });
+
+  test('resolveMovePosition reports a full column', () => {
+    const cells = {};
+    for (let r = 0; r < gravity.rows; r++) cells[r * gravity.cols] = r % 2 ? 'X' : 'O';
+    const board = boardWith(gravity, cells);
+    expect(() => rules.resolveMovePosition(board, { column: 0 }, gravity))
+      .toThrow(expect.objectContaining({ code: 'COLUMN_FULL' }));
+  });
+
+  test('applyMove rejects floating pieces', () => {
+    expect(() => rules.applyMove(rules.emptyBoard(gravity), 0, 'X', gravity))
+      .toThrow(expect.objectContaining({ code: 'NOT_LANDING_CELL' }));
+  });
+
+  test('isBoardConsistent spots a piece above an empty cell', () => {
+    expect(rules.isBoardConsistent(boardWith(gravity, { 0: 'X' }), gravity)).toBe(false);
+    expect(rules.isBoardConsistent(boardWith(classic, { 0: 'X' }), classic)).toBe(true);
+  });
+});
+
+describe('applyMove', () => {
+  test('places a symbol and rejects occupied or out-of-range cells', () => {
+    const board = rules.applyMove(rules.emptyBoard(classic), 5, 'X', classic);
+    expect(board[5]).toBe('X');
+    expect(() => rules.applyMove(board, 5, 'O', classic)).toThrow(expect.objectContaining({ code: 'POSITION_TAKEN' }));
+    expect(() => rules.applyMove(board, 36, 'O', classic)).toThrow(expect.objectContaining({ code: 'INVALID_POSITION' }));
+  });
+});
@@ -0,0 +1,79 @@
+// lib/invites.js
+// Join codes, shareable links and QR images for private (invite-only) matches.
+// Codes use an alphabet without look-alike characters (0/O, 1/I/L) so they can be read out loud.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const INVITE_TTL_MS = Number(process.env.MATCH_INVITE_TTL_MS || 10 * 60 * 1000);
+
+function generateJoinCode(length = JOIN_CODE_LENGTH) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  return out;
+}
+
+/* Upper-case and strip separators so "abc-def" matches "ABCDEF" */
+function normalizeJoinCode(input) {
+  return String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/* Constant-time comparison of a submitted code against the stored one */
+function joinCodeMatches(submitted, stored) {
+  const a = Buffer.from(normalizeJoinCode(submitted));
+  const b = Buffer.from(normalizeJoinCode(stored));
+  if (!a.length || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+/*
+ * Whether a user may see a match: public matches are open to everyone, private ones only to their
+ * two players - or, while the match is still waiting, to an invitee presenting the join code
+ */
+function canViewMatch(match, userId, code = null) {
+  if (!match) return false;
+  if (!Number(match.is_private)) return true;
+  if (userId != null && (String(userId) === String(match.creator_id) || String(userId) === String(match.opponent_id))) return true;
+  return match.status === 'waiting' && !!code && joinCodeMatches(code, match.join_code);
+}
+
+/* Public base for links: INVITE_LINK_BASE, else the first FRONTEND_ORIGIN, else a relative link */
+function linkBase() {
+  const explicit = (process.env.INVITE_LINK_BASE || '').trim();
+  if (explicit) return explicit.replace(/\/+$/, '');
+  const origin = (process.env.FRONTEND_ORIGIN || process.env.CORS_ORIGIN || '').split(',').map(s => s.trim()).filter(Boolean)[0];
+  return origin ? origin.replace(/\/+$/, '') : '';
+}
+
+function buildInviteLink(matchId, code) {
+  return `${linkBase()}/matches/${encodeURIComponent(matchId)}/join?code=${encodeURIComponent(code)}`;
+}
+
+/**
+ * buildInvitePayload(match)
+ * - { code, link, qr (PNG data URL), expires_at } for the creator of a private match
+ */
+async function buildInvitePayload(match) {
+  const link = buildInviteLink(match.id, match.join_code);
+  const qr = await QRCode.toDataURL(link, { errorCorrectionLevel: 'M', margin: 1, width: 256 });
+  return { code: match.join_code, link, qr, expires_at: match.expires_at || null };
+}
+
+/* Raw PNG of the invite link, for <img src> embedding */
+function inviteQrPng(match) {
+  return QRCode.toBuffer(buildInviteLink(match.id, match.join_code), { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 256 });
+}
+
+module.exports = {
+  JOIN_CODE_LENGTH,
+  INVITE_TTL_MS,
+  generateJoinCode,
+  normalizeJoinCode,
+  joinCodeMatches,
+  canViewMatch,
+  buildInviteLink,
+  buildInvitePayload,
+  inviteQrPng
+};
@@ -0,0 +1,38 @@
+// lib/invites.test.js
+const invites = require('./invites');
+
+describe('join codes', () => {
+  test('use the unambiguous alphabet at the default length', () => {
+    const code = invites.generateJoinCode();
+    expect(code).toHaveLength(invites.JOIN_CODE_LENGTH);
+    expect(code).not.toMatch(/[01ILO]/);
+  });
+
+  test('match regardless of case and separators', () => {
+    expect(invites.joinCodeMatches('abc-def', 'ABCDEF')).toBe(true);
+    expect(invites.joinCodeMatches('ABCDEG', 'ABCDEF')).toBe(false);
+    expect(invites.joinCodeMatches('', '')).toBe(false);
+  });
+});
+
+describe('canViewMatch', () => {
+  const privateMatch = { id: 7, is_private: 1, creator_id: 1, opponent_id: 2, status: 'playing', join_code: 'ABCDEF' };
+
+  test('public matches are visible to anyone', () => {
+    expect(invites.canViewMatch({ ...privateMatch, is_private: 0 }, null)).toBe(true);
+  });
+
+  test('private matches are visible to their players only', () => {
+    expect(invites.canViewMatch(privateMatch, 1)).toBe(true);
+    expect(invites.canViewMatch(privateMatch, '2')).toBe(true);
+    expect(invites.canViewMatch(privateMatch, 3)).toBe(false);
+    expect(invites.canViewMatch(privateMatch, null)).toBe(false);
+  });
+
+  test('the join code only opens a match that is still waiting', () => {
+    const waiting = { ...privateMatch, opponent_id: null, status: 'waiting' };
+    expect(invites.canViewMatch(waiting, 3, 'abcdef')).toBe(true);
+    expect(invites.canViewMatch(waiting, 3, 'WRONG1')).toBe(false);
+    expect(invites.canViewMatch(privateMatch, 3, 'ABCDEF')).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+// lib/matchEvents.js
+// In-process event bus for match lifecycle changes. Writers (game controller, simulator, settlement)
+// emit after their transaction commits; readers such as the spectator stream and the lobby feed subscribe.
+// Single-process only, like the match timers; use a shared broker for multi-instance deployments.
+
+const { EventEmitter } = require('events');
+
+const MATCH_EVENTS = Object.freeze({
+  CREATED: 'match:created',
+  STARTED: 'match:started',
+  CANCELLED: 'match:cancelled',
+  MOVE: 'match:move',
+  FINISHED: 'match:finished'
+});
+
+const matchEvents = new EventEmitter();
+matchEvents.setMaxListeners(50);
+
+/**
+ * emitMatchEvent(event, payload)
+ * - payload always carries matchId
+ * - listener errors are logged, never thrown back into the game flow
+ */
+function emitMatchEvent(event, payload = {}) {
+  try {
+    matchEvents.emit(event, payload);
+  } catch (err) {
+    console.error('[matchEvents] listener error', event, err && err.stack ? err.stack : err);
+  }
+}
+
+module.exports = {
+  MATCH_EVENTS,
+  matchEvents,
+  emitMatchEvent
+};
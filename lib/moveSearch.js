@@ -0,0 +1,426 @@
+// lib/moveSearch.js
+// Bot move choosers, one per difficulty tier (see lib/botTiers). Pure functions over a board string,
+// with no database access, so they can run on the main thread or inside a worker (services/moveWorker).
+// The depth_limited and perfect tiers share one alpha-beta search that stops after budgetMs;
+// the perfect tier plays from the opening book (lib/openingBook) while the position is in it.
+// `npm run bench:engine` reports search speed against the previous engine.
+
+const gameRules = require('./gameRules');
+const botTiers = require('./botTiers');
+const boardSymmetry = require('./boardSymmetry');
+const openingBook = require('./openingBook');
+
+const DEFAULT_CONFIG = gameRules.normalizeConfig();
+// wall-time budget for one search; the per-turn timeout is 15s, so this leaves a wide margin
+const DEFAULT_BUDGET_MS = Number(process.env.BOT_MOVE_BUDGET_MS || 1200);
+const MAX_SEARCH_DEPTH = Number(process.env.BOT_MAX_SEARCH_DEPTH || 16);
+
+/* Playable cells; for gravity matches only the landing cell of each open column */
+function availableMoves(boardArr, cfg = DEFAULT_CONFIG) {
+  return gameRules.legalMoves(boardArr, cfg);
+}
+
+function findImmediateWin(boardArr, symbol, cfg = DEFAULT_CONFIG) {
+  for (const line of gameRules.getLines(cfg)) {
+    const vals = line.map(idx => boardArr[idx]);
+    const countSym = vals.filter(v => v === symbol).length;
+    const countEmpty = vals.filter(v => v === '_').length;
+    if (countSym === cfg.winLength - 1 && countEmpty === 1) {
+      const idx = line.find(i => boardArr[i] === '_');
+      // in gravity the gap only counts once a piece can actually land there
+      if (gameRules.isLegalMove(boardArr, idx, cfg)) return idx;
+    }
+  }
+  return -1;
+}
+
+/* Distance of a cell from the board centre */
+function centerDistance(i, cfg) {
+  const r = Math.floor(i / cfg.cols);
+  const c = i % cfg.cols;
+  return Math.hypot(r - (cfg.rows - 1) / 2, c - (cfg.cols - 1) / 2);
+}
+
+/* Heuristic move chooser */
+function chooseMoveHeuristic(boardStr, botSym, cfg = DEFAULT_CONFIG) {
+  const board = gameRules.normalizeBoard(boardStr, cfg).split('');
+  const opp = gameRules.otherSymbol(botSym);
+
+  const win = findImmediateWin(board, botSym, cfg);
+  if (win >= 0) return win;
+
+  const block = findImmediateWin(board, opp, cfg);
+  if (block >= 0) return block;
+
+  const avail = availableMoves(board, cfg);
+  const scored = avail.map(i => ({ i, score: -centerDistance(i, cfg) }));
+  scored.sort((a, b) => b.score - a.score);
+  if (scored.length) {
+    const top = Math.max(1, Math.min(6, scored.length));
+    return scored[Math.floor(Math.random() * top)].i;
+  }
+
+  if (avail.length === 0) return -1;
+  return avail[Math.floor(Math.random() * avail.length)];
+}
+
+/* Search engine for the depth_limited and perfect tiers: alpha-beta minimax with iterative deepening
+   over a transposition table. Positions are Zobrist-hashed under every board symmetry at once and the
+   smallest hash is the table key, so rotated and mirrored positions share one entry. Hashes, win checks
+   and the board itself are updated in place as moves are made and unmade. */
+
+const WIN_SCORE = 1e9;
+const TT_MAX_ENTRIES = Number(process.env.BOT_TT_MAX_ENTRIES || 200000);
+const TT_EXACT = 0;
+const TT_LOWER = 1;
+const TT_UPPER = 2;
+// the clock is read once per this many nodes (a power of two, minus one)
+const CLOCK_MASK = 255;
+
+/* Two 32-bit Zobrist keys per (cell, symbol) from a fixed-seed PRNG, so hashes are reproducible */
+function zobristKeys(count, seed) {
+  let s = seed >>> 0;
+  const keys = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    s = (s + 0x6d2b79f5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    keys[i] = t ^ (t >>> 14);
+  }
+  return keys;
+}
+
+const ZOBRIST_SLOTS = gameRules.MAX_DIMENSION * gameRules.MAX_DIMENSION * 2;
+const ZOBRIST_HI = zobristKeys(ZOBRIST_SLOTS, 0x9e3779b9);
+const ZOBRIST_LO = zobristKeys(ZOBRIST_SLOTS, 0x85ebca6b);
+
+// per-geometry lookups: lines through each cell, centre distances and symmetries
+const geometryCache = new Map();
+
+function geometry(cfg) {
+  const key = `${cfg.key}:${cfg.gameType}`;
+  const cached = geometryCache.get(key);
+  if (cached) return cached;
+
+  const lines = gameRules.getLines(cfg);
+  const cellLines = Array.from({ length: cfg.cells }, () => []);
+  for (const line of lines) for (const idx of line) cellLines[idx].push(line);
+  const centre = new Float64Array(cfg.cells);
+  for (let i = 0; i < cfg.cells; i++) centre[i] = centerDistance(i, cfg);
+
+  const geo = { lines, cellLines, centre, syms: boardSymmetry.symmetries(cfg) };
+  geometryCache.set(key, geo);
+  return geo;
+}
+
+/* Evaluate board for botSym. Positive = good for botSym, negative = good for opponent. */
+function evaluateBoard(boardArr, botSym, cfg = DEFAULT_CONFIG, geo = geometry(cfg)) {
+  const opp = gameRules.otherSymbol(botSym);
+  const winLen = cfg.winLength;
+
+  // Score by cells held in a line: full line 1000000, one short 1000, a pair 50, a single 1
+  // (longer partial runs on bigger win lengths grow from the pair score)
+  const scoreFor = (count) => {
+    if (count >= winLen) return 1000000;
+    if (count === winLen - 1) return 1000;
+    if (count <= 1) return count;
+    return 50 * Math.pow(5, count - 2);
+  };
+
+  let score = 0;
+
+  for (const line of geo.lines) {
+    let countBot = 0;
+    let countOpp = 0;
+    for (let k = 0; k < line.length; k++) {
+      const v = boardArr[line[k]];
+      if (v === botSym) countBot++;
+      else if (v === opp) countOpp++;
+    }
+    const countEmpty = line.length - countBot - countOpp;
+
+    if (countBot > 0 && countOpp > 0) {
+      if (countBot === winLen - 1 && countEmpty === 1) score += scoreFor(winLen - 1) * 0.9;
+      if (countOpp === winLen - 1 && countEmpty === 1) score -= scoreFor(winLen - 1) * 1.2;
+      continue;
+    }
+
+    if (countBot > 0) {
+      score += scoreFor(countBot);
+    }
+
+    if (countOpp > 0) {
+      score -= scoreFor(countOpp) * 1.2;
+    }
+  }
+
+  // slight center control bonus
+  for (let i = 0; i < boardArr.length; i++) {
+    if (boardArr[i] === botSym) {
+      score += Math.max(0, 3 - geo.centre[i]) * 0.5;
+    }
+    if (boardArr[i] !== '_' && boardArr[i] !== botSym) {
+      score -= Math.max(0, 3 - geo.centre[i]) * 0.6;
+    }
+  }
+
+  return score;
+}
+
+/* Would `symbol` on cell idx complete a line? Only the lines through idx can change. */
+function winsAt(boardArr, idx, symbol, geo) {
+  for (const line of geo.cellLines[idx]) {
+    let full = true;
+    for (let k = 0; k < line.length; k++) {
+      const cell = line[k];
+      if (cell !== idx && boardArr[cell] !== symbol) { full = false; break; }
+    }
+    if (full) return true;
+  }
+  return false;
+}
+
+/* Search state for one root position: the board being searched, its symmetric hashes and the table */
+function createSearch(boardArr, botSym, cfg, budgetMs) {
+  const geo = geometry(cfg);
+  const search = {
+    board: boardArr,
+    botSym,
+    opp: gameRules.otherSymbol(botSym),
+    cfg,
+    geo,
+    start: Date.now(),
+    budgetMs,
+    timedOut: false,
+    nodes: 0,
+    empties: 0,
+    bestMove: -1,
+    hashHi: new Int32Array(geo.syms.length),
+    hashLo: new Int32Array(geo.syms.length),
+    table: new Map(),
+    keySym: 0
+  };
+  for (let i = 0; i < boardArr.length; i++) {
+    if (boardArr[i] === '_') search.empties++;
+    else toggleHash(search, i, boardArr[i]);
+  }
+  return search;
+}
+
+function toggleHash(search, cell, symbol) {
+  const piece = symbol === 'X' ? 0 : 1;
+  const syms = search.geo.syms;
+  for (let s = 0; s < syms.length; s++) {
+    const slot = syms[s].perm[cell] * 2 + piece;
+    search.hashHi[s] ^= ZOBRIST_HI[slot];
+    search.hashLo[s] ^= ZOBRIST_LO[slot];
+  }
+}
+
+/* Smallest hash over the symmetries (52 bits, so it stays an exact Number); sets search.keySym */
+function tableKey(search) {
+  let best = Infinity;
+  for (let s = 0; s < search.hashHi.length; s++) {
+    const key = (search.hashHi[s] >>> 0) * 1048576 + (search.hashLo[s] >>> 12);
+    if (key < best) {
+      best = key;
+      search.keySym = s;
+    }
+  }
+  return best;
+}
+
+function play(search, cell, symbol) {
+  search.board[cell] = symbol;
+  search.empties--;
+  toggleHash(search, cell, symbol);
+}
+
+function unplay(search, cell, symbol) {
+  toggleHash(search, cell, symbol);
+  search.empties++;
+  search.board[cell] = '_';
+}
+
+/* Order moves: the table's best move first, then immediate wins, then blocks, then centrality */
+function orderMoves(search, moves, curSym, hashMove) {
+  const other = gameRules.otherSymbol(curSym);
+  const scored = moves.map(i => {
+    if (i === hashMove) return { i, score: 20000000 };
+    if (winsAt(search.board, i, curSym, search.geo)) return { i, score: 10000000 };
+    if (winsAt(search.board, i, other, search.geo)) return { i, score: 9000000 };
+    return { i, score: -search.geo.centre[i] };
+  });
+  scored.sort((a, b) => b.score - a.score);
+  return scored.map(s => s.i);
+}
+
+/* Minimax with alpha-beta pruning, transposition table and time cutoff.
+   Returns the score for search.botSym; at the root (ply 0) also sets search.bestMove.
+   Once search.timedOut is set the returned scores are meaningless and nothing is stored. */
+function minimax(search, depth, alpha, beta, maximizingPlayer, ply) {
+  search.nodes++;
+  if ((search.nodes & CLOCK_MASK) === 0 && Date.now() - search.start > search.budgetMs) search.timedOut = true;
+  if (search.timedOut) return 0;
+
+  if (depth === 0) return evaluateBoard(search.board, search.botSym, search.cfg, search.geo);
+
+  const key = tableKey(search);
+  const sym = search.geo.syms[search.keySym];
+  const entry = search.table.get(key);
+  let hashMove = -1;
+  if (entry) {
+    if (entry.move >= 0) hashMove = sym.inverse[entry.move];
+    if (entry.depth >= depth && ply > 0) {
+      if (entry.flag === TT_EXACT) return entry.score;
+      if (entry.flag === TT_LOWER) alpha = Math.max(alpha, entry.score);
+      else beta = Math.min(beta, entry.score);
+      if (alpha >= beta) return entry.score;
+    }
+  }
+
+  const alphaOrig = alpha;
+  const betaOrig = beta;
+  const curSym = maximizingPlayer ? search.botSym : search.opp;
+  const ordered = orderMoves(search, availableMoves(search.board, search.cfg), curSym, hashMove);
+
+  let bestMove = -1;
+  let value = maximizingPlayer ? -Infinity : Infinity;
+  for (const m of ordered) {
+    let score;
+    if (winsAt(search.board, m, curSym, search.geo)) {
+      score = maximizingPlayer ? WIN_SCORE : -WIN_SCORE;
+    } else if (search.empties === 1) {
+      score = 0;
+    } else {
+      play(search, m, curSym);
+      score = minimax(search, depth - 1, alpha, beta, !maximizingPlayer, ply + 1);
+      unplay(search, m, curSym);
+      if (search.timedOut) return 0;
+    }
+
+    if (maximizingPlayer ? score > value : score < value) {
+      value = score;
+      bestMove = m;
+    }
+    if (maximizingPlayer) alpha = Math.max(alpha, value);
+    else beta = Math.min(beta, value);
+    if (alpha >= beta) break;
+  }
+
+  if (search.table.size < TT_MAX_ENTRIES || search.table.has(key)) {
+    let flag = TT_EXACT;
+    if (value <= alphaOrig) flag = TT_UPPER;
+    else if (value >= betaOrig) flag = TT_LOWER;
+    search.table.set(key, { depth, flag, score: value, move: bestMove >= 0 ? sym.perm[bestMove] : -1 });
+  }
+  if (ply === 0) search.bestMove = bestMove;
+  return value;
+}
+
+/**
+ * searchWithStats(boardStr, botSym, cfg, options)
+ * - iterative-deepening search up to options.maxDepth plies, bounded by options.budgetMs of wall time
+ * - returns { move, depth, nodes, elapsedMs }; depth is the deepest fully searched iteration
+ *   (0 when an immediate win or block decided the move)
+ */
+function searchWithStats(boardStr, botSym, cfg = DEFAULT_CONFIG, options = {}) {
+  const maxDepthCap = Math.max(1, options.maxDepth || MAX_SEARCH_DEPTH);
+  const budgetMs = typeof options.budgetMs === 'number' ? options.budgetMs : DEFAULT_BUDGET_MS;
+  const board = gameRules.normalizeBoard(boardStr, cfg).split('');
+  const opp = gameRules.otherSymbol(botSym);
+  const start = Date.now();
+  const done = (move, depth = 0, nodes = 0) => ({ move, depth, nodes, elapsedMs: Date.now() - start });
+
+  // immediate win or block
+  const win = findImmediateWin(board, botSym, cfg);
+  if (win >= 0) return done(win);
+  const block = findImmediateWin(board, opp, cfg);
+  if (block >= 0) return done(block);
+
+  const avail = availableMoves(board, cfg);
+  if (avail.length === 0) return done(-1);
+
+  const timeBudgetMs = Math.max(50, budgetMs);
+  const search = createSearch(board, botSym, cfg, timeBudgetMs);
+
+  // Baseline best: choose center-most available
+  let best = avail.slice().sort((a, b) => search.geo.centre[a] - search.geo.centre[b])[0];
+  let reached = 0;
+
+  // Iterative deepening; the table carries move ordering from one iteration to the next
+  for (let depth = 1; depth <= maxDepthCap; depth++) {
+    if (timeBudgetMs - (Date.now() - start) <= 8) break;
+
+    const useDepth = Math.min(depth, search.empties);
+    const score = minimax(search, useDepth, -Infinity, Infinity, true, 0);
+    if (search.timedOut) break;
+    if (search.bestMove >= 0) best = search.bestMove;
+    reached = useDepth;
+    if (score >= 1e8) break; // found forced win
+    if (useDepth >= search.empties) break; // searched to the end of the game
+  }
+
+  return done(best, reached, search.nodes);
+}
+
+/* Best move from an iterative-deepening search up to maxDepthCap plies, bounded by budgetMs of wall time */
+function searchBestMove(boardStr, botSym, cfg = DEFAULT_CONFIG, maxDepthCap = MAX_SEARCH_DEPTH, budgetMs = DEFAULT_BUDGET_MS) {
+  return searchWithStats(boardStr, botSym, cfg, { maxDepth: maxDepthCap, budgetMs }).move;
+}
+
+/* Perfect move chooser: the opening book when it has the position, else a full-depth search on the whole budget */
+function chooseMovePerfect(boardStr, botSym, cfg = DEFAULT_CONFIG, budgetMs = DEFAULT_BUDGET_MS) {
+  const booked = openingBook.lookup(boardStr, cfg);
+  if (booked >= 0) return booked;
+  return searchBestMove(boardStr, botSym, cfg, MAX_SEARCH_DEPTH, budgetMs);
+}
+
+/* Depth-limited chooser: same search, stopped after `depth` plies */
+function chooseMoveDepthLimited(boardStr, botSym, cfg = DEFAULT_CONFIG, depth = botTiers.DEPTH_LIMIT, budgetMs = DEFAULT_BUDGET_MS) {
+  return searchBestMove(boardStr, botSym, cfg, Math.max(1, depth), budgetMs);
+}
+
+/* Any legal move */
+function chooseMoveRandom(boardStr, botSym, cfg = DEFAULT_CONFIG) {
+  const avail = availableMoves(gameRules.normalizeBoard(boardStr, cfg).split(''), cfg);
+  if (avail.length === 0) return -1;
+  return avail[Math.floor(Math.random() * avail.length)];
+}
+
+/* Tiers whose move needs a search; the others are cheap enough for the main thread */
+function isSearchTier(tier) {
+  return tier !== 'random' && tier !== 'heuristic';
+}
+
+/**
+ * chooseMoveForTier(tier, boardStr, botSym, cfg, options)
+ * - options.mistakeRate: chance of playing a random legal move instead (defaults to the tier's configured rate)
+ * - options.budgetMs: search budget for the depth_limited / perfect tiers
+ * - unknown tiers play as perfect
+ */
+function chooseMoveForTier(tier, boardStr, botSym, cfg = DEFAULT_CONFIG, options = {}) {
+  const rate = typeof options.mistakeRate === 'number' ? options.mistakeRate : botTiers.mistakeRate(tier);
+  if (rate > 0 && Math.random() < rate) return chooseMoveRandom(boardStr, botSym, cfg);
+  const budgetMs = typeof options.budgetMs === 'number' ? options.budgetMs : DEFAULT_BUDGET_MS;
+  if (tier === 'random') return chooseMoveRandom(boardStr, botSym, cfg);
+  if (tier === 'heuristic') return chooseMoveHeuristic(boardStr, botSym, cfg);
+  if (tier === 'depth_limited') return chooseMoveDepthLimited(boardStr, botSym, cfg, botTiers.DEPTH_LIMIT, budgetMs);
+  return chooseMovePerfect(boardStr, botSym, cfg, budgetMs);
+}
+
+module.exports = {
+  DEFAULT_BUDGET_MS,
+  MAX_SEARCH_DEPTH,
+  availableMoves,
+  findImmediateWin,
+  evaluateBoard,
+  searchWithStats,
+  searchBestMove,
+  isSearchTier,
+  chooseMoveHeuristic,
+  chooseMoveRandom,
+  chooseMoveDepthLimited,
+  chooseMovePerfect,
+  chooseMoveForTier
+};
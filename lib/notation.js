@@ -0,0 +1,225 @@
+// lib/notation.js
+// Portable text notation for match records, modelled on chess PGN: a block of [Tag "value"] headers
+// followed by numbered move pairs and a result token, e.g.
+//
+//   [X "Alice"]
+//   [O "Bob"]
+//   [Board "6x6"]
+//   [WinLength "4"]
+//   [Result "1-0"]
+//
+//   1. c1 d1 2. c2 d2 3. c3 d3 4. c4 1-0
+//
+// Squares are a column letter (a = left) and a rank counted from the bottom row (1), so gravity
+// games read naturally as column drops. Replays go through lib/gameRules so the notation can never
+// accept a game the server would not.
+
+const gameRules = require('./gameRules');
+
+const RESULTS = Object.freeze({ X: '1-0', O: '0-1', DRAW: '1/2-1/2', UNKNOWN: '*' });
+// XType / OType follow PGN's WhiteType / BlackType: 'human' or 'program' (bot seat)
+const TAG_ORDER = ['Event', 'Date', 'MatchId', 'X', 'O', 'XType', 'OType', 'GameType', 'Board', 'WinLength', 'Stake', 'StakeMultiplier', 'TimeControl', 'Result', 'Termination'];
+const COLUMN_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+function positionToSquare(position, cfg) {
+  const row = Math.floor(position / cfg.cols);
+  const col = position % cfg.cols;
+  return `${COLUMN_LETTERS[col]}${cfg.rows - row}`;
+}
+
+/* Board index for a square like "c4", or -1 when it is off the board */
+function squareToPosition(square, cfg) {
+  const m = String(square || '').trim().toLowerCase().match(/^([a-z])(\d{1,2})$/);
+  if (!m) return -1;
+  const col = COLUMN_LETTERS.indexOf(m[1]);
+  const rank = Number(m[2]);
+  if (col >= cfg.cols || rank < 1 || rank > cfg.rows) return -1;
+  return (cfg.rows - rank) * cfg.cols + col;
+}
+
+/* 'creator' / 'opponent' / 'draw' winner column to a result token */
+function resultFromWinner(winner) {
+  const w = String(winner || '').toLowerCase();
+  if (w === 'creator' || w === 'x') return RESULTS.X;
+  if (w === 'opponent' || w === 'o') return RESULTS.O;
+  if (w === 'draw') return RESULTS.DRAW;
+  return RESULTS.UNKNOWN;
+}
+
+/* Result implied by the board alone, or null when the game did not end on the board */
+function boardResult(board, cfg) {
+  const check = gameRules.checkWinner(board, cfg);
+  if (check.winner) return RESULTS[check.winner];
+  if (check.isDraw) return RESULTS.DRAW;
+  return null;
+}
+
+function escapeTag(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * formatNotation(headers, moves, cfg)
+ * - headers: { Tag: value }, written in TAG_ORDER first and then any extras
+ * - moves: ordered [{ position }] (matchModel.getMoves rows); X always moves first
+ */
+function formatNotation(headers, moves, cfg) {
+  const tags = [...TAG_ORDER.filter(t => t in headers), ...Object.keys(headers).filter(t => !TAG_ORDER.includes(t))];
+  const lines = tags.map(t => `[${t} "${escapeTag(headers[t])}"]`);
+
+  const tokens = [];
+  moves.forEach((mv, i) => {
+    if (i % 2 === 0) tokens.push(`${i / 2 + 1}.`);
+    tokens.push(positionToSquare(Number(mv.position), cfg));
+  });
+  tokens.push(headers.Result || RESULTS.UNKNOWN);
+
+  // wrap move text at 80 columns like PGN exporters do
+  const body = [];
+  let line = '';
+  for (const tok of tokens) {
+    if (line && line.length + 1 + tok.length > 80) { body.push(line); line = tok; } else { line = line ? `${line} ${tok}` : tok; }
+  }
+  if (line) body.push(line);
+
+  return `${lines.join('\n')}\n\n${body.join('\n')}\n`;
+}
+
+/**
+ * parseNotation(text)
+ * - returns { headers, squares, result } ; squares are the raw move tokens in order
+ * - throws with .code = 'PARSE_ERROR' on malformed input
+ */
+function parseNotation(text) {
+  const src = String(text || '').replace(/\r\n?/g, '\n');
+  if (!src.trim()) {
+    const err = new Error('Notation is empty');
+    err.code = 'PARSE_ERROR';
+    throw err;
+  }
+
+  const headers = {};
+  const moveLines = [];
+  for (const raw of src.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('[')) {
+      const m = line.match(/^\[([A-Za-z][A-Za-z0-9_]*)\s+"((?:[^"\\]|\\.)*)"\]$/);
+      if (!m) {
+        const err = new Error(`Malformed header line: ${line.slice(0, 60)}`);
+        err.code = 'PARSE_ERROR';
+        throw err;
+      }
+      headers[m[1]] = m[2].replace(/\\(.)/g, '$1');
+      continue;
+    }
+    moveLines.push(line);
+  }
+
+  // drop {comments} and move numbers, keep squares and the trailing result token
+  const tokens = moveLines.join(' ').replace(/\{[^}]*\}/g, ' ').split(/\s+/).filter(Boolean);
+  const squares = [];
+  let result = null;
+  for (const tok of tokens) {
+    if (/^\d+\.+$/.test(tok)) continue;
+    if (Object.values(RESULTS).includes(tok)) { result = tok; continue; }
+    const m = tok.match(/^(?:\d+\.+)?([a-zA-Z]\d{1,2})$/);
+    if (!m) {
+      const err = new Error(`Unrecognised move token: ${tok.slice(0, 20)}`);
+      err.code = 'PARSE_ERROR';
+      throw err;
+    }
+    squares.push(m[1].toLowerCase());
+  }
+
+  return { headers, squares, result: result || headers.Result || RESULTS.UNKNOWN };
+}
+
+/**
+ * replayNotation(text)
+ * - parses and replays every move through gameRules.applyMove, X first
+ * - returns { valid, errors, warnings, headers, config, moves, board, result, computed_result }
+ * - never throws for bad input; problems are reported in errors
+ */
+function replayNotation(text) {
+  const errors = [];
+  const warnings = [];
+  let parsed;
+  try {
+    parsed = parseNotation(text);
+  } catch (e) {
+    return { valid: false, errors: [e.message], warnings, headers: {}, config: null, moves: [], board: null, result: null, computed_result: null };
+  }
+  const { headers, squares, result } = parsed;
+
+  let cfg;
+  try {
+    const dims = String(headers.Board || `${gameRules.DEFAULT_ROWS}x${gameRules.DEFAULT_COLS}`).toLowerCase().match(/^(\d+)x(\d+)$/);
+    if (!dims) throw new Error('Board header must look like "6x6" (rows x cols)');
+    cfg = gameRules.normalizeConfig({
+      rows: Number(dims[1]),
+      cols: Number(dims[2]),
+      winLength: headers.WinLength !== undefined ? Number(headers.WinLength) : gameRules.DEFAULT_WIN_LENGTH,
+      gameType: headers.GameType || gameRules.DEFAULT_GAME_TYPE
+    });
+  } catch (e) {
+    return { valid: false, errors: [e.message], warnings, headers, config: null, moves: [], board: null, result, computed_result: null };
+  }
+
+  let board = gameRules.emptyBoard(cfg);
+  const moves = [];
+  let computed = null;
+  for (let i = 0; i < squares.length; i++) {
+    const symbol = i % 2 === 0 ? 'X' : 'O';
+    const ply = i + 1;
+    if (computed) {
+      errors.push(`Move ${ply} (${squares[i]}) played after the game ended`);
+      break;
+    }
+    const position = squareToPosition(squares[i], cfg);
+    if (position < 0) {
+      errors.push(`Move ${ply} (${squares[i]}) is off the ${cfg.rows}x${cfg.cols} board`);
+      break;
+    }
+    try {
+      board = gameRules.applyMove(board, position, symbol, cfg);
+    } catch (e) {
+      errors.push(`Move ${ply} (${squares[i]}) is illegal: ${e.message}`);
+      break;
+    }
+    moves.push({ ply, symbol, square: squares[i], position });
+    computed = boardResult(board, cfg);
+  }
+
+  if (!errors.length) {
+    const termination = String(headers.Termination || '').toLowerCase();
+    if (computed && result !== RESULTS.UNKNOWN && result !== computed) {
+      errors.push(`Result ${result} does not match the final position (${computed})`);
+    } else if (!computed && result !== RESULTS.UNKNOWN && (!termination || termination === 'normal')) {
+      warnings.push(`Result ${result} is not decided on the board; add a Termination header (resign, draw_agreed, time_forfeit...)`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    headers,
+    config: { rows: cfg.rows, cols: cfg.cols, win_length: cfg.winLength, game_type: cfg.gameType },
+    moves,
+    board,
+    result,
+    computed_result: computed
+  };
+}
+
+module.exports = {
+  RESULTS,
+  positionToSquare,
+  squareToPosition,
+  resultFromWinner,
+  boardResult,
+  formatNotation,
+  parseNotation,
+  replayNotation
+};
@@ -0,0 +1,87 @@
+// lib/notation.test.js
+const gameRules = require('./gameRules');
+const notation = require('./notation');
+
+const cfg = gameRules.normalizeConfig();
+const WIN_FOR_X = ['a1', 'a2', 'b1', 'b2', 'c1', 'c2', 'd1'];
+
+function record(squares, headers = {}) {
+  const moves = squares.map(sq => ({ position: notation.squareToPosition(sq, cfg) }));
+  return notation.formatNotation({ X: 'Alice', O: 'Bob', Board: '6x6', WinLength: 4, ...headers }, moves, cfg);
+}
+
+describe('squares', () => {
+  test('ranks count from the bottom row', () => {
+    expect(notation.positionToSquare(30, cfg)).toBe('a1');
+    expect(notation.positionToSquare(5, cfg)).toBe('f6');
+    expect(notation.squareToPosition('c1', cfg)).toBe(32);
+  });
+
+  test('round-trips every cell and rejects squares off the board', () => {
+    for (let p = 0; p < cfg.cells; p++) expect(notation.squareToPosition(notation.positionToSquare(p, cfg), cfg)).toBe(p);
+    expect(notation.squareToPosition('g1', cfg)).toBe(-1);
+    expect(notation.squareToPosition('a7', cfg)).toBe(-1);
+    expect(notation.squareToPosition('zz', cfg)).toBe(-1);
+  });
+});
+
+describe('resultFromWinner', () => {
+  test('maps the winner column to a result token', () => {
+    expect(notation.resultFromWinner('creator')).toBe('1-0');
+    expect(notation.resultFromWinner('opponent')).toBe('0-1');
+    expect(notation.resultFromWinner('draw')).toBe('1/2-1/2');
+    expect(notation.resultFromWinner(null)).toBe('*');
+  });
+});
+
+describe('formatNotation / parseNotation', () => {
+  test('writes tags in order and numbers the move pairs', () => {
+    const text = record(WIN_FOR_X, { Result: '1-0', Custom: 'x"y' });
+    expect(text.split('\n').slice(0, 6)).toEqual([
+      '[X "Alice"]', '[O "Bob"]', '[Board "6x6"]', '[WinLength "4"]', '[Result "1-0"]', '[Custom "x\\"y"]'
+    ]);
+    expect(text).toContain('1. a1 a2 2. b1 b2 3. c1 c2 4. d1 1-0');
+  });
+
+  test('parses back headers, squares and the result', () => {
+    const parsed = notation.parseNotation(record(WIN_FOR_X, { Result: '1-0', Custom: 'x"y' }));
+    expect(parsed.headers.Custom).toBe('x"y');
+    expect(parsed.squares).toEqual(WIN_FOR_X);
+    expect(parsed.result).toBe('1-0');
+  });
+
+  test('ignores comments and reports malformed input', () => {
+    expect(notation.parseNotation('1. a1 {opening} a2 *').squares).toEqual(['a1', 'a2']);
+    expect(() => notation.parseNotation('')).toThrow(expect.objectContaining({ code: 'PARSE_ERROR' }));
+    expect(() => notation.parseNotation('[Bad tag]')).toThrow(expect.objectContaining({ code: 'PARSE_ERROR' }));
+    expect(() => notation.parseNotation('1. a1 ??')).toThrow(expect.objectContaining({ code: 'PARSE_ERROR' }));
+  });
+});
+
+describe('replayNotation', () => {
+  test('accepts a finished game and computes its result', () => {
+    const out = notation.replayNotation(record(WIN_FOR_X, { Result: '1-0' }));
+    expect(out.valid).toBe(true);
+    expect(out.computed_result).toBe('1-0');
+    expect(out.moves).toHaveLength(WIN_FOR_X.length);
+  });
+
+  test('rejects a result that contradicts the board', () => {
+    const out = notation.replayNotation(record(WIN_FOR_X, { Result: '0-1' }));
+    expect(out.valid).toBe(false);
+    expect(out.errors[0]).toMatch(/does not match/);
+  });
+
+  test('rejects moves after the end, occupied squares and bad boards', () => {
+    expect(notation.replayNotation(record([...WIN_FOR_X, 'e1'])).errors[0]).toMatch(/after the game ended/);
+    expect(notation.replayNotation(record(['a1', 'a1'])).errors[0]).toMatch(/illegal/);
+    expect(notation.replayNotation('[Board "big"]\n\n*').valid).toBe(false);
+  });
+
+  test('warns when a decisive result is not on the board and no termination is given', () => {
+    const out = notation.replayNotation(record(['a1', 'a2'], { Result: '0-1' }));
+    expect(out.valid).toBe(true);
+    expect(out.warnings).toHaveLength(1);
+    expect(notation.replayNotation(record(['a1', 'a2'], { Result: '0-1', Termination: 'resign' })).warnings).toHaveLength(0);
+  });
+});
@@ -0,0 +1,52 @@
+// lib/openingBook.js
+// Precomputed opening moves for the perfect tier. The book is generated offline by
+// scripts/buildOpeningBook.js with a much longer search budget than a live move gets, and
+// stored in lib/openingBook.json as
+//   { "<rows>x<cols>:<winLength>:<gameType>": { "<canonical board>": <canonical cell> } }
+// Boards are canonicalised under the board's symmetries (lib/boardSymmetry), so one entry
+// covers every rotation/reflection of a position. X always moves first, so the side to move
+// follows from the board itself.
+
+const gameRules = require('./gameRules');
+const boardSymmetry = require('./boardSymmetry');
+
+let book = null;
+
+function loadBook() {
+  if (book) return book;
+  try {
+    book = require('./openingBook.json');
+  } catch (err) {
+    console.warn('[openingBook] book not loaded', err && err.message ? err.message : err);
+    book = {};
+  }
+  return book;
+}
+
+function bookKey(cfg) {
+  return `${cfg.key}:${cfg.gameType}`;
+}
+
+/* Book move for the side to move on boardStr, or -1 when the position is not in the book */
+function lookup(boardStr, cfg) {
+  const entries = loadBook()[bookKey(cfg)];
+  if (!entries) return -1;
+  const { board, sym } = boardSymmetry.canonicalBoard(boardStr, cfg);
+  const move = entries[board];
+  if (!Number.isInteger(move)) return -1;
+  const pos = sym.inverse[move];
+  return gameRules.isLegalMove(gameRules.normalizeBoard(boardStr, cfg), pos, cfg) ? pos : -1;
+}
+
+/* Number of positions stored per configuration */
+function summary() {
+  const out = {};
+  for (const [key, entries] of Object.entries(loadBook())) out[key] = Object.keys(entries).length;
+  return out;
+}
+
+module.exports = {
+  bookKey,
+  lookup,
+  summary
+};
@@ -0,0 +1,79 @@
+// lib/rating.js
+// Glicko-1 player ratings. Every settled human-vs-human match is one rating period for both players:
+// their deviation first grows with the time since their last rated game, then both are updated
+// against each other's pre-match rating. Bot matches are not rated.
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const MIN_DEVIATION = Number(process.env.RATING_MIN_DEVIATION || 30);
+// deviation growth per idle period; 34.6 takes a settled 50 back to 350 after ~100 idle periods
+const DEVIATION_GROWTH = Number(process.env.RATING_DEVIATION_GROWTH || 34.6);
+const PERIOD_MS = Number(process.env.RATING_PERIOD_MS || 24 * 60 * 60 * 1000);
+
+const Q = Math.log(10) / 400;
+
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+function expectedScore(rating, opponentRating, opponentRd) {
+  return 1 / (1 + Math.pow(10, (-g(opponentRd) * (rating - opponentRating)) / 400));
+}
+
+/* Deviation after idling since lastRatedAt (null = never rated, already at the default) */
+function inflateDeviation(rd, lastRatedAt, now = Date.now()) {
+  const base = Number(rd || DEFAULT_DEVIATION);
+  if (!lastRatedAt) return Math.min(DEFAULT_DEVIATION, base);
+  const last = lastRatedAt instanceof Date ? lastRatedAt.getTime() : new Date(lastRatedAt).getTime();
+  const periods = Number.isFinite(last) ? Math.max(0, (now - last) / PERIOD_MS) : 0;
+  return Math.min(DEFAULT_DEVIATION, Math.sqrt(base * base + DEVIATION_GROWTH * DEVIATION_GROWTH * periods));
+}
+
+/**
+ * updateRating(player, opponent, score)
+ * - player / opponent: { rating, rd } with rd already inflated for idle time
+ * - score: 1 win, 0.5 draw, 0 loss (from player's side)
+ * - returns { rating, rd } rounded to 2 decimals
+ */
+function updateRating(player, opponent, score) {
+  const r = Number(player.rating);
+  const rd = Number(player.rd);
+  const gj = g(Number(opponent.rd));
+  const e = expectedScore(r, Number(opponent.rating), Number(opponent.rd));
+  const dSquaredInv = Q * Q * gj * gj * e * (1 - e);
+  const denom = 1 / (rd * rd) + dSquaredInv;
+  const rating = r + (Q / denom) * gj * (score - e);
+  const newRd = Math.max(MIN_DEVIATION, Math.sqrt(1 / denom));
+  return { rating: Number(rating.toFixed(2)), rd: Number(newRd.toFixed(2)) };
+}
+
+/* Both sides of one rated game; creatorScore is 1 / 0.5 / 0 for X */
+function rateGame(creator, opponent, creatorScore, now = Date.now()) {
+  const x = { rating: Number(creator.rating || DEFAULT_RATING), rd: inflateDeviation(creator.rating_deviation, creator.rating_updated_at, now) };
+  const o = { rating: Number(opponent.rating || DEFAULT_RATING), rd: inflateDeviation(opponent.rating_deviation, opponent.rating_updated_at, now) };
+  return {
+    creator: { before: x, after: updateRating(x, o, creatorScore) },
+    opponent: { before: o, after: updateRating(o, x, 1 - creatorScore) }
+  };
+}
+
+/* Public rating shape for payloads */
+function publicRating(row) {
+  if (!row) return null;
+  return {
+    rating: Math.round(Number(row.rating ?? DEFAULT_RATING)),
+    rating_deviation: Math.round(Number(row.rating_deviation ?? DEFAULT_DEVIATION)),
+    rated_games: Number(row.rated_games || 0),
+    provisional: Number(row.rating_deviation ?? DEFAULT_DEVIATION) > 110
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  expectedScore,
+  inflateDeviation,
+  updateRating,
+  rateGame,
+  publicRating
+};
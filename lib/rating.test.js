@@ -0,0 +1,71 @@
+// lib/rating.test.js
+const rating = require('./rating');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('expectedScore', () => {
+  test('matches the worked example in the Glicko paper', () => {
+    expect(rating.expectedScore(1500, 1400, 30)).toBeCloseTo(0.639, 3);
+    expect(rating.expectedScore(1500, 1550, 100)).toBeCloseTo(0.432, 3);
+    expect(rating.expectedScore(1500, 1700, 300)).toBeCloseTo(0.303, 3);
+  });
+
+  test('is one half between equal ratings', () => {
+    expect(rating.expectedScore(1600, 1600, 80)).toBeCloseTo(0.5, 10);
+  });
+});
+
+describe('inflateDeviation', () => {
+  test('leaves unrated players at the default', () => {
+    expect(rating.inflateDeviation(null, null)).toBe(rating.DEFAULT_DEVIATION);
+  });
+
+  test('grows with idle time and caps at the default', () => {
+    const now = Date.now();
+    const fresh = rating.inflateDeviation(50, new Date(now), now);
+    const idle = rating.inflateDeviation(50, new Date(now - 10 * DAY), now);
+    expect(fresh).toBeCloseTo(50, 6);
+    expect(idle).toBeGreaterThan(50);
+    expect(rating.inflateDeviation(50, new Date(now - 1000 * DAY), now)).toBe(rating.DEFAULT_DEVIATION);
+  });
+});
+
+describe('updateRating', () => {
+  test('a win raises the rating, a loss lowers it, and both shrink the deviation', () => {
+    const player = { rating: 1500, rd: 200 };
+    const opponent = { rating: 1400, rd: 30 };
+    const win = rating.updateRating(player, opponent, 1);
+    const loss = rating.updateRating(player, opponent, 0);
+    expect(win.rating).toBeGreaterThan(1500);
+    expect(loss.rating).toBeLessThan(1500);
+    expect(win.rd).toBeLessThan(200);
+    expect(win.rd).toBe(loss.rd);
+  });
+
+  test('a draw between equals changes nothing but the deviation', () => {
+    const out = rating.updateRating({ rating: 1500, rd: 100 }, { rating: 1500, rd: 100 }, 0.5);
+    expect(out.rating).toBe(1500);
+    expect(out.rd).toBeLessThan(100);
+  });
+});
+
+describe('rateGame', () => {
+  test('updates both sides from the pre-match ratings', () => {
+    const now = Date.now();
+    const creator = { rating: 1500, rating_deviation: 350, rating_updated_at: null };
+    const opponent = { rating: 1500, rating_deviation: 350, rating_updated_at: null };
+    const out = rating.rateGame(creator, opponent, 1, now);
+    expect(out.creator.before).toEqual({ rating: 1500, rd: 350 });
+    expect(out.creator.after.rating - 1500).toBeCloseTo(1500 - out.opponent.after.rating, 2);
+    expect(out.creator.after.rd).toBe(out.opponent.after.rd);
+  });
+});
+
+describe('publicRating', () => {
+  test('rounds and flags provisional ratings', () => {
+    expect(rating.publicRating({ rating: 1612.6, rating_deviation: 120.4, rated_games: '3' }))
+      .toEqual({ rating: 1613, rating_deviation: 120, rated_games: 3, provisional: true });
+    expect(rating.publicRating({ rating: 1500, rating_deviation: 60 }).provisional).toBe(false);
+    expect(rating.publicRating(null)).toBeNull();
+  });
+});
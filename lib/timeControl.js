@@ -0,0 +1,120 @@
+// lib/timeControl.js
+// Chess-clock time controls, e.g. "60+2" = 60 second bank per player plus 2 seconds back after each move.
+// Banks are persisted on the match row (creator_time_ms / opponent_time_ms) and the side to move is
+// charged from turn_started_at, so the clock survives restarts and is the same on every process.
+// Matches without a time control (time_base_ms NULL) keep the fixed per-turn / per-match limits.
+
+const MIN_BASE_SECONDS = 10;
+const MAX_BASE_SECONDS = 60 * 60;
+const MAX_INCREMENT_SECONDS = 60;
+
+/**
+ * parseTimeControl(input)
+ * - accepts "60+2", "60", { base_seconds, increment_seconds } or nothing (untimed)
+ * - returns null for untimed matches, otherwise a frozen { baseMs, incrementMs, label }
+ * - throws on malformed or out-of-range values so callers can surface a 400
+ */
+function parseTimeControl(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  let base;
+  let increment;
+  if (typeof input === 'object') {
+    base = Number(input.base_seconds ?? input.baseSeconds);
+    increment = Number(input.increment_seconds ?? input.incrementSeconds ?? 0);
+  } else {
+    const m = String(input).trim().match(/^(\d+)(?:\s*\+\s*(\d+))?$/);
+    if (!m) throw new Error('Time control must look like "60+2" (base seconds + increment seconds)');
+    base = Number(m[1]);
+    increment = Number(m[2] || 0);
+  }
+
+  if (!Number.isInteger(base) || base < MIN_BASE_SECONDS || base > MAX_BASE_SECONDS) {
+    throw new Error(`Time control base must be ${MIN_BASE_SECONDS}..${MAX_BASE_SECONDS} seconds`);
+  }
+  if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT_SECONDS) {
+    throw new Error(`Time control increment must be 0..${MAX_INCREMENT_SECONDS} seconds`);
+  }
+
+  return Object.freeze({ baseMs: base * 1000, incrementMs: increment * 1000, label: `${base}+${increment}` });
+}
+
+/* Time control stored on a match row, or null for untimed matches */
+function timeControlFromMatch(match) {
+  if (!match || match.time_base_ms === null || match.time_base_ms === undefined) return null;
+  const baseMs = Number(match.time_base_ms);
+  const incrementMs = Number(match.time_increment_ms || 0);
+  if (!Number.isFinite(baseMs) || baseMs <= 0) return null;
+  return Object.freeze({ baseMs, incrementMs, label: `${Math.round(baseMs / 1000)}+${Math.round(incrementMs / 1000)}` });
+}
+
+/* Column values for a new match row */
+function initialColumns(tc) {
+  if (!tc) return { time_base_ms: null, time_increment_ms: 0, creator_time_ms: null, opponent_time_ms: null };
+  return { time_base_ms: tc.baseMs, time_increment_ms: tc.incrementMs, creator_time_ms: tc.baseMs, opponent_time_ms: tc.baseMs };
+}
+
+function bankColumn(symbol) {
+  return symbol === 'X' ? 'creator_time_ms' : 'opponent_time_ms';
+}
+
+function toMs(ts) {
+  if (!ts) return null;
+  const ms = ts instanceof Date ? ts.getTime() : new Date(ts).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/* Live remaining bank for symbol; the side to move is charged since turn_started_at */
+function remainingMs(match, symbol, now = Date.now()) {
+  const tc = timeControlFromMatch(match);
+  if (!tc) return null;
+  const stored = match[bankColumn(symbol)];
+  let left = stored === null || stored === undefined ? tc.baseMs : Number(stored);
+  const startedMs = toMs(match.turn_started_at);
+  if (match.status === 'playing' && match.current_turn === symbol && startedMs !== null) {
+    left -= Math.max(0, now - startedMs);
+  }
+  return Math.max(0, Math.round(left));
+}
+
+/**
+ * chargeMove(match, symbol, now)
+ * - fields to persist with the move: the mover's bank (elapsed deducted, increment added) and a new turn_started_at
+ * - untimed matches only get turn_started_at
+ */
+function chargeMove(match, symbol, now = Date.now()) {
+  const fields = { turn_started_at: new Date(now) };
+  const tc = timeControlFromMatch(match);
+  if (!tc) return fields;
+  fields[bankColumn(symbol)] = remainingMs(match, symbol, now) + tc.incrementMs;
+  return fields;
+}
+
+/* Public clock state for payloads; null for untimed matches */
+function clockSnapshot(match, now = Date.now()) {
+  const tc = timeControlFromMatch(match);
+  if (!tc) return null;
+  return {
+    time_control: tc.label,
+    base_ms: tc.baseMs,
+    increment_ms: tc.incrementMs,
+    creator_ms: remainingMs(match, 'X', now),
+    opponent_ms: remainingMs(match, 'O', now),
+    running: match.status === 'playing' ? (match.current_turn || null) : null,
+    turn_started_at: match.turn_started_at || null,
+    server_time: new Date(now).toISOString()
+  };
+}
+
+module.exports = {
+  MIN_BASE_SECONDS,
+  MAX_BASE_SECONDS,
+  MAX_INCREMENT_SECONDS,
+  parseTimeControl,
+  timeControlFromMatch,
+  initialColumns,
+  bankColumn,
+  remainingMs,
+  chargeMove,
+  clockSnapshot
+};
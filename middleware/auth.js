@@ -48,6 +48,10 @@ async function authMiddleware(req, res, next) {
       bank_name: tokenRow.bank_name ?? null,
       account_number: tokenRow.account_number ?? null,
       account_name: tokenRow.account_name ?? null,
+      rating: tokenRow.rating ?? null,
+      rating_deviation: tokenRow.rating_deviation ?? null,
+      rated_games: tokenRow.rated_games ?? 0,
+      humans_only: tokenRow.humans_only ?? null,
       token_id: tokenRow.token_id ?? null,
       token_name: tokenRow.name ?? null,
       token_created_at: tokenRow.token_created_at ?? null,
@@ -0,0 +1,188 @@
+// src/models/botPersonaModel.js
+const { getPool } = require('../config/db');
+const { ALL_TRANSACTIONS } = require('./retentionModel');
+
+/*
+  Bot persona fleet.
+
+  bot_personas - one per bot: name, avatar and play style (tier override, mistake rate, thinking
+                 delay, stake range). Each persona owns an is_bot users row (bot_type 'persona')
+                 whose balance is its bankroll.
+
+  Bankrolls are only ever moved by ledger transfers with the house (matchModel.fundBotBankroll /
+  returnBotBankroll); admin_balance.bot_bankroll is the house money currently out with bots, so
+  the fleet's profit and loss is the sum of persona balances minus that figure and never mixes
+  with fee revenue.
+*/
+
+const STATUSES = Object.freeze(['active', 'paused', 'retired']);
+const EDITABLE = Object.freeze(['display_name', 'avatar_url', 'tier', 'mistake_rate', 'move_delay_ms', 'min_stake', 'max_stake', 'bankroll_target', 'status']);
+
+// fee references written by attachBotToMatch for bot seats (match_<id>_create_fee_bot_<userId>)
+const BOT_FEE_REF = 'match\\_%\\_create\\_fee\\_bot\\_%';
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2));
+}
+
+function toPublicPersona(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    username: row.username || null,
+    display_name: row.display_name,
+    avatar_url: row.avatar_url || null,
+    tier: row.tier || null,
+    mistake_rate: row.mistake_rate === null || typeof row.mistake_rate === 'undefined' ? null : Number(row.mistake_rate),
+    move_delay_ms: row.move_delay_ms === null || typeof row.move_delay_ms === 'undefined' ? null : Number(row.move_delay_ms),
+    min_stake: round2(row.min_stake),
+    max_stake: row.max_stake === null || typeof row.max_stake === 'undefined' ? null : round2(row.max_stake),
+    bankroll_target: round2(row.bankroll_target),
+    bankroll: round2(row.balance),
+    status: row.status,
+    games: Number(row.games || 0),
+    wins: Number(row.wins || 0),
+    last_seated_at: row.last_seated_at || null,
+    created_at: row.created_at
+  };
+}
+
+const PERSONA_SELECT = `
+  SELECT bp.*, u.username, u.balance,
+         (SELECT COUNT(*) FROM matches m
+           WHERE m.status = 'finished' AND (m.creator_id = bp.user_id OR m.opponent_id = bp.user_id)) AS games,
+         (SELECT COUNT(*) FROM matches m
+           WHERE m.status = 'finished' AND ((m.creator_id = bp.user_id AND m.winner = 'creator')
+              OR (m.opponent_id = bp.user_id AND m.winner = 'opponent'))) AS wins
+    FROM bot_personas bp
+    JOIN users u ON u.id = bp.user_id`;
+
+async function listPersonas(connOrPool, { status = null } = {}) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `${PERSONA_SELECT} ${status ? 'WHERE bp.status = ?' : ''} ORDER BY bp.id ASC`,
+    status ? [status] : []
+  );
+  return rows || [];
+}
+
+async function getPersona(connOrPool, id, forUpdate = false) {
+  const db = connOrPool || await getPool();
+  if (forUpdate) {
+    const [rows] = await db.query('SELECT * FROM bot_personas WHERE id = ? FOR UPDATE', [id]);
+    return rows && rows[0] ? rows[0] : null;
+  }
+  const [rows] = await db.query(`${PERSONA_SELECT} WHERE bp.id = ? LIMIT 1`, [id]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+/* Bot play settings for a user id (null for users that are not personas) */
+async function getPersonaByUserId(connOrPool, userId) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query('SELECT * FROM bot_personas WHERE user_id = ? LIMIT 1', [userId]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function countPersonas(connOrPool) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query('SELECT COUNT(*) AS n FROM bot_personas');
+  return rows && rows[0] ? Number(rows[0].n || 0) : 0;
+}
+
+/* Create the persona and its bot user with an empty bankroll (caller holds transaction) */
+async function createPersona(conn, fields) {
+  const base = String(fields.display_name).toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 12) || 'bot';
+  const username = `${base}_${Date.now().toString(36).slice(-4)}${Math.random().toString(36).slice(2, 5)}`;
+  const [userIns] = await conn.query(
+    `INSERT INTO users (username, email, password_hash, display_name, is_bot, bot_type, balance, created_at)
+     VALUES (?, ?, '', ?, 1, 'persona', 0.00, NOW())`,
+    [username, `${username}@bots.local`, fields.display_name]
+  );
+
+  const values = { user_id: userIns.insertId };
+  for (const key of EDITABLE) if (typeof fields[key] !== 'undefined') values[key] = fields[key];
+  const keys = Object.keys(values);
+  const [ins] = await conn.query(
+    `INSERT INTO bot_personas (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`,
+    keys.map(k => values[k])
+  );
+  return ins.insertId;
+}
+
+/* Update persona settings; the bot user's display name follows the persona's (caller holds transaction) */
+async function updatePersona(conn, id, fields) {
+  const keys = EDITABLE.filter(k => typeof fields[k] !== 'undefined');
+  if (!keys.length) return;
+  await conn.query(
+    `UPDATE bot_personas SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`,
+    [...keys.map(k => fields[k]), id]
+  );
+  if (typeof fields.display_name !== 'undefined') {
+    await conn.query('UPDATE users SET display_name = ? WHERE id = (SELECT user_id FROM bot_personas WHERE id = ?)', [fields.display_name, id]);
+  }
+}
+
+/**
+ * fleetReport(connOrPool)
+ * - house: admin_balance.balance (house cash) and bot_bankroll (house money out with bots)
+ * - bots: bankroll held by personas, funded / returned totals and profit and loss
+ *   (pnl = bankroll held - house money out; stakes, winnings and fees paid by bots all land here)
+ * - fees: fee revenue collected from players, kept apart from fees paid by bot seats
+ */
+async function fleetReport(connOrPool) {
+  const db = connOrPool || await getPool();
+  const [houseRows] = await db.query('SELECT balance, bot_bankroll FROM admin_balance WHERE id = 1');
+  const house = houseRows && houseRows[0] ? houseRows[0] : { balance: 0, bot_bankroll: 0 };
+
+  const [heldRows] = await db.query(
+    `SELECT COUNT(*) AS personas, COALESCE(SUM(u.balance), 0) AS held
+       FROM bot_personas bp JOIN users u ON u.id = bp.user_id`
+  );
+  const [transferRows] = await db.query(
+    `SELECT source, COALESCE(SUM(amount), 0) AS total
+       FROM ${ALL_TRANSACTIONS} bt
+      WHERE user_id IS NULL AND source IN ('bot_bankroll_fund','bot_bankroll_return') AND status = 'completed'
+      GROUP BY source`
+  );
+  const [feeRows] = await db.query(
+    `SELECT CASE WHEN reference_id LIKE ? THEN 'bots' ELSE 'players' END AS payer, COALESCE(SUM(amount), 0) AS total
+       FROM ${ALL_TRANSACTIONS} bt
+      WHERE user_id IS NULL AND source IN ('match_fee_collected','admin_fee','tournament_rake_collected') AND status = 'completed'
+      GROUP BY payer`,
+    [BOT_FEE_REF]
+  );
+
+  const transfers = Object.fromEntries((transferRows || []).map(r => [r.source, round2(r.total)]));
+  const fees = Object.fromEntries((feeRows || []).map(r => [r.payer, round2(r.total)]));
+  const held = round2(heldRows && heldRows[0] ? heldRows[0].held : 0);
+  const outstanding = round2(house.bot_bankroll);
+
+  return {
+    house: { balance: round2(house.balance), bot_bankroll: outstanding },
+    bots: {
+      personas: Number(heldRows && heldRows[0] ? heldRows[0].personas : 0),
+      bankroll_held: held,
+      funded: transfers.bot_bankroll_fund || 0,
+      returned: transfers.bot_bankroll_return || 0,
+      pnl: round2(held - outstanding)
+    },
+    fees: {
+      from_players: fees.players || 0,
+      from_bots: fees.bots || 0
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  EDITABLE,
+  toPublicPersona,
+  listPersonas,
+  getPersona,
+  getPersonaByUserId,
+  countPersonas,
+  createPersona,
+  updatePersona,
+  fleetReport
+};
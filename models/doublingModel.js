@@ -0,0 +1,122 @@
+// src/models/doublingModel.js
+const matchModel = require('./matchModel');
+const houseLimitsModel = require('./houseLimitsModel');
+
+/*
+  Doubling cube (backgammon style) on live matches. Columns on matches:
+    stake_multiplier  - cube value, 1 until the first accepted double
+    cube_owner        - 'X' / 'O' once a double is accepted (only the owner may redouble); NULL = centred
+    double_offered_by - user id of a pending offer
+
+  A player offers on their own turn. The opponent accepts, which debits the extra stake
+  (bet_amount * current multiplier) plus its fee from both players and takes the cube, or
+  declines and forfeits at the current stake. A pending offer is withdrawn if the offering
+  player moves instead of waiting for the answer. Doubles against a bot seat go through the
+  same house exposure limits as seating the bot.
+
+  References for the extra money, per new cube level:
+    match_${matchId}_double${level}_stake_${userId}
+    match_${matchId}_double${level}_fee_${userId}
+*/
+
+const MAX_STAKE_MULTIPLIER = Number(process.env.MATCH_MAX_STAKE_MULTIPLIER || 16);
+
+function stakeMultiplier(match) {
+  return Math.max(1, Number((match && match.stake_multiplier) || 1));
+}
+
+/* Reason the player with symbol cannot offer a double right now, or null when they can */
+function offerBlockedReason(match, symbol) {
+  if (match.tournament_id) return 'Doubling is not available in tournament matches';
+  if (match.double_offered_by) return 'A double is already pending';
+  if (match.current_turn !== symbol) return 'You can only double on your turn';
+  if (match.cube_owner && match.cube_owner !== symbol) return 'Opponent owns the cube';
+  if (stakeMultiplier(match) * 2 > MAX_STAKE_MULTIPLIER) return `Stake cannot be doubled beyond x${MAX_STAKE_MULTIPLIER}`;
+  return null;
+}
+
+/* Extra stake and fee each player pays to accept the next double */
+async function nextDoubleCost(connOrPool, match) {
+  const extra = Number((Number(match.bet_amount || 0) * stakeMultiplier(match)).toFixed(2));
+  const fee = await matchModel.chargeForAmount(connOrPool, extra);
+  return { extra, fee, total: Number((extra + fee).toFixed(2)), level: stakeMultiplier(match) * 2 };
+}
+
+/* House limit refusal for doubling a match with a bot seat ({ limit, message }), or null */
+async function botDoubleRefusal(conn, match) {
+  if (!Number(match.opponent_is_bot)) return null;
+  return houseLimitsModel.checkBotDouble(conn, match);
+}
+
+/* The offering player moved instead of waiting for an answer */
+function doubleOfferLapse(match) {
+  return match && match.double_offered_by ? { double_offered_by: null } : {};
+}
+
+/**
+ * acceptDouble(conn, match, acceptorSymbol)
+ * - caller holds the transaction and the match row lock
+ * - debits extra stake + fee from both players, records 'double' bets and moves the cube to the acceptor
+ * - throws Error with .code = 'INSUFFICIENT_BALANCE' and .userId when either side cannot cover it
+ * - throws Error with .code = 'HOUSE_LIMIT' and .limit when a bot seat would exceed the house limits
+ */
+async function acceptDouble(conn, match, acceptorSymbol) {
+  if (!conn) throw new Error('acceptDouble requires connection');
+  const matchId = match.id;
+  const { extra, fee, total, level } = await nextDoubleCost(conn, match);
+  const ids = [match.creator_id, match.opponent_id];
+
+  const refusal = await botDoubleRefusal(conn, match);
+  if (refusal) {
+    const err = new Error(refusal.message);
+    err.code = 'HOUSE_LIMIT';
+    err.limit = refusal.limit;
+    throw err;
+  }
+
+  const [userRows] = await conn.query('SELECT id, balance FROM users WHERE id IN (?) ORDER BY id ASC FOR UPDATE', [ids]);
+  for (const uid of ids) {
+    const row = (userRows || []).find(r => String(r.id) === String(uid));
+    if (!row) throw new Error('User not found');
+    if (Number(row.balance || 0) < total) {
+      const err = new Error('Insufficient balance to double');
+      err.code = 'INSUFFICIENT_BALANCE';
+      err.userId = uid;
+      throw err;
+    }
+  }
+
+  for (const uid of ids) {
+    await matchModel.takeStake(conn, matchId, uid, extra, {
+      source: 'match_double_stake',
+      referenceId: `match_${matchId}_double${level}_stake_${uid}`,
+      meta: { fee, stake_multiplier: level }
+    });
+    if (fee > 0) await matchModel.applyFeeOnce(conn, `match_${matchId}_double${level}_fee_${uid}`, uid, fee);
+    await matchModel.insertBet(conn, matchId, uid, extra, Number((extra - fee).toFixed(2)), fee, 'double');
+  }
+
+  await matchModel.updateMatch(conn, matchId, { stake_multiplier: level, cube_owner: acceptorSymbol, double_offered_by: null });
+  return { stake_multiplier: level, extra, fee };
+}
+
+/* Public cube state for match payloads */
+function cubeSnapshot(match) {
+  return {
+    stake_multiplier: stakeMultiplier(match),
+    cube_owner: match.cube_owner || null,
+    double_offered_by: match.double_offered_by || null,
+    max_multiplier: MAX_STAKE_MULTIPLIER
+  };
+}
+
+module.exports = {
+  MAX_STAKE_MULTIPLIER,
+  stakeMultiplier,
+  offerBlockedReason,
+  nextDoubleCost,
+  botDoubleRefusal,
+  doubleOfferLapse,
+  acceptDouble,
+  cubeSnapshot
+};
@@ -1,9 +1,10 @@
 // src/models/matchModel.js
 const { getPool } = require('../config/db');
+const gameRules = require('../lib/gameRules');
 
 /*
   matches table (expected columns based on provided DDL):
-    id, creator_id, opponent_id, board, current_turn, status, winner,
+    id, creator_id, opponent_id, board, board_rows, board_cols, win_length, game_type, current_turn, status, winner,
     bet_amount, creator_display_name, creator_username,
     opponent_display_name, opponent_username,
     creator_is_bot, opponent_is_bot, created_at, updated_at
@@ -28,7 +29,8 @@ async function getConnection() {
 
 async function createMatchRow(conn, creatorId, opts = {}) {
   if (!conn) throw new Error('createMatchRow requires connection');
-  const board = typeof opts.board === 'string' ? opts.board : '____________________________________';
+  const cfg = gameRules.normalizeConfig(opts);
+  const board = typeof opts.board === 'string' ? opts.board : gameRules.emptyBoard(cfg);
   const currentTurn = opts.current_turn || 'X';
   const status = opts.status || 'waiting';
   const bet = typeof opts.bet_amount === 'number' ? opts.bet_amount : (opts.bet_amount ? Number(opts.bet_amount) : 0.00);
@@ -37,14 +39,18 @@ async function createMatchRow(conn, creatorId, opts = {}) {
   const creatorIsBot = opts.creator_is_bot ? 1 : 0;
 
   const sql = `INSERT INTO matches
-    (creator_id, opponent_id, board, current_turn, status, winner, bet_amount,
+    (creator_id, opponent_id, board, board_rows, board_cols, win_length, game_type, current_turn, status, winner, bet_amount,
      creator_display_name, creator_username, opponent_display_name, opponent_username,
      creator_is_bot, opponent_is_bot, created_at, updated_at)
-    VALUES (?, NULL, ?, ?, ?, NULL, ?, ?, ?, NULL, NULL, ?, 0, NOW(), NOW())`;
+    VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, NULL, NULL, ?, 0, NOW(), NOW())`;
 
   const [res] = await conn.query(sql, [
     creatorId,
     board,
+    cfg.rows,
+    cfg.cols,
+    cfg.winLength,
+    cfg.gameType,
     currentTurn,
     status,
     bet,
@@ -114,7 +120,7 @@ async function setOpponent(conn, matchId, opponentId, opponentDisplayName = null
   playMove:
     - conn: connection (transaction recommended)
     - matchId: id
-    - board: new board string (should be length 36)
+    - board: new board string (length board_rows * board_cols)
     - nextTurn: 'X' or 'O' or null
     - status: optional new status ('playing'|'finished'|'cancelled')
     - winner: optional winner value ('creator'|'opponent'|'draw'|NULL)
@@ -0,0 +1,147 @@
+// src/models/houseLimitsModel.js
+const { getPool } = require('../config/db');
+
+/*
+  House exposure limits for bot-filled matches (single house_limits row, NULL = no limit).
+
+  bot_max_stake              - largest bet a bot persona may accept
+  bot_open_stake_cap         - total stake (bet x doubling multiplier) in playing matches against bots
+  bot_daily_matches_per_user - bot matches a player may start per calendar day
+  bot_daily_stake_per_user   - total bet a player may put against bots per calendar day
+
+  checkBotAttach is called by matchModel.attachBotToMatch while it holds the limits row lock, so
+  concurrent attaches are serialised and cannot overshoot the open stake cap together.
+  checkBotDouble does the same for a bot taking a double, which adds bet x multiplier to the
+  open stake of a match that is already playing.
+*/
+
+const LIMITS = Object.freeze(['bot_max_stake', 'bot_open_stake_cap', 'bot_daily_matches_per_user', 'bot_daily_stake_per_user']);
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2));
+}
+
+function toPublicLimits(row) {
+  const out = {};
+  for (const key of LIMITS) {
+    const v = row ? row[key] : null;
+    out[key] = v === null || typeof v === 'undefined' ? null : Number(v);
+  }
+  out.updated_by = row && row.updated_by ? row.updated_by : null;
+  out.updated_at = row && row.updated_at ? row.updated_at : null;
+  return out;
+}
+
+async function getLimits(connOrPool, forUpdate = false) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(`SELECT * FROM house_limits WHERE id = 1${forUpdate ? ' FOR UPDATE' : ''}`);
+  return toPublicLimits(rows && rows[0] ? rows[0] : null);
+}
+
+/* Set the given limits (null clears one); caller holds transaction */
+async function updateLimits(conn, fields, adminId = null) {
+  const keys = LIMITS.filter(k => typeof fields[k] !== 'undefined');
+  if (!keys.length) return;
+  await conn.query(
+    `INSERT INTO house_limits (id, ${keys.join(', ')}, updated_by) VALUES (1, ${keys.map(() => '?').join(', ')}, ?)
+     ON DUPLICATE KEY UPDATE ${keys.map(k => `${k} = VALUES(${k})`).join(', ')}, updated_by = VALUES(updated_by)`,
+    [...keys.map(k => fields[k]), adminId]
+  );
+}
+
+/* Stake currently at risk in playing matches with a bot seat */
+async function openBotStake(connOrPool) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `SELECT COALESCE(SUM(bet_amount * COALESCE(stake_multiplier, 1)), 0) AS total
+       FROM matches WHERE status = 'playing' AND opponent_is_bot = 1`
+  );
+  return round2(rows && rows[0] ? rows[0].total : 0);
+}
+
+/* Bot matches a player has started today and the bets put on them */
+async function userBotUsageToday(connOrPool, userId) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `SELECT COUNT(*) AS matches, COALESCE(SUM(bet_amount), 0) AS stake
+       FROM matches
+      WHERE creator_id = ? AND opponent_is_bot = 1 AND started_at >= CURDATE()`,
+    [userId]
+  );
+  const r = rows && rows[0] ? rows[0] : {};
+  return { matches: Number(r.matches || 0), stake: round2(r.stake) };
+}
+
+/**
+ * checkBotAttach(conn, match)
+ * - locks the limits row and checks the bot seat against every configured limit
+ * - returns null when the bot may sit, otherwise { limit, message }
+ */
+async function checkBotAttach(conn, match) {
+  const limits = await getLimits(conn, true);
+  const bet = round2(match.bet_amount);
+
+  if (limits.bot_max_stake !== null && bet > limits.bot_max_stake) {
+    return { limit: 'bot_max_stake', message: 'Stake is above the maximum a bot may accept' };
+  }
+  if (limits.bot_daily_matches_per_user !== null || limits.bot_daily_stake_per_user !== null) {
+    const usage = await userBotUsageToday(conn, match.creator_id);
+    if (limits.bot_daily_matches_per_user !== null && usage.matches + 1 > limits.bot_daily_matches_per_user) {
+      return { limit: 'bot_daily_matches_per_user', message: 'Daily bot match limit reached' };
+    }
+    if (limits.bot_daily_stake_per_user !== null && usage.stake + bet > limits.bot_daily_stake_per_user) {
+      return { limit: 'bot_daily_stake_per_user', message: 'Daily stake limit against bots reached' };
+    }
+  }
+  if (limits.bot_open_stake_cap !== null && (await openBotStake(conn)) + bet > limits.bot_open_stake_cap) {
+    return { limit: 'bot_open_stake_cap', message: 'House exposure to bot matches is at its cap' };
+  }
+  return null;
+}
+
+/**
+ * checkBotDouble(conn, match)
+ * - locks the limits row and checks the doubled bot stake against bot_max_stake and the open stake cap
+ * - returns null when the bot may take the double, otherwise { limit, message }
+ */
+async function checkBotDouble(conn, match) {
+  const limits = await getLimits(conn, true);
+  const current = round2(Number(match.bet_amount || 0) * Math.max(1, Number(match.stake_multiplier || 1)));
+
+  if (limits.bot_max_stake !== null && current * 2 > limits.bot_max_stake) {
+    return { limit: 'bot_max_stake', message: 'Doubled stake is above the maximum a bot may accept' };
+  }
+  // the match is already counted in the open stake; the double adds its current stake again
+  if (limits.bot_open_stake_cap !== null && (await openBotStake(conn)) + current > limits.bot_open_stake_cap) {
+    return { limit: 'bot_open_stake_cap', message: 'House exposure to bot matches is at its cap' };
+  }
+  return null;
+}
+
+/* Limits with current usage against them (admin view) */
+async function exposureReport(connOrPool) {
+  const db = connOrPool || await getPool();
+  const limits = await getLimits(db);
+  const open = await openBotStake(db);
+  const [rows] = await db.query(
+    `SELECT COUNT(*) AS matches FROM matches WHERE status = 'playing' AND opponent_is_bot = 1`
+  );
+  return {
+    limits,
+    open_bot_matches: Number(rows && rows[0] ? rows[0].matches : 0),
+    open_bot_stake: open,
+    open_stake_headroom: limits.bot_open_stake_cap === null ? null : round2(Math.max(0, limits.bot_open_stake_cap - open))
+  };
+}
+
+module.exports = {
+  LIMITS,
+  toPublicLimits,
+  getLimits,
+  updateLimits,
+  openBotStake,
+  userBotUsageToday,
+  checkBotAttach,
+  checkBotDouble,
+  exposureReport
+};
@@ -0,0 +1,244 @@
+// src/models/ledgerModel.js
+const { getPool } = require('../config/db');
+
+/*
+  Double-entry ledger for every money movement.
+
+  ledger_accounts - one row per account with its running balance:
+                    user_wallet (owner = user id), bot_bankroll (owner = bot user id),
+                    match_escrow (owner = match id), tournament_pool (owner = tournament id),
+                    house_revenue, payment_clearing and opening_equity (singletons, owner 0)
+  ledger_postings - one row per movement, keyed by (kind, reference_id); a reference that was
+                    already posted is skipped, so postings are idempotent
+  ledger_entries  - the legs of a posting; positive amounts add to an account, negative take from
+                    it, and the legs of every posting sum to zero
+
+  users.balance (wallets and bankrolls) and admin_balance.balance (house revenue) are kept as
+  projections of their ledger accounts: post() moves them by the same amount in the same
+  transaction and warns when one no longer matches its account. Escrow, tournament pools and
+  payment clearing only exist in the ledger. balance_transactions stays the per-user history.
+*/
+
+const ACCOUNT_TYPES = Object.freeze(['user_wallet', 'bot_bankroll', 'match_escrow', 'tournament_pool', 'house_revenue', 'payment_clearing', 'opening_equity']);
+
+/* Account descriptors for post() / transfer(); user() resolves to user_wallet or bot_bankroll */
+const account = {
+  user: (userId) => ({ type: 'user', owner: Number(userId) }),
+  escrow: (matchId) => ({ type: 'match_escrow', owner: Number(matchId) }),
+  tournament: (tournamentId) => ({ type: 'tournament_pool', owner: Number(tournamentId) }),
+  house: () => ({ type: 'house_revenue', owner: 0 }),
+  clearing: () => ({ type: 'payment_clearing', owner: 0 })
+};
+
+function toCents(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+function ledgerError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/* user descriptors -> wallet or bankroll, by users.is_bot */
+async function resolveAccounts(conn, legs) {
+  const userIds = [...new Set(legs.filter(l => l.account.type === 'user').map(l => l.account.owner))];
+  if (!userIds.length) return legs;
+  const [rows] = await conn.query('SELECT id, is_bot FROM users WHERE id IN (?)', [userIds]);
+  const bots = new Map((rows || []).map(r => [String(r.id), Number(r.is_bot) === 1]));
+  return legs.map(l => {
+    if (l.account.type !== 'user') return l;
+    if (!bots.has(String(l.account.owner))) throw ledgerError(`Ledger posting for unknown user ${l.account.owner}`, 'LEDGER_ACCOUNT');
+    return { ...l, account: { type: bots.get(String(l.account.owner)) ? 'bot_bankroll' : 'user_wallet', owner: l.account.owner } };
+  });
+}
+
+async function accountId(conn, type, owner) {
+  const [res] = await conn.query(
+    `INSERT INTO ledger_accounts (type, owner_id) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [type, owner]
+  );
+  return res.insertId;
+}
+
+/* Keep users.balance / admin_balance.balance in step with the account and flag any drift */
+async function applyProjection(conn, type, owner, id, amount) {
+  let projected;
+  if (type === 'user_wallet' || type === 'bot_bankroll') {
+    await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [amount, owner]);
+    const [rows] = await conn.query('SELECT balance FROM users WHERE id = ?', [owner]);
+    projected = rows && rows[0] ? rows[0].balance : 0;
+  } else if (type === 'house_revenue') {
+    await conn.query('UPDATE admin_balance SET balance = balance + ? WHERE id = 1', [amount]);
+    const [rows] = await conn.query('SELECT balance FROM admin_balance WHERE id = 1');
+    projected = rows && rows[0] ? rows[0].balance : 0;
+  } else {
+    return;
+  }
+  const [acctRows] = await conn.query('SELECT balance FROM ledger_accounts WHERE id = ?', [id]);
+  const held = acctRows && acctRows[0] ? acctRows[0].balance : 0;
+  if (toCents(projected) !== toCents(held)) {
+    console.warn('[ledger] balance drift', { type, owner, balance: Number(projected), ledger: Number(held) });
+  }
+}
+
+/**
+ * post(conn, { kind, reference, entries: [{ account, amount }], meta })
+ * - caller holds the transaction; legs are rounded to cents and must sum to zero
+ * - returns { posting_id, duplicate } (duplicate: this kind + reference was already posted and
+ *   nothing moved), or null when every leg is zero
+ * - throws with code 'LEDGER_UNBALANCED' for a posting that does not balance
+ */
+async function post(conn, { kind, reference, entries = [], meta = null }) {
+  if (!conn) throw new Error('ledger post requires connection');
+  if (!kind || !reference) throw new Error('ledger post requires kind and reference');
+
+  const legs = entries
+    .map(e => ({ account: e.account, cents: toCents(e.amount) }))
+    .filter(l => l.cents !== 0);
+  if (!legs.length) return null;
+  if (legs.reduce((sum, l) => sum + l.cents, 0) !== 0) {
+    throw ledgerError(`Unbalanced ledger posting ${kind} ${reference}`, 'LEDGER_UNBALANCED');
+  }
+
+  const [existing] = await conn.query('SELECT id FROM ledger_postings WHERE kind = ? AND reference_id = ? LIMIT 1', [kind, reference]);
+  if (existing && existing[0]) return { posting_id: existing[0].id, duplicate: true };
+
+  const resolved = await resolveAccounts(conn, legs);
+  const metaVal = meta === null || typeof meta === 'undefined' ? null : JSON.stringify(meta);
+  const [ins] = await conn.query(
+    'INSERT INTO ledger_postings (kind, reference_id, meta, created_at) VALUES (?, ?, ?, NOW(3))',
+    [kind, reference, metaVal]
+  );
+
+  for (const leg of resolved) {
+    const amount = leg.cents / 100;
+    const id = await accountId(conn, leg.account.type, leg.account.owner);
+    await conn.query('UPDATE ledger_accounts SET balance = balance + ? WHERE id = ?', [amount, id]);
+    await conn.query('INSERT INTO ledger_entries (posting_id, account_id, amount) VALUES (?, ?, ?)', [ins.insertId, id, amount]);
+    await applyProjection(conn, leg.account.type, leg.account.owner, id, amount);
+  }
+  return { posting_id: ins.insertId, duplicate: false };
+}
+
+/* Two-leg posting: amount leaves `from` and lands in `to` */
+async function transfer(conn, kind, reference, from, to, amount, meta = null) {
+  return post(conn, { kind, reference, meta, entries: [{ account: from, amount: -amount }, { account: to, amount }] });
+}
+
+/* Ledger balance of one account (0 when it has never been posted to); forUpdate locks the account row */
+async function balanceOf(connOrPool, type, owner = 0, forUpdate = false) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `SELECT balance FROM ledger_accounts WHERE type = ? AND owner_id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [type, owner]
+  );
+  return rows && rows[0] ? Number(rows[0].balance) : 0;
+}
+
+/**
+ * contributions(connOrPool, type, owner)
+ * - net amount each user wallet / bankroll has moved into the account, as Map(user id -> amount)
+ * - the opening posting is left out: it has no per-user counterpart
+ */
+async function contributions(connOrPool, type, owner) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `SELECT ua.owner_id AS user_id, -SUM(ue.amount) AS amount
+       FROM ledger_accounts a
+       JOIN ledger_entries e ON e.account_id = a.id
+       JOIN ledger_postings p ON p.id = e.posting_id AND p.kind <> 'opening_balance'
+       JOIN ledger_entries ue ON ue.posting_id = e.posting_id AND ue.id <> e.id
+       JOIN ledger_accounts ua ON ua.id = ue.account_id AND ua.type IN ('user_wallet','bot_bankroll')
+      WHERE a.type = ? AND a.owner_id = ?
+      GROUP BY ua.owner_id`,
+    [type, owner]
+  );
+  return new Map((rows || []).map(r => [String(r.user_id), Number(r.amount)]));
+}
+
+/**
+ * trialBalance(connOrPool)
+ * - totals per account type; total is zero when every posting balanced
+ * - unbalanced: postings whose entries do not sum to zero (empty when the ledger is sound)
+ */
+async function trialBalance(connOrPool) {
+  const db = connOrPool || await getPool();
+  const [typeRows] = await db.query(
+    'SELECT type, COUNT(*) AS accounts, COALESCE(SUM(balance), 0) AS balance FROM ledger_accounts GROUP BY type ORDER BY type'
+  );
+  const [badRows] = await db.query(
+    `SELECT p.id, p.kind, p.reference_id, SUM(e.amount) AS net
+       FROM ledger_postings p JOIN ledger_entries e ON e.posting_id = p.id
+      GROUP BY p.id, p.kind, p.reference_id
+     HAVING SUM(e.amount) <> 0
+      LIMIT 100`
+  );
+  const types = (typeRows || []).map(r => ({ type: r.type, accounts: Number(r.accounts), balance: Number(r.balance) }));
+  return {
+    types,
+    total: Number((types.reduce((sum, t) => sum + toCents(t.balance), 0) / 100).toFixed(2)),
+    unbalanced: (badRows || []).map(r => ({ posting_id: r.id, kind: r.kind, reference_id: r.reference_id, net: Number(r.net) }))
+  };
+}
+
+/**
+ * projectionDrift(connOrPool, { limit })
+ * - users whose balance differs from their wallet / bankroll account, and the house balance
+ *   against house_revenue
+ */
+async function projectionDrift(connOrPool, { limit = 100 } = {}) {
+  const db = connOrPool || await getPool();
+  const [userRows] = await db.query(
+    `SELECT u.id AS user_id, u.is_bot, u.balance, COALESCE(a.balance, 0) AS ledger_balance
+       FROM users u
+       LEFT JOIN ledger_accounts a
+              ON a.owner_id = u.id AND a.type = IF(u.is_bot = 1, 'bot_bankroll', 'user_wallet')
+      WHERE COALESCE(u.balance, 0) <> COALESCE(a.balance, 0)
+      ORDER BY u.id ASC
+      LIMIT ?`,
+    [limit]
+  );
+  const [houseRows] = await db.query('SELECT balance FROM admin_balance WHERE id = 1');
+  const house = houseRows && houseRows[0] ? Number(houseRows[0].balance || 0) : 0;
+  const houseLedger = await balanceOf(db, 'house_revenue');
+  return {
+    users: (userRows || []).map(r => ({
+      user_id: r.user_id,
+      is_bot: Boolean(Number(r.is_bot)),
+      balance: Number(r.balance || 0),
+      ledger_balance: Number(r.ledger_balance),
+      difference: Number((Number(r.balance || 0) - Number(r.ledger_balance)).toFixed(2))
+    })),
+    house: { balance: house, ledger_balance: houseLedger, difference: Number((house - houseLedger).toFixed(2)) }
+  };
+}
+
+/* Entries of one account, newest first, with their posting */
+async function accountEntries(connOrPool, type, owner = 0, { limit = 100, offset = 0 } = {}) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `SELECT e.id, e.amount, p.id AS posting_id, p.kind, p.reference_id, p.meta, p.created_at
+       FROM ledger_accounts a
+       JOIN ledger_entries e ON e.account_id = a.id
+       JOIN ledger_postings p ON p.id = e.posting_id
+      WHERE a.type = ? AND a.owner_id = ?
+      ORDER BY e.id DESC
+      LIMIT ? OFFSET ?`,
+    [type, owner, limit, offset]
+  );
+  return (rows || []).map(r => ({ ...r, amount: Number(r.amount) }));
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  account,
+  post,
+  transfer,
+  balanceOf,
+  contributions,
+  trialBalance,
+  projectionDrift,
+  accountEntries
+};
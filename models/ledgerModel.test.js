@@ -0,0 +1,171 @@
+// models/ledgerModel.test.js
+const ledger = require('./ledgerModel');
+
+/*
+  In-memory stand-in for the handful of statements the ledger issues, so postings can be checked
+  end to end: accounts, postings, entries and the users / admin_balance projections.
+*/
+function fakeDb({ users = {}, house = 0 } = {}) {
+  const state = {
+    users: new Map(Object.entries(users).map(([id, u]) => [Number(id), { balance: 0, is_bot: 0, ...u }])),
+    house,
+    accounts: [],
+    postings: [],
+    entries: []
+  };
+  const cents = (n) => Math.round(Number(n) * 100);
+  const add = (a, b) => (cents(a) + cents(b)) / 100;
+
+  async function query(sql, params = []) {
+    const s = sql.replace(/\s+/g, ' ').trim();
+    if (s.startsWith('SELECT id FROM ledger_postings')) {
+      return [state.postings.filter(p => p.kind === params[0] && p.reference_id === params[1]).slice(0, 1)];
+    }
+    if (s.startsWith('SELECT id, is_bot FROM users')) {
+      return [params[0].filter(id => state.users.has(Number(id))).map(id => ({ id, is_bot: state.users.get(Number(id)).is_bot }))];
+    }
+    if (s.startsWith('INSERT INTO ledger_postings')) {
+      const id = state.postings.length + 1;
+      state.postings.push({ id, kind: params[0], reference_id: params[1], meta: params[2] });
+      return [{ insertId: id }];
+    }
+    if (s.startsWith('INSERT INTO ledger_accounts')) {
+      let acct = state.accounts.find(a => a.type === params[0] && a.owner_id === params[1]);
+      if (!acct) {
+        acct = { id: state.accounts.length + 1, type: params[0], owner_id: params[1], balance: 0 };
+        state.accounts.push(acct);
+      }
+      return [{ insertId: acct.id }];
+    }
+    if (s.startsWith('UPDATE ledger_accounts SET balance')) {
+      const acct = state.accounts.find(a => a.id === params[1]);
+      acct.balance = add(acct.balance, params[0]);
+      return [{ affectedRows: 1 }];
+    }
+    if (s.startsWith('INSERT INTO ledger_entries')) {
+      state.entries.push({ id: state.entries.length + 1, posting_id: params[0], account_id: params[1], amount: params[2] });
+      return [{ affectedRows: 1 }];
+    }
+    if (s.startsWith('UPDATE users SET balance')) {
+      const u = state.users.get(Number(params[1]));
+      u.balance = add(u.balance, params[0]);
+      return [{ affectedRows: 1 }];
+    }
+    if (s.startsWith('SELECT balance FROM users')) return [[{ balance: state.users.get(Number(params[0])).balance }]];
+    if (s.startsWith('UPDATE admin_balance SET balance')) {
+      state.house = add(state.house, params[0]);
+      return [{ affectedRows: 1 }];
+    }
+    if (s.startsWith('SELECT balance FROM admin_balance')) return [[{ balance: state.house }]];
+    if (s.startsWith('SELECT balance FROM ledger_accounts WHERE id')) {
+      return [[{ balance: state.accounts.find(a => a.id === params[0]).balance }]];
+    }
+    if (s.startsWith('SELECT balance FROM ledger_accounts WHERE type')) {
+      return [state.accounts.filter(a => a.type === params[0] && a.owner_id === params[1]).slice(0, 1)];
+    }
+    if (s.startsWith('SELECT type, COUNT(*)')) {
+      const byType = new Map();
+      for (const a of state.accounts) {
+        const t = byType.get(a.type) || { type: a.type, accounts: 0, balance: 0 };
+        t.accounts += 1;
+        t.balance = add(t.balance, a.balance);
+        byType.set(a.type, t);
+      }
+      return [[...byType.values()].sort((a, b) => a.type.localeCompare(b.type))];
+    }
+    if (s.startsWith('SELECT p.id, p.kind, p.reference_id, SUM(e.amount)')) {
+      const out = [];
+      for (const p of state.postings) {
+        const net = state.entries.filter(e => e.posting_id === p.id).reduce((sum, e) => sum + cents(e.amount), 0);
+        if (net !== 0) out.push({ id: p.id, kind: p.kind, reference_id: p.reference_id, net: net / 100 });
+      }
+      return [out];
+    }
+    throw new Error(`fakeDb: unexpected statement ${s.slice(0, 60)}`);
+  }
+
+  return { state, query: jest.fn(query) };
+}
+
+function accountBalance(db, type, owner) {
+  const acct = db.state.accounts.find(a => a.type === type && a.owner_id === owner);
+  return acct ? acct.balance : 0;
+}
+
+describe('transfer', () => {
+  test('moves money between accounts and keeps users.balance in step', async () => {
+    const db = fakeDb({ users: { 1: { balance: 0 }, 9: { is_bot: 1 } } });
+    await ledger.transfer(db, 'deposit', 'dep_1', ledger.account.clearing(), ledger.account.user(1), 50);
+    await ledger.transfer(db, 'match_stake', 'match_4_stake_1', ledger.account.user(1), ledger.account.escrow(4), 20);
+
+    expect(accountBalance(db, 'user_wallet', 1)).toBe(30);
+    expect(accountBalance(db, 'match_escrow', 4)).toBe(20);
+    expect(accountBalance(db, 'payment_clearing', 0)).toBe(-50);
+    expect(db.state.users.get(1).balance).toBe(30);
+  });
+
+  test('books bot users to their bankroll and house revenue to admin_balance', async () => {
+    const db = fakeDb({ users: { 9: { balance: 100, is_bot: 1 } }, house: 0 });
+    db.state.accounts.push({ id: 1, type: 'bot_bankroll', owner_id: 9, balance: 100 });
+    await ledger.transfer(db, 'match_fee', 'match_4_fee_9', ledger.account.user(9), ledger.account.house(), 1.5);
+
+    expect(accountBalance(db, 'bot_bankroll', 9)).toBe(98.5);
+    expect(db.state.users.get(9).balance).toBe(98.5);
+    expect(db.state.house).toBe(1.5);
+  });
+
+  test('is idempotent per kind and reference', async () => {
+    const db = fakeDb({ users: { 1: {} } });
+    const first = await ledger.transfer(db, 'deposit', 'dep_1', ledger.account.clearing(), ledger.account.user(1), 10);
+    const again = await ledger.transfer(db, 'deposit', 'dep_1', ledger.account.clearing(), ledger.account.user(1), 10);
+    expect(first.duplicate).toBe(false);
+    expect(again).toEqual({ posting_id: first.posting_id, duplicate: true });
+    expect(accountBalance(db, 'user_wallet', 1)).toBe(10);
+  });
+
+  test('skips zero amounts and rejects unknown users', async () => {
+    const db = fakeDb();
+    await expect(ledger.transfer(db, 'deposit', 'dep_0', ledger.account.clearing(), ledger.account.user(1), 0)).resolves.toBeNull();
+    await expect(ledger.transfer(db, 'deposit', 'dep_2', ledger.account.clearing(), ledger.account.user(1), 5))
+      .rejects.toMatchObject({ code: 'LEDGER_ACCOUNT' });
+  });
+});
+
+describe('post', () => {
+  test('refuses postings whose legs do not sum to zero', async () => {
+    const db = fakeDb();
+    await expect(ledger.post(db, {
+      kind: 'adjustment',
+      reference: 'adj_1',
+      entries: [{ account: ledger.account.house(), amount: 5 }, { account: ledger.account.clearing(), amount: -4.99 }]
+    })).rejects.toMatchObject({ code: 'LEDGER_UNBALANCED' });
+    expect(db.state.postings).toHaveLength(0);
+  });
+});
+
+describe('trialBalance', () => {
+  test('sums to zero with no unbalanced postings after transfers', async () => {
+    const db = fakeDb({ users: { 1: {}, 2: {} } });
+    await ledger.transfer(db, 'deposit', 'dep_1', ledger.account.clearing(), ledger.account.user(1), 25.1);
+    await ledger.transfer(db, 'deposit', 'dep_2', ledger.account.clearing(), ledger.account.user(2), 0.2);
+    await ledger.transfer(db, 'match_stake', 'm1_1', ledger.account.user(1), ledger.account.escrow(1), 10);
+
+    const tb = await ledger.trialBalance(db);
+    expect(tb.total).toBe(0);
+    expect(tb.unbalanced).toEqual([]);
+    expect(tb.types).toEqual([
+      { type: 'match_escrow', accounts: 1, balance: 10 },
+      { type: 'payment_clearing', accounts: 1, balance: -25.3 },
+      { type: 'user_wallet', accounts: 2, balance: 15.3 }
+    ]);
+  });
+
+  test('reports a posting whose entries were tampered with', async () => {
+    const db = fakeDb({ users: { 1: {} } });
+    await ledger.transfer(db, 'deposit', 'dep_1', ledger.account.clearing(), ledger.account.user(1), 10);
+    db.state.entries[1].amount = 12;
+
+    const tb = await ledger.trialBalance(db);
+    expect(tb.unbalanced).toEqual([{ posting_id: 1, kind: 'deposit', reference_id: 'dep_1', net: 2 }]);
+  });
+});
@@ -0,0 +1,185 @@
+// src/models/lobbyModel.js
+const { getPool } = require('../config/db');
+const timeControl = require('../lib/timeControl');
+
+/*
+  Open-match lobby: public matches still waiting for an opponent (status 'waiting', no opponent,
+  not private). Private invite matches never appear here.
+
+  Wait estimates come from recent public matches that started from the lobby (rematches and
+  matchmaking-queue pairings are created already playing, so they are excluded):
+    median_wait_ms   - median created_at -> started_at for matches a human joined
+    human_join_rate  - share of those matches filled by a human rather than the auto-attached bot
+*/
+
+const MAX_LOBBY_ROWS = Number(process.env.LOBBY_MAX_ROWS || 200);
+const WAIT_WINDOW_MS = Number(process.env.LOBBY_WAIT_WINDOW_MS || 24 * 60 * 60 * 1000);
+const WAIT_CACHE_MS = Number(process.env.LOBBY_WAIT_CACHE_MS || 60 * 1000);
+
+let waitCache = null;
+
+function toMs(ts) {
+  if (!ts) return null;
+  const ms = ts instanceof Date ? ts.getTime() : new Date(ts).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function stakeKey(amount) {
+  return Number(amount || 0).toFixed(2);
+}
+
+/**
+ * listOpenMatches(connOrPool, { minStake, maxStake, humansOnly, limit })
+ * - oldest first; humansOnly drops matches created by bot accounts
+ */
+async function listOpenMatches(connOrPool, { minStake = null, maxStake = null, humansOnly = false, limit = MAX_LOBBY_ROWS } = {}) {
+  const where = [`m.status = 'waiting'`, 'm.opponent_id IS NULL', 'm.is_private = 0'];
+  const params = [];
+  if (minStake !== null) { where.push('m.bet_amount >= ?'); params.push(minStake); }
+  if (maxStake !== null) { where.push('m.bet_amount <= ?'); params.push(maxStake); }
+  if (humansOnly) where.push('GREATEST(COALESCE(m.creator_is_bot, 0), COALESCE(u.is_bot, 0)) = 0');
+
+  const [rows] = await connOrPool.query(
+    `SELECT m.id, m.creator_id, m.bet_amount, m.board_rows, m.board_cols, m.win_length, m.game_type,
+            m.time_base_ms, m.time_increment_ms, m.humans_only, m.created_at, m.expires_at,
+            COALESCE(m.creator_display_name, COALESCE(u.display_name, u.username)) AS creator_display_name,
+            GREATEST(COALESCE(m.creator_is_bot, 0), COALESCE(u.is_bot, 0)) AS creator_is_bot,
+            u.rating AS creator_rating
+       FROM matches m
+       LEFT JOIN users u ON u.id = m.creator_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY m.created_at ASC, m.id ASC
+      LIMIT ?`,
+    [...params, limit]
+  );
+  return rows || [];
+}
+
+/* Same filters as listOpenMatches, applied to an already-loaded row (lobby feed) */
+function matchesFilters(row, { minStake = null, maxStake = null, humansOnly = false } = {}) {
+  const stake = Number(row.bet_amount);
+  if (minStake !== null && stake < minStake) return false;
+  if (maxStake !== null && stake > maxStake) return false;
+  if (humansOnly && Number(row.creator_is_bot)) return false;
+  return true;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * waitEstimates(connOrPool)
+ * - Map stakeKey -> { stake, median_wait_ms, samples, human_join_rate }, plus key 'all' across stakes
+ * - cached for WAIT_CACHE_MS; every lobby request and feed refresh reads it
+ */
+async function waitEstimates(connOrPool, now = Date.now()) {
+  if (waitCache && now - waitCache.at < WAIT_CACHE_MS) return waitCache.estimates;
+
+  const [rows] = await connOrPool.query(
+    `SELECT m.bet_amount, m.created_at, m.started_at, GREATEST(COALESCE(m.opponent_is_bot, 0), COALESCE(o.is_bot, 0)) AS opponent_is_bot
+       FROM matches m
+       LEFT JOIN users o ON o.id = m.opponent_id
+      WHERE m.is_private = 0 AND m.rematch_of IS NULL AND m.opponent_id IS NOT NULL AND m.started_at IS NOT NULL
+        AND m.created_at >= ?
+        AND NOT EXISTS (SELECT 1 FROM matchmaking_proposals p WHERE p.match_id = m.id)
+      ORDER BY m.id DESC
+      LIMIT 5000`,
+    [new Date(now - WAIT_WINDOW_MS)]
+  );
+
+  const buckets = new Map();
+  const bucket = (key, stake) => {
+    if (!buckets.has(key)) buckets.set(key, { stake, humanWaits: [], botFills: 0 });
+    return buckets.get(key);
+  };
+  for (const r of rows || []) {
+    const created = toMs(r.created_at);
+    const started = toMs(r.started_at);
+    if (created === null || started === null) continue;
+    for (const b of [bucket(stakeKey(r.bet_amount), Number(r.bet_amount)), bucket('all', null)]) {
+      if (Number(r.opponent_is_bot)) b.botFills++;
+      else b.humanWaits.push(Math.max(0, started - created));
+    }
+  }
+
+  const estimates = new Map();
+  for (const [key, b] of buckets) {
+    const total = b.humanWaits.length + b.botFills;
+    estimates.set(key, {
+      stake: b.stake,
+      median_wait_ms: median(b.humanWaits),
+      samples: b.humanWaits.length,
+      human_join_rate: total ? Number((b.humanWaits.length / total).toFixed(3)) : null
+    });
+  }
+  waitCache = { at: now, estimates };
+  return estimates;
+}
+
+/* Estimate for one stake, falling back to the all-stakes median when the stake has no human joins yet */
+function estimateForStake(estimates, amount) {
+  const own = estimates.get(stakeKey(amount));
+  if (own && own.samples) return { ...own, basis: 'stake' };
+  const all = estimates.get('all');
+  if (all && all.samples) return { ...all, stake: Number(amount), basis: 'all_stakes' };
+  return { stake: Number(amount), median_wait_ms: null, samples: 0, human_join_rate: own ? own.human_join_rate : null, basis: 'none' };
+}
+
+/**
+ * toPublicLobbyEntry(row, { estimates, autoAttachMs, now })
+ * - creator_is_bot: bot disclosure for matches opened by a bot account
+ * - bot_fill_in_ms: time left before an unjoined match gets the auto-attached bot opponent
+ * - expires_at: set once the house limits refused a bot; the match is refunded if no human joins by then
+ */
+function toPublicLobbyEntry(row, { estimates = new Map(), autoAttachMs = null, now = Date.now() } = {}) {
+  const createdMs = toMs(row.created_at);
+  const ageMs = createdMs === null ? null : Math.max(0, now - createdMs);
+  const tc = timeControl.timeControlFromMatch(row);
+  const estimate = estimateForStake(estimates, row.bet_amount);
+  return {
+    match_id: row.id,
+    creator_id: row.creator_id,
+    creator_display_name: row.creator_display_name || null,
+    creator_rating: row.creator_rating === null || row.creator_rating === undefined ? null : Math.round(Number(row.creator_rating)),
+    creator_is_bot: Boolean(Number(row.creator_is_bot || 0)),
+    bet_amount: Number(row.bet_amount),
+    board_rows: row.board_rows,
+    board_cols: row.board_cols,
+    win_length: row.win_length,
+    game_type: row.game_type,
+    time_control: tc ? tc.label : null,
+    created_at: row.created_at,
+    age_ms: ageMs,
+    humans_only: Boolean(row.humans_only),
+    // humans-only matches are never bot-filled, nor are matches the house limits refused a bot
+    bot_fill_in_ms: autoAttachMs === null || ageMs === null || row.humans_only || row.expires_at ? null : Math.max(0, autoAttachMs - ageMs),
+    expires_at: row.expires_at || null,
+    estimated_wait_ms: estimate.median_wait_ms
+  };
+}
+
+async function listLobby(filters = {}, options = {}) {
+  const pool = await getPool();
+  const rows = await listOpenMatches(pool, filters);
+  const estimates = await waitEstimates(pool);
+  const now = Date.now();
+  return {
+    entries: rows.map(r => toPublicLobbyEntry(r, { ...options, estimates, now })),
+    estimates
+  };
+}
+
+module.exports = {
+  MAX_LOBBY_ROWS,
+  stakeKey,
+  listOpenMatches,
+  matchesFilters,
+  waitEstimates,
+  estimateForStake,
+  toPublicLobbyEntry,
+  listLobby
+};
@@ -3,7 +3,22 @@
 // Idempotent fee handling added: applyFeeOnce
 
 const db = require('../config/db');
-const { getPool, EMPTY_BOARD, BOARD_CELLS } = db;
+const gameRules = require('../lib/gameRules');
+const timeControl = require('../lib/timeControl');
+const rating = require('../lib/rating');
+const botTiers = require('../lib/botTiers');
+const { MATCH_EVENTS, emitMatchEvent } = require('../lib/matchEvents');
+const tournamentModel = require('./tournamentModel');
+const houseLimitsModel = require('./houseLimitsModel');
+const ledger = require('./ledgerModel');
+const retention = require('./retentionModel');
+const { getPool } = db;
+
+// top up a persona from the house when no bot in the fleet can cover a stake
+const BOT_AUTO_FUND = process.env.BOT_AUTO_FUND !== '0';
+
+// largest board the schema allows; per-match bounds are enforced by callers via gameRules
+const MAX_BOARD_CELLS = gameRules.MAX_DIMENSION * gameRules.MAX_DIMENSION;
 
 /* Utility: return a pooled connection */
 async function getConnection() {
@@ -41,19 +56,44 @@ function makeUniqueUsername(base) {
   return `${base.toLowerCase().replace(/\s+/g, '')}_${suffix}`;
 }
 
-/* Create a match row with EMPTY_BOARD */
-async function createMatchRow(conn, creatorId, betAmount) {
+/* Create a match row with an empty board for the given board config (defaults to standard 6x6, 4 in a row).
+   timeControlValue comes from timeControl.parseTimeControl; null keeps the fixed per-turn limits.
+   invite = { joinCode, expiresAt } makes the match private (joinable only with the code, never by bots). */
+async function createMatchRow(conn, creatorId, betAmount, boardConfig = null, timeControlValue = null, invite = null) {
   if (!conn) throw new Error('createMatchRow requires an active connection');
   if (!creatorId) throw new Error('createMatchRow requires creatorId');
   if (typeof betAmount === 'undefined' || betAmount === null) throw new Error('createMatchRow requires betAmount');
 
+  const cfg = gameRules.normalizeConfig(boardConfig || {});
+  const clock = timeControl.initialColumns(timeControlValue);
   const sql =
-    `INSERT INTO matches (creator_id, board, current_turn, status, bet_amount, created_at)
-     VALUES (?, ?, 'X', 'waiting', ?, NOW())`;
-  const [res] = await conn.query(sql, [creatorId, EMPTY_BOARD, betAmount]);
+    `INSERT INTO matches (creator_id, board, board_rows, board_cols, win_length, game_type,
+                          time_base_ms, time_increment_ms, creator_time_ms, opponent_time_ms,
+                          is_private, join_code, expires_at,
+                          current_turn, status, bet_amount, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'X', 'waiting', ?, NOW())`;
+  const [res] = await conn.query(sql, [
+    creatorId, gameRules.emptyBoard(cfg), cfg.rows, cfg.cols, cfg.winLength, cfg.gameType,
+    clock.time_base_ms, clock.time_increment_ms, clock.creator_time_ms, clock.opponent_time_ms,
+    invite ? 1 : 0, invite ? invite.joinCode : null, invite ? invite.expiresAt : null,
+    betAmount
+  ]);
   return res.insertId;
 }
 
+/**
+ * normalizeHumansOnly(value)
+ * - humans-only preference: null (bots may fill the seat), 'wait' (keep waiting for a human) or
+ *   'refund' (cancel and refund once the bot-fill window lapses); true means 'wait'
+ * - throws on anything else
+ */
+function normalizeHumansOnly(value) {
+  if (value === undefined || value === null || value === false || value === '' || value === 'off') return null;
+  if (value === true || value === 'true') return 'wait';
+  if (value === 'wait' || value === 'refund') return value;
+  throw new Error("humans_only must be false, true, 'wait' or 'refund'");
+}
+
 /* Get match by id; connOrPool may be pool or connection. Optionally FOR UPDATE.
    Prefer per-match display_name/username stored on matches table when present.
 */
@@ -67,8 +107,8 @@ async function getMatchById(connOrPool, matchId, forUpdate = false) {
             COALESCE(m.opponent_display_name, COALESCE(u_opponent.display_name, u_opponent.username)) AS opponent_display_name,
             COALESCE(m.creator_username, u_creator.username) AS creator_username,
             COALESCE(m.opponent_username, u_opponent.username) AS opponent_username,
-            COALESCE(m.creator_is_bot, u_creator.is_bot) AS creator_is_bot,
-            COALESCE(m.opponent_is_bot, u_opponent.is_bot) AS opponent_is_bot
+            GREATEST(COALESCE(m.creator_is_bot, 0), COALESCE(u_creator.is_bot, 0)) AS creator_is_bot,
+            GREATEST(COALESCE(m.opponent_is_bot, 0), COALESCE(u_opponent.is_bot, 0)) AS opponent_is_bot
      FROM matches m
      LEFT JOIN users u_creator ON m.creator_id = u_creator.id
      LEFT JOIN users u_opponent ON m.opponent_id = u_opponent.id
@@ -89,10 +129,10 @@ async function updateMatch(conn, matchId, fields = {}) {
   await conn.query(`UPDATE matches SET ${parts}, updated_at = NOW() WHERE id = ?`, [...values, matchId]);
 }
 
-/* Insert a move (position must fit 0..BOARD_CELLS-1) */
-async function insertMove(conn, matchId, userId, position, symbol) {
+/* Insert a move (position must fit 0..cells-1; pass the match's board cells when known) */
+async function insertMove(conn, matchId, userId, position, symbol, cells = MAX_BOARD_CELLS) {
   if (!conn) throw new Error('insertMove requires an active connection');
-  if (typeof position !== 'number' || position < 0 || position >= BOARD_CELLS) throw new Error(`Position must be in 0..${BOARD_CELLS - 1}`);
+  if (!Number.isInteger(position) || position < 0 || position >= cells) throw new Error(`Position must be in 0..${cells - 1}`);
   const sql =
     `INSERT INTO moves (match_id, user_id, position, symbol, played_at)
      VALUES (?, ?, ?, ?, NOW())`;
@@ -100,6 +140,35 @@ async function insertMove(conn, matchId, userId, position, symbol) {
   return res.insertId;
 }
 
+/* A player's matches, most recently updated first, with the same name / bot columns as getMatchById */
+async function getUserMatches(connOrPool, userId, { limit = 50, offset = 0 } = {}) {
+  if (!connOrPool) throw new Error('getUserMatches requires a connection or pool');
+  const [rows] = await connOrPool.query(
+    `SELECT m.*,
+            COALESCE(m.creator_display_name, COALESCE(u_creator.display_name, u_creator.username)) AS creator_display_name,
+            COALESCE(m.opponent_display_name, COALESCE(u_opponent.display_name, u_opponent.username)) AS opponent_display_name,
+            GREATEST(COALESCE(m.creator_is_bot, 0), COALESCE(u_creator.is_bot, 0)) AS creator_is_bot,
+            GREATEST(COALESCE(m.opponent_is_bot, 0), COALESCE(u_opponent.is_bot, 0)) AS opponent_is_bot
+     FROM matches m
+     LEFT JOIN users u_creator ON m.creator_id = u_creator.id
+     LEFT JOIN users u_opponent ON m.opponent_id = u_opponent.id
+     WHERE m.creator_id = ? OR m.opponent_id = ?
+     ORDER BY m.updated_at DESC, m.id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, userId, Number(limit), Number(offset)]
+  );
+  return rows || [];
+}
+
+/* Matches that still need in-process timers (playing) or a bot auto-attach (waiting); used on boot */
+async function getActiveMatchIds(connOrPool) {
+  if (!connOrPool) throw new Error('getActiveMatchIds requires a connection or pool');
+  const [rows] = await connOrPool.query(
+    `SELECT id, status FROM matches WHERE status IN ('waiting','playing') ORDER BY id ASC`
+  );
+  return rows || [];
+}
+
 /* Get ordered moves for a match */
 async function getMoves(connOrPool, matchId) {
   if (!connOrPool) throw new Error('getMoves requires an connection or pool');
@@ -114,21 +183,46 @@ async function getMoves(connOrPool, matchId) {
   return rows || [];
 }
 
-/* Bets helpers */
-async function insertBet(conn, matchId, userId, amount, netAmount, feeAmount) {
+/* Bets helpers (kind 'double' rows record extra stake from accepted doubling-cube offers) */
+async function insertBet(conn, matchId, userId, amount, netAmount, feeAmount, kind = 'stake') {
   if (!conn) throw new Error('insertBet requires an active connection');
   const sql =
-    `INSERT INTO bets (match_id, user_id, amount, net_amount, fee_amount, placed_at)
-     VALUES (?, ?, ?, ?, ?, NOW())`;
-  const [res] = await conn.query(sql, [matchId, userId, amount, netAmount, feeAmount]);
+    `INSERT INTO bets (match_id, user_id, amount, net_amount, fee_amount, kind, placed_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`;
+  const [res] = await conn.query(sql, [matchId, userId, amount, netAmount, feeAmount, kind]);
   return res.insertId;
 }
 async function getBetsByMatch(connOrPool, matchId) {
   if (!connOrPool) throw new Error('getBetsByMatch requires an active connection or pool');
-  const [rows] = await connOrPool.query('SELECT * FROM bets WHERE match_id = ?', [matchId]);
+  const [rows] = await connOrPool.query('SELECT * FROM bets WHERE match_id = ? ORDER BY id ASC', [matchId]);
   return rows || [];
 }
 
+/* Match events: resign / draw protocol log, read back by history */
+async function insertMatchEvent(conn, matchId, userId, eventType, meta = null) {
+  if (!conn) throw new Error('insertMatchEvent requires an active connection');
+  const metaVal = meta === null || typeof meta === 'undefined' ? null : JSON.stringify(meta);
+  const [res] = await conn.query(
+    'INSERT INTO match_events (match_id, user_id, event_type, meta, created_at) VALUES (?, ?, ?, ?, NOW(3))',
+    [matchId, userId || null, eventType, metaVal]
+  );
+  return res.insertId;
+}
+async function getMatchEvents(connOrPool, matchId) {
+  if (!connOrPool) throw new Error('getMatchEvents requires an active connection or pool');
+  const [rows] = await connOrPool.query(
+    'SELECT id, match_id, user_id, event_type, meta, created_at FROM match_events WHERE match_id = ? ORDER BY id ASC',
+    [matchId]
+  );
+  return rows || [];
+}
+
+/* A pending draw offer lapses once its recipient moves instead of answering it */
+function drawOfferLapse(match, moverId) {
+  if (!match || !match.draw_offered_by) return {};
+  return String(match.draw_offered_by) === String(moverId) ? {} : { draw_offered_by: null };
+}
+
 /* Balance transaction audit helper */
 async function insertBalanceTransaction(conn, payload) {
   if (!conn) throw new Error('insertBalanceTransaction requires an active connection');
@@ -150,7 +244,7 @@ async function insertBalanceTransaction(conn, payload) {
 }
 
 /* Idempotent fee application helper
-   Ensures admin_balance is credited exactly once per deterministic reference_id.
+   Posts the fee from the payer's wallet to house revenue exactly once per deterministic reference_id.
    If the admin fee transaction already exists for referenceId, skip admin credit and avoid double debit.
    Callers should use deterministic reference ids like:
      match_${matchId}_create_fee_${userId}
@@ -163,18 +257,12 @@ async function applyFeeOnce(conn, referenceId, userId, feeAmount) {
   const fee = Number((feeAmount || 0).toFixed(2));
   if (fee <= 0) return 0;
 
-  // Check whether admin fee already recorded
-  const [existing] = await conn.query(
-    'SELECT id FROM balance_transactions WHERE reference_id = ? AND source = ? LIMIT 1',
-    [referenceId, 'match_fee_collected']
-  );
-  if (existing && existing.length) {
+  // Check whether admin fee already recorded (live or archived)
+  const existing = await retention.findTransaction(conn, referenceId, 'match_fee_collected');
+  if (existing) {
     // Ensure user-side fee tx exists; if not, create it (do not credit admin again)
-    const [userExisting] = await conn.query(
-      'SELECT id FROM balance_transactions WHERE reference_id = ? AND source = ? LIMIT 1',
-      [referenceId, 'match_fee']
-    );
-    if (!userExisting || !userExisting.length) {
+    const userExisting = await retention.findTransaction(conn, referenceId, 'match_fee');
+    if (!userExisting) {
       await insertBalanceTransaction(conn, {
         user_id: userId,
         amount: fee,
@@ -188,11 +276,10 @@ async function applyFeeOnce(conn, referenceId, userId, feeAmount) {
     return fee;
   }
 
-  // Debit user (assumes caller has not yet debited fee); if user already debited fee and only admin credit missing,
-  // detection above would have found match_fee_collected; so safe to debit here.
-  await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [fee, userId]);
+  // Move the fee from the payer to the house (the ledger skips a reference it has already posted)
+  await ledger.transfer(conn, 'match_fee', referenceId, ledger.account.user(userId), ledger.account.house(), fee, { user_id: userId });
 
-  // Credit admin once
+  // House-side audit row
   await insertBalanceTransaction(conn, {
     user_id: null,
     amount: fee,
@@ -202,7 +289,6 @@ async function applyFeeOnce(conn, referenceId, userId, feeAmount) {
     status: 'completed',
     meta: { user_id: userId, fee }
   });
-  await conn.query('UPDATE admin_balance SET balance = balance + ? WHERE id = 1', [fee]);
 
   // Insert user fee transaction
   await insertBalanceTransaction(conn, {
@@ -218,35 +304,6 @@ async function applyFeeOnce(conn, referenceId, userId, feeAmount) {
   return fee;
 }
 
-/* Record admin fee (keeps existing semantics but idempotent)
-   Prefer applyFeeOnce; recordAdminFee will insert an admin_fee audit if not present.
-*/
-async function recordAdminFee(conn, amount, meta = {}) {
-  const amt = Number(amount || 0);
-  if (!(amt > 0)) return;
-  const reference_id = meta.reference_id || null;
-
-  if (reference_id) {
-    // If this admin audit already exists, skip update
-    const [existing] = await conn.query(
-      'SELECT id FROM balance_transactions WHERE reference_id = ? AND source = ? LIMIT 1',
-      [reference_id, 'admin_fee']
-    );
-    if (existing && existing.length) return;
-  }
-
-  await insertBalanceTransaction(conn, {
-    user_id: null,
-    amount: amt,
-    type: 'credit',
-    source: 'admin_fee',
-    reference_id: reference_id,
-    status: 'completed',
-    meta: Object.assign({ admin_fee: true }, meta)
-  });
-  await conn.query('UPDATE admin_balance SET balance = balance + ? WHERE id = 1', [amt]);
-}
-
 /* Fee lookup wrapper */
 async function chargeForAmount(connOrPool, amount) {
   try {
@@ -257,15 +314,35 @@ async function chargeForAmount(connOrPool, amount) {
   return db.getChargeForAmount(await getPool(), amount);
 }
 
-/* Try to join an existing waiting match (caller holds transaction) */
-async function tryJoinWaitingMatch(conn, userId, betAmount) {
+/* Move a stake from the player's wallet into the match escrow and write its audit row (caller holds transaction).
+   Doubling stakes pass their own source and reference. */
+async function takeStake(conn, matchId, userId, amount, { source = 'match_stake', referenceId = null, meta = {} } = {}) {
+  const stake = Number(Number(amount || 0).toFixed(2));
+  const reference = referenceId || `match_${matchId}_stake_${userId}`;
+  await ledger.transfer(conn, source, reference, ledger.account.user(userId), ledger.account.escrow(matchId), stake, { match_id: matchId });
+  await insertBalanceTransaction(conn, {
+    user_id: userId, amount: stake, type: 'debit', source,
+    reference_id: reference, status: 'completed',
+    meta: { match_id: matchId, ...meta }
+  });
+  return stake;
+}
+
+/* Try to join an existing waiting match with the same stake, board config, game type and time control (caller holds transaction) */
+async function tryJoinWaitingMatch(conn, userId, betAmount, boardConfig = null, timeControlValue = null) {
   if (!conn) throw new Error('tryJoinWaitingMatch requires connection');
+  const cfg = gameRules.normalizeConfig(boardConfig || {});
+  const clock = timeControl.initialColumns(timeControlValue);
   const [candidateRows] = await conn.query(
-    `SELECT * FROM matches WHERE status = 'waiting' AND bet_amount = ? ORDER BY id ASC LIMIT 1 FOR UPDATE`,
-    [betAmount]
+    `SELECT * FROM matches
+     WHERE status = 'waiting' AND is_private = 0 AND bet_amount = ? AND board_rows = ? AND board_cols = ? AND win_length = ? AND game_type = ?
+       AND time_base_ms <=> ? AND time_increment_ms = ?
+     ORDER BY id ASC LIMIT 1 FOR UPDATE`,
+    [betAmount, cfg.rows, cfg.cols, cfg.winLength, cfg.gameType, clock.time_base_ms, clock.time_increment_ms]
   );
   const candidate = candidateRows && candidateRows[0] ? candidateRows[0] : null;
   if (!candidate || String(candidate.creator_id) === String(userId)) return null;
+  if (candidate.status !== 'waiting' || candidate.opponent_id) return null;
 
   const fee = await chargeForAmount(conn, betAmount);
   const totalDebit = Number((betAmount + fee).toFixed(2));
@@ -274,8 +351,8 @@ async function tryJoinWaitingMatch(conn, userId, betAmount) {
   if (!userRows || !userRows[0]) throw new Error('User not found');
   if (Number(userRows[0].balance || 0) < totalDebit) throw new Error('Insufficient balance');
 
-  // debit stake
-  await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [betAmount, userId]);
+  // stake into escrow
+  await takeStake(conn, candidate.id, userId, betAmount, { meta: { fee } });
 
   // apply fee idempotently (will debit user and credit admin once)
   if (fee > 0) {
@@ -283,24 +360,18 @@ async function tryJoinWaitingMatch(conn, userId, betAmount) {
     await applyFeeOnce(conn, ref, userId, fee);
   }
 
-  // record stake transaction (stake only)
-  await insertBalanceTransaction(conn, {
-    user_id: userId, amount: betAmount, type: 'debit', source: 'match_stake',
-    reference_id: `match_${candidate.id}_stake_${userId}`, status: 'completed',
-    meta: { match_id: candidate.id, fee }
-  });
-
   // insert bets and set opponent, set status playing
   await insertBet(conn, candidate.id, candidate.creator_id, betAmount, Number((betAmount - fee).toFixed(2)), fee);
   await insertBet(conn, candidate.id, userId, betAmount, Number((betAmount - fee).toFixed(2)), fee);
 
-  await updateMatch(conn, candidate.id, { opponent_id: userId, status: 'playing', current_turn: 'X' });
+  const startedAt = new Date();
+  await updateMatch(conn, candidate.id, { opponent_id: userId, status: 'playing', current_turn: 'X', started_at: startedAt, turn_started_at: startedAt });
 
   return { joined: true, matchId: candidate.id, fee, totalDebit };
 }
 
 /* Create waiting match (caller holds transaction) */
-async function createWaitingMatch(conn, creatorId, betAmount) {
+async function createWaitingMatch(conn, creatorId, betAmount, boardConfig = null, timeControlValue = null) {
   if (!conn) throw new Error('createWaitingMatch requires connection');
   const fee = await chargeForAmount(conn, betAmount);
   const totalDebit = Number((betAmount + fee).toFixed(2));
@@ -308,11 +379,11 @@ async function createWaitingMatch(conn, creatorId, betAmount) {
   if (!creatorRows || !creatorRows[0]) throw new Error('User not found');
   if (Number(creatorRows[0].balance || 0) < totalDebit) throw new Error('Insufficient balance');
 
-  // debit stake
-  await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [betAmount, creatorId]);
+  // create match row with an empty board for the requested config
+  const matchId = await createMatchRow(conn, creatorId, betAmount, boardConfig, timeControlValue);
 
-  // create match row with EMPTY_BOARD
-  const matchId = await createMatchRow(conn, creatorId, betAmount);
+  // stake into escrow
+  await takeStake(conn, matchId, creatorId, betAmount, { meta: { fee } });
 
   // apply fee idempotently (use deterministic ref)
   if (fee > 0) {
@@ -320,82 +391,198 @@ async function createWaitingMatch(conn, creatorId, betAmount) {
     await applyFeeOnce(conn, ref, creatorId, fee);
   }
 
-  // record stake tx (stake only)
-  await insertBalanceTransaction(conn, {
-    user_id: creatorId, amount: betAmount, type: 'debit', source: 'match_stake',
-    reference_id: `match_${matchId}_stake_${creatorId}`, status: 'completed',
-    meta: { match_id: matchId, fee }
-  });
-
   // insert bet for creator
   await insertBet(conn, matchId, creatorId, betAmount, Number((betAmount - fee).toFixed(2)), fee);
 
   return { matchId, fee, totalDebit };
 }
 
+/**
+ * createPairedMatch(conn, { creatorId, opponentId, betAmount, boardConfig, timeControlValue, fields, meta })
+ * - caller holds the transaction; starts a playing match between two already-agreed players
+ *   (rematches, matchmaking queue) with the same stake + fee flow as create/join
+ * - creatorId plays X; extra match columns go in fields, extra stake tx meta in meta
+ * - throws Error with .code = 'INSUFFICIENT_BALANCE' and .userId when either side cannot cover stake + fee
+ */
+async function createPairedMatch(conn, { creatorId, opponentId, betAmount, boardConfig = null, timeControlValue = null, fields = {}, meta = {} }) {
+  if (!conn) throw new Error('createPairedMatch requires connection');
+  const stake = Number(Number(betAmount || 0).toFixed(2));
+  const fee = await chargeForAmount(conn, stake);
+  const totalDebit = Number((stake + fee).toFixed(2));
+
+  // lock both wallets in id order so concurrent pairings cannot deadlock
+  const [userRows] = await conn.query('SELECT id, balance FROM users WHERE id IN (?) ORDER BY id ASC FOR UPDATE', [[creatorId, opponentId]]);
+  for (const uid of [creatorId, opponentId]) {
+    const row = (userRows || []).find(r => String(r.id) === String(uid));
+    if (!row) throw new Error('User not found');
+    if (Number(row.balance || 0) < totalDebit) {
+      const err = new Error('Insufficient balance');
+      err.code = 'INSUFFICIENT_BALANCE';
+      err.userId = uid;
+      throw err;
+    }
+  }
+
+  const matchId = await createMatchRow(conn, creatorId, stake, boardConfig, timeControlValue);
+
+  for (const uid of [creatorId, opponentId]) {
+    await takeStake(conn, matchId, uid, stake, { meta: { fee, ...meta } });
+    if (fee > 0) {
+      const role = String(uid) === String(creatorId) ? 'create' : 'join';
+      await applyFeeOnce(conn, `match_${matchId}_${role}_fee_${uid}`, uid, fee);
+    }
+    await insertBet(conn, matchId, uid, stake, Number((stake - fee).toFixed(2)), fee);
+  }
+
+  const startedAt = new Date();
+  await updateMatch(conn, matchId, {
+    ...fields,
+    opponent_id: opponentId,
+    status: 'playing',
+    current_turn: 'X',
+    started_at: startedAt,
+    turn_started_at: startedAt
+  });
+
+  return { matchId, fee, totalDebit };
+}
+
+/* House -> bot bankroll transfer (caller holds transaction).
+   Posts house revenue -> bot bankroll in the ledger and records both legs in balance_transactions under
+   one reference; admin_balance.bot_bankroll tracks house money currently held by bots. Throws with
+   code 'HOUSE_FUNDS' when the house balance cannot cover the amount. */
+async function fundBotBankroll(conn, botUserId, amount, meta = {}) {
+  if (!conn) throw new Error('fundBotBankroll requires connection');
+  const amt = Number(Number(amount || 0).toFixed(2));
+  if (!(amt > 0)) throw new Error('Transfer amount must be positive');
+
+  const [houseRows] = await conn.query('SELECT balance FROM admin_balance WHERE id = 1 FOR UPDATE');
+  const house = houseRows && houseRows[0] ? Number(houseRows[0].balance || 0) : 0;
+  if (house < amt) {
+    const err = new Error('House balance too low to fund bot');
+    err.code = 'HOUSE_FUNDS';
+    throw err;
+  }
+
+  const referenceId = meta.reference_id || `bot_${botUserId}_fund_${Date.now().toString(36)}`;
+  await ledger.transfer(conn, 'bot_bankroll_fund', referenceId, ledger.account.house(), ledger.account.user(botUserId), amt, meta);
+  await conn.query('UPDATE admin_balance SET bot_bankroll = bot_bankroll + ? WHERE id = 1', [amt]);
+  await insertBalanceTransaction(conn, {
+    user_id: null, amount: amt, type: 'debit', source: 'bot_bankroll_fund',
+    reference_id: referenceId, status: 'completed', meta: { ...meta, bot_user_id: botUserId }
+  });
+  await insertBalanceTransaction(conn, {
+    user_id: botUserId, amount: amt, type: 'credit', source: 'bot_bankroll_fund',
+    reference_id: referenceId, status: 'completed', meta
+  });
+  return { amount: amt, reference_id: referenceId };
+}
+
+/* Bot bankroll -> house transfer (caller holds transaction); the reverse legs of fundBotBankroll.
+   Throws with code 'BOT_FUNDS' when the bot's balance cannot cover the amount. */
+async function returnBotBankroll(conn, botUserId, amount, meta = {}) {
+  if (!conn) throw new Error('returnBotBankroll requires connection');
+  const amt = Number(Number(amount || 0).toFixed(2));
+  if (!(amt > 0)) throw new Error('Transfer amount must be positive');
+
+  const [botRows] = await conn.query('SELECT balance FROM users WHERE id = ? AND is_bot = 1 FOR UPDATE', [botUserId]);
+  if (!botRows || !botRows[0]) throw new Error('Bot user missing');
+  if (Number(botRows[0].balance || 0) < amt) {
+    const err = new Error('Bot bankroll too low');
+    err.code = 'BOT_FUNDS';
+    throw err;
+  }
+
+  const referenceId = meta.reference_id || `bot_${botUserId}_return_${Date.now().toString(36)}`;
+  await ledger.transfer(conn, 'bot_bankroll_return', referenceId, ledger.account.user(botUserId), ledger.account.house(), amt, meta);
+  await conn.query('UPDATE admin_balance SET bot_bankroll = bot_bankroll - ? WHERE id = 1', [amt]);
+  await insertBalanceTransaction(conn, {
+    user_id: botUserId, amount: amt, type: 'debit', source: 'bot_bankroll_return',
+    reference_id: referenceId, status: 'completed', meta
+  });
+  await insertBalanceTransaction(conn, {
+    user_id: null, amount: amt, type: 'credit', source: 'bot_bankroll_return',
+    reference_id: referenceId, status: 'completed', meta: { ...meta, bot_user_id: botUserId }
+  });
+  return { amount: amt, reference_id: referenceId };
+}
+
+/* Pick the persona to seat for a stake (caller holds transaction).
+   Candidates are active personas whose stake range covers the bet, preferring ones not already
+   seated in a live match and then the least recently seated. The first whose bankroll covers
+   stake + fee is used; otherwise, with BOT_AUTO_FUND on, the first candidate is topped up from the
+   house to its bankroll target. Returns the persona row with user balance, username and bot user id.
+   Throws with code 'NO_BOT' when no persona covers the stake, or 'BOT_FUNDS' when none can pay it
+   and auto-funding is off. */
+async function seatBotPersona(conn, betAmt, totalDebit) {
+  const [candidates] = await conn.query(
+    `SELECT bp.*, u.username,
+            (SELECT COUNT(*) FROM matches m
+              WHERE m.status = 'playing' AND (m.creator_id = bp.user_id OR m.opponent_id = bp.user_id)) AS live_matches
+       FROM bot_personas bp
+       JOIN users u ON u.id = bp.user_id
+      WHERE bp.status = 'active' AND bp.min_stake <= ? AND (bp.max_stake IS NULL OR bp.max_stake >= ?)
+      ORDER BY live_matches ASC, bp.last_seated_at IS NOT NULL, bp.last_seated_at ASC, bp.id ASC
+      LIMIT 50`,
+    [betAmt, betAmt]
+  );
+  if (!candidates || !candidates.length) {
+    const err = new Error('No bot persona available for this stake');
+    err.code = 'NO_BOT';
+    throw err;
+  }
+
+  for (const persona of candidates) {
+    const [rows] = await conn.query('SELECT balance FROM users WHERE id = ? FOR UPDATE', [persona.user_id]);
+    const balance = rows && rows[0] ? Number(rows[0].balance || 0) : 0;
+    if (balance >= totalDebit) return { ...persona, balance };
+  }
+
+  if (!BOT_AUTO_FUND) {
+    const err = new Error('Bot lacks funds');
+    err.code = 'BOT_FUNDS';
+    throw err;
+  }
+  const persona = candidates[0];
+  const [rows] = await conn.query('SELECT balance FROM users WHERE id = ? FOR UPDATE', [persona.user_id]);
+  const balance = rows && rows[0] ? Number(rows[0].balance || 0) : 0;
+  const target = Math.max(Number(persona.bankroll_target || 0), totalDebit);
+  const topUp = Number((target - balance).toFixed(2));
+  await fundBotBankroll(conn, persona.user_id, topUp, { persona_id: persona.id, reason: 'auto_top_up' });
+  return { ...persona, balance: balance + topUp };
+}
+
 /* Attach a bot to a waiting match (caller holds transaction)
-   Accepts optional botIdentity = { display_name, username } which will be persisted
-   into the matches row as per-match display/username. The model will NOT overwrite
-   users.display_name/username unless it must create a new bot user.
-*/
-async function attachBotToMatch(conn, matchId, botIdentity = null) {
+   The bot is a persona from the fleet (bot_personas), playing under its own name and paying the
+   stake from its own bankroll; its display name and username are stored on the match row.
+   Throws with code 'HOUSE_LIMIT' (and err.limit) when a house exposure limit refuses the seat, and
+   'NO_BOT' / 'BOT_FUNDS' when no persona can take it (see seatBotPersona). */
+async function attachBotToMatch(conn, matchId) {
   if (!conn) throw new Error('attachBotToMatch requires connection');
   const matchRow = await getMatchById(conn, matchId, true);
   if (!matchRow) throw new Error('Match not found');
   if (matchRow.status !== 'waiting' || matchRow.opponent_id) throw new Error('Match not waiting');
+  if (Number(matchRow.is_private)) throw new Error('Match is private');
+  if (matchRow.humans_only) throw new Error('Match is humans-only');
+
+  // house exposure limits: a refused match stays waiting and is refunded by the expiry path
+  const refusal = await houseLimitsModel.checkBotAttach(conn, matchRow);
+  if (refusal) {
+    const err = new Error(refusal.message);
+    err.code = 'HOUSE_LIMIT';
+    err.limit = refusal.limit;
+    throw err;
+  }
 
   const betAmt = Number(matchRow.bet_amount || 0);
   const fee = await chargeForAmount(conn, betAmt);
   const totalDebit = Number((betAmt + fee).toFixed(2));
 
-  // If controller provided a per-match identity, prefer it for per-match display.
-  const chosenName = pickSimulatedName();
-  const base = chosenName.replace(/\s+/g, '').toLowerCase();
-  const usernameCandidate = makeUniqueUsername(base);
-  const botEmail = `${base}.${Date.now()}@example.local`;
-
-  // find an existing bot user (lock it)
-  const [botRows] = await conn.query('SELECT id, username, display_name, balance FROM users WHERE is_bot = 1 ORDER BY id ASC LIMIT 1 FOR UPDATE');
-  let bot = botRows && botRows[0] ? botRows[0] : null;
-
-  if (!bot) {
-    // create a shared bot user (global single bot account).
-    const display_name = botIdentity && botIdentity.display_name ? botIdentity.display_name : chosenName;
-    const username = botIdentity && botIdentity.username ? botIdentity.username : usernameCandidate;
-    const password_hash = '';
-    const startingBalance = totalDebit * 10;
-    const [ins] = await conn.query(
-      `INSERT INTO users (username, email, password_hash, is_bot, balance, display_name, created_at)
-       VALUES (?, ?, ?, 1, ?, ?, NOW())`,
-      [username, botEmail, password_hash, startingBalance, display_name]
-    );
-    bot = { id: ins.insertId, balance: startingBalance, display_name, username };
-  } else {
-    const needsGlobalName = !bot.display_name || !bot.username;
-    if (needsGlobalName) {
-      const newUsername = bot.username || (botIdentity && botIdentity.username) || usernameCandidate;
-      const newDisplay = bot.display_name || (botIdentity && botIdentity.display_name) || chosenName;
-      await conn.query('UPDATE users SET username = ?, display_name = ? WHERE id = ?', [newUsername, newDisplay, bot.id]);
-      bot.username = newUsername;
-      bot.display_name = newDisplay;
-    }
-  }
-
-  // lock bot row and ensure sufficient funds
-  const [lockedBotRows] = await conn.query('SELECT id, balance FROM users WHERE id = ? FOR UPDATE', [bot.id]);
-  if (!lockedBotRows || !lockedBotRows[0]) throw new Error('Bot user missing');
-  let botBal = Number(lockedBotRows[0].balance || 0);
-
-  // top-up if necessary
-  if (botBal < totalDebit) {
-    const topUp = Number((totalDebit * 2).toFixed(2));
-    await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [topUp, bot.id]);
-    botBal += topUp;
-  }
-  if (botBal < totalDebit) throw new Error('Bot lacks funds');
+  const persona = await seatBotPersona(conn, betAmt, totalDebit);
+  const bot = { id: persona.user_id, display_name: persona.display_name, username: persona.username };
 
-  // debit stake from bot
-  await conn.query('UPDATE users SET balance = balance - ? WHERE id = ?', [betAmt, bot.id]);
+  // bot stake into escrow
+  await takeStake(conn, matchId, bot.id, betAmt, { meta: { fee, simulated: true } });
 
   // apply bot fee idempotently (will debit bot and credit admin once)
   if (fee > 0) {
@@ -403,31 +590,116 @@ async function attachBotToMatch(conn, matchId, botIdentity = null) {
     await applyFeeOnce(conn, ref, bot.id, fee);
   }
 
-  // stake tx and bets
-  await insertBalanceTransaction(conn, {
-    user_id: bot.id, amount: betAmt, type: 'debit', source: 'match_stake',
-    reference_id: `match_${matchId}_stake_${bot.id}`, status: 'completed',
-    meta: { match_id: matchId, fee, simulated: true }
-  });
-
+  // bets
   await insertBet(conn, matchId, matchRow.creator_id, betAmt, Number((betAmt - fee).toFixed(2)), fee);
   await insertBet(conn, matchId, bot.id, betAmt, Number((betAmt - fee).toFixed(2)), fee);
 
   // update match row to reference bot user and set status playing
-  const matchUpdate = { opponent_id: bot.id, status: 'playing', current_turn: 'X' };
+  const startedAt = new Date();
+  const matchUpdate = {
+    opponent_id: bot.id, status: 'playing', current_turn: 'X', started_at: startedAt, turn_started_at: startedAt,
+    bot_tier: botTiers.isTier(persona.tier) ? persona.tier : botTiers.tierForStake(betAmt),
+    opponent_is_bot: 1,
+    opponent_display_name: bot.display_name,
+    opponent_username: bot.username
+  };
+
+  await updateMatch(conn, matchId, matchUpdate);
+  await conn.query('UPDATE bot_personas SET last_seated_at = ? WHERE id = ?', [startedAt, persona.id]);
+
+  return { botId: bot.id, matchId, fee, persona_id: persona.id, bot_tier: matchUpdate.bot_tier, bot_display_name: bot.display_name, bot_username: bot.username, bot_avatar_url: persona.avatar_url || null };
+}
+
+/* ---------------------------
+   Match escrow: stakes sit in the match's match_escrow ledger account from the moment they are
+   taken (takeStake) until the match is settled or cancelled. Payouts and refunds are worked out
+   from what escrow actually holds, and a match only closes once its escrow is back to zero.
+   --------------------------- */
+
+function toCents(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+function escrowError(message, code, matchId, held) {
+  const err = new Error(message);
+  err.code = code;
+  err.matchId = matchId;
+  err.escrow = held;
+  return err;
+}
 
-  if (botIdentity && typeof botIdentity === 'object') {
-    matchUpdate.opponent_display_name = botIdentity.display_name || null;
-    matchUpdate.opponent_username = botIdentity.username || null;
-    matchUpdate.opponent_is_bot = 1;
+/* Lock the match escrow and return what it holds; throws 'ESCROW_OVERDRAWN' below zero */
+async function lockEscrow(conn, matchId) {
+  const held = await ledger.balanceOf(conn, 'match_escrow', matchId, true);
+  if (toCents(held) < 0) throw escrowError(`Escrow for match ${matchId} is overdrawn`, 'ESCROW_OVERDRAWN', matchId, held);
+  return held;
+}
+
+/* Throws 'ESCROW_NOT_EMPTY' unless the match escrow is back to zero */
+async function assertEscrowEmpty(conn, matchId) {
+  const left = await ledger.balanceOf(conn, 'match_escrow', matchId, true);
+  if (toCents(left) !== 0) throw escrowError(`Escrow for match ${matchId} still holds ${left}`, 'ESCROW_NOT_EMPTY', matchId, left);
+}
+
+/* Draw refunds: each player gets back what they put into escrow. Whatever the ledger cannot attribute
+   to a player (escrow opened by the ledger migration) is split evenly, the odd cent to the creator. */
+function drawRefunds(held, contributed, creatorId, opponentId) {
+  const heldCents = toCents(held);
+  const ids = [creatorId, opponentId].filter(Boolean);
+  const cents = new Map();
+  let left = heldCents;
+  for (const id of ids) {
+    const own = Math.max(0, Math.min(left, toCents(contributed.get(String(id)) || 0)));
+    cents.set(String(id), own);
+    left -= own;
+  }
+  if (left > 0 && ids.length) {
+    const share = Math.floor(left / ids.length);
+    ids.forEach((id, i) => cents.set(String(id), cents.get(String(id)) + share + (i === 0 ? left - share * ids.length : 0)));
   }
+  return ids.map(id => ({ userId: id, amount: cents.get(String(id)) / 100 }));
+}
 
-  await updateMatch(conn, matchId, matchUpdate);
+/* Refund the creator of a match that never started (stake + creation fee) and mark it cancelled.
+   Used by creator cancel and invite expiry; caller holds the transaction and the row lock. */
+async function refundWaitingMatch(conn, match, { source = 'match_cancel_refund', referenceTag = 'cancel_refund' } = {}) {
+  if (!conn) throw new Error('refundWaitingMatch requires connection');
+  const matchId = match.id;
+
+  // the stake is whatever escrow holds; the creation fee comes back out of house revenue
+  const stake = await lockEscrow(conn, matchId);
+  // the creator's fee row may already have been archived if the match waited past the archive window
+  const feeTx = await retention.findTransaction(conn, `match_${matchId}_create_fee_${match.creator_id}`, 'match_fee');
+  const fee = feeTx
+    ? Number(feeTx.amount || 0)
+    : Number(await chargeForAmount(conn, match.bet_amount || 0) || 0);
+  const totalDebited = Number((stake + fee).toFixed(2));
+
+  const reference = `match_${matchId}_${referenceTag}_${match.creator_id}`;
+  await ledger.post(conn, {
+    kind: source,
+    reference,
+    meta: { match_id: matchId },
+    entries: [
+      { account: ledger.account.escrow(matchId), amount: -stake },
+      { account: ledger.account.house(), amount: -fee },
+      { account: ledger.account.user(match.creator_id), amount: totalDebited }
+    ]
+  });
+  await insertBalanceTransaction(conn, {
+    user_id: match.creator_id, amount: totalDebited, type: 'credit',
+    source, reference_id: reference,
+    status: 'completed', meta: { match_id: matchId, stake, fee }
+  });
 
-  return { botId: bot.id, matchId, fee, bot_display_name: botIdentity && botIdentity.display_name ? botIdentity.display_name : bot.display_name || chosenName, bot_username: botIdentity && botIdentity.username ? botIdentity.username : bot.username };
+  await assertEscrowEmpty(conn, matchId);
+  await updateMatch(conn, matchId, { status: 'cancelled' });
+  return { refunded: totalDebited };
 }
 
-/* Resolve match outcome and perform payouts/refunds.
+/* Resolve match outcome and pay out the match escrow: all of it to the winner (wins and forfeits),
+   or each player's own stakes back on a draw. Throws 'ESCROW_OVERDRAWN' / 'ESCROW_NOT_EMPTY' rather
+   than finish a match whose escrow does not settle to zero.
    Accepts either (matchId, board, winner) or (conn, matchId, board, winner).
    Defensive and idempotent.
 */
@@ -464,101 +736,73 @@ async function resolveMatchOutcome() {
       return { already: true, matchId, status: match.status, winner: match.winner };
     }
 
-    // compute winner symbol detection if not provided
-    const board = String(boardOrNull || match.board || EMPTY_BOARD).padEnd(BOARD_CELLS, '_').slice(0, BOARD_CELLS);
-    const localCheck = (function detectWinner(boardStr) {
-      const ROWS = 6, COLS = 6, WIN = 4;
-      const b = boardStr.split('');
-      const lines = [];
-      for (let r = 0; r < ROWS; r++) for (let c = 0; c + WIN - 1 < COLS; c++) {
-        const seq = [];
-        for (let k = 0; k < WIN; k++) seq.push(r * COLS + c + k);
-        lines.push(seq);
-      }
-      for (let c = 0; c < COLS; c++) for (let r = 0; r + WIN - 1 < ROWS; r++) {
-        const seq = [];
-        for (let k = 0; k < WIN; k++) seq.push((r + k) * COLS + c);
-        lines.push(seq);
-      }
-      for (let r = 0; r + WIN - 1 < ROWS; r++) for (let c = 0; c + WIN - 1 < COLS; c++) {
-        const seq = [];
-        for (let k = 0; k < WIN; k++) seq.push((r + k) * COLS + (c + k));
-        lines.push(seq);
-      }
-      for (let r = 0; r + WIN - 1 < ROWS; r++) for (let c = WIN - 1; c < COLS; c++) {
-        const seq = [];
-        for (let k = 0; k < WIN; k++) seq.push((r + k) * COLS + (c - k));
-        lines.push(seq);
-      }
-      for (const line of lines) {
-        const first = b[line[0]];
-        if (!first || first === '_') continue;
-        let ok = true;
-        for (let i = 1; i < line.length; i++) if (b[line[i]] !== first) { ok = false; break; }
-        if (ok) return { winner: first, line };
-      }
-      const isDraw = b.every(c => c !== '_');
-      return { winner: null, isDraw };
-    })(board);
+    // compute winner symbol detection if not provided, using the match's own board config
+    const cfg = gameRules.configFromMatch(match);
+    let board = gameRules.normalizeBoard(boardOrNull || match.board, cfg);
+    // a gravity board with floating pieces cannot come from legal play; settle on the persisted board instead
+    if (!gameRules.isBoardConsistent(board, cfg)) {
+      console.warn('[resolveMatchOutcome] inconsistent board for game type', cfg.gameType, 'match', matchId);
+      board = gameRules.normalizeBoard(match.board, cfg);
+    }
+    const localCheck = gameRules.checkWinner(board, cfg);
 
     // prefer provided winnerSymbol when it matches local detection, otherwise follow detection
     let finalWinnerSymbol = null;
     if (winnerSymbol === 'X' || winnerSymbol === 'O') finalWinnerSymbol = winnerSymbol;
     if (localCheck.winner) finalWinnerSymbol = localCheck.winner;
 
-    // payout logic
-    const betRows = await getBetsByMatch(conn, matchId);
-    const creatorBet = betRows.find(b => String(b.user_id) === String(match.creator_id));
-    const opponentBet = betRows.find(b => String(b.user_id) === String(match.opponent_id));
-    const betAmount = Number(match.bet_amount || 0);
-    const totalPooled = Number((betAmount * 2).toFixed(2));
-
-    if (finalWinnerSymbol === 'X' || finalWinnerSymbol === 'O') {
-      const winnerId = finalWinnerSymbol === 'X' ? match.creator_id : match.opponent_id;
-      if (winnerId) {
-        await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [totalPooled, winnerId]);
+    // the pot is what escrow holds: both stakes plus accepted doubles (nothing for tournament matches,
+    // whose buy-ins are the prize pool)
+    const held = await lockEscrow(conn, matchId);
+    const multiplier = Math.max(1, Number(match.stake_multiplier || 1));
+    const expected = Number((Number(match.bet_amount || 0) * multiplier * (match.opponent_id ? 2 : 1)).toFixed(2));
+    if (!match.tournament_id && toCents(held) !== toCents(expected)) {
+      console.warn('[resolveMatchOutcome] escrow differs from the stakes on the match row', { matchId, held, expected });
+    }
+
+    const winnerId = finalWinnerSymbol === 'X' ? match.creator_id : finalWinnerSymbol === 'O' ? match.opponent_id : null;
+    if (winnerId) {
+      if (held > 0) {
+        await ledger.transfer(conn, 'match_win', `match_${matchId}_payout`, ledger.account.escrow(matchId), ledger.account.user(winnerId), held, { match_id: matchId });
         await insertBalanceTransaction(conn, {
           user_id: winnerId,
-          amount: totalPooled,
+          amount: held,
           type: 'credit',
           source: 'match_win',
           reference_id: `match_${matchId}_payout`,
           status: 'completed',
-          meta: { match_id: matchId, payout: totalPooled, winner: winnerId }
+          meta: { match_id: matchId, payout: held, winner: winnerId, stake_multiplier: multiplier }
         });
       }
-      await updateMatch(conn, matchId, { status: 'finished', winner: finalWinnerSymbol === 'X' ? 'creator' : 'opponent', board: board });
+      await assertEscrowEmpty(conn, matchId);
+      await applyRatingUpdate(conn, match, finalWinnerSymbol === 'X' ? 1 : 0);
+      await updateMatch(conn, matchId, { status: 'finished', winner: finalWinnerSymbol === 'X' ? 'creator' : 'opponent', board: board, finished_at: new Date() });
+      await tournamentModel.recordMatchResult(conn, match, winnerId);
       if (internalConn) { await conn.commit(); conn.release(); }
-      return { winner: winnerId || null, payout: totalPooled };
+      return { winner: winnerId, payout: held };
     }
 
-    // draw or no winner -> refund stakes (not fees)
-    if (creatorBet) {
-      await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [creatorBet.amount, match.creator_id]);
-      await insertBalanceTransaction(conn, {
-        user_id: match.creator_id,
-        amount: creatorBet.amount,
-        type: 'credit',
-        source: 'match_refund',
-        reference_id: `match_${matchId}_refund_creator`,
-        status: 'completed',
-        meta: { match_id: matchId }
-      });
-    }
-    if (opponentBet) {
-      await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [opponentBet.amount, match.opponent_id]);
+    // draw or no winner -> stakes back out of escrow (fees are not refunded)
+    const contributed = held > 0 ? await ledger.contributions(conn, 'match_escrow', matchId) : new Map();
+    for (const { userId, amount } of drawRefunds(held, contributed, match.creator_id, match.opponent_id)) {
+      if (!(amount > 0)) continue;
+      const side = String(userId) === String(match.creator_id) ? 'creator' : 'opponent';
+      await ledger.transfer(conn, 'match_refund', `match_${matchId}_refund_${side}`, ledger.account.escrow(matchId), ledger.account.user(userId), amount, { match_id: matchId });
       await insertBalanceTransaction(conn, {
-        user_id: match.opponent_id,
-        amount: opponentBet.amount,
+        user_id: userId,
+        amount,
         type: 'credit',
         source: 'match_refund',
-        reference_id: `match_${matchId}_refund_opponent`,
+        reference_id: `match_${matchId}_refund_${side}`,
         status: 'completed',
-        meta: { match_id: matchId }
+        meta: { match_id: matchId, stake_multiplier: multiplier }
       });
     }
+    await assertEscrowEmpty(conn, matchId);
 
-    await updateMatch(conn, matchId, { status: 'finished', winner: 'draw', board: board });
+    await applyRatingUpdate(conn, match, 0.5);
+    await updateMatch(conn, matchId, { status: 'finished', winner: 'draw', board: board, finished_at: new Date() });
+    await tournamentModel.recordMatchResult(conn, match, null);
     if (internalConn) { await conn.commit(); conn.release(); }
     return { winner: null, payout: 0, draw: true };
   } catch (err) {
@@ -570,12 +814,47 @@ async function resolveMatchOutcome() {
   }
 }
 
+/**
+ * applyRatingUpdate(conn, match, creatorScore)
+ * - Glicko update for both players of a settled match (creatorScore: 1 X won, 0.5 draw, 0 O won)
+ * - bot matches are not rated; returns null for them
+ * - writes one rating_history row per player (unique per match, so a replay cannot double-rate)
+ */
+async function applyRatingUpdate(conn, match, creatorScore) {
+  if (!match || !match.creator_id || !match.opponent_id) return null;
+  const [rows] = await conn.query(
+    'SELECT id, is_bot, rating, rating_deviation, rating_updated_at FROM users WHERE id IN (?) ORDER BY id ASC FOR UPDATE',
+    [[match.creator_id, match.opponent_id]]
+  );
+  const creator = (rows || []).find(r => String(r.id) === String(match.creator_id));
+  const opponent = (rows || []).find(r => String(r.id) === String(match.opponent_id));
+  if (!creator || !opponent || Number(creator.is_bot) || Number(opponent.is_bot)) return null;
+
+  const rated = rating.rateGame(creator, opponent, creatorScore);
+  const now = new Date();
+  const sides = [
+    [creator.id, opponent.id, creatorScore, rated.creator],
+    [opponent.id, creator.id, 1 - creatorScore, rated.opponent]
+  ];
+  for (const [userId, opponentId, score, r] of sides) {
+    await conn.query(
+      'INSERT INTO rating_history (match_id, user_id, opponent_id, score, rating_before, rating_after, rd_before, rd_after, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [match.id, userId, opponentId, score, Number(r.before.rating.toFixed(2)), r.after.rating, Number(r.before.rd.toFixed(2)), r.after.rd, now]
+    );
+    await conn.query(
+      'UPDATE users SET rating = ?, rating_deviation = ?, rated_games = rated_games + 1, rating_updated_at = ? WHERE id = ?',
+      [r.after.rating, r.after.rd, now, userId]
+    );
+  }
+  return rated;
+}
+
 /* Convenience transactional wrappers */
-async function createMatchAsTransaction(creatorId, betAmount) {
+async function createMatchAsTransaction(creatorId, betAmount, boardConfig = null, timeControlValue = null) {
   const conn = await getConnection();
   try {
     await conn.beginTransaction();
-    const res = await createWaitingMatch(conn, creatorId, betAmount);
+    const res = await createWaitingMatch(conn, creatorId, betAmount, boardConfig, timeControlValue);
     await conn.commit();
     return res;
   } catch (err) {
@@ -586,11 +865,11 @@ async function createMatchAsTransaction(creatorId, betAmount) {
   }
 }
 
-async function tryJoinWaitingMatchTx(userId, betAmount) {
+async function tryJoinWaitingMatchTx(userId, betAmount, boardConfig = null, timeControlValue = null) {
   const conn = await getConnection();
   try {
     await conn.beginTransaction();
-    const res = await tryJoinWaitingMatch(conn, userId, betAmount);
+    const res = await tryJoinWaitingMatch(conn, userId, betAmount, boardConfig, timeControlValue);
     await conn.commit();
     return res;
   } catch (err) {
@@ -601,11 +880,11 @@ async function tryJoinWaitingMatchTx(userId, betAmount) {
   }
 }
 
-async function attachBotToMatchTx(matchId, botIdentity = null) {
+async function attachBotToMatchTx(matchId) {
   const conn = await getConnection();
   try {
     await conn.beginTransaction();
-    const res = await attachBotToMatch(conn, matchId, botIdentity);
+    const res = await attachBotToMatch(conn, matchId);
     await conn.commit();
     return res;
   } catch (err) {
@@ -618,36 +897,22 @@ async function attachBotToMatchTx(matchId, botIdentity = null) {
 
 /* wrap resolve as caller convenience */
 async function resolveMatchOutcomeTx(matchId, board, winnerSymbol) {
-  return resolveMatchOutcome(matchId, board, winnerSymbol);
+  const result = await resolveMatchOutcome(matchId, board, winnerSymbol);
+  // committed by now; let subscribers (spectator stream) pick up the final state
+  if (result && !result.already) emitMatchEvent(MATCH_EVENTS.FINISHED, { matchId: Number(matchId) });
+  return result;
 }
 
-/* Cleanup helper: delete short-lived rows for finished matches (safe) */
+/* Cleanup helper: archive old financial rows and drop dead transient ones (see models/retentionModel) */
 async function cleanupOldRows(pool) {
-  if (!pool) pool = await getPool();
-  const conn = await pool.getConnection();
   try {
-    await conn.beginTransaction();
-
-    const deleteTx1 = `DELETE FROM balance_transactions WHERE created_at < (NOW() - INTERVAL 5 MINUTE)`;
-    const deleteTx2 = `DELETE mv FROM moves mv
-       JOIN matches m ON mv.match_id = m.id
-       WHERE m.status IN ('finished','cancelled') AND mv.played_at < (NOW() - INTERVAL 5 MINUTE)`;
-    const deleteTx3 = `DELETE b FROM bets b
-       JOIN matches m ON b.match_id = m.id
-       WHERE m.status IN ('finished','cancelled') AND b.placed_at < (NOW() - INTERVAL 5 MINUTE)`;
-    const deleteMatches = `DELETE FROM matches WHERE created_at < (NOW() - INTERVAL 5 MINUTE) AND (status IS NULL OR status <> 'playing')`;
-
-    await conn.query(deleteTx1);
-    await conn.query(deleteTx2);
-    await conn.query(deleteTx3);
-    await conn.query(deleteMatches);
-
-    await conn.commit();
+    const summary = await retention.runRetention(pool);
+    const moved = Object.values(summary.archived).concat(Object.values(summary.deleted)).some(n => n > 0);
+    if (moved) console.log('[matchModel.cleanupOldRows] retention', summary);
+    return summary;
   } catch (err) {
-    await conn.rollback().catch(() => {});
     console.error('[matchModel.cleanupOldRows] error', err && err.stack ? err.stack : err);
-  } finally {
-    try { conn.release(); } catch (_) {}
+    return null;
   }
 }
 
@@ -676,18 +941,30 @@ module.exports = {
   makeUniqueUsername,
   createMatchRow,
   getMatchById,
+  getUserMatches,
+  getActiveMatchIds,
+  refundWaitingMatch,
   updateMatch,
   insertMove,
   getMoves,
   insertBet,
   getBetsByMatch,
+  insertMatchEvent,
+  getMatchEvents,
+  drawOfferLapse,
   insertBalanceTransaction,
-  recordAdminFee,
   chargeForAmount,
+  takeStake,
   tryJoinWaitingMatch,
   createWaitingMatch,
+  createPairedMatch,
+  normalizeHumansOnly,
+  fundBotBankroll,
+  returnBotBankroll,
+  seatBotPersona,
   attachBotToMatch,
   resolveMatchOutcome,
+  applyRatingUpdate,
   createMatchAsTransaction,
   tryJoinWaitingMatchTx,
   attachBotToMatchTx,
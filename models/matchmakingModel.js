@@ -0,0 +1,250 @@
+// src/models/matchmakingModel.js
+const { getPool } = require('../config/db');
+const gameRules = require('../lib/gameRules');
+
+/*
+  Matchmaking queue.
+
+  matchmaking_tickets: one active (queued|proposed) ticket per user
+    min_stake / max_stake  - stake range the player will accept
+    skill_band             - max rating difference (NULL = any opponent)
+    skill_rating           - snapshot taken at enqueue time
+    board / game type / time control must match exactly between paired tickets
+
+  Both the stake range and the skill band widen the longer a ticket waits:
+    every QUEUE_WIDEN_STEP_MS the range grows by QUEUE_STAKE_WIDEN_STEP (fraction, capped at
+    QUEUE_STAKE_WIDEN_MAX) on each side and the band by QUEUE_SKILL_WIDEN_STEP points.
+
+  matchmaking_proposals: a pairing with the agreed stake; both players accept before anything is debited.
+*/
+
+const TICKET_TTL_MS = Number(process.env.QUEUE_TICKET_TTL_MS || 5 * 60 * 1000);
+const PROPOSAL_TTL_MS = Number(process.env.QUEUE_PROPOSAL_TTL_MS || 20 * 1000);
+const WIDEN_STEP_MS = Number(process.env.QUEUE_WIDEN_STEP_MS || 10 * 1000);
+const STAKE_WIDEN_STEP = Number(process.env.QUEUE_STAKE_WIDEN_STEP || 0.1);
+const STAKE_WIDEN_MAX = Number(process.env.QUEUE_STAKE_WIDEN_MAX || 0.5);
+const SKILL_WIDEN_STEP = Number(process.env.QUEUE_SKILL_WIDEN_STEP || 50);
+const DEFAULT_SKILL_RATING = 1500;
+
+async function getConnection() {
+  const pool = await getPool();
+  return pool.getConnection();
+}
+
+function toMs(ts) {
+  const ms = ts instanceof Date ? ts.getTime() : new Date(ts).getTime();
+  return Number.isFinite(ms) ? ms : Date.now();
+}
+
+function round2(n) {
+  return Number(Number(n).toFixed(2));
+}
+
+/* Player's Glicko rating (users.rating, see lib/rating), rounded for banding */
+async function skillRating(connOrPool, userId) {
+  const [rows] = await connOrPool.query('SELECT rating FROM users WHERE id = ? LIMIT 1', [userId]);
+  const value = rows && rows[0] ? Number(rows[0].rating) : NaN;
+  return Number.isFinite(value) ? Math.round(value) : DEFAULT_SKILL_RATING;
+}
+
+function widenSteps(ticket, now = Date.now()) {
+  return Math.max(0, Math.floor((now - toMs(ticket.created_at)) / WIDEN_STEP_MS));
+}
+
+/* Stake range after widening for time spent in the queue */
+function effectiveStakeRange(ticket, now = Date.now()) {
+  const w = Math.min(STAKE_WIDEN_MAX, widenSteps(ticket, now) * STAKE_WIDEN_STEP);
+  return { min: round2(Number(ticket.min_stake) * (1 - w)), max: round2(Number(ticket.max_stake) * (1 + w)) };
+}
+
+/* Skill band after widening, or null when the ticket accepts any opponent */
+function effectiveSkillBand(ticket, now = Date.now()) {
+  if (ticket.skill_band === null || ticket.skill_band === undefined) return null;
+  return Number(ticket.skill_band) + widenSteps(ticket, now) * SKILL_WIDEN_STEP;
+}
+
+function sameGameSettings(a, b) {
+  return Number(a.board_rows) === Number(b.board_rows) &&
+    Number(a.board_cols) === Number(b.board_cols) &&
+    Number(a.win_length) === Number(b.win_length) &&
+    String(a.game_type) === String(b.game_type) &&
+    (a.time_base_ms === null ? null : Number(a.time_base_ms)) === (b.time_base_ms === null ? null : Number(b.time_base_ms)) &&
+    Number(a.time_increment_ms || 0) === Number(b.time_increment_ms || 0);
+}
+
+/**
+ * agreedStake(a, b, now)
+ * - null when the tickets cannot be paired right now
+ * - otherwise the midpoint of both players' requested ranges, clamped into the overlap of the widened ranges
+ */
+function agreedStake(a, b, now = Date.now()) {
+  if (String(a.user_id) === String(b.user_id)) return null;
+  if (!sameGameSettings(a, b)) return null;
+
+  const diff = Math.abs(Number(a.skill_rating) - Number(b.skill_rating));
+  const bandA = effectiveSkillBand(a, now);
+  const bandB = effectiveSkillBand(b, now);
+  if ((bandA !== null && diff > bandA) || (bandB !== null && diff > bandB)) return null;
+
+  const ra = effectiveStakeRange(a, now);
+  const rb = effectiveStakeRange(b, now);
+  const lo = Math.max(ra.min, rb.min);
+  const hi = Math.min(ra.max, rb.max);
+  if (lo > hi) return null;
+
+  const target = (Number(a.min_stake) + Number(a.max_stake) + Number(b.min_stake) + Number(b.max_stake)) / 4;
+  const stake = round2(Math.min(hi, Math.max(lo, target)));
+  return stake > 0 ? stake : null;
+}
+
+/* Board config / time control columns for a ticket, in the shape createMatchRow expects */
+function ticketBoardConfig(ticket) {
+  return gameRules.normalizeConfig({
+    rows: ticket.board_rows, cols: ticket.board_cols, winLength: ticket.win_length, gameType: ticket.game_type
+  });
+}
+
+async function createTicket(conn, payload) {
+  if (!conn) throw new Error('createTicket requires connection');
+  const { userId, minStake, maxStake, skillBand = null, skillRatingValue, boardConfig, clockColumns } = payload;
+  const [res] = await conn.query(
+    `INSERT INTO matchmaking_tickets
+       (user_id, min_stake, max_stake, skill_band, skill_rating, board_rows, board_cols, win_length, game_type,
+        time_base_ms, time_increment_ms, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued', NOW(3))`,
+    [userId, minStake, maxStake, skillBand, skillRatingValue, boardConfig.rows, boardConfig.cols, boardConfig.winLength,
+      boardConfig.gameType, clockColumns.time_base_ms, clockColumns.time_increment_ms]
+  );
+  return res.insertId;
+}
+
+async function getTicketById(connOrPool, ticketId, forUpdate = false) {
+  const [rows] = await connOrPool.query(`SELECT * FROM matchmaking_tickets WHERE id = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`, [ticketId]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function getActiveTicketForUser(connOrPool, userId, forUpdate = false) {
+  const [rows] = await connOrPool.query(
+    `SELECT * FROM matchmaking_tickets WHERE user_id = ? AND status IN ('queued','proposed') ORDER BY id DESC LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [userId]
+  );
+  return rows && rows[0] ? rows[0] : null;
+}
+
+/* Most recent ticket of any status, so a player can see that they were matched */
+async function getLatestTicketForUser(connOrPool, userId) {
+  const [rows] = await connOrPool.query('SELECT * FROM matchmaking_tickets WHERE user_id = ? ORDER BY id DESC LIMIT 1', [userId]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function listQueuedTickets(conn) {
+  const [rows] = await conn.query(`SELECT * FROM matchmaking_tickets WHERE status = 'queued' ORDER BY created_at ASC, id ASC FOR UPDATE`);
+  return rows || [];
+}
+
+async function updateTicket(conn, ticketId, fields = {}) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  await conn.query(`UPDATE matchmaking_tickets SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`, [...keys.map(k => fields[k]), ticketId]);
+}
+
+async function expireStaleTickets(conn, now = Date.now()) {
+  const [res] = await conn.query(
+    `UPDATE matchmaking_tickets SET status = 'expired' WHERE status = 'queued' AND created_at < ?`,
+    [new Date(now - TICKET_TTL_MS)]
+  );
+  return res.affectedRows || 0;
+}
+
+async function createProposal(conn, { ticketA, ticketB, stake, fee }) {
+  const [res] = await conn.query(
+    `INSERT INTO matchmaking_proposals (ticket_a, ticket_b, user_a, user_b, stake, fee, status, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, NOW(3))`,
+    [ticketA.id, ticketB.id, ticketA.user_id, ticketB.user_id, stake, fee, new Date(Date.now() + PROPOSAL_TTL_MS)]
+  );
+  return res.insertId;
+}
+
+async function getProposalById(connOrPool, proposalId, forUpdate = false) {
+  const [rows] = await connOrPool.query(`SELECT * FROM matchmaking_proposals WHERE id = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`, [proposalId]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function listExpiredProposals(conn, now = Date.now()) {
+  const [rows] = await conn.query(
+    `SELECT * FROM matchmaking_proposals WHERE status = 'pending' AND expires_at <= ? ORDER BY id ASC FOR UPDATE`,
+    [new Date(now)]
+  );
+  return rows || [];
+}
+
+async function updateProposal(conn, proposalId, fields = {}) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  await conn.query(`UPDATE matchmaking_proposals SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`, [...keys.map(k => fields[k]), proposalId]);
+}
+
+/* Public shapes */
+function toPublicTicket(ticket, now = Date.now()) {
+  if (!ticket) return null;
+  const range = effectiveStakeRange(ticket, now);
+  return {
+    id: ticket.id,
+    status: ticket.status,
+    min_stake: Number(ticket.min_stake),
+    max_stake: Number(ticket.max_stake),
+    skill_band: ticket.skill_band === null ? null : Number(ticket.skill_band),
+    skill_rating: Number(ticket.skill_rating),
+    searching: { min_stake: range.min, max_stake: range.max, skill_band: effectiveSkillBand(ticket, now) },
+    board_rows: ticket.board_rows,
+    board_cols: ticket.board_cols,
+    win_length: ticket.win_length,
+    game_type: ticket.game_type,
+    time_base_ms: ticket.time_base_ms,
+    time_increment_ms: ticket.time_increment_ms,
+    proposal_id: ticket.proposal_id || null,
+    match_id: ticket.match_id || null,
+    created_at: ticket.created_at
+  };
+}
+
+function toPublicProposal(proposal, userId) {
+  if (!proposal) return null;
+  const isA = String(proposal.user_a) === String(userId);
+  return {
+    id: proposal.id,
+    status: proposal.status,
+    stake: Number(proposal.stake),
+    fee: Number(proposal.fee),
+    you_accepted: Boolean(Number(isA ? proposal.a_accepted : proposal.b_accepted)),
+    opponent_accepted: Boolean(Number(isA ? proposal.b_accepted : proposal.a_accepted)),
+    symbol: isA ? 'X' : 'O',
+    match_id: proposal.match_id || null,
+    expires_at: proposal.expires_at
+  };
+}
+
+module.exports = {
+  TICKET_TTL_MS,
+  PROPOSAL_TTL_MS,
+  DEFAULT_SKILL_RATING,
+  getConnection,
+  skillRating,
+  effectiveStakeRange,
+  effectiveSkillBand,
+  agreedStake,
+  ticketBoardConfig,
+  createTicket,
+  getTicketById,
+  getActiveTicketForUser,
+  getLatestTicketForUser,
+  listQueuedTickets,
+  updateTicket,
+  expireStaleTickets,
+  createProposal,
+  getProposalById,
+  listExpiredProposals,
+  updateProposal,
+  toPublicTicket,
+  toPublicProposal
+};
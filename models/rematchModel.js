@@ -0,0 +1,100 @@
+// src/models/rematchModel.js
+const { getPool } = require('../config/db');
+const matchModel = require('./matchModel');
+const gameRules = require('../lib/gameRules');
+const timeControl = require('../lib/timeControl');
+
+/*
+  rematch_offers: one row per finished match
+    id, match_id, offered_by, offered_to, status (pending|accepted|declined|expired),
+    new_match_id, expires_at, created_at, responded_at
+
+  Offers do not hold money. Both players are debited only when the offer is accepted,
+  through the same stake + applyFeeOnce flow used when a match is created and joined.
+  Pending offers past expires_at are treated as expired (lazily persisted on the next touch).
+*/
+
+const REMATCH_WINDOW_MS = Number(process.env.MATCH_REMATCH_WINDOW_MS || 60 * 1000);
+
+async function getConnection() {
+  const pool = await getPool();
+  return pool.getConnection();
+}
+
+async function getOfferByMatch(connOrPool, matchId, forUpdate = false) {
+  if (!connOrPool) throw new Error('getOfferByMatch requires a connection or pool');
+  const sql = `SELECT * FROM rematch_offers WHERE match_id = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`;
+  const [rows] = await connOrPool.query(sql, [matchId]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+/* Create the offer, or re-open a declined/expired one (match_id is unique) */
+async function upsertOffer(conn, { matchId, offeredBy, offeredTo, expiresAt }) {
+  if (!conn) throw new Error('upsertOffer requires connection');
+  await conn.query(
+    `INSERT INTO rematch_offers (match_id, offered_by, offered_to, status, expires_at, created_at)
+     VALUES (?, ?, ?, 'pending', ?, NOW())
+     ON DUPLICATE KEY UPDATE offered_by = VALUES(offered_by), offered_to = VALUES(offered_to),
+       status = 'pending', new_match_id = NULL, expires_at = VALUES(expires_at), responded_at = NULL`,
+    [matchId, offeredBy, offeredTo, expiresAt]
+  );
+  return getOfferByMatch(conn, matchId, false);
+}
+
+async function updateOffer(conn, offerId, fields = {}) {
+  if (!conn) throw new Error('updateOffer requires connection');
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  const parts = keys.map(k => `${k} = ?`).join(', ');
+  await conn.query(`UPDATE rematch_offers SET ${parts} WHERE id = ?`, [...keys.map(k => fields[k]), offerId]);
+}
+
+function isExpired(offer, now = Date.now()) {
+  if (!offer || !offer.expires_at) return false;
+  return new Date(offer.expires_at).getTime() <= now;
+}
+
+/* Public shape; a pending offer past its window reads as expired even before it is persisted */
+function toPublicOffer(offer, now = Date.now()) {
+  if (!offer) return null;
+  const status = offer.status === 'pending' && isExpired(offer, now) ? 'expired' : offer.status;
+  return {
+    match_id: offer.match_id,
+    offered_by: offer.offered_by,
+    offered_to: offer.offered_to,
+    status,
+    new_match_id: offer.new_match_id || null,
+    expires_at: offer.expires_at
+  };
+}
+
+/**
+ * startRematch(conn, oldMatch)
+ * - caller holds the transaction and the offer lock
+ * - new match uses the same bet_amount, board config and time control with X and O swapped
+ *   (the previous opponent becomes creator and moves first)
+ * - both players are debited stake + fee; throws Error with .code = 'INSUFFICIENT_BALANCE' and .userId
+ */
+async function startRematch(conn, oldMatch) {
+  if (!conn) throw new Error('startRematch requires connection');
+  return matchModel.createPairedMatch(conn, {
+    creatorId: oldMatch.opponent_id,
+    opponentId: oldMatch.creator_id,
+    betAmount: Number(oldMatch.bet_amount || 0),
+    boardConfig: gameRules.configFromMatch(oldMatch),
+    timeControlValue: timeControl.timeControlFromMatch(oldMatch),
+    fields: { rematch_of: oldMatch.id },
+    meta: { rematch_of: oldMatch.id }
+  });
+}
+
+module.exports = {
+  REMATCH_WINDOW_MS,
+  getConnection,
+  getOfferByMatch,
+  upsertOffer,
+  updateOffer,
+  isExpired,
+  toPublicOffer,
+  startRematch
+};
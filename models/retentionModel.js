@@ -0,0 +1,148 @@
+// src/models/retentionModel.js
+const { getPool } = require('../config/db');
+
+/*
+  Data retention.
+
+  Financial rows (balance_transactions, bets) are never deleted: once they are older than the
+  archive window they are moved, batch by batch, into balance_transactions_archive / bets_archive.
+  Only rows that settle nothing are held back - pending transactions and the bets of matches that
+  are still open stay live however old they are.
+
+  Transient rows (expired auth tokens, answered rematch offers, closed matchmaking tickets and
+  proposals) are deleted once they have been dead for the transient window. Matches, moves,
+  match events, withdrawals and the ledger are kept in place.
+
+  Readers that total balance_transactions over all time (leaderboard net winnings, the bot fleet
+  report, reconciliation) read live and archived rows together, e.g. through ALL_TRANSACTIONS.
+
+  RETENTION_ARCHIVE_AFTER_DAYS     - age at which financial rows are archived (default 365, 0 = never)
+  RETENTION_TRANSIENT_AFTER_HOURS  - age at which transient rows are deleted (default 24, 0 = never)
+  RETENTION_BATCH_SIZE             - rows moved per transaction (default 500)
+  RETENTION_MAX_BATCHES            - batches per table per run, so one run stays short (default 20)
+*/
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const n = raw === undefined || raw === '' ? fallback : Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const POLICY = Object.freeze({
+  archive_after_days: envNumber('RETENTION_ARCHIVE_AFTER_DAYS', 365),
+  transient_after_hours: envNumber('RETENTION_TRANSIENT_AFTER_HOURS', 24),
+  batch_size: Math.max(1, Math.floor(envNumber('RETENTION_BATCH_SIZE', 500))),
+  max_batches: Math.max(1, Math.floor(envNumber('RETENTION_MAX_BATCHES', 20)))
+});
+
+/* Live table -> archive table, with the columns copied and which rows are old enough (? = days) */
+const ARCHIVED = Object.freeze([
+  {
+    table: 'balance_transactions',
+    archive: 'balance_transactions_archive',
+    columns: ['id', 'user_id', 'amount', 'type', 'source', 'reference_id', 'status', 'meta', 'created_at'],
+    due: `SELECT id FROM balance_transactions
+           WHERE created_at < (NOW() - INTERVAL ? DAY)
+             AND COALESCE(status, '') NOT IN ('pending')
+           ORDER BY id ASC LIMIT ? FOR UPDATE`
+  },
+  {
+    table: 'bets',
+    archive: 'bets_archive',
+    columns: ['id', 'match_id', 'user_id', 'amount', 'net_amount', 'fee_amount', 'kind', 'placed_at', 'refunded'],
+    due: `SELECT b.id FROM bets b JOIN matches m ON m.id = b.match_id
+           WHERE b.placed_at < (NOW() - INTERVAL ? DAY)
+             AND m.status IN ('finished','cancelled')
+           ORDER BY b.id ASC LIMIT ? FOR UPDATE`
+  }
+]);
+
+/* Live and archived balance_transactions as one derived table (use as `FROM ${ALL_TRANSACTIONS} bt`) */
+const TX_COLUMNS = 'id, user_id, amount, type, source, reference_id, status, meta, created_at';
+const ALL_TRANSACTIONS = `(SELECT ${TX_COLUMNS} FROM balance_transactions
+   UNION ALL
+   SELECT ${TX_COLUMNS} FROM balance_transactions_archive)`;
+
+/* Transient rows that may be deleted once dead for the transient window (? = hours) */
+const TRANSIENT = Object.freeze([
+  { table: 'auth_tokens', sql: 'DELETE FROM auth_tokens WHERE expires_at < (NOW() - INTERVAL ? HOUR)' },
+  { table: 'rematch_offers', sql: "DELETE FROM rematch_offers WHERE status <> 'pending' AND expires_at < (NOW() - INTERVAL ? HOUR)" },
+  { table: 'matchmaking_proposals', sql: "DELETE FROM matchmaking_proposals WHERE status <> 'pending' AND expires_at < (NOW() - INTERVAL ? HOUR)" },
+  { table: 'matchmaking_tickets', sql: "DELETE FROM matchmaking_tickets WHERE status IN ('matched','cancelled','expired') AND updated_at < (NOW() - INTERVAL ? HOUR)" }
+]);
+
+/* Move one batch of due rows into the archive; returns how many moved */
+async function archiveBatch(conn, spec, days, batchSize) {
+  await conn.beginTransaction();
+  try {
+    const [rows] = await conn.query(spec.due, [days, batchSize]);
+    const ids = (rows || []).map(r => r.id);
+    if (ids.length) {
+      const cols = spec.columns.join(', ');
+      await conn.query(`INSERT IGNORE INTO ${spec.archive} (${cols}) SELECT ${cols} FROM ${spec.table} WHERE id IN (?)`, [ids]);
+      const [copied] = await conn.query(`SELECT COUNT(*) AS n FROM ${spec.archive} WHERE id IN (?)`, [ids]);
+      if (Number(copied && copied[0] ? copied[0].n : 0) !== ids.length) {
+        throw new Error(`archive copy of ${spec.table} is incomplete`);
+      }
+      await conn.query(`DELETE FROM ${spec.table} WHERE id IN (?)`, [ids]);
+    }
+    await conn.commit();
+    return ids.length;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * runRetention(pool, policy)
+ * - archives financial rows past the archive window and deletes dead transient rows
+ * - returns { archived: { table: rows }, deleted: { table: rows } }
+ */
+async function runRetention(pool, policy = POLICY) {
+  if (!pool) pool = await getPool();
+  const summary = { archived: {}, deleted: {} };
+  const conn = await pool.getConnection();
+  try {
+    if (policy.archive_after_days > 0) {
+      for (const spec of ARCHIVED) {
+        let moved = 0;
+        for (let i = 0; i < policy.max_batches; i++) {
+          const n = await archiveBatch(conn, spec, policy.archive_after_days, policy.batch_size);
+          moved += n;
+          if (n < policy.batch_size) break;
+        }
+        summary.archived[spec.table] = moved;
+      }
+    }
+    if (policy.transient_after_hours > 0) {
+      for (const spec of TRANSIENT) {
+        const [res] = await conn.query(spec.sql, [policy.transient_after_hours]);
+        summary.deleted[spec.table] = res && res.affectedRows ? res.affectedRows : 0;
+      }
+    }
+  } finally {
+    conn.release();
+  }
+  return summary;
+}
+
+/* A balance_transactions row by reference, looking in the archive when it is no longer live */
+async function findTransaction(connOrPool, referenceId, source = null) {
+  const db = connOrPool || await getPool();
+  const where = `reference_id = ?${source ? ' AND source = ?' : ''}`;
+  const params = source ? [referenceId, source] : [referenceId];
+  const [live] = await db.query(`SELECT * FROM balance_transactions WHERE ${where} LIMIT 1`, params);
+  if (live && live[0]) return live[0];
+  const [archived] = await db.query(`SELECT * FROM balance_transactions_archive WHERE ${where} LIMIT 1`, params);
+  return archived && archived[0] ? { ...archived[0], archived: true } : null;
+}
+
+module.exports = {
+  POLICY,
+  ARCHIVED,
+  TRANSIENT,
+  ALL_TRANSACTIONS,
+  runRetention,
+  findTransaction
+};
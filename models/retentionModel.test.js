@@ -0,0 +1,33 @@
+// models/retentionModel.test.js
+const retention = require('./retentionModel');
+
+function fakeDb({ live = [], archive = [] }) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      const rows = /balance_transactions_archive/.test(sql) ? archive : live;
+      const [ref, source] = params;
+      return [rows.filter(r => r.reference_id === ref && (source === undefined || r.source === source)).slice(0, 1)];
+    })
+  };
+}
+
+describe('findTransaction', () => {
+  const fee = { id: 5, reference_id: 'match_3_create_fee_7', source: 'match_fee', amount: '1.50' };
+
+  test('prefers the live row', async () => {
+    const db = fakeDb({ live: [fee], archive: [{ ...fee, amount: '9.99' }] });
+    await expect(retention.findTransaction(db, fee.reference_id, 'match_fee')).resolves.toEqual(fee);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to the archive and marks the row', async () => {
+    const db = fakeDb({ archive: [fee] });
+    await expect(retention.findTransaction(db, fee.reference_id, 'match_fee')).resolves.toEqual({ ...fee, archived: true });
+  });
+
+  test('filters on source when given and returns null when nothing matches', async () => {
+    const db = fakeDb({ live: [fee] });
+    await expect(retention.findTransaction(db, fee.reference_id, 'match_fee_collected')).resolves.toBeNull();
+    await expect(retention.findTransaction(db, fee.reference_id)).resolves.toEqual(fee);
+  });
+});
@@ -0,0 +1,389 @@
+// src/models/tournamentModel.js
+const { getPool } = require('../config/db');
+
+/*
+  Single-elimination tournaments.
+
+  tournaments        - buy-in, seat limit, start time, rake and payout table (percent per finishing place)
+  tournament_entries - one per registered player; seed is assigned (by rating) when the bracket is built
+  tournament_slots   - one per bracket position: round 1..total_rounds, slot 0..(size >> round) - 1.
+                       The winner of (round, slot) moves to (round + 1, slot >> 1), as X from even
+                       slots and O from odd ones. A slot with a single player is a bye.
+
+  Tournament matches are ordinary match rows with bet_amount 0 and matches.tournament_id set; the
+  buy-ins are the only money in play. resolveMatchOutcome calls recordMatchResult in its own
+  transaction, so a settled match advances its winner atomically. A drawn game is replayed with
+  colours swapped up to MAX_REPLAYS times, after which the better seed goes through.
+
+  Finishing place: champion 1, final loser 2, players knocked out in round r share
+  place 2^(total_rounds - r) + 1.
+*/
+
+const DEFAULT_PAYOUTS = Object.freeze([50, 30, 10, 10]);
+const MAX_REPLAYS = Number(process.env.TOURNAMENT_MAX_REPLAYS || 2);
+
+async function getConnection() {
+  const pool = await getPool();
+  return pool.getConnection();
+}
+
+function round2(n) {
+  return Number(Number(n).toFixed(2));
+}
+
+function parsePayouts(value) {
+  if (!value) return [...DEFAULT_PAYOUTS];
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(list) && list.length ? list.map(Number) : [...DEFAULT_PAYOUTS];
+}
+
+/* Smallest power of two that seats everyone (minimum 2) */
+function bracketSize(entrants) {
+  let size = 2;
+  while (size < entrants) size *= 2;
+  return size;
+}
+
+/**
+ * seedPositions(size)
+ * - seed numbers (1-based) in bracket order, so seed 1 meets seed size in round 1 and
+ *   seeds 1 and 2 can only meet in the final; byes (seeds > entrants) fall to the top seeds
+ */
+function seedPositions(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(s => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+function finishPlace(totalRounds, roundLost) {
+  return Math.pow(2, totalRounds - roundLost) + 1;
+}
+
+/**
+ * prizeTable(entries, payouts, netPool)
+ * - entries: [{ user_id, finish_position }]; players sharing a place split the percentages of
+ *   the places they cover (two semi-final losers split 3rd + 4th)
+ * - percentages for places nobody reached are spread over the paid places, so the whole net pool
+ *   is always paid out; rounding cents go to the best-placed player
+ * - returns Map user_id -> prize
+ */
+function prizeTable(entries, payouts, netPool) {
+  const groups = new Map();
+  for (const e of entries) {
+    const place = Number(e.finish_position);
+    if (!groups.has(place)) groups.set(place, []);
+    groups.get(place).push(e);
+  }
+
+  const shares = [];
+  for (const [place, members] of groups) {
+    let percent = 0;
+    for (let p = place; p < place + members.length; p++) percent += Number(payouts[p - 1] || 0);
+    if (percent > 0) shares.push({ place, members, percent });
+  }
+  const totalPercent = shares.reduce((sum, s) => sum + s.percent, 0);
+
+  const prizes = new Map();
+  if (!totalPercent) return prizes;
+  let paid = 0;
+  for (const s of shares) {
+    const each = round2((netPool * s.percent) / totalPercent / s.members.length);
+    for (const m of s.members) {
+      prizes.set(String(m.user_id), each);
+      paid = round2(paid + each);
+    }
+  }
+  const remainder = round2(netPool - paid);
+  if (remainder && shares.length) {
+    const best = shares.sort((a, b) => a.place - b.place)[0].members[0];
+    prizes.set(String(best.user_id), round2(prizes.get(String(best.user_id)) + remainder));
+  }
+  return prizes;
+}
+
+async function createTournament(conn, fields) {
+  const keys = Object.keys(fields);
+  const [res] = await conn.query(
+    `INSERT INTO tournaments (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`,
+    keys.map(k => fields[k])
+  );
+  return res.insertId;
+}
+
+async function getTournamentById(connOrPool, tournamentId, forUpdate = false) {
+  const [rows] = await connOrPool.query(`SELECT * FROM tournaments WHERE id = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`, [tournamentId]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function listTournaments(connOrPool, { status = null, limit = 50 } = {}) {
+  const [rows] = await connOrPool.query(
+    `SELECT t.*, (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id = t.id AND e.status <> 'refunded') AS entrants
+       FROM tournaments t
+      ${status ? 'WHERE t.status = ?' : ''}
+      ORDER BY t.start_at DESC, t.id DESC
+      LIMIT ?`,
+    status ? [status, limit] : [limit]
+  );
+  return rows || [];
+}
+
+async function listDueTournaments(connOrPool, now = new Date()) {
+  const [rows] = await connOrPool.query(
+    `SELECT id FROM tournaments WHERE status = 'registering' AND start_at <= ? ORDER BY start_at ASC, id ASC`,
+    [now]
+  );
+  return rows || [];
+}
+
+async function listRunningTournamentIds(connOrPool) {
+  const [rows] = await connOrPool.query(`SELECT id FROM tournaments WHERE status = 'running' ORDER BY id ASC`);
+  return (rows || []).map(r => r.id);
+}
+
+async function updateTournament(conn, tournamentId, fields = {}) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  await conn.query(`UPDATE tournaments SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`, [...keys.map(k => fields[k]), tournamentId]);
+}
+
+async function getEntries(connOrPool, tournamentId) {
+  const [rows] = await connOrPool.query(
+    `SELECT e.*, COALESCE(u.display_name, u.username) AS display_name, u.rating
+       FROM tournament_entries e
+       LEFT JOIN users u ON u.id = e.user_id
+      WHERE e.tournament_id = ?
+      ORDER BY e.seed IS NULL, e.seed ASC, e.id ASC`,
+    [tournamentId]
+  );
+  return rows || [];
+}
+
+async function getEntry(connOrPool, tournamentId, userId, forUpdate = false) {
+  const [rows] = await connOrPool.query(
+    `SELECT * FROM tournament_entries WHERE tournament_id = ? AND user_id = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [tournamentId, userId]
+  );
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function countActiveEntries(conn, tournamentId) {
+  const [rows] = await conn.query(
+    `SELECT COUNT(*) AS n FROM tournament_entries WHERE tournament_id = ? AND status <> 'refunded'`,
+    [tournamentId]
+  );
+  return Number(rows && rows[0] ? rows[0].n : 0);
+}
+
+async function insertEntry(conn, tournamentId, userId) {
+  const [res] = await conn.query(
+    `INSERT INTO tournament_entries (tournament_id, user_id, status, created_at) VALUES (?, ?, 'registered', NOW(3))
+     ON DUPLICATE KEY UPDATE status = 'registered', seed = NULL, eliminated_round = NULL, finish_position = NULL, prize = 0`,
+    [tournamentId, userId]
+  );
+  return res.insertId;
+}
+
+async function updateEntry(conn, tournamentId, userId, fields = {}) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  await conn.query(
+    `UPDATE tournament_entries SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE tournament_id = ? AND user_id = ?`,
+    [...keys.map(k => fields[k]), tournamentId, userId]
+  );
+}
+
+async function getSlots(connOrPool, tournamentId) {
+  const [rows] = await connOrPool.query(
+    'SELECT * FROM tournament_slots WHERE tournament_id = ? ORDER BY round ASC, slot ASC',
+    [tournamentId]
+  );
+  return rows || [];
+}
+
+async function getSlot(conn, tournamentId, round, slot, forUpdate = false) {
+  const [rows] = await conn.query(
+    `SELECT * FROM tournament_slots WHERE tournament_id = ? AND round = ? AND slot = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [tournamentId, round, slot]
+  );
+  return rows && rows[0] ? rows[0] : null;
+}
+
+async function getSlotByMatch(conn, matchId, forUpdate = false) {
+  const [rows] = await conn.query(
+    `SELECT * FROM tournament_slots WHERE match_id = ? LIMIT 1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [matchId]
+  );
+  return rows && rows[0] ? rows[0] : null;
+}
+
+/* Slots with both players and no live match: new pairings, or replays after a draw */
+async function listPlayableSlots(conn, tournamentId) {
+  const [rows] = await conn.query(
+    `SELECT * FROM tournament_slots
+      WHERE tournament_id = ? AND status = 'pending' AND match_id IS NULL AND player_x IS NOT NULL AND player_o IS NOT NULL
+      ORDER BY round ASC, slot ASC FOR UPDATE`,
+    [tournamentId]
+  );
+  return rows || [];
+}
+
+async function insertSlot(conn, tournamentId, round, slot, fields = {}) {
+  const keys = Object.keys(fields);
+  await conn.query(
+    `INSERT INTO tournament_slots (tournament_id, round, slot${keys.map(k => `, ${k}`).join('')}, created_at)
+     VALUES (?, ?, ?${keys.map(() => ', ?').join('')}, NOW(3))`,
+    [tournamentId, round, slot, ...keys.map(k => fields[k])]
+  );
+}
+
+async function updateSlot(conn, slotId, fields = {}) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return;
+  await conn.query(`UPDATE tournament_slots SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`, [...keys.map(k => fields[k]), slotId]);
+}
+
+/**
+ * advanceWinner(conn, tournament, slotRow, winnerId)
+ * - marks the slot won and seats the winner in the next round (creating that slot when needed)
+ * - the winner of the final is marked champion; everyone else keeps playing
+ */
+async function advanceWinner(conn, tournament, slotRow, winnerId, status = 'finished') {
+  await updateSlot(conn, slotRow.id, { winner_id: winnerId, status, finished_at: new Date() });
+
+  const round = Number(slotRow.round);
+  if (round >= Number(tournament.total_rounds)) {
+    await updateEntry(conn, tournament.id, winnerId, { status: 'champion', finish_position: 1 });
+    return;
+  }
+
+  const nextSlot = Number(slotRow.slot) >> 1;
+  const column = Number(slotRow.slot) % 2 === 0 ? 'player_x' : 'player_o';
+  const next = await getSlot(conn, tournament.id, round + 1, nextSlot, true);
+  if (next) await updateSlot(conn, next.id, { [column]: winnerId });
+  else await insertSlot(conn, tournament.id, round + 1, nextSlot, { [column]: winnerId });
+}
+
+async function eliminate(conn, tournament, userId, round) {
+  await updateEntry(conn, tournament.id, userId, {
+    status: 'eliminated',
+    eliminated_round: round,
+    finish_position: finishPlace(Number(tournament.total_rounds), round)
+  });
+}
+
+/**
+ * recordMatchResult(conn, match, winnerId)
+ * - called by resolveMatchOutcome inside its transaction; no-op for non-tournament matches
+ * - winnerId null = draw: the slot is reopened for a replay, or decided by seed after MAX_REPLAYS
+ */
+async function recordMatchResult(conn, match, winnerId) {
+  if (!match || !match.tournament_id) return null;
+  // tournament row first, then the slot: the same lock order as the scheduler (tournamentService)
+  const tournament = await getTournamentById(conn, match.tournament_id, true);
+  if (!tournament || tournament.status !== 'running') return null;
+  const slotRow = await getSlotByMatch(conn, match.id, true);
+  if (!slotRow || slotRow.status !== 'playing') return null;
+
+  if (!winnerId) {
+    const replays = Number(slotRow.replays) + 1;
+    if (replays <= MAX_REPLAYS) {
+      await updateSlot(conn, slotRow.id, { match_id: null, status: 'pending', replays });
+      return { replay: true, replays };
+    }
+    const x = await getEntry(conn, tournament.id, slotRow.player_x, false);
+    const o = await getEntry(conn, tournament.id, slotRow.player_o, false);
+    winnerId = Number(x && x.seed) <= Number(o && o.seed) ? slotRow.player_x : slotRow.player_o;
+  }
+
+  const loserId = String(winnerId) === String(slotRow.player_x) ? slotRow.player_o : slotRow.player_x;
+  await advanceWinner(conn, tournament, slotRow, winnerId);
+  await eliminate(conn, tournament, loserId, Number(slotRow.round));
+  return { advanced: winnerId, eliminated: loserId, round: Number(slotRow.round) };
+}
+
+/* Public shapes */
+function toPublicTournament(t) {
+  if (!t) return null;
+  return {
+    id: t.id,
+    name: t.name,
+    status: t.status,
+    buy_in: Number(t.buy_in),
+    seat_limit: Number(t.seat_limit),
+    entrants: t.entrants === undefined ? undefined : Number(t.entrants),
+    start_at: t.start_at,
+    rake_percent: Number(t.rake_percent),
+    payouts: parsePayouts(t.payouts),
+    board_rows: t.board_rows,
+    board_cols: t.board_cols,
+    win_length: t.win_length,
+    game_type: t.game_type,
+    time_base_ms: t.time_base_ms,
+    time_increment_ms: t.time_increment_ms,
+    total_rounds: Number(t.total_rounds),
+    prize_pool: Number(t.prize_pool),
+    rake_amount: Number(t.rake_amount),
+    started_at: t.started_at,
+    finished_at: t.finished_at
+  };
+}
+
+function toPublicEntry(e) {
+  return {
+    user_id: e.user_id,
+    display_name: e.display_name || null,
+    seed: e.seed === null ? null : Number(e.seed),
+    status: e.status,
+    eliminated_round: e.eliminated_round === null ? null : Number(e.eliminated_round),
+    finish_position: e.finish_position === null ? null : Number(e.finish_position),
+    prize: Number(e.prize || 0)
+  };
+}
+
+function toPublicSlot(s) {
+  return {
+    round: Number(s.round),
+    slot: Number(s.slot),
+    player_x: s.player_x,
+    player_o: s.player_o,
+    match_id: s.match_id,
+    replays: Number(s.replays || 0),
+    winner_id: s.winner_id,
+    status: s.status
+  };
+}
+
+module.exports = {
+  DEFAULT_PAYOUTS,
+  MAX_REPLAYS,
+  getConnection,
+  parsePayouts,
+  bracketSize,
+  seedPositions,
+  finishPlace,
+  prizeTable,
+  createTournament,
+  getTournamentById,
+  listTournaments,
+  listDueTournaments,
+  listRunningTournamentIds,
+  updateTournament,
+  getEntries,
+  getEntry,
+  countActiveEntries,
+  insertEntry,
+  updateEntry,
+  getSlots,
+  getSlot,
+  listPlayableSlots,
+  insertSlot,
+  updateSlot,
+  advanceWinner,
+  recordMatchResult,
+  toPublicTournament,
+  toPublicEntry,
+  toPublicSlot
+};
@@ -0,0 +1,62 @@
+// models/tournamentModel.test.js
+const tournamentModel = require('./tournamentModel');
+
+describe('bracket helpers', () => {
+  test('bracketSize is the smallest power of two that seats everyone', () => {
+    expect(tournamentModel.bracketSize(1)).toBe(2);
+    expect(tournamentModel.bracketSize(5)).toBe(8);
+    expect(tournamentModel.bracketSize(8)).toBe(8);
+  });
+
+  test('seedPositions keeps the top two seeds apart until the final', () => {
+    expect(tournamentModel.seedPositions(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  test('finishPlace shares a place between everyone knocked out in a round', () => {
+    expect(tournamentModel.finishPlace(3, 3)).toBe(2);
+    expect(tournamentModel.finishPlace(3, 2)).toBe(3);
+    expect(tournamentModel.finishPlace(3, 1)).toBe(5);
+  });
+
+  test('parsePayouts falls back to the default table', () => {
+    expect(tournamentModel.parsePayouts(null)).toEqual([50, 30, 10, 10]);
+    expect(tournamentModel.parsePayouts('[70, 30]')).toEqual([70, 30]);
+  });
+});
+
+describe('prizeTable', () => {
+  const payouts = [50, 30, 10, 10];
+
+  test('pays each place its percentage and splits shared places', () => {
+    const prizes = tournamentModel.prizeTable([
+      { user_id: 1, finish_position: 1 },
+      { user_id: 2, finish_position: 2 },
+      { user_id: 3, finish_position: 3 },
+      { user_id: 4, finish_position: 3 }
+    ], payouts, 200);
+    expect(Object.fromEntries(prizes)).toEqual({ 1: 100, 2: 60, 3: 20, 4: 20 });
+  });
+
+  test('spreads the percentages of unreached places over the paid ones', () => {
+    const prizes = tournamentModel.prizeTable([
+      { user_id: 1, finish_position: 1 },
+      { user_id: 2, finish_position: 2 }
+    ], payouts, 80);
+    expect(Object.fromEntries(prizes)).toEqual({ 1: 50, 2: 30 });
+  });
+
+  test('always pays the whole pool, rounding cents to the best-placed player', () => {
+    const prizes = tournamentModel.prizeTable([
+      { user_id: 1, finish_position: 1 },
+      { user_id: 2, finish_position: 1 },
+      { user_id: 3, finish_position: 1 }
+    ], [100], 100);
+    expect(Object.fromEntries(prizes)).toEqual({ 1: 33.34, 2: 33.33, 3: 33.33 });
+    const total = [...prizes.values()].reduce((a, b) => a + b, 0);
+    expect(Number(total.toFixed(2))).toBe(100);
+  });
+
+  test('pays nothing when no entry reached a paid place', () => {
+    expect(tournamentModel.prizeTable([{ user_id: 1, finish_position: 5 }], payouts, 100).size).toBe(0);
+  });
+});
@@ -96,37 +96,6 @@ async function findByEmail(email) {
   return rows && rows.length ? rows[0] : null;
 }
 
-/**
- * Update user's balance (set absolute value).
- * If a connection is provided, uses it (for transactions).
- * Returns the updated user row.
- */
-async function updateBalance(id, newBalance, conn = null) {
-  if (!id) throw new Error('id is required');
-  const db = conn || (await getPool());
-  await db.query(`UPDATE users SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [
-    Number(newBalance || 0),
-    id,
-  ]);
-  return findById(id);
-}
-
-/**
- * Atomically change user's balance by delta (positive or negative).
- * If a connection is provided it will be used (for transactions).
- * Returns the updated user row.
- */
-async function changeBalanceBy(id, delta, conn = null) {
-  if (!id) throw new Error('id is required');
-  if (typeof delta !== 'number' && typeof delta !== 'string') throw new Error('delta must be a number');
-  const db = conn || (await getPool());
-  await db.query(`UPDATE users SET balance = COALESCE(balance,0) + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [
-    Number(delta),
-    id,
-  ]);
-  return findById(id);
-}
-
 /**
  * Mark last_login timestamp to now for the given user id.
  * Returns the user row after update.
@@ -168,8 +137,6 @@ module.exports = {
   findById,
   findByUsername,
   findByEmail,
-  updateBalance,
-  changeBalanceBy,
   markLastLogin,
   updateBankInfo,
 };
@@ -1,6 +1,7 @@
 // src/models/withdrawalModel.js
 const { getPool } = require('../config/db');
 const matchModel = require('./matchModel');
+const ledger = require('./ledgerModel');
 
 /*
   withdrawal statuses: pending, paid, declined
@@ -70,9 +71,10 @@ async function processWithdrawal(conn, withdrawalId, action, processedBy = null)
 
   if (action === 'decline') {
     // refund user balance (credit back) and record transaction
-    await conn.query('UPDATE users SET balance = balance + ? WHERE id = ?', [amount, userId]);
+    await ledger.transfer(conn, 'withdrawal_refund', `withdrawal_${withdrawalId}`, ledger.account.clearing(), ledger.account.user(userId), amount, { withdrawal_id: withdrawalId });
+    await conn.query('UPDATE users SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0) WHERE id = ?', [amount, userId]);
     await matchModel.insertBalanceTransaction(conn, {
-      user_id,
+      user_id: userId,
       amount,
       type: 'credit',
       source: 'withdrawal_refund',
@@ -86,8 +88,9 @@ async function processWithdrawal(conn, withdrawalId, action, processedBy = null)
 
   // approve: mark paid (actual external transfer should happen outside or before calling this)
   await conn.query('UPDATE withdrawals SET status = ?, processed_at = NOW() WHERE id = ?', ['paid', withdrawalId]);
+  await conn.query('UPDATE users SET pending_balance = GREATEST(COALESCE(pending_balance,0) - ?, 0) WHERE id = ?', [amount, userId]);
   await matchModel.insertBalanceTransaction(conn, {
-    user_id,
+    user_id: userId,
     amount,
     type: 'debit',
     source: 'withdrawal_payout',
@@ -0,0 +1,54 @@
+// models/withdrawalModel.test.js
+jest.mock('./matchModel', () => ({ insertBalanceTransaction: jest.fn(async () => 1) }));
+jest.mock('./ledgerModel', () => ({
+  transfer: jest.fn(async () => 1),
+  account: { clearing: () => 'clearing', user: (id) => `user:${id}` }
+}));
+
+const matchModel = require('./matchModel');
+const ledger = require('./ledgerModel');
+const withdrawalModel = require('./withdrawalModel');
+
+/* Connection double holding withdrawal rows; records every statement it is given */
+function fakeConn(rows) {
+  const statements = [];
+  return {
+    statements,
+    query: jest.fn(async (sql, params) => {
+      statements.push({ sql, params });
+      if (/FROM withdrawals WHERE id = \?/.test(sql)) return [[rows[params[0]]].filter(Boolean)];
+      return [{ affectedRows: 1 }];
+    })
+  };
+}
+
+describe('processWithdrawal', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('declines one withdrawal and pays another, recording both against the owner', async () => {
+    const conn = fakeConn({
+      1: { id: 1, user_id: 7, amount: '25.00', status: 'pending' },
+      2: { id: 2, user_id: 7, amount: '40.00', status: 'pending' }
+    });
+
+    await expect(withdrawalModel.processWithdrawal(conn, 1, 'decline', 99)).resolves.toEqual({ ok: true, status: 'declined' });
+    await expect(withdrawalModel.processWithdrawal(conn, 2, 'approve', 99)).resolves.toEqual({ ok: true, status: 'paid' });
+
+    expect(ledger.transfer).toHaveBeenCalledTimes(1);
+    expect(ledger.transfer).toHaveBeenCalledWith(conn, 'withdrawal_refund', 'withdrawal_1', 'clearing', 'user:7', 25, { withdrawal_id: 1 });
+
+    const [refund, payout] = matchModel.insertBalanceTransaction.mock.calls.map(call => call[1]);
+    expect(refund).toMatchObject({ user_id: 7, amount: 25, type: 'credit', source: 'withdrawal_refund', reference_id: 'withdrawal_1_refund_7' });
+    expect(payout).toMatchObject({ user_id: 7, amount: 40, type: 'debit', source: 'withdrawal_payout', reference_id: 'withdrawal_2_payout_7' });
+
+    const statuses = conn.statements.filter(s => /^UPDATE withdrawals/.test(s.sql)).map(s => s.params);
+    expect(statuses).toEqual([['declined', 1], ['paid', 2]]);
+  });
+
+  test('leaves a processed withdrawal alone', async () => {
+    const conn = fakeConn({ 3: { id: 3, user_id: 7, amount: '10.00', status: 'paid' } });
+    await expect(withdrawalModel.processWithdrawal(conn, 3, 'decline')).resolves.toEqual({ already: true, status: 'paid' });
+    expect(ledger.transfer).not.toHaveBeenCalled();
+    expect(matchModel.insertBalanceTransaction).not.toHaveBeenCalled();
+  });
+});
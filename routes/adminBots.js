@@ -0,0 +1,19 @@
+// routes/adminBots.js
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/adminBotsController');
+const auth = require('../middleware/auth');
+const ensureAdmin = require('../middleware/ensureAdmin');
+
+router.use(auth, ensureAdmin);
+
+router.get('/', controller.listBots);
+router.get('/report', controller.getReport);
+router.get('/limits', controller.getLimits);
+router.patch('/limits', controller.updateLimits);
+router.post('/', controller.createBot);
+router.patch('/:id', controller.updateBot);
+router.post('/:id/fund', controller.fundBankroll);
+router.post('/:id/return', controller.returnBankroll);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// routes/adminLedger.js
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/adminLedgerController');
+const auth = require('../middleware/auth');
+const ensureAdmin = require('../middleware/ensureAdmin');
+
+router.use(auth, ensureAdmin);
+
+router.get('/', controller.getLedgerCheck);
+router.get('/accounts/:type/:owner', controller.getAccountEntries);
+
+module.exports = router;
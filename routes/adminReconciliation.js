@@ -0,0 +1,14 @@
+// routes/adminReconciliation.js
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/adminReconciliationController');
+const auth = require('../middleware/auth');
+const ensureAdmin = require('../middleware/ensureAdmin');
+
+router.use(auth, ensureAdmin);
+
+router.get('/', controller.getReport);
+router.post('/run', controller.runNow);
+router.get('/users/:id', controller.getUserDetail);
+
+module.exports = router;
@@ -11,5 +11,6 @@ router.post('/login', authCtrl.login);
 // Protected: current user
 // Frontend expects GET /api/me — mount this file under /api in your app, then GET /api/me works.
 router.get('/me', auth, authCtrl.me);
+router.patch('/me/preferences', auth, authCtrl.updatePreferences);
 
 module.exports = router;
@@ -48,10 +48,21 @@ function wrapHandler(actionName, handler) {
   };
 }
 
-// Create a match or join an existing waiting match with same stake
+// Open-match lobby: waiting public matches (?min_stake=&max_stake=&humans_only=true) and its SSE feed
+router.get('/lobby', auth, wrapHandler('GET /api/games/lobby', gameCtrl.getLobby));
+router.get('/lobby/stream', wrapHandler('GET /api/games/lobby/stream', gameCtrl.streamLobby));
+
+// Matchmaking queue: enter with a stake range / skill band, poll status, leave, answer the agreed-stake proposal
+router.post('/queue', auth, wrapHandler('POST /api/games/queue', gameCtrl.joinQueue));
+router.get('/queue', auth, wrapHandler('GET /api/games/queue', gameCtrl.getQueueStatus));
+router.delete('/queue', auth, wrapHandler('DELETE /api/games/queue', gameCtrl.leaveQueue));
+router.post('/queue/proposals/:id/accept', auth, wrapHandler('POST /api/games/queue/proposals/:id/accept', gameCtrl.acceptQueueProposal));
+router.post('/queue/proposals/:id/decline', auth, wrapHandler('POST /api/games/queue/proposals/:id/decline', gameCtrl.declineQueueProposal));
+
+// Create a match or join an existing waiting match with same stake ({ private: true } creates an invite-only match)
 router.post('/matches', auth, wrapHandler('POST /api/games/matches', gameCtrl.createMatch));
 
-// Explicitly join a specific match
+// Explicitly join a specific match (private matches require { code })
 router.post('/matches/:id/join', auth, wrapHandler('POST /api/games/matches/:id/join', gameCtrl.joinMatch));
 
 // Play a move on a match
@@ -63,6 +74,25 @@ router.get('/matches/:id', auth, wrapHandler('GET /api/games/matches/:id', gameC
 // Cancel a waiting match (creator only)
 router.post('/matches/:id/cancel', auth, wrapHandler('POST /api/games/matches/:id/cancel', gameCtrl.cancelMatch));
 
+// Join code, link and QR for a private match (creator only; ?format=png for the image)
+router.get('/matches/:id/invite', auth, wrapHandler('GET /api/games/matches/:id/invite', gameCtrl.getMatchInvite));
+
+// Resign or agree a draw on a live match (a draw refunds both stakes)
+router.post('/matches/:id/resign', auth, wrapHandler('POST /api/games/matches/:id/resign', gameCtrl.resignMatch));
+router.post('/matches/:id/offer-draw', auth, wrapHandler('POST /api/games/matches/:id/offer-draw', gameCtrl.offerDraw));
+router.post('/matches/:id/accept-draw', auth, wrapHandler('POST /api/games/matches/:id/accept-draw', gameCtrl.acceptDraw));
+router.post('/matches/:id/decline-draw', auth, wrapHandler('POST /api/games/matches/:id/decline-draw', gameCtrl.declineDraw));
+
+// Doubling cube: offer on your turn; the opponent accepts (both pay the extra stake) or declines (forfeits)
+router.post('/matches/:id/double', auth, wrapHandler('POST /api/games/matches/:id/double', gameCtrl.offerDouble));
+router.post('/matches/:id/double/accept', auth, wrapHandler('POST /api/games/matches/:id/double/accept', gameCtrl.acceptDouble));
+router.post('/matches/:id/double/decline', auth, wrapHandler('POST /api/games/matches/:id/double/decline', gameCtrl.declineDouble));
+
+// Rematch a finished match: offer, then the other player accepts (new match, X and O swapped) or declines
+router.post('/matches/:id/rematch', auth, wrapHandler('POST /api/games/matches/:id/rematch', gameCtrl.offerRematch));
+router.post('/matches/:id/rematch/accept', auth, wrapHandler('POST /api/games/matches/:id/rematch/accept', gameCtrl.acceptRematch));
+router.post('/matches/:id/rematch/decline', auth, wrapHandler('POST /api/games/matches/:id/rematch/decline', gameCtrl.declineRematch));
+
 // Request that the server simulate an opponent and join the waiting match
 router.post('/matches/:id/simulate', auth, wrapHandler('POST /api/games/matches/:id/simulate', gameCtrl.simulateOpponent));
 
@@ -76,9 +76,14 @@ function requireInternalSecret(req, res, next) {
  * - GET /history/matches
  * - GET /history/matches/:id
  * - GET /history/matches/:id/moves
+ * - GET /history/matches/:id/events (resign / draw log)
+ * - GET /history/matches/:id/export?format=text|json
+ *   (the four above answer 404 for private matches unless the caller is one of the players)
+ * - POST /history/import      -> validate a notation record by replaying it
  * - GET /history/recent
  * - GET /history/stream  (SSE)  -> supports ?matchId=...
  * - GET /history/stream/:id    -> legacy path support
+ * - GET /history/matches/:id/spectate (SSE, public; private matches players only) -> single-match spectator stream
  * - POST /history/publish     (internal, protected)
  */
 
@@ -103,6 +108,28 @@ router.get(
   wrapHandler('GET /api/history/matches/:id/moves', historyCtrl.getMatchMoves)
 );
 
+/* Resign / draw offer events for a match (how it ended) */
+router.get(
+  '/matches/:id/events',
+  auth,
+  wrapHandler('GET /api/history/matches/:id/events', historyCtrl.getMatchEventLog)
+);
+
+/* Game record in text notation (default) or JSON */
+router.get(
+  '/matches/:id/export',
+  auth,
+  wrapHandler('GET /api/history/matches/:id/export', historyCtrl.exportMatch)
+);
+
+/* Replay and validate a notation record (text/plain body or JSON { notation }) */
+router.post(
+  '/import',
+  auth,
+  express.text({ type: 'text/plain', limit: '64kb' }),
+  wrapHandler('POST /api/history/import', historyCtrl.importNotation)
+);
+
 /* Recent public matches (feed) */
 router.get(
   '/recent',
@@ -139,6 +166,13 @@ router.get(
   })
 );
 
+/* Public spectator stream for one match (moves, clock, result, spectator count); safe to embed.
+   Invite-only matches are 404 unless the request carries one of their players' tokens */
+router.get(
+  '/matches/:id/spectate',
+  wrapHandler('GET /api/history/matches/:id/spectate', historyCtrl.spectateMatch)
+);
+
 /* Internal publish endpoint for simulator or other internal services */
 router.post(
   '/publish',
@@ -11,4 +11,10 @@ router.use('/games', require('./games'));
 // Mount history routes (match history, moves, recent feed, SSE playback)
 router.use('/history', require('./history'));
 
+// Precomputed leaderboards (net winnings, win rate, rating, win streak)
+router.use('/leaderboards', require('./leaderboards'));
+
+// Single-elimination tournaments (buy-ins, bracket, prize payouts)
+router.use('/tournaments', require('./tournaments'));
+
 module.exports = router;
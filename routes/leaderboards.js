@@ -0,0 +1,36 @@
+// routes/leaderboards.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const leaderboardCtrl = require('../controllers/leaderboardController');
+
+function wrapHandler(actionName, handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res);
+      if (!res.headersSent) {
+        console.warn(`Handler ${actionName} finished without sending a response`);
+        return res.status(500).json({ error: 'Server error' });
+      }
+    } catch (err) {
+      console.error(`${actionName} error`, err && err.stack ? err.stack : err);
+      next(err);
+    }
+  };
+}
+
+/**
+ * Leaderboard routes (precomputed, public except /me)
+ *
+ * - GET /leaderboards                       -> boards, periods, thresholds, last refresh
+ * - GET /leaderboards/me                    -> caller's positions (auth)
+ * - GET /leaderboards/:board?period=weekly  -> net_winnings | win_rate | rating | win_streak
+ */
+
+router.get('/', wrapHandler('GET /api/leaderboards', leaderboardCtrl.listLeaderboards));
+
+router.get('/me', auth, wrapHandler('GET /api/leaderboards/me', leaderboardCtrl.getMyPositions));
+
+router.get('/:board', wrapHandler('GET /api/leaderboards/:board', leaderboardCtrl.getLeaderboard));
+
+module.exports = router;
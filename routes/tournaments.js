@@ -0,0 +1,43 @@
+// routes/tournaments.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const ensureAdmin = require('../middleware/ensureAdmin');
+const tournamentCtrl = require('../controllers/tournamentController');
+
+function wrapHandler(actionName, handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res);
+      if (!res.headersSent) {
+        console.warn(`Handler ${actionName} finished without sending a response`);
+        return res.status(500).json({ error: 'Server error' });
+      }
+    } catch (err) {
+      console.error(`${actionName} error`, err && err.stack ? err.stack : err);
+      next(err);
+    }
+  };
+}
+
+/**
+ * Tournament routes
+ *
+ * - GET  /tournaments?status=            -> list
+ * - GET  /tournaments/:id                -> details, entrants, bracket
+ * - POST /tournaments/:id/register       -> pay the buy-in and take a seat
+ * - POST /tournaments/:id/unregister     -> withdraw before the start (buy-in refunded)
+ * - POST /tournaments                    -> create (admin)
+ * - POST /tournaments/:id/cancel         -> cancel before the start, refunding everyone (admin)
+ */
+
+router.get('/', wrapHandler('GET /api/tournaments', tournamentCtrl.listTournaments));
+router.get('/:id', wrapHandler('GET /api/tournaments/:id', tournamentCtrl.getTournament));
+
+router.post('/:id/register', auth, wrapHandler('POST /api/tournaments/:id/register', tournamentCtrl.register));
+router.post('/:id/unregister', auth, wrapHandler('POST /api/tournaments/:id/unregister', tournamentCtrl.unregister));
+
+router.post('/', auth, ensureAdmin, wrapHandler('POST /api/tournaments', tournamentCtrl.createTournament));
+router.post('/:id/cancel', auth, ensureAdmin, wrapHandler('POST /api/tournaments/:id/cancel', tournamentCtrl.cancelTournament));
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// scripts/benchEngine.js
+// Engine benchmark: runs the previous search (plain alpha-beta, full-board terminal checks, no
+// transposition table) and the current one (lib/moveSearch) on the same positions and time budget,
+// and prints nodes searched, nodes per second and the deepest completed iteration for each.
+// The opening book is not consulted, so both engines really search.
+//
+// Usage:
+//   npm run bench:engine
+//   node scripts/benchEngine.js --budget-ms 2000
+
+const gameRules = require('../lib/gameRules');
+const moveSearch = require('../lib/moveSearch');
+
+// the previous engine's depth cap
+const BASELINE_MAX_DEPTH = 10;
+
+/* ---------------------------
+   Baseline: the engine before transposition tables and symmetry reduction, plus a node counter
+   --------------------------- */
+
+function centerDistance(i, cfg) {
+  return Math.hypot(Math.floor(i / cfg.cols) - (cfg.rows - 1) / 2, (i % cfg.cols) - (cfg.cols - 1) / 2);
+}
+
+function baselineEvaluate(boardArr, botSym, cfg) {
+  const opp = gameRules.otherSymbol(botSym);
+  const winLen = cfg.winLength;
+  const scoreFor = (count) => {
+    if (count >= winLen) return 1000000;
+    if (count === winLen - 1) return 1000;
+    if (count <= 1) return count;
+    return 50 * Math.pow(5, count - 2);
+  };
+  let score = 0;
+  for (const line of gameRules.getLines(cfg)) {
+    const vals = line.map(i => boardArr[i]);
+    const countBot = vals.filter(v => v === botSym).length;
+    const countOpp = vals.filter(v => v === opp).length;
+    const countEmpty = vals.filter(v => v === '_').length;
+    if (countBot > 0 && countOpp > 0) {
+      if (countBot === winLen - 1 && countEmpty === 1) score += scoreFor(winLen - 1) * 0.9;
+      if (countOpp === winLen - 1 && countEmpty === 1) score -= scoreFor(winLen - 1) * 1.2;
+      continue;
+    }
+    if (countBot > 0) score += scoreFor(countBot);
+    if (countOpp > 0) score -= scoreFor(countOpp) * 1.2;
+  }
+  for (let i = 0; i < boardArr.length; i++) {
+    if (boardArr[i] === botSym) score += Math.max(0, 3 - centerDistance(i, cfg)) * 0.5;
+    if (boardArr[i] !== '_' && boardArr[i] !== botSym) score -= Math.max(0, 3 - centerDistance(i, cfg)) * 0.6;
+  }
+  return score;
+}
+
+function baselineTerminal(boardArr, cfg) {
+  const res = gameRules.checkWinner(boardArr, cfg);
+  if (res.winner) return res.winner;
+  if (res.isDraw) return 'DRAW';
+  return null;
+}
+
+function baselineOrder(boardArr, moves, sym, cfg) {
+  const opp = gameRules.otherSymbol(sym);
+  const scored = moves.map(i => {
+    const copy = boardArr.slice();
+    copy[i] = sym;
+    if (baselineTerminal(copy, cfg) === sym) return { i, score: 10000000 };
+    const copyOpp = boardArr.slice();
+    copyOpp[i] = opp;
+    if (baselineTerminal(copyOpp, cfg) === opp) return { i, score: 9000000 };
+    return { i, score: -centerDistance(i, cfg) };
+  });
+  scored.sort((a, b) => b.score - a.score);
+  return scored.map(s => s.i);
+}
+
+function baselineMinimax(state, boardArr, depth, alpha, beta, maximizing) {
+  state.nodes++;
+  if (Date.now() - state.start > state.budgetMs) return { score: 0, move: -1, timedOut: true };
+  const { cfg, botSym } = state;
+  const term = baselineTerminal(boardArr, cfg);
+  if (term === botSym) return { score: 1e9, move: -1 };
+  if (term === gameRules.otherSymbol(botSym)) return { score: -1e9, move: -1 };
+  if (term === 'DRAW') return { score: 0, move: -1 };
+  if (depth === 0) return { score: baselineEvaluate(boardArr, botSym, cfg), move: -1 };
+
+  const curSym = maximizing ? botSym : gameRules.otherSymbol(botSym);
+  let value = maximizing ? -Infinity : Infinity;
+  let move = -1;
+  for (const m of baselineOrder(boardArr, gameRules.legalMoves(boardArr, cfg), curSym, cfg)) {
+    boardArr[m] = curSym;
+    const child = baselineMinimax(state, boardArr, depth - 1, alpha, beta, !maximizing);
+    boardArr[m] = '_';
+    if (child.timedOut) return child;
+    if (maximizing ? child.score > value : child.score < value) {
+      value = child.score;
+      move = m;
+    }
+    if (maximizing) alpha = Math.max(alpha, value);
+    else beta = Math.min(beta, value);
+    if (alpha >= beta) break;
+  }
+  return { score: value, move };
+}
+
+function baselineSearch(boardStr, botSym, cfg, budgetMs) {
+  const board = gameRules.normalizeBoard(boardStr, cfg).split('');
+  const state = { cfg, botSym, budgetMs, start: Date.now(), nodes: 0 };
+  let best = -1;
+  let reached = 0;
+  for (let depth = 1; depth <= BASELINE_MAX_DEPTH; depth++) {
+    if (budgetMs - (Date.now() - state.start) <= 8) break;
+    const res = baselineMinimax(state, board.slice(), depth, -Infinity, Infinity, true);
+    if (res.timedOut) break;
+    best = res.move;
+    reached = depth;
+    if (res.score >= 1e8) break;
+  }
+  return { move: best, depth: reached, nodes: state.nodes, elapsedMs: Date.now() - state.start };
+}
+
+/* ---------------------------
+   Positions
+   --------------------------- */
+
+/* Board after playing `moves` (cell indexes, X first) from the empty board */
+function position(cfg, moves) {
+  let board = gameRules.emptyBoard(cfg);
+  moves.forEach((pos, i) => { board = gameRules.applyMove(board, pos, i % 2 === 0 ? 'X' : 'O', cfg); });
+  return { board, toMove: moves.length % 2 === 0 ? 'X' : 'O' };
+}
+
+const POSITIONS = [
+  { name: '3x3 empty', config: { rows: 3, cols: 3, winLength: 3 }, moves: [] },
+  { name: '6x6/4 empty', config: {}, moves: [] },
+  { name: '6x6/4 opening', config: {}, moves: [14, 21, 15, 13] },
+  { name: '6x6/4 middlegame', config: {}, moves: [14, 21, 15, 13, 16, 17, 20, 8, 27, 26] },
+  { name: '7x7/5 empty', config: { rows: 7, cols: 7, winLength: 5 }, moves: [] },
+  { name: '6x7/4 gravity', config: { rows: 6, cols: 7, winLength: 4, gameType: 'gravity' }, moves: [38, 37, 31] }
+];
+
+function parseArgs(argv) {
+  const out = { budgetMs: moveSearch.DEFAULT_BUDGET_MS };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--budget-ms') out.budgetMs = Number(argv[++i]) || out.budgetMs;
+  }
+  return out;
+}
+
+function row(cols) {
+  return cols.map((c, i) => String(c)[i === 0 ? 'padEnd' : 'padStart'](i === 0 ? 20 : 12)).join('');
+}
+
+function run({ budgetMs }) {
+  console.log(`[bench] budget ${budgetMs}ms per position, depth cap ${BASELINE_MAX_DEPTH} before, ${moveSearch.MAX_SEARCH_DEPTH} after`);
+  console.log(row(['position', 'engine', 'depth', 'nodes', 'ms', 'nodes/s']));
+  const totals = { before: { nodes: 0, ms: 0 }, after: { nodes: 0, ms: 0 } };
+
+  for (const p of POSITIONS) {
+    const cfg = gameRules.normalizeConfig(p.config);
+    const { board, toMove } = position(cfg, p.moves);
+    const results = {
+      before: baselineSearch(board, toMove, cfg, budgetMs),
+      after: moveSearch.searchWithStats(board, toMove, cfg, { budgetMs })
+    };
+    for (const [engine, r] of Object.entries(results)) {
+      totals[engine].nodes += r.nodes;
+      totals[engine].ms += r.elapsedMs;
+      const nps = r.elapsedMs > 0 ? Math.round(r.nodes / (r.elapsedMs / 1000)) : r.nodes;
+      console.log(row([p.name, engine, r.depth, r.nodes, r.elapsedMs, nps]));
+    }
+  }
+
+  const rate = (t) => (t.ms > 0 ? t.nodes / (t.ms / 1000) : 0);
+  console.log(`[bench] nodes/s before ${Math.round(rate(totals.before))}, after ${Math.round(rate(totals.after))} (x${(rate(totals.after) / Math.max(1, rate(totals.before))).toFixed(1)})`);
+}
+
+if (require.main === module) {
+  run(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { run, baselineSearch };
@@ -0,0 +1,85 @@
+// scripts/buildOpeningBook.js
+// Regenerates lib/openingBook.json. Every canonical position (lib/boardSymmetry) reachable in fewer
+// than `plies` moves is searched with a long time budget and the best move is stored in canonical
+// coordinates. Configurations not being rebuilt keep their existing entries.
+//
+// Usage:
+//   npm run book:build
+//   node scripts/buildOpeningBook.js --budget-ms 8000
+
+const fs = require('fs');
+const path = require('path');
+const gameRules = require('../lib/gameRules');
+const boardSymmetry = require('../lib/boardSymmetry');
+const moveSearch = require('../lib/moveSearch');
+const openingBook = require('../lib/openingBook');
+
+const BOOK_FILE = path.join(__dirname, '..', 'lib', 'openingBook.json');
+
+// the default board and Connect-Four style gravity; plies bound the build time (positions grow ~8x per ply)
+const BOOK_CONFIGS = [
+  { config: {}, plies: 2 },
+  { config: { rows: 6, cols: 7, winLength: 4, gameType: 'gravity' }, plies: 3 }
+];
+
+/* Canonical non-terminal positions with fewer than `plies` pieces on the board */
+function bookPositions(cfg, plies) {
+  const out = [];
+  let frontier = [gameRules.emptyBoard(cfg)];
+  for (let ply = 0; ply < plies; ply++) {
+    out.push(...frontier);
+    if (ply === plies - 1) break;
+    const next = new Set();
+    const symbol = ply % 2 === 0 ? 'X' : 'O';
+    for (const board of frontier) {
+      for (const pos of gameRules.legalMoves(board.split(''), cfg)) {
+        const after = gameRules.applyMove(board, pos, symbol, cfg);
+        if (gameRules.checkWinner(after, cfg).winner) continue;
+        next.add(boardSymmetry.canonicalBoard(after, cfg).board);
+      }
+    }
+    frontier = [...next].sort();
+  }
+  return out;
+}
+
+function parseArgs(argv) {
+  const out = { budgetMs: 5000 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--budget-ms') out.budgetMs = Number(argv[++i]) || out.budgetMs;
+  }
+  return out;
+}
+
+function build({ budgetMs }) {
+  let book = {};
+  try {
+    book = JSON.parse(fs.readFileSync(BOOK_FILE, 'utf8'));
+  } catch (_) {}
+
+  for (const { config, plies } of BOOK_CONFIGS) {
+    const cfg = gameRules.normalizeConfig(config);
+    const key = openingBook.bookKey(cfg);
+    const positions = bookPositions(cfg, plies);
+    console.log(`[book] ${key}: ${positions.length} positions, ${budgetMs}ms each`);
+
+    const entries = {};
+    for (const board of positions) {
+      const pieces = board.split('').filter(c => c !== gameRules.EMPTY_CELL).length;
+      const toMove = pieces % 2 === 0 ? 'X' : 'O';
+      const res = moveSearch.searchWithStats(board, toMove, cfg, { budgetMs });
+      if (res.move >= 0) entries[board] = res.move;
+      console.log(`[book]   ${board} ${toMove} -> ${res.move} (depth ${res.depth})`);
+    }
+    book[key] = entries;
+  }
+
+  fs.writeFileSync(BOOK_FILE, JSON.stringify(book, null, 2) + '\n');
+  console.log(`[book] wrote ${BOOK_FILE}`);
+}
+
+if (require.main === module) {
+  build(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { bookPositions, build };
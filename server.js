@@ -13,11 +13,18 @@ const { initializeDatabase, getPool, closePool } = db;
 const routes = require('./routes');
 const authMiddleware = require('./middleware/auth');
 const gameController = require('./controllers/gameController');
+const leaderboardService = require('./services/leaderboardService');
+const reconciliationService = require('./services/reconciliationService');
+const movePool = require('./services/movePool');
 const { ensureAdminFromEnv } = require('./boot/admin-seed');
+const { ensureBotFleet } = require('./boot/bot-fleet-seed');
 
 const adminAuthRouter = require('./routes/adminAuth');
 const adminWithdrawalsRouter = require('./routes/adminWithdrawals');
 const adminTablesRouter = require('./routes/adminTables');
+const adminBotsRouter = require('./routes/adminBots');
+const adminLedgerRouter = require('./routes/adminLedger');
+const adminReconciliationRouter = require('./routes/adminReconciliation');
 
 const app = express();
 
@@ -102,6 +109,9 @@ app.use('/api', routes);
 app.use('/admin/auth', adminAuthRouter);
 app.use('/admin/withdrawals', adminWithdrawalsRouter);
 app.use('/admin/tables', adminTablesRouter);
+app.use('/admin/bots', adminBotsRouter);
+app.use('/admin/ledger', adminLedgerRouter);
+app.use('/admin/reconciliation', adminReconciliationRouter);
 
 app.get('/api/me', authMiddleware, async (req, res) => {
   if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
@@ -186,6 +196,10 @@ async function withConnection(pool, fn) {
 
 const PORT = Number(process.env.PORT || 4000);
 let cleanupControllerHandle = null;
+let matchmakingHandle = null;
+let tournamentHandle = null;
+let leaderboardHandle = null;
+let reconciliationHandle = null;
 let serverInstance = null;
 let isShuttingDown = false;
 
@@ -220,6 +234,13 @@ async function start() {
       console.error('Admin seed error', e && e.stack ? e.stack : e);
     }
 
+    // starter bot fleet (only when no personas exist yet)
+    try {
+      await ensureBotFleet();
+    } catch (e) {
+      console.error('Bot fleet seed error', e && e.stack ? e.stack : e);
+    }
+
     // Start periodic cleanup via gameController if available, using a safe interval wrapper
     try {
       const intervalMs = Number(process.env.CLEANUP_INTERVAL_MS || 5 * 60 * 1000);
@@ -253,6 +274,57 @@ async function start() {
       console.warn('Could not initialize periodic cleanup', e && e.stack ? e.stack : e);
     }
 
+    // Re-arm match timers and bot auto-attach that were lost with the previous process
+    try {
+      if (gameController && typeof gameController.recoverMatchesOnBoot === 'function') {
+        const summary = await gameController.recoverMatchesOnBoot();
+        console.log('Match recovery completed', summary);
+      }
+    } catch (e) {
+      console.error('Match recovery failed', e && e.stack ? e.stack : e);
+    }
+
+    // Matchmaking queue pairing (stake range / skill band widening)
+    try {
+      if (gameController && typeof gameController.startMatchmaking === 'function') {
+        matchmakingHandle = gameController.startMatchmaking();
+        console.log('Matchmaking queue started');
+      }
+    } catch (e) {
+      console.warn('Could not start matchmaking queue', e && e.stack ? e.stack : e);
+    }
+
+    // Tournaments: start due brackets, create round matches, pay out finished tournaments
+    try {
+      if (gameController && typeof gameController.startTournaments === 'function') {
+        tournamentHandle = gameController.startTournaments();
+        console.log('Tournament scheduler started');
+      }
+    } catch (e) {
+      console.warn('Could not start tournament scheduler', e && e.stack ? e.stack : e);
+    }
+
+    // Leaderboards are precomputed: refresh once now (in the background) and then on an interval
+    try {
+      const refreshMs = Number(process.env.LEADERBOARD_REFRESH_MS || 5 * 60 * 1000);
+      leaderboardService.refreshLeaderboards().catch(e => console.error('Initial leaderboard refresh failed', e && e.stack ? e.stack : e));
+      leaderboardHandle = startSafeInterval(() => leaderboardService.refreshLeaderboards(), refreshMs);
+      console.log('Leaderboard refresh started', { refreshMs });
+    } catch (e) {
+      console.warn('Could not start leaderboard refresh', e && e.stack ? e.stack : e);
+    }
+
+    // Balance reconciliation: recompute balances from the ledger and store a discrepancy report
+    try {
+      const reconcileMs = Number(process.env.RECONCILIATION_INTERVAL_MS || 60 * 60 * 1000);
+      if (reconcileMs > 0) {
+        reconciliationHandle = startSafeInterval(() => reconciliationService.runReconciliation(), reconcileMs);
+        console.log('Balance reconciliation scheduled', { reconcileMs });
+      }
+    } catch (e) {
+      console.warn('Could not schedule balance reconciliation', e && e.stack ? e.stack : e);
+    }
+
     // mark ready after DB init and optional seeding
     ready = true;
 
@@ -274,6 +346,31 @@ async function start() {
 }
 
 async function stopCleanupTasks() {
+  try {
+    if (matchmakingHandle && typeof matchmakingHandle.stop === 'function') matchmakingHandle.stop();
+  } catch (e) {
+    console.warn('Error stopping matchmaking queue', e && e.stack ? e.stack : e);
+  }
+  try {
+    if (tournamentHandle && typeof tournamentHandle.stop === 'function') tournamentHandle.stop();
+  } catch (e) {
+    console.warn('Error stopping tournament scheduler', e && e.stack ? e.stack : e);
+  }
+  try {
+    if (leaderboardHandle && typeof leaderboardHandle.stop === 'function') leaderboardHandle.stop();
+  } catch (e) {
+    console.warn('Error stopping leaderboard refresh', e && e.stack ? e.stack : e);
+  }
+  try {
+    if (reconciliationHandle && typeof reconciliationHandle.stop === 'function') reconciliationHandle.stop();
+  } catch (e) {
+    console.warn('Error stopping balance reconciliation', e && e.stack ? e.stack : e);
+  }
+  try {
+    await movePool.shutdown();
+  } catch (e) {
+    console.warn('Error stopping move worker pool', e && e.stack ? e.stack : e);
+  }
   try {
     if (cleanupControllerHandle && typeof cleanupControllerHandle.stop === 'function') {
       try {
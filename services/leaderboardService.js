@@ -0,0 +1,226 @@
+// services/leaderboardService.js
+// Precomputed leaderboards. Every refresh recomputes each board for each period and replaces its
+// rows in leaderboard_entries in one transaction, so the read endpoints are a single indexed
+// SELECT. Bots are never ranked.
+//
+//   net_winnings - match and tournament credits minus debits (stakes, doubles, fees, buy-ins) from balance_transactions (live and archived)
+//   win_rate     - wins / finished games, players with at least MIN_GAMES games in the period
+//   rating       - all_time: current Glicko rating (MIN_RATED_GAMES rated games);
+//                  other periods: rating gained over the period from rating_history
+//   win_streak   - longest run of consecutive wins finished inside the period
+
+const { getPool } = require('../config/db');
+const { ALL_TRANSACTIONS } = require('../models/retentionModel');
+
+const BOARDS = Object.freeze(['net_winnings', 'win_rate', 'rating', 'win_streak']);
+const PERIODS = Object.freeze(['daily', 'weekly', 'monthly', 'all_time']);
+const BOARD_SIZE = Number(process.env.LEADERBOARD_SIZE || 100);
+const MIN_GAMES = Number(process.env.LEADERBOARD_MIN_GAMES || 10);
+const MIN_RATED_GAMES = Number(process.env.LEADERBOARD_MIN_RATED_GAMES || 5);
+
+// balance_transactions sources that move a player's money in or out of matches/bets/tournaments
+const MONEY_SOURCE_SQL = `(bt.source LIKE 'match\\_%' AND bt.source <> 'match_fee_collected') OR bt.source IN ('bet_placed','bet_refund_draw','tournament_buy_in','tournament_refund','tournament_prize')`;
+
+/* UTC start of the period containing now (weeks start on Monday), or null for all_time */
+function periodStart(period, now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'daily') return d;
+  if (period === 'weekly') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d;
+  }
+  if (period === 'monthly') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return null;
+}
+
+async function netWinnings(conn, since) {
+  const [rows] = await conn.query(
+    `SELECT bt.user_id,
+            SUM(CASE WHEN bt.type = 'credit' THEN ABS(bt.amount) ELSE -ABS(bt.amount) END) AS net
+       FROM ${ALL_TRANSACTIONS} bt
+       JOIN users u ON u.id = bt.user_id AND COALESCE(u.is_bot, 0) = 0
+      WHERE bt.user_id IS NOT NULL AND bt.status = 'completed' AND (${MONEY_SOURCE_SQL})
+        ${since ? 'AND bt.created_at >= ?' : ''}
+      GROUP BY bt.user_id
+     HAVING net <> 0
+      ORDER BY net DESC, bt.user_id ASC
+      LIMIT ?`,
+    since ? [since, BOARD_SIZE] : [BOARD_SIZE]
+  );
+  return (rows || []).map(r => ({ user_id: r.user_id, value: Number(Number(r.net).toFixed(2)) }));
+}
+
+/**
+ * playerRecords(conn, since)
+ * - Map user_id -> { games, wins, draws, best_streak } over finished two-player matches in the period
+ * - matches are walked in finish order so streaks are exact; a draw or loss ends a streak
+ */
+async function playerRecords(conn, since) {
+  const [rows] = await conn.query(
+    `SELECT m.id, m.creator_id, m.opponent_id, m.winner, COALESCE(m.finished_at, m.updated_at) AS ended_at
+       FROM matches m
+      WHERE m.status = 'finished' AND m.opponent_id IS NOT NULL AND m.winner IS NOT NULL
+        ${since ? 'AND COALESCE(m.finished_at, m.updated_at) >= ?' : ''}
+      ORDER BY ended_at ASC, m.id ASC`,
+    since ? [since] : []
+  );
+  const [bots] = await conn.query('SELECT id FROM users WHERE is_bot = 1');
+  const botIds = new Set((bots || []).map(b => String(b.id)));
+
+  const records = new Map();
+  const record = (uid) => {
+    if (!records.has(String(uid))) records.set(String(uid), { user_id: uid, games: 0, wins: 0, draws: 0, streak: 0, best_streak: 0 });
+    return records.get(String(uid));
+  };
+
+  for (const m of rows || []) {
+    for (const [uid, side] of [[m.creator_id, 'creator'], [m.opponent_id, 'opponent']]) {
+      if (botIds.has(String(uid))) continue;
+      const r = record(uid);
+      r.games++;
+      if (m.winner === side) {
+        r.wins++;
+        r.streak++;
+        r.best_streak = Math.max(r.best_streak, r.streak);
+      } else {
+        if (m.winner === 'draw') r.draws++;
+        r.streak = 0;
+      }
+    }
+  }
+  return records;
+}
+
+function winRate(records) {
+  return [...records.values()]
+    .filter(r => r.games >= MIN_GAMES)
+    .sort((a, b) => (b.wins / b.games) - (a.wins / a.games) || b.games - a.games || Number(a.user_id) - Number(b.user_id))
+    .slice(0, BOARD_SIZE)
+    .map(r => ({ user_id: r.user_id, value: Number((r.wins / r.games).toFixed(4)), games: r.games }));
+}
+
+function winStreak(records) {
+  return [...records.values()]
+    .filter(r => r.best_streak > 0)
+    .sort((a, b) => b.best_streak - a.best_streak || b.wins - a.wins || Number(a.user_id) - Number(b.user_id))
+    .slice(0, BOARD_SIZE)
+    .map(r => ({ user_id: r.user_id, value: r.best_streak, games: r.games }));
+}
+
+async function ratingBoard(conn, since) {
+  if (!since) {
+    const [rows] = await conn.query(
+      `SELECT id AS user_id, rating AS value, rated_games AS games
+         FROM users
+        WHERE COALESCE(is_bot, 0) = 0 AND status = 'active' AND rated_games >= ?
+        ORDER BY rating DESC, rated_games DESC, id ASC
+        LIMIT ?`,
+      [MIN_RATED_GAMES, BOARD_SIZE]
+    );
+    return (rows || []).map(r => ({ user_id: r.user_id, value: Number(r.value), games: Number(r.games) }));
+  }
+  const [rows] = await conn.query(
+    `SELECT rh.user_id, SUM(rh.rating_after - rh.rating_before) AS gained, COUNT(*) AS games
+       FROM rating_history rh
+       JOIN users u ON u.id = rh.user_id AND COALESCE(u.is_bot, 0) = 0
+      WHERE rh.created_at >= ?
+      GROUP BY rh.user_id
+      ORDER BY gained DESC, games DESC, rh.user_id ASC
+      LIMIT ?`,
+    [since, BOARD_SIZE]
+  );
+  return (rows || []).map(r => ({ user_id: r.user_id, value: Number(Number(r.gained).toFixed(2)), games: Number(r.games) }));
+}
+
+async function replaceBoard(conn, board, period, since, entries, computedAt) {
+  await conn.query('DELETE FROM leaderboard_entries WHERE board = ? AND period = ?', [board, period]);
+  if (!entries.length) return;
+  const values = entries.map((e, i) => [board, period, i + 1, e.user_id, e.value, e.games || 0, since, computedAt]);
+  await conn.query(
+    'INSERT INTO leaderboard_entries (board, period, position, user_id, value, games, period_start, computed_at) VALUES ?',
+    [values]
+  );
+}
+
+/**
+ * refreshLeaderboards()
+ * - recomputes every board for every period; each (board, period) is swapped atomically
+ * - returns { [board]: { [period]: entryCount } }
+ */
+async function refreshLeaderboards(now = new Date()) {
+  const pool = await getPool();
+  const summary = {};
+  for (const period of PERIODS) {
+    const since = periodStart(period, now);
+    const conn = await pool.getConnection();
+    try {
+      const records = await playerRecords(conn, since);
+      const boards = {
+        net_winnings: await netWinnings(conn, since),
+        win_rate: winRate(records),
+        rating: await ratingBoard(conn, since),
+        win_streak: winStreak(records)
+      };
+      // net winnings has no natural game count; use finished games in the period for context
+      for (const e of boards.net_winnings) e.games = (records.get(String(e.user_id)) || {}).games || 0;
+
+      await conn.beginTransaction();
+      for (const board of BOARDS) {
+        await replaceBoard(conn, board, period, since, boards[board], now);
+        (summary[board] = summary[board] || {})[period] = boards[board].length;
+      }
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+  return summary;
+}
+
+/* Top entries of one precomputed board, with player names */
+async function getBoard(board, period, { limit = 50, offset = 0 } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT le.position, le.user_id, le.value, le.games, le.period_start, le.computed_at,
+            u.username, u.display_name
+       FROM leaderboard_entries le
+       LEFT JOIN users u ON u.id = le.user_id
+      WHERE le.board = ? AND le.period = ?
+      ORDER BY le.position ASC
+      LIMIT ? OFFSET ?`,
+    [board, period, limit, offset]
+  );
+  return rows || [];
+}
+
+/* Positions held by one user across all boards and periods */
+async function getUserPositions(userId) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    'SELECT board, period, position, value, games, computed_at FROM leaderboard_entries WHERE user_id = ? ORDER BY board, period',
+    [userId]
+  );
+  return rows || [];
+}
+
+async function lastComputedAt() {
+  const pool = await getPool();
+  const [rows] = await pool.query('SELECT MAX(computed_at) AS computed_at FROM leaderboard_entries');
+  return rows && rows[0] ? rows[0].computed_at : null;
+}
+
+module.exports = {
+  BOARDS,
+  PERIODS,
+  BOARD_SIZE,
+  MIN_GAMES,
+  MIN_RATED_GAMES,
+  periodStart,
+  refreshLeaderboards,
+  getBoard,
+  getUserPositions,
+  lastComputedAt
+};
@@ -0,0 +1,134 @@
+// services/lobbyFeed.js
+// Live lobby feed over SSE. The feed keeps a snapshot of the open public matches and diffs it on
+// every refresh: new matches go out as lobby:add, joined / bot-filled / cancelled ones as
+// lobby:remove. Refreshes are triggered by match lifecycle events (lib/matchEvents) and, while
+// anyone is listening, by a periodic resync that catches paths which do not emit events.
+// Single-process only, like the spectator stream.
+
+const { getPool } = require('../config/db');
+const lobbyModel = require('../models/lobbyModel');
+const { MATCH_EVENTS, matchEvents } = require('../lib/matchEvents');
+
+const RESYNC_MS = Number(process.env.LOBBY_RESYNC_MS || 10 * 1000);
+const REFRESH_DEBOUNCE_MS = 250;
+const SSE_PING_MS = 25000;
+
+const clients = new Set();
+let listed = new Map(); // match id -> raw lobby row
+let entryOptions = {};
+let refreshTimer = null;
+let resyncTimer = null;
+let refreshing = false;
+let subscribed = false;
+
+function sendSse(res, event, data) {
+  try {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  } catch (e) {
+    // ignore write errors; the close handler drops the client
+  }
+}
+
+function publicEntry(row, estimates, now) {
+  return lobbyModel.toPublicLobbyEntry(row, { ...entryOptions, estimates, now });
+}
+
+async function refresh() {
+  if (refreshing) return scheduleRefresh();
+  refreshing = true;
+  try {
+    const pool = await getPool();
+    const rows = await lobbyModel.listOpenMatches(pool);
+    const estimates = await lobbyModel.waitEstimates(pool);
+    const next = new Map(rows.map(r => [String(r.id), r]));
+    const added = rows.filter(r => !listed.has(String(r.id)));
+    const removed = [...listed.values()].filter(r => !next.has(String(r.id)));
+    listed = next;
+    if (!added.length && !removed.length) return;
+
+    const now = Date.now();
+    for (const client of clients) {
+      for (const r of removed) {
+        if (lobbyModel.matchesFilters(r, client.filters)) sendSse(client.res, 'lobby:remove', { match_id: r.id });
+      }
+      for (const r of added) {
+        if (lobbyModel.matchesFilters(r, client.filters)) sendSse(client.res, 'lobby:add', publicEntry(r, estimates, now));
+      }
+    }
+  } catch (err) {
+    console.error('[lobbyFeed.refresh] error', err && err.stack ? err.stack : err);
+  } finally {
+    refreshing = false;
+  }
+}
+
+function scheduleRefresh() {
+  if (refreshTimer || !clients.size) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refresh();
+  }, REFRESH_DEBOUNCE_MS);
+}
+
+function ensureSubscribed() {
+  if (subscribed) return;
+  subscribed = true;
+  for (const event of [MATCH_EVENTS.CREATED, MATCH_EVENTS.STARTED, MATCH_EVENTS.CANCELLED]) {
+    matchEvents.on(event, scheduleRefresh);
+  }
+}
+
+/**
+ * subscribe(req, res, filters, options)
+ * - writes the SSE headers and a lobby:init snapshot ({ matches, wait_estimates }) for the filters
+ * - options.autoAttachMs is passed through to the public entries (bot_fill_in_ms)
+ */
+async function subscribe(req, res, filters = {}, options = {}) {
+  entryOptions = options;
+  ensureSubscribed();
+
+  const pool = await getPool();
+  const rows = await lobbyModel.listOpenMatches(pool);
+  const estimates = await lobbyModel.waitEstimates(pool);
+  if (!clients.size) listed = new Map(rows.map(r => [String(r.id), r]));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('\n');
+
+  const now = Date.now();
+  sendSse(res, 'lobby:init', {
+    matches: rows.filter(r => lobbyModel.matchesFilters(r, filters)).map(r => publicEntry(r, estimates, now)),
+    wait_estimates: [...estimates.entries()].filter(([key]) => key !== 'all').map(([, e]) => e)
+  });
+
+  const client = { id: Date.now() + '-' + Math.random().toString(36).slice(2, 9), res, filters };
+  clients.add(client);
+  if (!resyncTimer) resyncTimer = setInterval(() => { if (clients.size) refresh(); }, RESYNC_MS);
+
+  const ping = setInterval(() => sendSse(res, 'ping', { ts: Date.now() }), SSE_PING_MS);
+  req.on('close', () => {
+    clearInterval(ping);
+    clients.delete(client);
+    if (!clients.size && resyncTimer) {
+      clearInterval(resyncTimer);
+      resyncTimer = null;
+    }
+    try { res.end(); } catch (e) {}
+  });
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  subscribe,
+  refresh,
+  clientCount
+};
@@ -0,0 +1,220 @@
+// services/matchmakingService.js
+// Stake-range / skill-band matchmaking. Players enqueue a ticket, the matcher pairs compatible tickets
+// into proposals carrying the agreed stake, and the match is created (and both players debited) only
+// once both have accepted that stake. Runs in-process on an interval, like the match timers.
+
+const { getPool } = require('../config/db');
+const matchModel = require('../models/matchModel');
+const mm = require('../models/matchmakingModel');
+const timeControl = require('../lib/timeControl');
+
+function codedError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * enqueue(userId, { minStake, maxStake, skillBand, boardConfig, clock })
+ * - one active ticket per user; the player must be able to cover min_stake + fee now
+ */
+async function enqueue(userId, { minStake, maxStake, skillBand = null, boardConfig, clock = null }) {
+  const conn = await mm.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [userRows] = await conn.query('SELECT id, balance FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (!userRows || !userRows[0]) throw codedError('User not found', 'NOT_FOUND');
+    if (await mm.getActiveTicketForUser(conn, userId, true)) throw codedError('Already in the matchmaking queue', 'ALREADY_QUEUED');
+
+    const minFee = await matchModel.chargeForAmount(conn, minStake);
+    if (Number(userRows[0].balance || 0) < Number((minStake + minFee).toFixed(2))) {
+      throw codedError('Insufficient balance for the minimum stake', 'INSUFFICIENT_BALANCE');
+    }
+
+    const ticketId = await mm.createTicket(conn, {
+      userId,
+      minStake,
+      maxStake,
+      skillBand,
+      skillRatingValue: await mm.skillRating(conn, userId),
+      boardConfig,
+      clockColumns: timeControl.initialColumns(clock)
+    });
+    const ticket = await mm.getTicketById(conn, ticketId, false);
+    await conn.commit();
+    return ticket;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/* Leave the queue; a pending proposal is declined on the player's behalf */
+async function leaveQueue(userId) {
+  const pool = await getPool();
+  const ticket = await mm.getActiveTicketForUser(pool, userId, false);
+  if (!ticket) return null;
+  if (ticket.status === 'proposed' && ticket.proposal_id) {
+    await respondToProposal(userId, ticket.proposal_id, false);
+    return mm.getTicketById(pool, ticket.id, false);
+  }
+  const conn = await mm.getConnection();
+  try {
+    await conn.beginTransaction();
+    const locked = await mm.getTicketById(conn, ticket.id, true);
+    if (locked && locked.status === 'queued') await mm.updateTicket(conn, locked.id, { status: 'cancelled' });
+    await conn.commit();
+    return mm.getTicketById(conn, ticket.id, false);
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/* Put kept players of a failed/declined/expired proposal back in the queue (keeping their wait time); drop the rest */
+async function settleProposalTickets(conn, proposal, keepUserIds, dropStatus = 'cancelled') {
+  for (const [ticketId, userId] of [[proposal.ticket_a, proposal.user_a], [proposal.ticket_b, proposal.user_b]]) {
+    const keep = keepUserIds.some(id => String(id) === String(userId));
+    await mm.updateTicket(conn, ticketId, { status: keep ? 'queued' : dropStatus, proposal_id: null });
+  }
+}
+
+/**
+ * respondToProposal(userId, proposalId, accept)
+ * - returns { status, proposal, matchId? }; status is the proposal status after the response
+ * - when both players have accepted the match is created at the agreed stake with the earlier ticket as X
+ */
+async function respondToProposal(userId, proposalId, accept) {
+  const conn = await mm.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const proposal = await mm.getProposalById(conn, proposalId, true);
+    if (!proposal) throw codedError('Proposal not found', 'NOT_FOUND');
+    const isA = String(proposal.user_a) === String(userId);
+    if (!isA && String(proposal.user_b) !== String(userId)) throw codedError('Not your proposal', 'FORBIDDEN');
+    if (proposal.status !== 'pending') throw codedError(`Proposal is ${proposal.status}`, 'NOT_PENDING');
+
+    if (new Date(proposal.expires_at).getTime() <= Date.now()) {
+      await expireProposal(conn, proposal);
+      await conn.commit();
+      return { status: 'expired', proposal: await mm.getProposalById(conn, proposalId, false) };
+    }
+
+    if (!accept) {
+      await mm.updateProposal(conn, proposal.id, { status: 'declined' });
+      await settleProposalTickets(conn, proposal, [isA ? proposal.user_b : proposal.user_a]);
+      await conn.commit();
+      return { status: 'declined', proposal: await mm.getProposalById(conn, proposalId, false) };
+    }
+
+    const accepted = { a_accepted: isA ? 1 : Number(proposal.a_accepted), b_accepted: isA ? Number(proposal.b_accepted) : 1 };
+    if (!accepted.a_accepted || !accepted.b_accepted) {
+      await mm.updateProposal(conn, proposal.id, accepted);
+      await conn.commit();
+      return { status: 'pending', proposal: await mm.getProposalById(conn, proposalId, false) };
+    }
+
+    const ticketA = await mm.getTicketById(conn, proposal.ticket_a, true);
+    let created;
+    try {
+      created = await matchModel.createPairedMatch(conn, {
+        creatorId: proposal.user_a,
+        opponentId: proposal.user_b,
+        betAmount: Number(proposal.stake),
+        boardConfig: mm.ticketBoardConfig(ticketA),
+        timeControlValue: timeControl.timeControlFromMatch(ticketA),
+        meta: { matchmaking_proposal: proposal.id }
+      });
+    } catch (e) {
+      if (!e || e.code !== 'INSUFFICIENT_BALANCE') throw e;
+      // the player who can no longer cover the stake leaves the queue; the other keeps searching
+      await mm.updateProposal(conn, proposal.id, { ...accepted, status: 'failed' });
+      await settleProposalTickets(conn, proposal, [String(e.userId) === String(proposal.user_a) ? proposal.user_b : proposal.user_a]);
+      await conn.commit();
+      return { status: 'failed', reason: String(e.userId) === String(userId) ? 'insufficient_balance' : 'opponent_insufficient_balance', proposal: await mm.getProposalById(conn, proposalId, false) };
+    }
+
+    await mm.updateProposal(conn, proposal.id, { ...accepted, status: 'accepted', match_id: created.matchId });
+    await mm.updateTicket(conn, proposal.ticket_a, { status: 'matched', match_id: created.matchId });
+    await mm.updateTicket(conn, proposal.ticket_b, { status: 'matched', match_id: created.matchId });
+    await conn.commit();
+    return { status: 'accepted', matchId: created.matchId, proposal: await mm.getProposalById(conn, proposalId, false) };
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/* Players who had already accepted go back to the queue; the ones who did not answer drop out */
+async function expireProposal(conn, proposal) {
+  await mm.updateProposal(conn, proposal.id, { status: 'expired' });
+  const keep = [];
+  if (Number(proposal.a_accepted)) keep.push(proposal.user_a);
+  if (Number(proposal.b_accepted)) keep.push(proposal.user_b);
+  await settleProposalTickets(conn, proposal, keep, 'expired');
+}
+
+/**
+ * runMatcherOnce()
+ * - expires stale proposals and tickets, then greedily pairs queued tickets oldest first
+ * - returns { proposals, expired_proposals, expired_tickets }
+ */
+async function runMatcherOnce() {
+  const conn = await mm.getConnection();
+  const summary = { proposals: 0, expired_proposals: 0, expired_tickets: 0 };
+  try {
+    await conn.beginTransaction();
+    const now = Date.now();
+
+    for (const p of await mm.listExpiredProposals(conn, now)) {
+      await expireProposal(conn, p);
+      summary.expired_proposals++;
+    }
+    summary.expired_tickets = await mm.expireStaleTickets(conn, now);
+
+    const queued = await mm.listQueuedTickets(conn);
+    const paired = new Set();
+    for (let i = 0; i < queued.length; i++) {
+      const a = queued[i];
+      if (paired.has(a.id)) continue;
+      for (let j = i + 1; j < queued.length; j++) {
+        const b = queued[j];
+        if (paired.has(b.id)) continue;
+        const stake = mm.agreedStake(a, b, now);
+        if (stake === null) continue;
+
+        const fee = await matchModel.chargeForAmount(conn, stake);
+        const proposalId = await mm.createProposal(conn, { ticketA: a, ticketB: b, stake, fee });
+        await mm.updateTicket(conn, a.id, { status: 'proposed', proposal_id: proposalId });
+        await mm.updateTicket(conn, b.id, { status: 'proposed', proposal_id: proposalId });
+        paired.add(a.id);
+        paired.add(b.id);
+        summary.proposals++;
+        break;
+      }
+    }
+
+    await conn.commit();
+    return summary;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  enqueue,
+  leaveQueue,
+  respondToProposal,
+  runMatcherOnce
+};
@@ -0,0 +1,192 @@
+// services/movePool.js
+// worker_threads pool for bot move search, so minimax never blocks HTTP requests, SSE pings or
+// match timers on the main thread.
+//
+// - random / heuristic tiers (and mistake moves) are cheap and are chosen inline
+// - depth_limited / perfect searches go to a worker; time spent queued comes out of the move's budget
+// - when the queue is full, the budget is gone before a worker frees up, or a worker fails or overruns
+//   its budget (it is then replaced), the move falls back to the heuristic chooser
+// - BOT_WORKER_POOL_SIZE=0 disables the pool and searches inline (previous behaviour)
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const moveSearch = require('../lib/moveSearch');
+const botTiers = require('../lib/botTiers');
+
+const POOL_SIZE = Number(process.env.BOT_WORKER_POOL_SIZE || Math.max(1, Math.min(4, os.cpus().length - 1)));
+const QUEUE_MAX = Number(process.env.BOT_WORKER_QUEUE_MAX || 32);
+const MOVE_BUDGET_MS = moveSearch.DEFAULT_BUDGET_MS;
+// a search with less budget than this left after queueing is not worth dispatching
+const MIN_SEARCH_MS = 50;
+// time past the budget before a busy worker is treated as stuck and replaced
+const STUCK_GRACE_MS = Number(process.env.BOT_WORKER_GRACE_MS || 1000);
+const WORKER_FILE = path.join(__dirname, 'moveWorker.js');
+
+const slots = [];
+const queue = [];
+const counters = { searched: 0, inline: 0, fallback: 0, replaced: 0 };
+let nextJobId = 1;
+let closed = false;
+
+function fallback(job, reason) {
+  counters.fallback++;
+  job.resolve({ pos: moveSearch.chooseMoveHeuristic(job.board, job.symbol, job.cfg), source: 'fallback', reason });
+}
+
+function releaseSlot(slot) {
+  const job = slot.job;
+  slot.job = null;
+  if (job) clearTimeout(job.timer);
+  return job;
+}
+
+function spawnSlot(index) {
+  const slot = { index, worker: new Worker(WORKER_FILE), job: null };
+  // idle workers must not keep the process alive on shutdown
+  slot.worker.unref();
+
+  slot.worker.on('message', (msg) => {
+    if (!slot.job || msg.id !== slot.job.id) return;
+    const job = releaseSlot(slot);
+    if (msg.error) {
+      fallback(job, 'worker-error');
+    } else {
+      counters.searched++;
+      job.resolve({ pos: msg.pos, source: 'worker' });
+    }
+    pump();
+  });
+  slot.worker.on('error', (err) => {
+    console.warn('[movePool] worker error', err && err.message ? err.message : err);
+  });
+  slot.worker.on('exit', () => {
+    // replaced slots (stuck workers) are already handled by replaceSlot
+    if (slots[index] !== slot) return;
+    const job = releaseSlot(slot);
+    if (job) fallback(job, 'worker-exit');
+    if (closed) return;
+    slots[index] = spawnSlot(index);
+    pump();
+  });
+  return slot;
+}
+
+function replaceSlot(slot) {
+  counters.replaced++;
+  slots[slot.index] = spawnSlot(slot.index);
+  slot.worker.terminate().catch(() => {});
+}
+
+function ensureStarted() {
+  while (slots.length < POOL_SIZE) slots.push(spawnSlot(slots.length));
+}
+
+function dispatch(slot, job) {
+  clearTimeout(job.timer);
+  const budgetMs = MOVE_BUDGET_MS - (Date.now() - job.enqueuedAt);
+  if (budgetMs < MIN_SEARCH_MS) return fallback(job, 'queue-wait');
+  slot.job = job;
+  job.slot = slot;
+  job.timer = setTimeout(() => expire(job), budgetMs + STUCK_GRACE_MS);
+  slot.worker.postMessage({ id: job.id, tier: job.tier, board: job.board, symbol: job.symbol, config: job.config, budgetMs });
+}
+
+function pump() {
+  for (const slot of slots) {
+    if (!queue.length) return;
+    if (!slot.job) dispatch(slot, queue.shift());
+  }
+}
+
+function expire(job) {
+  const queued = queue.indexOf(job);
+  if (queued >= 0) {
+    queue.splice(queued, 1);
+    return fallback(job, 'queue-wait');
+  }
+  if (job.slot && job.slot.job === job) {
+    releaseSlot(job.slot);
+    replaceSlot(job.slot);
+    fallback(job, 'worker-timeout');
+    pump();
+  }
+}
+
+/**
+ * chooseMove(tier, boardStr, symbol, cfg, options)
+ * - resolves { pos, source: 'worker' | 'inline' | 'fallback', reason? }; never rejects
+ * - options.mistakeRate overrides the tier's configured mistake rate
+ */
+function chooseMove(tier, boardStr, symbol, cfg, options = {}) {
+  const rate = typeof options.mistakeRate === 'number' ? options.mistakeRate : botTiers.mistakeRate(tier);
+  if (rate > 0 && Math.random() < rate) {
+    counters.inline++;
+    return Promise.resolve({ pos: moveSearch.chooseMoveRandom(boardStr, symbol, cfg), source: 'inline' });
+  }
+  if (!moveSearch.isSearchTier(tier) || POOL_SIZE <= 0) {
+    counters.inline++;
+    return Promise.resolve({ pos: moveSearch.chooseMoveForTier(tier, boardStr, symbol, cfg, { mistakeRate: 0 }), source: 'inline' });
+  }
+
+  return new Promise((resolve) => {
+    const job = {
+      id: nextJobId++,
+      tier,
+      board: boardStr,
+      symbol,
+      cfg,
+      config: { rows: cfg.rows, cols: cfg.cols, winLength: cfg.winLength, gameType: cfg.gameType },
+      enqueuedAt: Date.now(),
+      slot: null,
+      timer: null,
+      resolve
+    };
+    if (closed) return fallback(job, 'pool-closed');
+    if (queue.length >= QUEUE_MAX) return fallback(job, 'queue-full');
+    try {
+      ensureStarted();
+    } catch (err) {
+      console.warn('[movePool] could not start workers', err && err.message ? err.message : err);
+      return fallback(job, 'pool-unavailable');
+    }
+    job.timer = setTimeout(() => expire(job), MOVE_BUDGET_MS);
+    queue.push(job);
+    pump();
+  });
+}
+
+function stats() {
+  return {
+    size: slots.length,
+    busy: slots.filter(s => s.job).length,
+    queued: queue.length,
+    queue_max: QUEUE_MAX,
+    budget_ms: MOVE_BUDGET_MS,
+    ...counters
+  };
+}
+
+/* Stop all workers; queued and in-flight moves resolve with the heuristic fallback */
+async function shutdown() {
+  closed = true;
+  while (queue.length) {
+    const job = queue.shift();
+    clearTimeout(job.timer);
+    fallback(job, 'pool-closed');
+  }
+  const running = slots.splice(0, slots.length);
+  for (const slot of running) {
+    const job = releaseSlot(slot);
+    if (job) fallback(job, 'pool-closed');
+  }
+  await Promise.all(running.map(slot => slot.worker.terminate().catch(() => {})));
+}
+
+module.exports = {
+  POOL_SIZE,
+  QUEUE_MAX,
+  chooseMove,
+  stats,
+  shutdown
+};
@@ -0,0 +1,19 @@
+// services/moveWorker.js
+// worker_threads entry for services/movePool: runs one move search per message.
+// In:  { id, tier, board, symbol, config: { rows, cols, winLength, gameType }, budgetMs }
+// Out: { id, pos } or { id, error }
+
+const { parentPort } = require('worker_threads');
+const gameRules = require('../lib/gameRules');
+const moveSearch = require('../lib/moveSearch');
+
+parentPort.on('message', (job) => {
+  try {
+    const cfg = gameRules.normalizeConfig(job.config);
+    // the mistake roll already happened on the main thread
+    const pos = moveSearch.chooseMoveForTier(job.tier, job.board, job.symbol, cfg, { mistakeRate: 0, budgetMs: job.budgetMs });
+    parentPort.postMessage({ id: job.id, pos });
+  } catch (err) {
+    parentPort.postMessage({ id: job.id, error: err && err.message ? err.message : String(err) });
+  }
+});
@@ -0,0 +1,421 @@
+// services/reconciliationService.js
+// Balance reconciliation. Each run recomputes every user's balance twice, grouped into deposits,
+// stakes, fees, payouts, refunds, withdrawals and bot bankroll transfers:
+//
+//   from the ledger        - the entries on their wallet / bankroll account
+//   from their history     - the balance at the ledger cutover (the opening posting) plus every
+//                            balance_transactions row since, live and archived
+//
+// and checks:
+//
+//   users.balance          - must equal the ledger recomputation
+//   the ledger account     - its running balance must equal the sum of its entries
+//   the history            - must equal both users.balance and the ledger recomputation, so a
+//                            movement missing from either side shows up
+//   users.pending_balance  - must equal the user's withdrawals still awaiting payout
+//
+// The house is reconciled the same way: admin_balance.balance against the house_revenue entries
+// (fees, rake, bankroll transfers, fee refunds), and admin_balance.bot_bankroll against the
+// bankroll fund / return audit rows. Ledger-wide checks cover the trial balance and escrow left
+// behind in closed matches. Each run is stored in reconciliation_runs with its discrepancy report;
+// userDetail() is the drill-down to the postings and transactions behind one user's figures.
+
+const { getPool } = require('../config/db');
+const ledger = require('../models/ledgerModel');
+
+const MAX_REPORTED = Number(process.env.RECONCILIATION_MAX_REPORTED || 500);
+
+// ledger posting kinds by reconciliation category; any other kind ending in _refund is a refund
+const CATEGORIES = Object.freeze({
+  opening: ['opening_balance'],
+  deposits: ['deposit'],
+  stakes: ['match_stake', 'match_double_stake', 'tournament_buy_in'],
+  fees: ['match_fee', 'tournament_rake_collected'],
+  payouts: ['match_win', 'tournament_prize'],
+  withdrawals: ['withdrawal_request'],
+  bankroll: ['bot_bankroll_fund', 'bot_bankroll_return']
+});
+const CATEGORY_OF = new Map(Object.entries(CATEGORIES).flatMap(([cat, kinds]) => kinds.map(k => [k, cat])));
+
+function categoryOf(kind) {
+  if (CATEGORY_OF.has(kind)) return CATEGORY_OF.get(kind);
+  return /_refund$/.test(kind) ? 'refunds' : 'other';
+}
+
+/* Category of a balance_transactions source that moves a user's balance, or null for audit rows of
+   money that moved elsewhere (deposit_pending, withdrawal_paid, match_fee_collected...) */
+function sourceCategory(source) {
+  if (source === 'withdrawal_decline') return 'refunds';
+  const cat = categoryOf(source);
+  return cat === 'other' || cat === 'opening' ? null : cat;
+}
+
+function toCents(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+function round2(n) {
+  return Number((toCents(n) / 100).toFixed(2));
+}
+
+function emptyBreakdown() {
+  const out = {};
+  for (const cat of [...Object.keys(CATEGORIES), 'refunds', 'other']) out[cat] = 0;
+  return out;
+}
+
+/* Recomputed balance and category breakdown per ledger account, from its entries */
+async function accountBreakdowns(db, types) {
+  const [rows] = await db.query(
+    `SELECT a.id, a.type, a.owner_id, a.balance, p.kind, SUM(e.amount) AS amount
+       FROM ledger_accounts a
+       JOIN ledger_entries e ON e.account_id = a.id
+       JOIN ledger_postings p ON p.id = e.posting_id
+      WHERE a.type IN (?)
+      GROUP BY a.id, a.type, a.owner_id, a.balance, p.kind`,
+    [types]
+  );
+  const accounts = new Map();
+  for (const r of rows || []) {
+    const key = `${r.type}:${r.owner_id}`;
+    if (!accounts.has(key)) {
+      accounts.set(key, { type: r.type, owner_id: Number(r.owner_id), running: Number(r.balance), cents: 0, breakdown: emptyBreakdown() });
+    }
+    const acct = accounts.get(key);
+    const cat = categoryOf(r.kind);
+    acct.cents += toCents(r.amount);
+    acct.breakdown[cat] = round2(acct.breakdown[cat] + Number(r.amount));
+  }
+  for (const acct of accounts.values()) acct.recomputed = acct.cents / 100;
+  return accounts;
+}
+
+/**
+ * historyBreakdowns(db, userId)
+ * - per user (or just userId), the balance rebuilt without the ledger's running figures: the amount
+ *   opened at the ledger cutover plus the credits and debits of every balance_transactions row
+ *   written since (live and archived, failed rows left out)
+ * - returns Map(user id -> { recomputed, breakdown })
+ */
+async function historyBreakdowns(db, userId = null) {
+  const [openRows] = await db.query(
+    `SELECT a.owner_id AS user_id, SUM(e.amount) AS amount
+       FROM ledger_postings p
+       JOIN ledger_entries e ON e.posting_id = p.id
+       JOIN ledger_accounts a ON a.id = e.account_id AND a.type IN ('user_wallet','bot_bankroll')
+      WHERE p.kind = 'opening_balance' AND p.reference_id = 'opening_balances' AND (? IS NULL OR a.owner_id = ?)
+      GROUP BY a.owner_id`,
+    [userId, userId]
+  );
+  const [cutoverRows] = await db.query(
+    `SELECT created_at FROM ledger_postings WHERE kind = 'opening_balance' AND reference_id = 'opening_balances' LIMIT 1`
+  );
+  const cutover = cutoverRows && cutoverRows[0] ? cutoverRows[0].created_at : null;
+  const [txRows] = await db.query(
+    `SELECT user_id, source, type, SUM(amount) AS amount
+       FROM (SELECT user_id, source, type, amount, status, created_at FROM balance_transactions WHERE user_id IS NOT NULL
+             UNION ALL
+             SELECT user_id, source, type, amount, status, created_at FROM balance_transactions_archive WHERE user_id IS NOT NULL) t
+      WHERE COALESCE(status, '') <> 'failed' AND (? IS NULL OR created_at >= ?) AND (? IS NULL OR user_id = ?)
+      GROUP BY user_id, source, type`,
+    [cutover, cutover, userId, userId]
+  );
+
+  const users = new Map();
+  const entry = (userId) => {
+    const key = String(userId);
+    if (!users.has(key)) users.set(key, { cents: 0, breakdown: emptyBreakdown() });
+    return users.get(key);
+  };
+  for (const r of openRows || []) {
+    const u = entry(r.user_id);
+    u.cents += toCents(r.amount);
+    u.breakdown.opening = round2(u.breakdown.opening + Number(r.amount));
+  }
+  for (const r of txRows || []) {
+    const cat = sourceCategory(r.source);
+    const sign = r.type === 'credit' ? 1 : r.type === 'debit' ? -1 : 0;
+    if (!cat || !sign) continue;
+    const u = entry(r.user_id);
+    u.cents += sign * toCents(r.amount);
+    u.breakdown[cat] = round2(u.breakdown[cat] + sign * Number(r.amount));
+  }
+  for (const u of users.values()) u.recomputed = u.cents / 100;
+  return users;
+}
+
+/* Per-user discrepancies: balance, ledger account, transaction history and pending_balance */
+async function reconcileUsers(db) {
+  const accounts = await accountBreakdowns(db, ['user_wallet', 'bot_bankroll']);
+  const history = await historyBreakdowns(db);
+  const [userRows] = await db.query('SELECT id, is_bot, balance, pending_balance FROM users ORDER BY id ASC');
+  const [pendingRows] = await db.query(
+    `SELECT user_id, COUNT(*) AS n, SUM(amount) AS held FROM withdrawals WHERE status = 'pending' GROUP BY user_id`
+  );
+  const pending = new Map((pendingRows || []).map(r => [String(r.user_id), { count: Number(r.n), held: Number(r.held) }]));
+
+  const discrepancies = [];
+  for (const u of userRows || []) {
+    const isBot = Number(u.is_bot) === 1;
+    const acct = accounts.get(`${isBot ? 'bot_bankroll' : 'user_wallet'}:${u.id}`)
+      || { running: 0, recomputed: 0, breakdown: emptyBreakdown() };
+    const held = pending.get(String(u.id)) || { count: 0, held: 0 };
+    const fromHistory = history.get(String(u.id)) || { recomputed: 0, breakdown: emptyBreakdown() };
+    const issues = [];
+    if (toCents(u.balance) !== toCents(acct.recomputed)) {
+      issues.push({ check: 'balance', actual: round2(u.balance), expected: acct.recomputed, difference: round2(Number(u.balance || 0) - acct.recomputed) });
+    }
+    if (toCents(acct.running) !== toCents(acct.recomputed)) {
+      issues.push({ check: 'ledger_account', actual: round2(acct.running), expected: acct.recomputed, difference: round2(acct.running - acct.recomputed) });
+    }
+    if (toCents(u.balance) !== toCents(fromHistory.recomputed)) {
+      issues.push({ check: 'history_balance', actual: round2(u.balance), expected: fromHistory.recomputed, difference: round2(Number(u.balance || 0) - fromHistory.recomputed) });
+    }
+    if (toCents(acct.recomputed) !== toCents(fromHistory.recomputed)) {
+      issues.push({ check: 'history_ledger', actual: acct.recomputed, expected: fromHistory.recomputed, difference: round2(acct.recomputed - fromHistory.recomputed) });
+    }
+    if (toCents(u.pending_balance) !== toCents(held.held)) {
+      issues.push({ check: 'pending_balance', actual: round2(u.pending_balance), expected: round2(held.held), difference: round2(Number(u.pending_balance || 0) - held.held), pending_withdrawals: held.count });
+    }
+    // entries on the other account type mean a posting resolved the user as bot when it was not (or the reverse)
+    const stray = accounts.get(`${isBot ? 'user_wallet' : 'bot_bankroll'}:${u.id}`);
+    if (stray && toCents(stray.recomputed) !== 0) {
+      issues.push({ check: 'account_type', actual: stray.recomputed, expected: 0, difference: stray.recomputed, account: stray.type });
+    }
+    if (issues.length) {
+      discrepancies.push({
+        user_id: u.id,
+        is_bot: isBot,
+        issues,
+        breakdown: acct.breakdown,
+        history_breakdown: fromHistory.breakdown,
+        drill_down: `/admin/reconciliation/users/${u.id}`
+      });
+    }
+  }
+  return { checked: (userRows || []).length, discrepancies };
+}
+
+/* House: admin_balance.balance against house_revenue, bot_bankroll against the fund / return rows */
+async function reconcileHouse(db) {
+  const accounts = await accountBreakdowns(db, ['house_revenue']);
+  const acct = accounts.get('house_revenue:0') || { running: 0, recomputed: 0, breakdown: emptyBreakdown() };
+  const [houseRows] = await db.query('SELECT balance, bot_bankroll FROM admin_balance WHERE id = 1');
+  const house = houseRows && houseRows[0] ? houseRows[0] : { balance: 0, bot_bankroll: 0 };
+  const [bankrollRows] = await db.query(
+    `SELECT COALESCE(SUM(CASE WHEN source = 'bot_bankroll_fund' THEN amount ELSE -amount END), 0) AS net
+       FROM (SELECT source, amount FROM balance_transactions
+              WHERE user_id IS NULL AND source IN ('bot_bankroll_fund','bot_bankroll_return') AND status = 'completed'
+             UNION ALL
+             SELECT source, amount FROM balance_transactions_archive
+              WHERE user_id IS NULL AND source IN ('bot_bankroll_fund','bot_bankroll_return') AND status = 'completed') t`
+  );
+  const bankrollExpected = round2(bankrollRows && bankrollRows[0] ? bankrollRows[0].net : 0);
+
+  const issues = [];
+  if (toCents(house.balance) !== toCents(acct.recomputed)) {
+    issues.push({ check: 'balance', actual: round2(house.balance), expected: acct.recomputed, difference: round2(Number(house.balance || 0) - acct.recomputed) });
+  }
+  if (toCents(acct.running) !== toCents(acct.recomputed)) {
+    issues.push({ check: 'ledger_account', actual: round2(acct.running), expected: acct.recomputed, difference: round2(acct.running - acct.recomputed) });
+  }
+  if (toCents(house.bot_bankroll) !== toCents(bankrollExpected)) {
+    issues.push({ check: 'bot_bankroll', actual: round2(house.bot_bankroll), expected: bankrollExpected, difference: round2(Number(house.bot_bankroll || 0) - bankrollExpected) });
+  }
+  return {
+    balance: round2(house.balance),
+    recomputed: acct.recomputed,
+    breakdown: acct.breakdown,
+    bot_bankroll: round2(house.bot_bankroll),
+    issues,
+    drill_down: '/admin/ledger/accounts/house_revenue/0'
+  };
+}
+
+/* Ledger-wide: unbalanced postings and money still in the escrow of closed matches */
+async function reconcileLedger(db) {
+  const trialBalance = await ledger.trialBalance(db);
+  const [escrowRows] = await db.query(
+    `SELECT a.owner_id AS match_id, a.balance, m.status
+       FROM ledger_accounts a JOIN matches m ON m.id = a.owner_id
+      WHERE a.type = 'match_escrow' AND a.balance <> 0 AND m.status IN ('finished','cancelled')
+      ORDER BY a.owner_id ASC
+      LIMIT ?`,
+    [MAX_REPORTED]
+  );
+  return {
+    total: trialBalance.total,
+    unbalanced: trialBalance.unbalanced,
+    closed_match_escrow: (escrowRows || []).map(r => ({
+      match_id: r.match_id,
+      status: r.status,
+      balance: Number(r.balance),
+      drill_down: `/admin/ledger/accounts/match_escrow/${r.match_id}`
+    }))
+  };
+}
+
+/**
+ * buildReport(connOrPool)
+ * - the full discrepancy report without storing it
+ */
+async function buildReport(connOrPool) {
+  const db = connOrPool || await getPool();
+  const users = await reconcileUsers(db);
+  const house = await reconcileHouse(db);
+  const ledgerCheck = await reconcileLedger(db);
+  const count = users.discrepancies.length + house.issues.length
+    + (ledgerCheck.total !== 0 ? 1 : 0) + ledgerCheck.unbalanced.length + ledgerCheck.closed_match_escrow.length;
+  return {
+    users_checked: users.checked,
+    discrepancy_count: count,
+    users: users.discrepancies.slice(0, MAX_REPORTED),
+    users_truncated: users.discrepancies.length > MAX_REPORTED,
+    house,
+    ledger: ledgerCheck
+  };
+}
+
+/**
+ * runReconciliation({ trigger, requestedBy })
+ * - builds the report and records it in reconciliation_runs; returns { run_id, status, report }
+ * - a failed run is recorded with status 'failed' and the error rethrown
+ */
+async function runReconciliation({ trigger = 'schedule', requestedBy = null } = {}) {
+  const pool = await getPool();
+  const [ins] = await pool.query(
+    'INSERT INTO reconciliation_runs (trigger_source, requested_by, status) VALUES (?, ?, ?)',
+    [trigger, requestedBy, 'running']
+  );
+  const runId = ins.insertId;
+  try {
+    const report = await buildReport(pool);
+    const status = report.discrepancy_count ? 'discrepancies' : 'clean';
+    await pool.query(
+      `UPDATE reconciliation_runs
+          SET status = ?, users_checked = ?, discrepancy_count = ?, report = ?, finished_at = NOW(3)
+        WHERE id = ?`,
+      [status, report.users_checked, report.discrepancy_count, JSON.stringify(report), runId]
+    );
+    if (report.discrepancy_count) {
+      console.warn('[reconciliation] discrepancies found', { run_id: runId, count: report.discrepancy_count });
+    }
+    return { run_id: runId, status, report };
+  } catch (err) {
+    await pool.query(
+      'UPDATE reconciliation_runs SET status = ?, report = ?, finished_at = NOW(3) WHERE id = ?',
+      ['failed', JSON.stringify({ error: err && err.message ? err.message : String(err) }), runId]
+    ).catch(() => {});
+    throw err;
+  }
+}
+
+function parseRun(row) {
+  if (!row) return null;
+  let report = row.report;
+  if (typeof report === 'string') {
+    try { report = JSON.parse(report); } catch (_) {}
+  }
+  return { ...row, report };
+}
+
+/* Latest run, or a given one; null when there is none */
+async function getRun(connOrPool, runId = null) {
+  const db = connOrPool || await getPool();
+  const [rows] = runId
+    ? await db.query('SELECT * FROM reconciliation_runs WHERE id = ? LIMIT 1', [runId])
+    : await db.query('SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT 1');
+  return parseRun(rows && rows[0]);
+}
+
+/* Recent runs without their reports */
+async function listRuns(connOrPool, { limit = 20 } = {}) {
+  const db = connOrPool || await getPool();
+  const [rows] = await db.query(
+    `SELECT id, trigger_source, requested_by, status, users_checked, discrepancy_count, started_at, finished_at
+       FROM reconciliation_runs ORDER BY id DESC LIMIT ?`,
+    [limit]
+  );
+  return rows || [];
+}
+
+/**
+ * userDetail(connOrPool, userId, { limit })
+ * - drill-down for one user: the current figures and breakdown, the balance rebuilt from their
+ *   transaction history, the ledger postings on their account, their balance_transactions rows
+ *   (live and archived) and pending withdrawals
+ */
+async function userDetail(connOrPool, userId, { limit = 200 } = {}) {
+  const db = connOrPool || await getPool();
+  const [userRows] = await db.query('SELECT id, username, is_bot, balance, pending_balance FROM users WHERE id = ? LIMIT 1', [userId]);
+  const user = userRows && userRows[0];
+  if (!user) return null;
+  const type = Number(user.is_bot) === 1 ? 'bot_bankroll' : 'user_wallet';
+
+  const [kindRows] = await db.query(
+    `SELECT p.kind, COUNT(*) AS postings, SUM(e.amount) AS amount
+       FROM ledger_accounts a
+       JOIN ledger_entries e ON e.account_id = a.id
+       JOIN ledger_postings p ON p.id = e.posting_id
+      WHERE a.type = ? AND a.owner_id = ?
+      GROUP BY p.kind ORDER BY p.kind`,
+    [type, userId]
+  );
+  const breakdown = emptyBreakdown();
+  let cents = 0;
+  const kinds = (kindRows || []).map(r => {
+    cents += toCents(r.amount);
+    breakdown[categoryOf(r.kind)] = round2(breakdown[categoryOf(r.kind)] + Number(r.amount));
+    return { kind: r.kind, category: categoryOf(r.kind), postings: Number(r.postings), amount: Number(r.amount) };
+  });
+
+  const [txRows] = await db.query(
+    `SELECT * FROM (
+       SELECT id, amount, type, source, reference_id, status, meta, created_at, 0 AS archived
+         FROM balance_transactions WHERE user_id = ?
+       UNION ALL
+       SELECT id, amount, type, source, reference_id, status, meta, created_at, 1 AS archived
+         FROM balance_transactions_archive WHERE user_id = ?
+     ) t ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [userId, userId, limit]
+  );
+  const [withdrawalRows] = await db.query(
+    `SELECT id, amount, status, requested_at FROM withdrawals WHERE user_id = ? AND status = 'pending' ORDER BY id ASC`,
+    [userId]
+  );
+
+  const held = (withdrawalRows || []).reduce((sum, w) => sum + toCents(w.amount), 0) / 100;
+  const fromHistory = (await historyBreakdowns(db, Number(userId))).get(String(user.id)) || { recomputed: 0, breakdown: emptyBreakdown() };
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      is_bot: Number(user.is_bot) === 1,
+      balance: round2(user.balance),
+      pending_balance: round2(user.pending_balance)
+    },
+    expected: {
+      balance: cents / 100,
+      ledger_balance: await ledger.balanceOf(db, type, Number(userId)),
+      history_balance: fromHistory.recomputed,
+      pending_balance: held
+    },
+    breakdown,
+    history_breakdown: fromHistory.breakdown,
+    kinds,
+    entries: await ledger.accountEntries(db, type, Number(userId), { limit }),
+    transactions: (txRows || []).map(r => ({ ...r, amount: Number(r.amount), archived: Boolean(Number(r.archived)) })),
+    pending_withdrawals: withdrawalRows || []
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  categoryOf,
+  sourceCategory,
+  buildReport,
+  runReconciliation,
+  getRun,
+  listRuns,
+  userDetail
+};
@@ -0,0 +1,106 @@
+// services/reconciliationService.test.js
+const reconciliation = require('./reconciliationService');
+
+/*
+  Canned result sets for the statements buildReport issues, keyed by a fragment of their SQL.
+  Seeded state:
+    user 1 - opened at 20, deposited 50, staked 10 and paid a 1 fee, won 18: balance 77 everywhere
+    user 2 - deposited 40 in the ledger but only 30 in balance_transactions (a lost audit row)
+    user 3 - consistent ledger and history, but users.balance was edited by hand (+5)
+*/
+function fakeDb({ users, ledgerRows, openRows, txRows, house = { balance: 1, bot_bankroll: 0 } }) {
+  const routes = [
+    [/FROM ledger_accounts a\s+JOIN ledger_entries e[\s\S]*GROUP BY a\.id/, (params) => [ledgerRows.filter(r => params[0].includes(r.type))]],
+    [/p\.reference_id = 'opening_balances' AND/, () => [openRows]],
+    [/SELECT created_at FROM ledger_postings/, () => [[{ created_at: new Date('2026-01-01T00:00:00Z') }]]],
+    [/FROM \(SELECT user_id, source, type, amount/, () => [txRows]],
+    [/FROM users ORDER BY id/, () => [users]],
+    [/FROM withdrawals WHERE status = 'pending' GROUP BY/, () => [[]]],
+    [/FROM admin_balance/, () => [[house]]],
+    [/bot_bankroll_fund/, () => [[{ net: 0 }]]],
+    [/SELECT type, COUNT\(\*\)/, () => [[]]],
+    [/HAVING SUM\(e\.amount\) <> 0/, () => [[]]],
+    [/a\.type = 'match_escrow' AND a\.balance <> 0/, () => [[]]]
+  ];
+  return {
+    query: jest.fn(async (sql, params = []) => {
+      const route = routes.find(([re]) => re.test(sql));
+      if (!route) throw new Error(`unexpected statement: ${sql.replace(/\s+/g, ' ').slice(0, 80)}`);
+      return route[1](params);
+    })
+  };
+}
+
+function ledgerRow(ownerId, kind, amount, balance) {
+  return { id: ownerId, type: 'user_wallet', owner_id: ownerId, balance, kind, amount };
+}
+
+function seed() {
+  return {
+    users: [
+      { id: 1, is_bot: 0, balance: '77.00', pending_balance: '0.00' },
+      { id: 2, is_bot: 0, balance: '40.00', pending_balance: '0.00' },
+      { id: 3, is_bot: 0, balance: '15.00', pending_balance: '0.00' }
+    ],
+    ledgerRows: [
+      ledgerRow(1, 'opening_balance', 20, 77),
+      ledgerRow(1, 'deposit', 50, 77),
+      ledgerRow(1, 'match_stake', -10, 77),
+      ledgerRow(1, 'match_fee', -1, 77),
+      ledgerRow(1, 'match_win', 18, 77),
+      ledgerRow(2, 'deposit', 40, 40),
+      ledgerRow(3, 'deposit', 10, 10),
+      { id: 99, type: 'house_revenue', owner_id: 0, balance: 1, kind: 'match_fee', amount: 1 }
+    ],
+    openRows: [{ user_id: 1, amount: '20.00' }],
+    txRows: [
+      { user_id: 1, source: 'deposit', type: 'credit', amount: '50.00' },
+      { user_id: 1, source: 'match_stake', type: 'debit', amount: '10.00' },
+      { user_id: 1, source: 'match_fee', type: 'debit', amount: '1.00' },
+      { user_id: 1, source: 'match_win', type: 'credit', amount: '18.00' },
+      { user_id: 1, source: 'deposit_pending', type: 'debit', amount: '50.00' },
+      { user_id: 2, source: 'deposit', type: 'credit', amount: '30.00' },
+      { user_id: 3, source: 'deposit', type: 'credit', amount: '10.00' }
+    ]
+  };
+}
+
+describe('sourceCategory', () => {
+  test('counts balance-moving sources and skips audit rows', () => {
+    expect(reconciliation.sourceCategory('deposit')).toBe('deposits');
+    expect(reconciliation.sourceCategory('match_double_stake')).toBe('stakes');
+    expect(reconciliation.sourceCategory('match_invite_expired_refund')).toBe('refunds');
+    expect(reconciliation.sourceCategory('withdrawal_decline')).toBe('refunds');
+    expect(reconciliation.sourceCategory('withdrawal_request')).toBe('withdrawals');
+    expect(reconciliation.sourceCategory('deposit_pending')).toBeNull();
+    expect(reconciliation.sourceCategory('withdrawal_paid')).toBeNull();
+  });
+});
+
+describe('buildReport', () => {
+  test('reports nothing for a user whose balance, ledger and history agree', async () => {
+    const report = await reconciliation.buildReport(fakeDb(seed()));
+    expect(report.users_checked).toBe(3);
+    expect(report.users.find(u => u.user_id === 1)).toBeUndefined();
+    expect(report.house.issues).toEqual([]);
+  });
+
+  test('flags a transaction history that disagrees with the ledger and the balance', async () => {
+    const report = await reconciliation.buildReport(fakeDb(seed()));
+    const user2 = report.users.find(u => u.user_id === 2);
+    expect(user2.issues).toEqual([
+      { check: 'history_balance', actual: 40, expected: 30, difference: 10 },
+      { check: 'history_ledger', actual: 40, expected: 30, difference: 10 }
+    ]);
+    expect(user2.history_breakdown.deposits).toBe(30);
+    expect(user2.breakdown.deposits).toBe(40);
+  });
+
+  test('flags a hand-edited balance against both recomputations', async () => {
+    const report = await reconciliation.buildReport(fakeDb(seed()));
+    const user3 = report.users.find(u => u.user_id === 3);
+    expect(user3.issues.map(i => i.check)).toEqual(['balance', 'history_balance']);
+    expect(user3.issues.every(i => i.difference === 5)).toBe(true);
+    expect(report.discrepancy_count).toBe(2);
+  });
+});
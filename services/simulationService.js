@@ -1,16 +1,20 @@
 // src/services/simulationService.js
-// Simulator for 6x6 board with 4-in-a-row win condition.
+// Simulator for the match board (6x6, 4-in-a-row by default; geometry and game type come from the match row).
 // Uses per-match reserved display_name/username when available instead of users table display_name.
 
 const db = require('../config/db');
 const matchModel = require('../models/matchModel');
+const botPersonaModel = require('../models/botPersonaModel');
+const gameRules = require('../lib/gameRules');
+const timeControl = require('../lib/timeControl');
+const botTiers = require('../lib/botTiers');
+const moveSearch = require('../lib/moveSearch');
+const movePool = require('./movePool');
+const { MATCH_EVENTS, emitMatchEvent } = require('../lib/matchEvents');
 
 const { getPool } = db;
 
-const BOARD_ROWS = Number(process.env.BOARD_ROWS || 6);
-const BOARD_COLS = Number(process.env.BOARD_COLS || 6);
-const BOARD_CELLS = BOARD_ROWS * BOARD_COLS;
-const EMPTY_BOARD = '_'.repeat(BOARD_CELLS);
+const DEFAULT_CONFIG = gameRules.normalizeConfig();
 
 // Strict per-turn timeout (must match controller)
 const TURN_TIMEOUT_MS = 15 * 1000;
@@ -20,311 +24,10 @@ function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 /* single-run guard to avoid multiple simulators racing on same match */
 const activeSimulations = new Map();
 
-/* WIN length (4 in a row) */
-const WIN_LENGTH = 4;
-
-/* Generate all WIN_LENGTH-in-a-row lines for BOARD_ROWS x BOARD_COLS */
-function generateLines() {
-  const lines = [];
-  const rows = BOARD_ROWS, cols = BOARD_COLS;
-  const winLen = WIN_LENGTH;
-
-  // horizontal
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c + winLen - 1 < cols; c++) {
-      const seq = [];
-      for (let k = 0; k < winLen; k++) seq.push(r * cols + (c + k));
-      lines.push(seq);
-    }
-  }
-  // vertical
-  for (let c = 0; c < cols; c++) {
-    for (let r = 0; r + winLen - 1 < rows; r++) {
-      const seq = [];
-      for (let k = 0; k < winLen; k++) seq.push((r + k) * cols + c);
-      lines.push(seq);
-    }
-  }
-  // diag down-right
-  for (let r = 0; r + winLen - 1 < rows; r++) {
-    for (let c = 0; c + winLen - 1 < cols; c++) {
-      const seq = [];
-      for (let k = 0; k < winLen; k++) seq.push((r + k) * cols + (c + k));
-      lines.push(seq);
-    }
-  }
-  // diag down-left
-  for (let r = 0; r + winLen - 1 < rows; r++) {
-    for (let c = winLen - 1; c < cols; c++) {
-      const seq = [];
-      for (let k = 0; k < winLen; k++) seq.push((r + k) * cols + (c - k));
-      lines.push(seq);
-    }
-  }
-  return lines;
-}
-
-const LINES = generateLines();
-
-/* Board checks */
-function checkBoard(boardStr) {
-  const b = (boardStr || EMPTY_BOARD).split('');
-  for (const line of LINES) {
-    const first = b[line[0]];
-    if (!first || first === '_') continue;
-    let allSame = true;
-    for (let idx = 1; idx < line.length; idx++) {
-      if (b[line[idx]] !== first) { allSame = false; break; }
-    }
-    if (allSame) return { winner: first, isDraw: false };
-  }
-  const isDraw = b.every(c => c !== '_');
-  return { winner: null, isDraw };
-}
-
-function availableMoves(boardArr) {
-  return boardArr.map((v, i) => v === '_' ? i : -1).filter(i => i >= 0);
-}
-
-function findImmediateWin(boardArr, symbol) {
-  for (const line of LINES) {
-    const vals = line.map(idx => boardArr[idx]);
-    const countSym = vals.filter(v => v === symbol).length;
-    const countEmpty = vals.filter(v => v === '_').length;
-    if (countSym === WIN_LENGTH - 1 && countEmpty === 1) {
-      return line.find(idx => boardArr[idx] === '_');
-    }
-  }
-  return -1;
-}
-
-/* Heuristic move chooser */
-function chooseMoveHeuristic(boardStr, botSym) {
-  const board = (boardStr || EMPTY_BOARD).split('');
-  const opp = botSym === 'X' ? 'O' : 'X';
-
-  const win = findImmediateWin(board, botSym);
-  if (win >= 0) return win;
-
-  const block = findImmediateWin(board, opp);
-  if (block >= 0) return block;
-
-  const rows = BOARD_ROWS, cols = BOARD_COLS;
-  const centerR = (rows - 1) / 2;
-  const centerC = (cols - 1) / 2;
-  const avail = availableMoves(board);
-  const scored = avail.map(i => {
-    const r = Math.floor(i / cols);
-    const c = i % cols;
-    const dist = Math.hypot(r - centerR, c - centerC);
-    return { i, score: -dist };
-  });
-  scored.sort((a, b) => b.score - a.score);
-  if (scored.length) {
-    const top = Math.max(1, Math.min(6, scored.length));
-    return scored[Math.floor(Math.random() * top)].i;
-  }
-
-  if (avail.length === 0) return -1;
-  return avail[Math.floor(Math.random() * avail.length)];
-}
-
-/* Make the bot effectively unbeatable: minimax with alpha-beta, iterative deepening, ordering, and evaluation */
-
-/* Evaluate board for botSym. Positive = good for botSym, negative = good for opponent. */
-function evaluateBoard(boardArr, botSym) {
-  const opp = botSym === 'X' ? 'O' : 'X';
-
-  // Score map by pattern length for presence in any WIN line
-  const SCORE = {
-    4: 1000000,
-    3: 1000,
-    2: 50,
-    1: 1
-  };
-
-  let score = 0;
-
-  for (const line of LINES) {
-    const vals = line.map(i => boardArr[i]);
-    const countBot = vals.filter(v => v === botSym).length;
-    const countOpp = vals.filter(v => v === opp).length;
-    const countEmpty = vals.filter(v => v === '_').length;
-
-    if (countBot > 0 && countOpp > 0) {
-      if (countBot === WIN_LENGTH - 1 && countEmpty === 1) score += SCORE[3] * 0.9;
-      if (countOpp === WIN_LENGTH - 1 && countEmpty === 1) score -= SCORE[3] * 1.2;
-      continue;
-    }
-
-    if (countBot > 0) {
-      score += (SCORE[countBot] || 0);
-    }
-
-    if (countOpp > 0) {
-      score -= (SCORE[countOpp] || 0) * 1.2;
-    }
-  }
-
-  // slight center control bonus
-  const centerR = (BOARD_ROWS - 1) / 2;
-  const centerC = (BOARD_COLS - 1) / 2;
-  for (let i = 0; i < boardArr.length; i++) {
-    if (boardArr[i] === botSym) {
-      const r = Math.floor(i / BOARD_COLS);
-      const c = i % BOARD_COLS;
-      const dist = Math.hypot(r - centerR, c - centerC);
-      score += Math.max(0, 3 - dist) * 0.5;
-    }
-    if (boardArr[i] !== '_' && boardArr[i] !== botSym) {
-      const r = Math.floor(i / BOARD_COLS);
-      const c = i % BOARD_COLS;
-      const dist = Math.hypot(r - centerR, c - centerC);
-      score -= Math.max(0, 3 - dist) * 0.6;
-    }
-  }
-
-  return score;
-}
-
-/* Terminal check using checkBoard (returns winner symbol, 'DRAW', or null) */
-function terminalResult(boardArr) {
-  const boardStr = boardArr.join('');
-  const res = checkBoard(boardStr);
-  if (res.winner) return res.winner;
-  if (res.isDraw) return 'DRAW';
-  return null;
-}
-
-/* Order moves: immediate wins first, then blocks, then centrality */
-function orderMoves(boardArr, moves, botSym) {
-  const opp = botSym === 'X' ? 'O' : 'X';
-  const scored = moves.map(i => {
-    const copy = boardArr.slice();
-    copy[i] = botSym;
-    const winAfter = terminalResult(copy) === botSym;
-    if (winAfter) return { i, score: 10000000 };
-
-    const copyOpp = boardArr.slice();
-    copyOpp[i] = opp;
-    const oppWinAfter = terminalResult(copyOpp) === opp;
-    if (oppWinAfter) return { i, score: 9000000 };
-
-    const r = Math.floor(i / BOARD_COLS);
-    const c = i % BOARD_COLS;
-    const centerR = (BOARD_ROWS - 1) / 2;
-    const centerC = (BOARD_COLS - 1) / 2;
-    const dist = Math.hypot(r - centerR, c - centerC);
-    return { i, score: -dist };
-  });
-  scored.sort((a, b) => b.score - a.score);
-  return scored.map(s => s.i);
-}
-
-/* Minimax with alpha-beta pruning and time cutoff.
-   Returns { bestScore, bestMove, timedOut } */
-function minimax(boardArr, depth, alpha, beta, maximizingPlayer, botSym, startTime, timeLimitMs) {
-  const now = Date.now();
-  if (now - startTime > timeLimitMs) return { bestScore: evaluateBoard(boardArr, botSym), bestMove: -1, timedOut: true };
-
-  const term = terminalResult(boardArr);
-  if (term === botSym) return { bestScore: 1e9, bestMove: -1, timedOut: false };
-  if (term === (botSym === 'X' ? 'O' : 'X')) return { bestScore: -1e9, bestMove: -1, timedOut: false };
-  if (term === 'DRAW') return { bestScore: 0, bestMove: -1, timedOut: false };
-
-  if (depth === 0) {
-    return { bestScore: evaluateBoard(boardArr, botSym), bestMove: -1, timedOut: false };
-  }
-
-  const curSym = maximizingPlayer ? botSym : (botSym === 'X' ? 'O' : 'X');
-  const moves = availableMoves(boardArr);
-  if (moves.length === 0) return { bestScore: 0, bestMove: -1, timedOut: false };
-
-  const ordered = orderMoves(boardArr, moves, maximizingPlayer ? botSym : (botSym === 'X' ? 'O' : 'X'));
-
-  let bestMove = -1;
-  if (maximizingPlayer) {
-    let value = -Infinity;
-    for (const m of ordered) {
-      boardArr[m] = curSym;
-      const child = minimax(boardArr, depth - 1, alpha, beta, false, botSym, startTime, timeLimitMs);
-      boardArr[m] = '_';
-      if (child.timedOut) return { bestScore: child.bestScore, bestMove: -1, timedOut: true };
-      if (child.bestScore > value) {
-        value = child.bestScore;
-        bestMove = m;
-      }
-      alpha = Math.max(alpha, value);
-      if (alpha >= beta) break;
-    }
-    return { bestScore: value, bestMove, timedOut: false };
-  } else {
-    let value = Infinity;
-    for (const m of ordered) {
-      boardArr[m] = curSym;
-      const child = minimax(boardArr, depth - 1, alpha, beta, true, botSym, startTime, timeLimitMs);
-      boardArr[m] = '_';
-      if (child.timedOut) return { bestScore: child.bestScore, bestMove: -1, timedOut: true };
-      if (child.bestScore < value) {
-        value = child.bestScore;
-        bestMove = m;
-      }
-      beta = Math.min(beta, value);
-      if (alpha >= beta) break;
-    }
-    return { bestScore: value, bestMove, timedOut: false };
-  }
-}
-
-/* New perfect move chooser with iterative deepening bounded by time budget */
-function chooseMovePerfect(boardStr, botSym) {
-  const board = (boardStr || EMPTY_BOARD).split('');
-  const opp = botSym === 'X' ? 'O' : 'X';
-
-  // immediate win or block
-  const win = findImmediateWin(board, botSym);
-  if (win >= 0) return win;
-  const block = findImmediateWin(board, opp);
-  if (block >= 0) return block;
-
-  const avail = availableMoves(board);
-  if (avail.length === 0) return -1;
-
-  // Time budget: leave margin from TURN_TIMEOUT_MS
-  const timeBudgetMs = Math.max(50, Math.min(1200, TURN_TIMEOUT_MS - 200));
-  const start = Date.now();
-
-  // Baseline best: choose center-most random available
-  const centerR = (BOARD_ROWS - 1) / 2;
-  const centerC = (BOARD_COLS - 1) / 2;
-  let best = avail.slice().sort((a, b) => {
-    const ar = Math.floor(a / BOARD_COLS), ac = a % BOARD_COLS;
-    const br = Math.floor(b / BOARD_COLS), bc = b % BOARD_COLS;
-    const da = Math.hypot(ar - centerR, ac - centerC);
-    const db = Math.hypot(br - centerR, bc - centerC);
-    return da - db;
-  })[0];
-
-  // Iterative deepening
-  let depth = 1;
-  const maxDepthCap = 10;
-  while (true) {
-    const elapsed = Date.now() - start;
-    const remaining = timeBudgetMs - elapsed;
-    if (remaining <= 8) break;
-
-    const useDepth = Math.min(depth, maxDepthCap);
-
-    const boardArr = board.slice();
-    const res = minimax(boardArr, useDepth, -Infinity, Infinity, true, botSym, start, timeBudgetMs);
-    if (res.timedOut) break;
-    if (typeof res.bestMove === 'number' && res.bestMove >= 0) best = res.bestMove;
-    if (res.bestScore >= 1e8) break; // found forced win
-    depth += 1;
-    if (depth > maxDepthCap) break;
-  }
-
-  return best;
+/* Board checks (delegates to the shared rules engine) */
+function checkBoard(boardStr, cfg = DEFAULT_CONFIG) {
+  const res = gameRules.checkWinner(boardStr || gameRules.emptyBoard(cfg), cfg);
+  return { winner: res.winner, isDraw: res.isDraw };
 }
 
 /* Utility: polite connection release */
@@ -338,7 +41,7 @@ async function safeRelease(conn) {
  options:
   - moveDelayMs: number
   - joinAsBot: boolean (default true)
-  - botIdentity: { display_name, username } optional reserved per-match identity from controller
+ A persona's own move_delay_ms and mistake_rate (bot_personas) take precedence when set.
 */
 async function simulateMatch(matchId, options = {}) {
   if (activeSimulations.has(matchId)) return { ok: false, reason: 'already-running' };
@@ -346,7 +49,6 @@ async function simulateMatch(matchId, options = {}) {
 
   const moveDelayMs = typeof options.moveDelayMs === 'number' ? options.moveDelayMs : 600;
   const joinAsBotIfWaiting = options.joinAsBot !== false;
-  const providedBotIdentity = options.botIdentity || null;
   const pool = await getPool();
 
   try {
@@ -354,16 +56,11 @@ async function simulateMatch(matchId, options = {}) {
     let match = await matchModel.getMatchById(pool, matchId, false);
     if (!match) return { ok: false, reason: 'match-not-found' };
 
-    // If waiting: attach bot and persist per-match identity if controller provided one.
+    // If waiting: seat a bot persona (the model stores its name on the match)
     if (match.status === 'waiting') {
       if (!joinAsBotIfWaiting) return { ok: false, reason: 'match-waiting-not-joined' };
       try {
-        if (providedBotIdentity) {
-          // pass botIdentity to model; model expected to persist per-match fields into matches table
-          await matchModel.attachBotToMatchTx(matchId, providedBotIdentity);
-        } else {
-          await matchModel.attachBotToMatchTx(matchId);
-        }
+        await matchModel.attachBotToMatchTx(matchId);
         match = await matchModel.getMatchById(pool, matchId, false);
         if (!match) return { ok: false, reason: 'match-gone-after-attach' };
         if (match.status !== 'playing') return { ok: false, reason: 'attach-failed-or-still-waiting' };
@@ -415,9 +112,18 @@ async function simulateMatch(matchId, options = {}) {
       return { ok: false, reason: 'not-bot-turn', bot_display_name: botDisplayName, bot_username: botUsername };
     }
 
-    // thinking delay but keeping within TURN_TIMEOUT_MS
-    if (moveDelayMs > 0) {
-      const waitMs = Math.min(moveDelayMs, TURN_TIMEOUT_MS - 50);
+    // persona play style; bots from before the fleet existed have none
+    let persona = null;
+    try {
+      persona = await botPersonaModel.getPersonaByUserId(pool, botId);
+    } catch (_) {}
+    const delayMs = persona && persona.move_delay_ms !== null ? Number(persona.move_delay_ms) : moveDelayMs;
+    const moveOptions = persona && persona.mistake_rate !== null ? { mistakeRate: Number(persona.mistake_rate) } : {};
+
+    // thinking delay but keeping within TURN_TIMEOUT_MS (and a small share of the bot's bank on clocked matches)
+    if (delayMs > 0) {
+      const bankMs = timeControl.remainingMs(refreshed, resolvedBotSymbol);
+      const waitMs = Math.min(delayMs, TURN_TIMEOUT_MS - 50, bankMs === null ? Infinity : Math.floor(bankMs / 4));
       if (waitMs > 0) await sleep(waitMs);
     }
 
@@ -425,6 +131,17 @@ async function simulateMatch(matchId, options = {}) {
     const attemptMove = async () => {
       let conn;
       try {
+        // search on a snapshot, off the main thread and without holding the row lock;
+        // the locked re-read below rejects the move if the board changed meanwhile
+        const snapshot = await matchModel.getMatchById(pool, matchId, false);
+        if (!snapshot || snapshot.status !== 'playing') return { ok: false, reason: 'match-not-playing-during-attempt' };
+        if ((snapshot.current_turn || 'X') !== resolvedBotSymbol) return { ok: false, reason: 'turn-changed' };
+        const cfg = gameRules.configFromMatch(snapshot);
+        const boardStr = gameRules.normalizeBoard(snapshot.board, cfg);
+        // tier is fixed when the bot takes its seat; older or bot-created matches get it on the first bot move
+        const tier = botTiers.tierForMatch(snapshot);
+        const { pos } = await movePool.chooseMove(tier, boardStr, resolvedBotSymbol, cfg, moveOptions);
+
         conn = await pool.getConnection();
         await conn.beginTransaction();
 
@@ -435,10 +152,19 @@ async function simulateMatch(matchId, options = {}) {
         const currentTurn = locked.current_turn || 'X';
         if (currentTurn !== resolvedBotSymbol) { await conn.rollback().catch(() => {}); return { ok: false, reason: 'turn-changed' }; }
 
-        const boardStr = (locked.board || EMPTY_BOARD).toString().padEnd(BOARD_CELLS, '_').slice(0, BOARD_CELLS);
-        const pos = chooseMovePerfect(boardStr, resolvedBotSymbol);
+        if (timeControl.remainingMs(locked, resolvedBotSymbol) === 0) {
+          // bank already spent; the timeout path below settles the match for the opponent
+          await conn.rollback().catch(() => {});
+          return { ok: false, reason: 'turn-timeout' };
+        }
+
+        if (gameRules.normalizeBoard(locked.board, cfg) !== boardStr) {
+          await conn.rollback().catch(() => {});
+          return { ok: false, reason: 'board-changed' };
+        }
+        if (locked.bot_tier !== tier) await matchModel.updateMatch(conn, matchId, { bot_tier: tier });
 
-        if (pos < 0 || pos >= BOARD_CELLS) {
+        if (!gameRules.isValidPosition(pos, cfg)) {
           // commit the transaction first so no locks remain, then resolve outcome outside the transaction
           await conn.commit();
           try {
@@ -448,22 +174,28 @@ async function simulateMatch(matchId, options = {}) {
         }
 
         const arr = boardStr.split('');
-        if (arr[pos] !== '_') {
+        if (!gameRules.isLegalMove(arr, pos, cfg)) {
           await conn.rollback().catch(() => {});
           return { ok: false, reason: 'cell-taken' };
         }
 
         // insert move and update
-        await matchModel.insertMove(conn, matchId, botId, pos, resolvedBotSymbol);
+        await matchModel.insertMove(conn, matchId, botId, pos, resolvedBotSymbol, cfg.cells);
         arr[pos] = resolvedBotSymbol;
         const newBoard = arr.join('');
-        const nextTurn = resolvedBotSymbol === 'X' ? 'O' : 'X';
-        await matchModel.updateMatch(conn, matchId, { board: newBoard, current_turn: nextTurn });
+        const nextTurn = gameRules.otherSymbol(resolvedBotSymbol);
+        await matchModel.updateMatch(conn, matchId, {
+          board: newBoard,
+          current_turn: nextTurn,
+          ...timeControl.chargeMove(locked, resolvedBotSymbol),
+          ...matchModel.drawOfferLapse(locked, botId)
+        });
 
-        const result = checkBoard(newBoard);
+        const result = checkBoard(newBoard, cfg);
 
         // commit BEFORE calling resolveMatchOutcomeTx to avoid lock contention
         await conn.commit();
+        emitMatchEvent(MATCH_EVENTS.MOVE, { matchId, position: pos, symbol: resolvedBotSymbol });
 
         if (result.winner || result.isDraw) {
           try {
@@ -501,7 +233,7 @@ async function simulateMatch(matchId, options = {}) {
     }
 
     // If transient failure, quick retry bounded by TURN_TIMEOUT_MS
-    if (primaryResult && (primaryResult.reason === 'cell-taken' || primaryResult.reason === 'attempt-exception')) {
+    if (primaryResult && ['cell-taken', 'board-changed', 'attempt-exception'].includes(primaryResult.reason)) {
       await sleep(50 + Math.floor(Math.random() * 100));
       const retryPromise = attemptMove();
       const retryTimeout = new Promise(resolve => setTimeout(() => resolve({ ok: false, reason: 'turn-timeout-retry' }), TURN_TIMEOUT_MS));
@@ -532,6 +264,10 @@ async function simulateMatch(matchId, options = {}) {
 
 module.exports = {
   simulateMatch,
-  chooseMovePerfect,
+  chooseMovePerfect: moveSearch.chooseMovePerfect,
+  chooseMoveHeuristic: moveSearch.chooseMoveHeuristic,
+  chooseMoveDepthLimited: moveSearch.chooseMoveDepthLimited,
+  chooseMoveRandom: moveSearch.chooseMoveRandom,
+  chooseMoveForTier: moveSearch.chooseMoveForTier,
   checkBoard
 };
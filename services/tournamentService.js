@@ -0,0 +1,303 @@
+// services/tournamentService.js
+// Tournament lifecycle: registration (buy-in debited up front), bracket build at start time,
+// match creation for every ready bracket slot, and the prize payout once the final is settled.
+// Advancing winners happens in resolveMatchOutcome (tournamentModel.recordMatchResult); this
+// service is driven by an in-process interval, like the matchmaking queue.
+
+const { getPool } = require('../config/db');
+const matchModel = require('../models/matchModel');
+const tm = require('../models/tournamentModel');
+const ledger = require('../models/ledgerModel');
+const gameRules = require('../lib/gameRules');
+const timeControl = require('../lib/timeControl');
+
+function codedError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function round2(n) {
+  return Number(Number(n).toFixed(2));
+}
+
+async function createTournament(adminId, { name, buyIn, seatLimit, startAt, rakePercent, payouts, boardConfig, clock }) {
+  const conn = await tm.getConnection();
+  try {
+    const clockColumns = timeControl.initialColumns(clock);
+    const id = await tm.createTournament(conn, {
+      name,
+      buy_in: buyIn,
+      seat_limit: seatLimit,
+      start_at: startAt,
+      rake_percent: rakePercent,
+      payouts: JSON.stringify(payouts),
+      board_rows: boardConfig.rows,
+      board_cols: boardConfig.cols,
+      win_length: boardConfig.winLength,
+      game_type: boardConfig.gameType,
+      time_base_ms: clockColumns.time_base_ms,
+      time_increment_ms: clockColumns.time_increment_ms,
+      status: 'registering',
+      created_by: adminId
+    });
+    return tm.getTournamentById(conn, id, false);
+  } finally {
+    conn.release();
+  }
+}
+
+async function refundEntry(conn, tournament, userId, tag = 'refund') {
+  const amount = Number(tournament.buy_in);
+  const reference = `tournament_${tournament.id}_${tag}_${userId}`;
+  await ledger.transfer(conn, 'tournament_refund', reference, ledger.account.tournament(tournament.id), ledger.account.user(userId), amount, { tournament_id: tournament.id });
+  await matchModel.insertBalanceTransaction(conn, {
+    user_id: userId, amount, type: 'credit', source: 'tournament_refund',
+    reference_id: reference, status: 'completed',
+    meta: { tournament_id: tournament.id }
+  });
+  await tm.updateEntry(conn, tournament.id, userId, { status: 'refunded' });
+}
+
+/* Register and pay the buy-in; only while registration is open and seats are left */
+async function register(userId, tournamentId) {
+  const conn = await tm.getConnection();
+  try {
+    await conn.beginTransaction();
+    const t = await tm.getTournamentById(conn, tournamentId, true);
+    if (!t) throw codedError('Tournament not found', 'NOT_FOUND');
+    if (t.status !== 'registering' || new Date(t.start_at).getTime() <= Date.now()) throw codedError('Registration is closed', 'NOT_OPEN');
+
+    const existing = await tm.getEntry(conn, tournamentId, userId, true);
+    if (existing && existing.status !== 'refunded') throw codedError('Already registered', 'ALREADY_REGISTERED');
+    if (await tm.countActiveEntries(conn, tournamentId) >= Number(t.seat_limit)) throw codedError('Tournament is full', 'FULL');
+
+    const [userRows] = await conn.query('SELECT id, balance, is_bot FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (!userRows || !userRows[0]) throw codedError('User not found', 'NOT_FOUND');
+    if (Number(userRows[0].is_bot)) throw codedError('Bots cannot enter tournaments', 'FORBIDDEN');
+    const buyIn = Number(t.buy_in);
+    if (Number(userRows[0].balance || 0) < buyIn) throw codedError('Insufficient balance for the buy-in', 'INSUFFICIENT_BALANCE');
+
+    // buy-ins are held in the tournament pool until prizes and rake are paid out
+    const reference = `tournament_${tournamentId}_buyin_${userId}`;
+    await ledger.transfer(conn, 'tournament_buy_in', reference, ledger.account.user(userId), ledger.account.tournament(tournamentId), buyIn, { tournament_id: tournamentId });
+    await matchModel.insertBalanceTransaction(conn, {
+      user_id: userId, amount: buyIn, type: 'debit', source: 'tournament_buy_in',
+      reference_id: reference, status: 'completed',
+      meta: { tournament_id: tournamentId }
+    });
+    await tm.insertEntry(conn, tournamentId, userId);
+    await conn.commit();
+    return tm.getEntry(conn, tournamentId, userId, false);
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/* Withdraw before the start and get the buy-in back */
+async function unregister(userId, tournamentId) {
+  const conn = await tm.getConnection();
+  try {
+    await conn.beginTransaction();
+    const t = await tm.getTournamentById(conn, tournamentId, true);
+    if (!t) throw codedError('Tournament not found', 'NOT_FOUND');
+    if (t.status !== 'registering') throw codedError('Tournament has already started', 'NOT_OPEN');
+    const entry = await tm.getEntry(conn, tournamentId, userId, true);
+    if (!entry || entry.status !== 'registered') throw codedError('Not registered', 'NOT_REGISTERED');
+    await refundEntry(conn, t, userId, 'unregister_refund');
+    await conn.commit();
+    return tm.getEntry(conn, tournamentId, userId, false);
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function cancelLocked(conn, t) {
+  for (const e of await tm.getEntries(conn, t.id)) {
+    if (e.status === 'registered') await refundEntry(conn, t, e.user_id, 'cancel_refund');
+  }
+  await tm.updateTournament(conn, t.id, { status: 'cancelled', finished_at: new Date() });
+}
+
+/* Admin cancel; only before the bracket is built */
+async function cancelTournament(tournamentId) {
+  const conn = await tm.getConnection();
+  try {
+    await conn.beginTransaction();
+    const t = await tm.getTournamentById(conn, tournamentId, true);
+    if (!t) throw codedError('Tournament not found', 'NOT_FOUND');
+    if (t.status !== 'registering') throw codedError(`Tournament is ${t.status}`, 'NOT_OPEN');
+    await cancelLocked(conn, t);
+    await conn.commit();
+    return tm.getTournamentById(conn, tournamentId, false);
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * startTournament(conn, t)
+ * - seeds registered players by rating, builds round 1 and pushes bye winners into round 2
+ * - fewer than two players cancels the tournament and refunds everyone
+ */
+async function startTournament(conn, t) {
+  const entries = (await tm.getEntries(conn, t.id))
+    .filter(e => e.status === 'registered')
+    .sort((a, b) => Number(b.rating || 0) - Number(a.rating || 0) || Number(a.id) - Number(b.id));
+  if (entries.length < 2) {
+    await cancelLocked(conn, t);
+    return 'cancelled';
+  }
+
+  const size = tm.bracketSize(entries.length);
+  const totalRounds = Math.log2(size);
+  const prizePool = round2(Number(t.buy_in) * entries.length);
+  const rake = round2((prizePool * Number(t.rake_percent)) / 100);
+  const bySeed = new Map();
+  for (let i = 0; i < entries.length; i++) {
+    bySeed.set(i + 1, entries[i].user_id);
+    await tm.updateEntry(conn, t.id, entries[i].user_id, { seed: i + 1, status: 'active' });
+  }
+  await tm.updateTournament(conn, t.id, {
+    status: 'running', total_rounds: totalRounds, prize_pool: prizePool, rake_amount: rake, started_at: new Date()
+  });
+
+  const running = { ...t, status: 'running', total_rounds: totalRounds };
+  const positions = tm.seedPositions(size);
+  for (let slot = 0; slot < size / 2; slot++) {
+    const x = bySeed.get(positions[slot * 2]) || null;
+    const o = bySeed.get(positions[slot * 2 + 1]) || null;
+    await tm.insertSlot(conn, t.id, 1, slot, { player_x: x, player_o: o });
+    if (!x || !o) {
+      const byeSlot = await tm.getSlot(conn, t.id, 1, slot, true);
+      await tm.advanceWinner(conn, running, byeSlot, x || o, 'bye');
+    }
+  }
+  return 'started';
+}
+
+/* Create a live match for every slot that has both players; colours swap on each replay */
+async function createSlotMatches(conn, t) {
+  const created = [];
+  const cfg = gameRules.normalizeConfig({ rows: t.board_rows, cols: t.board_cols, winLength: t.win_length, gameType: t.game_type });
+  const clock = timeControl.timeControlFromMatch(t);
+  for (const slot of await tm.listPlayableSlots(conn, t.id)) {
+    const swap = Number(slot.replays) % 2 === 1;
+    const xId = swap ? slot.player_o : slot.player_x;
+    const oId = swap ? slot.player_x : slot.player_o;
+    const matchId = await matchModel.createMatchRow(conn, xId, 0, cfg, clock);
+    const startedAt = new Date();
+    await matchModel.updateMatch(conn, matchId, {
+      opponent_id: oId, status: 'playing', current_turn: 'X', started_at: startedAt, turn_started_at: startedAt, tournament_id: t.id
+    });
+    await tm.updateSlot(conn, slot.id, { match_id: matchId, status: 'playing' });
+    created.push(matchId);
+  }
+  return created;
+}
+
+/* Pay prizes by finishing place and the rake to the house once the final has a winner */
+async function finishIfDecided(conn, t) {
+  const final = await tm.getSlot(conn, t.id, Number(t.total_rounds), 0, false);
+  if (!final || !final.winner_id) return false;
+
+  const entries = (await tm.getEntries(conn, t.id)).filter(e => e.status === 'champion' || e.status === 'eliminated');
+  const netPool = round2(Number(t.prize_pool) - Number(t.rake_amount));
+  const prizes = tm.prizeTable(entries, tm.parsePayouts(t.payouts), netPool);
+
+  for (const e of entries) {
+    const prize = prizes.get(String(e.user_id)) || 0;
+    if (prize <= 0) continue;
+    const reference = `tournament_${t.id}_prize_${e.user_id}`;
+    await ledger.transfer(conn, 'tournament_prize', reference, ledger.account.tournament(t.id), ledger.account.user(e.user_id), prize, { tournament_id: t.id });
+    await matchModel.insertBalanceTransaction(conn, {
+      user_id: e.user_id, amount: prize, type: 'credit', source: 'tournament_prize',
+      reference_id: reference, status: 'completed',
+      meta: { tournament_id: t.id, finish_position: Number(e.finish_position) }
+    });
+    await tm.updateEntry(conn, t.id, e.user_id, { prize });
+  }
+
+  const rake = Number(t.rake_amount);
+  if (rake > 0) {
+    await ledger.transfer(conn, 'tournament_rake_collected', `tournament_${t.id}_rake`, ledger.account.tournament(t.id), ledger.account.house(), rake, { tournament_id: t.id });
+    await matchModel.insertBalanceTransaction(conn, {
+      user_id: null, amount: rake, type: 'credit', source: 'tournament_rake_collected',
+      reference_id: `tournament_${t.id}_rake`, status: 'completed',
+      meta: { tournament_id: t.id, prize_pool: Number(t.prize_pool), rake_percent: Number(t.rake_percent) }
+    });
+  }
+
+  await tm.updateTournament(conn, t.id, { status: 'finished', finished_at: new Date() });
+  return true;
+}
+
+async function inTournamentTx(tournamentId, fn) {
+  const conn = await tm.getConnection();
+  try {
+    await conn.beginTransaction();
+    const t = await tm.getTournamentById(conn, tournamentId, true);
+    const result = t ? await fn(conn, t) : null;
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * runTournamentsOnce()
+ * - starts due tournaments, creates matches for ready slots and pays out decided tournaments
+ * - one transaction per tournament, so one broken bracket does not stall the others
+ * - returns { started, cancelled, finished, matches } ; matches are the new match ids (callers arm their timers)
+ */
+async function runTournamentsOnce(now = new Date()) {
+  const summary = { started: 0, cancelled: 0, finished: 0, matches: [] };
+
+  const pool = await getPool();
+  for (const { id } of await tm.listDueTournaments(pool, now)) {
+    try {
+      const outcome = await inTournamentTx(id, (c, t) => (t.status === 'registering' ? startTournament(c, t) : null));
+      if (outcome === 'started') summary.started++;
+      if (outcome === 'cancelled') summary.cancelled++;
+    } catch (err) {
+      console.error('[tournamentService] could not start tournament', id, err && err.stack ? err.stack : err);
+    }
+  }
+
+  for (const id of await tm.listRunningTournamentIds(pool)) {
+    try {
+      await inTournamentTx(id, async (c, t) => {
+        if (t.status !== 'running') return;
+        if (await finishIfDecided(c, t)) {
+          summary.finished++;
+          return;
+        }
+        summary.matches.push(...await createSlotMatches(c, t));
+      });
+    } catch (err) {
+      console.error('[tournamentService] could not advance tournament', id, err && err.stack ? err.stack : err);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  createTournament,
+  register,
+  unregister,
+  cancelTournament,
+  runTournamentsOnce
+};